@@ -0,0 +1,367 @@
+/**
+ * Script para comprobar los workflows exportados de n8n contra los contratos de respuesta
+ * (src/validators/n8nContracts.js)
+ *
+ * Cada workflow se ejecuta en local con datos de ejemplo, desde cada uno de sus webhooks
+ * hasta el nodo que responde: los nodos Code ejecutan su jsCode, y los nodos de Zoho (Desk,
+ * CRM y las llamadas HTTP a su API) devuelven los datos fijados en el export (pinData) o un
+ * ejemplo de mocks/n8n/fixtures.js. La respuesta resultante se valida contra el contrato del
+ * path del webhook
+ *
+ * Uso:
+ *   node check-n8n-contracts.js                         # todos los workflows de n8n-workflows/
+ *   node check-n8n-contracts.js n8n-workflows/zoho-get-tickets-workflow.json
+ *
+ * Opciones:
+ *   --dir <ruta>   Carpeta de los workflows exportados (por defecto n8n-workflows)
+ *   --strict       Falla también si algún workflow no se puede comprobar
+ */
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import vm from 'vm';
+import { N8N_CONTRACTS, toContractName, validateN8nResponse } from './src/validators/n8nContracts.js';
+import { createFixtures } from './mocks/n8n/fixtures.js';
+import { tryCatch } from './src/utils/functional.js';
+
+// Tiempo máximo de ejecución del código de un nodo
+const CODE_TIMEOUT_MS = 1000;
+
+// Nodos que recorre el script como máximo (evita ciclos)
+const MAX_STEPS = 50;
+
+const NODE_TYPES = Object.freeze({
+  WEBHOOK: 'n8n-nodes-base.webhook',
+  CODE: 'n8n-nodes-base.code',
+  FUNCTION: 'n8n-nodes-base.function',
+  RESPOND: 'n8n-nodes-base.respondToWebhook',
+  ZOHO_DESK: 'n8n-nodes-base.zohoDesk',
+  ZOHO_CRM: 'n8n-nodes-base.zohoCrm',
+  HTTP_REQUEST: 'n8n-nodes-base.httpRequest'
+});
+
+/**
+ * Parsea los argumentos de la línea de comandos
+ * @param {Array<string>} args - process.argv sin node ni el script
+ * @returns {Object} - Opciones
+ */
+const parseArgs = (args) => args.reduce((options, arg, index) => {
+  if (args[index - 1] === '--dir') {
+    return options;
+  }
+  switch (arg) {
+    case '--dir':
+      return { ...options, dir: args[index + 1] };
+    case '--strict':
+      return { ...options, strict: true };
+    default:
+      return { ...options, files: [...options.files, arg] };
+  }
+}, { dir: 'n8n-workflows', strict: false, files: [] });
+
+/**
+ * Datos de ejemplo con la forma de Zoho Desk y Zoho CRM, a partir de los fixtures del mock de n8n
+ */
+const createSamples = () => {
+  const fixtures = createFixtures();
+  const fullNameOf = (contact) => [contact.firstName, contact.lastName].filter(Boolean).join(' ');
+
+  // Ticket con los datos relacionados que Zoho Desk incluye
+  const toZohoTicket = (ticket) => {
+    const contact = fixtures.contacts.find(item => item.id === ticket.contactId);
+    const account = fixtures.accounts.find(item => item.id === contact?.accountId);
+    return {
+      ...ticket,
+      departmentName: fixtures.departments.find(item => item.id === ticket.departmentId)?.name,
+      contactName: contact && fullNameOf(contact),
+      accountId: account?.id,
+      accountName: account?.accountName,
+      cf: {}
+    };
+  };
+
+  // Contacto y cuenta con los campos de Zoho CRM
+  const toCrmContact = (contact) => {
+    const account = fixtures.accounts.find(item => item.id === contact.accountId);
+    return {
+      id: contact.id,
+      First_Name: contact.firstName,
+      Last_Name: contact.lastName,
+      Full_Name: fullNameOf(contact),
+      Email: contact.email,
+      Phone: contact.phone,
+      Title: contact.title,
+      Type: contact.type,
+      Account_Name: account ? { id: account.id, name: account.accountName } : null
+    };
+  };
+  const toCrmAccount = (account) => ({
+    id: account.id,
+    Account_Name: account.accountName,
+    Website: account.website,
+    Industry: account.industry
+  });
+
+  const tickets = fixtures.tickets.map(toZohoTicket);
+  const crmContacts = fixtures.contacts.map(toCrmContact);
+  const [ticket] = tickets;
+  const [comment] = fixtures.comments;
+
+  return {
+    request: {
+      params: { ticketId: ticket.id, contactId: fixtures.contacts[0].id },
+      query: { ticketId: ticket.id, email: fixtures.contacts[0].email, contactID: fixtures.contacts[0].id },
+      body: {
+        ticketId: ticket.id,
+        comment: 'Comentario de ejemplo',
+        author: fixtures.contacts[0].email,
+        email: fixtures.contacts[0].email,
+        contactId: fixtures.contacts[0].id,
+        subject: 'Ticket de ejemplo',
+        description: 'Descripción de ejemplo'
+      }
+    },
+    // Salidas del nodo de Zoho Desk por recurso y operación
+    zohoDesk: {
+      'ticket.getAll': { data: tickets, count: tickets.length },
+      'ticket.get': ticket,
+      'ticket.create': ticket,
+      'ticket.update': ticket,
+      'comment.create': { ...comment, commenter: { name: 'Ana García' } },
+      'comment.getAll': { data: fixtures.comments.filter(item => item.ticketId === ticket.id) },
+      'department.getAll': { data: fixtures.departments },
+      'contact.getAll': { data: fixtures.contacts },
+      'account.getAll': { data: fixtures.accounts },
+      'article.getAll': { data: fixtures.kbArticles }
+    },
+    // Salidas del nodo de Zoho CRM (un item por registro)
+    zohoCrm: {
+      'contact.getAll': crmContacts,
+      'contact.get': [crmContacts[0]],
+      'account.getAll': fixtures.accounts.map(toCrmAccount)
+    },
+    // Respuestas de la API de Zoho por método y ruta (nodos HTTP Request)
+    http: {
+      'GET /crm/v2/Contacts/search': { data: [crmContacts[0]] }
+    }
+  };
+};
+
+/**
+ * Salida de un nodo con datos fijados en el export (pinData)
+ */
+const pinnedOutput = (workflow, node) => {
+  const items = workflow.pinData?.[node.name];
+  return Array.isArray(items) && items.length > 0 ? items.map(item => item.json ?? item) : null;
+};
+
+/**
+ * Convierte lo que devuelve un nodo Code en la lista de items (JSON puro, como lo vería n8n)
+ */
+const toItems = (value) => {
+  const items = (Array.isArray(value) ? value : [value])
+    .filter(item => item !== undefined && item !== null)
+    .map(item => (typeof item === 'object' && 'json' in item ? item.json : item));
+  return JSON.parse(JSON.stringify(items));
+};
+
+/**
+ * Ejecuta el código de un nodo Code con las variables de n8n que usan los workflows
+ * @returns {Array<Object>} - Items de salida
+ */
+const runCode = (code, input, outputs) => {
+  const wrap = (json) => ({ json });
+  const nodeOutput = (name) => {
+    const items = outputs[name] || [];
+    return { json: items[0], first: () => wrap(items[0]), last: () => wrap(items[items.length - 1]), all: () => items.map(wrap) };
+  };
+  const sandbox = {
+    $input: { item: wrap(input[0]), first: () => wrap(input[0]), last: () => wrap(input[input.length - 1]), all: () => input.map(wrap) },
+    $json: input[0],
+    $node: new Proxy({}, { get: (target, name) => nodeOutput(name) }),
+    $: (name) => ({ ...nodeOutput(name), item: wrap((outputs[name] || [])[0]) }),
+    items: input.map(wrap),
+    console: { log: () => {}, warn: () => {}, error: () => {} }
+  };
+
+  const script = new vm.Script(`(function () {\n${code}\n})()`);
+  return toItems(script.runInNewContext(sandbox, { timeout: CODE_TIMEOUT_MS }));
+};
+
+/**
+ * Ejecuta un nodo
+ * @returns {Object} - { items } o { skipped: motivo }
+ */
+const runNode = (workflow, node, input, outputs, samples) => {
+  const pinned = pinnedOutput(workflow, node);
+  if (pinned) {
+    return { items: pinned };
+  }
+
+  switch (node.type) {
+    case NODE_TYPES.WEBHOOK:
+      return { items: [{ headers: {}, ...samples.request }] };
+    case NODE_TYPES.CODE:
+      return { items: runCode(node.parameters.jsCode, input, outputs) };
+    case NODE_TYPES.FUNCTION:
+      return { items: runCode(node.parameters.functionCode, input, outputs) };
+    case NODE_TYPES.ZOHO_DESK: {
+      const operation = `${node.parameters.resource}.${node.parameters.operation}`;
+      const sample = samples.zohoDesk[operation];
+      return sample
+        ? { items: [structuredClone(sample)] }
+        : { skipped: `sin datos de ejemplo para el nodo "${node.name}" (Zoho Desk ${operation}); fija su salida en el export` };
+    }
+    case NODE_TYPES.ZOHO_CRM: {
+      const operation = `${node.parameters.resource}.${node.parameters.operation}`;
+      const sample = samples.zohoCrm[operation];
+      return sample
+        ? { items: structuredClone(sample) }
+        : { skipped: `sin datos de ejemplo para el nodo "${node.name}" (Zoho CRM ${operation}); fija su salida en el export` };
+    }
+    case NODE_TYPES.HTTP_REQUEST: {
+      const pathname = tryCatch(url => new URL(url).pathname)(node.parameters.url).fold(() => node.parameters.url, value => value);
+      const request = `${node.parameters.method || 'GET'} ${pathname}`;
+      const sample = samples.http[request];
+      return sample
+        ? { items: [structuredClone(sample)] }
+        : { skipped: `sin datos de ejemplo para el nodo "${node.name}" (${request}); fija su salida en el export` };
+    }
+    default:
+      return { skipped: `no se puede simular el nodo "${node.name}" (${node.type}); fija su salida en el export` };
+  }
+};
+
+/**
+ * Lee la respuesta de un nodo Respond to Webhook
+ */
+const toResponse = (node, input) => {
+  const { respondWith = 'firstIncomingItem', responseBody } = node.parameters;
+  if (respondWith === 'allIncomingItems') {
+    return { body: input };
+  }
+  if (respondWith === 'firstIncomingItem' || (respondWith === 'json' && /^=\{\{\s*\$json\s*\}\}$/.test(responseBody || ''))) {
+    return { body: input[0] };
+  }
+  return { skipped: `el nodo "${node.name}" responde con ${respondWith} ${responseBody || ''}, solo se comprueba {{ $json }}` };
+};
+
+/**
+ * Ejecuta un workflow desde su webhook y devuelve el cuerpo de la respuesta
+ * Sigue la primera salida de cada nodo
+ * @returns {Object} - { body } o { skipped: motivo }
+ */
+const runWorkflow = (workflow, webhook, samples) => {
+  const nodesByName = Object.fromEntries(workflow.nodes.map(node => [node.name, node]));
+  const outputs = {};
+
+  const step = (node, input, count) => {
+    if (count > MAX_STEPS) {
+      return { skipped: 'el workflow tiene demasiados nodos o un ciclo' };
+    }
+    if (node.type === NODE_TYPES.RESPOND) {
+      return toResponse(node, input);
+    }
+
+    const result = runNode(workflow, node, input, outputs, samples);
+    if (result.skipped) {
+      return result;
+    }
+    outputs[node.name] = result.items;
+
+    const [next] = workflow.connections?.[node.name]?.main?.[0] || [];
+    if (!next) {
+      // Sin nodo de respuesta: n8n responde con el último nodo
+      return webhook.parameters.options?.responseMode === 'responseNode' || webhook.parameters.responseMode === 'responseNode'
+        ? { skipped: `el workflow termina en "${node.name}" sin un nodo Respond to Webhook` }
+        : { body: result.items[0] };
+    }
+    return nodesByName[next.node]
+      ? step(nodesByName[next.node], result.items, count + 1)
+      : { skipped: `el nodo "${next.node}" no existe en el workflow` };
+  };
+
+  return step(webhook, [], 0);
+};
+
+/**
+ * Comprueba la respuesta de un workflow desde uno de sus webhooks
+ * @returns {Object} - { file, workflow, webhook, status: 'ok' | 'failed' | 'skipped', message }
+ */
+const checkWebhook = (file, workflow, webhook, samples) => {
+  const name = toContractName(webhook.parameters.path);
+  if (!name) {
+    return { file, workflow: webhook.parameters.path, status: 'skipped', message: `no hay contrato para ${webhook.parameters.path} (contratos: ${Object.keys(N8N_CONTRACTS).join(', ')})` };
+  }
+
+  try {
+    const response = runWorkflow(workflow, webhook, samples);
+    if (response.skipped) {
+      return { file, workflow: name, webhook: webhook.parameters.path, status: 'skipped', message: response.skipped };
+    }
+
+    const validation = validateN8nResponse(name, response.body);
+    if (validation.isOk) {
+      return { file, workflow: name, webhook: webhook.parameters.path, status: 'ok', message: 'cumple el contrato' };
+    }
+    const { details } = JSON.parse(validation.unwrapError().message);
+    return {
+      file,
+      workflow: name,
+      webhook: webhook.parameters.path,
+      status: 'failed',
+      message: details.issues.map(issue => `${issue.field}: ${issue.message}`).join('; ')
+    };
+  } catch (error) {
+    return { file, workflow: name, webhook: webhook.parameters.path, status: 'failed', message: `error ejecutando el workflow: ${error.message}` };
+  }
+};
+
+/**
+ * Comprueba un workflow exportado, una vez por cada webhook
+ * @returns {Promise<Array<Object>>} - Resultados (checkWebhook)
+ */
+const checkWorkflow = async (file, samples) => {
+  const workflow = JSON.parse(await readFile(file, 'utf8'));
+  const webhooks = (workflow.nodes || []).filter(node => node.type === NODE_TYPES.WEBHOOK);
+  if (webhooks.length === 0) {
+    return [{ file, status: 'skipped', message: 'no tiene un nodo Webhook' }];
+  }
+  return webhooks.map(webhook => checkWebhook(file, workflow, webhook, samples));
+};
+
+/**
+ * Comprueba los workflows indicados (o todos los de la carpeta)
+ */
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const files = options.files.length > 0
+    ? options.files
+    : (await readdir(options.dir))
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => path.join(options.dir, file));
+
+  if (files.length === 0) {
+    console.error(`Error: no hay workflows exportados en ${options.dir}`);
+    process.exit(1);
+  }
+
+  const samples = createSamples();
+  const results = (await Promise.all(files.map(file => checkWorkflow(file, samples)))).flat();
+
+  const labels = { ok: 'OK     ', failed: 'FALLA  ', skipped: 'OMITIDO' };
+  results.forEach(({ file, workflow, webhook, status, message }) =>
+    console.log(`${labels[status]} ${file}${workflow ? ` (${webhook && webhook !== workflow ? `${webhook} → ${workflow}` : workflow})` : ''}: ${message}`));
+
+  const failed = results.filter(result => result.status === 'failed' || (options.strict && result.status === 'skipped'));
+  console.log(`\n${results.length} webhooks: ${results.filter(result => result.status === 'ok').length} cumplen, ${results.filter(result => result.status === 'failed').length} fallan, ${results.filter(result => result.status === 'skipped').length} omitidos`);
+
+  if (failed.length > 0) {
+    process.exit(1);
+  }
+};
+
+run().catch(error => {
+  console.error('Error comprobando los contratos:', error.message);
+  process.exit(1);
+});
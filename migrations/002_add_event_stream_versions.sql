@@ -0,0 +1,48 @@
+-- Migration: 002_add_event_stream_versions.sql
+-- Purpose: Add per-aggregate sequence numbers to the events table so that
+-- commands can be appended with optimistic concurrency control
+
+-- Add the stream version column (nullable until existing rows are backfilled)
+ALTER TABLE events ADD COLUMN IF NOT EXISTS version INTEGER;
+
+-- Backfill versions for existing events, ordered by creation time per aggregate
+WITH ordered_events AS (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY email ORDER BY created_at, id) AS stream_version
+  FROM events
+)
+UPDATE events
+SET version = ordered_events.stream_version
+FROM ordered_events
+WHERE events.id = ordered_events.id
+  AND events.version IS NULL;
+
+ALTER TABLE events ALTER COLUMN version SET NOT NULL;
+
+-- One event per (aggregate, version): a second writer appending the same
+-- version fails with unique_violation (23505), which the API reports as 409
+CREATE UNIQUE INDEX IF NOT EXISTS idx_events_email_version ON events(email, version);
+
+-- Assign the next version when the writer does not provide one (e.g. follow-up
+-- events stored by the notification handlers). The advisory lock serializes
+-- concurrent appends to the same aggregate.
+CREATE OR REPLACE FUNCTION assign_event_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.version IS NULL THEN
+    PERFORM pg_advisory_xact_lock(hashtext(NEW.email));
+    SELECT COALESCE(MAX(version), 0) + 1 INTO NEW.version
+    FROM events
+    WHERE email = NEW.email;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS events_assign_version ON events;
+CREATE TRIGGER events_assign_version
+  BEFORE INSERT ON events
+  FOR EACH ROW
+  EXECUTE FUNCTION assign_event_version();
+
+-- Comment: Commands carrying an expectedVersion are appended with an explicit
+-- version (expectedVersion + 1); all other appends get the next free version.
@@ -0,0 +1,33 @@
+-- Migration: 003_create_snapshots_table.sql
+-- Purpose: Store periodic snapshots of the reconstructed user state so that
+-- GET /state/:email only replays the events appended after the latest snapshot
+
+CREATE TABLE IF NOT EXISTS snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email TEXT NOT NULL,
+  version INTEGER NOT NULL, -- Last event version folded into the state
+  reducer_version INTEGER NOT NULL, -- STATE_REDUCER_VERSION of applyEvent that built the state
+  state JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- One snapshot per aggregate, version and reducer version
+CREATE UNIQUE INDEX IF NOT EXISTS idx_snapshots_email_reducer_version
+  ON snapshots(email, reducer_version, version);
+
+-- Apply Row Level Security (RLS)
+ALTER TABLE snapshots ENABLE ROW LEVEL SECURITY;
+
+-- Users can only read their own snapshots
+CREATE POLICY snapshots_select_policy ON snapshots
+  FOR SELECT
+  USING (auth.email()::text = email);
+
+-- Only the service role writes snapshots
+CREATE POLICY snapshots_insert_policy ON snapshots
+  FOR INSERT
+  WITH CHECK (true);
+
+-- Comment: Snapshots are a cache. Bumping STATE_REDUCER_VERSION in src/core/transition.js
+-- makes every existing snapshot invisible to reconstruction; they can then be removed with:
+-- DELETE FROM snapshots WHERE reducer_version <> <new version>;
@@ -0,0 +1,18 @@
+-- Migration: 004_add_event_schema_versions.sql
+-- Purpose: Record the schema version of every stored event payload so that
+-- old payload shapes can be upcast to the current shape when they are read
+
+-- Events written before versioning keep schema version 1
+ALTER TABLE events ADD COLUMN IF NOT EXISTS schema_version INTEGER NOT NULL DEFAULT 1;
+
+-- Keep the column in sync with payloads that already carry a schemaVersion
+UPDATE events
+SET schema_version = (payload->>'schemaVersion')::INTEGER
+WHERE payload ? 'schemaVersion'
+  AND schema_version <> (payload->>'schemaVersion')::INTEGER;
+
+-- Find streams that still hold old payload shapes
+CREATE INDEX IF NOT EXISTS idx_events_type_schema_version ON events(type, schema_version);
+
+-- Comment: Stored payloads are never rewritten. Upcasters registered in
+-- src/core/upcasters.js migrate them to the current shape on read.
@@ -0,0 +1,52 @@
+-- Migration: 006_create_ticket_read_model.sql
+-- Purpose: Local read model of tickets, kept up to date from the ticket events and
+-- from Zoho tickets cached on a miss, so ticket lists no longer call n8n on every read
+
+CREATE TABLE IF NOT EXISTS ticket_read_model (
+  ticket_id TEXT PRIMARY KEY, -- Event store ticketId (source 'local') or Zoho ticket id (source 'zoho')
+  source TEXT NOT NULL DEFAULT 'local', -- local | zoho
+  ticket_number TEXT,
+  email TEXT,
+  subject TEXT,
+  description TEXT,
+  status TEXT,
+  priority TEXT,
+  priority_rank SMALLINT, -- Low 1, Medium 2, High 3, Urgent 4 (for sorting)
+  department_id TEXT,
+  department_name TEXT,
+  contact_id TEXT,
+  contact_name TEXT,
+  assignee_id TEXT,
+  category TEXT,
+  escalated BOOLEAN NOT NULL DEFAULT false,
+  comment_count INTEGER NOT NULL DEFAULT 0,
+  last_comment_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ,
+  closed_at TIMESTAMPTZ,
+  synced_at TIMESTAMPTZ, -- Last time the row was copied from Zoho
+  last_position BIGINT -- Global position of the last event applied to the row
+);
+
+-- Indexes for the filters and sort orders of GET /api/tickets
+CREATE INDEX IF NOT EXISTS idx_ticket_read_model_email ON ticket_read_model(email);
+CREATE INDEX IF NOT EXISTS idx_ticket_read_model_status ON ticket_read_model(status);
+CREATE INDEX IF NOT EXISTS idx_ticket_read_model_updated_at ON ticket_read_model(updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ticket_read_model_created_at ON ticket_read_model(created_at DESC);
+
+-- Apply Row Level Security (RLS)
+ALTER TABLE ticket_read_model ENABLE ROW LEVEL SECURITY;
+
+-- Users can only read their own tickets
+CREATE POLICY ticket_read_model_select_policy ON ticket_read_model
+  FOR SELECT
+  USING (auth.email()::text = email);
+
+-- Only the service role maintains the read model (live updates, replays and Zoho cache)
+CREATE POLICY ticket_read_model_write_policy ON ticket_read_model
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Comment: The read model is derived data. It can be rebuilt at any time with
+-- node replay-projections.js --projection ticket_read_model --from-scratch
+-- (cached Zoho tickets are dropped and fetched again on the next miss)
@@ -0,0 +1,57 @@
+-- Migration: 007_create_outbox.sql
+-- Purpose: Transactional outbox for the external side effects of events (Zoho/n8n).
+-- The outbox row is inserted by a trigger in the same transaction as the event,
+-- so an event is never stored without the side effects it still has to trigger
+
+CREATE TABLE IF NOT EXISTS outbox (
+  event_id UUID PRIMARY KEY REFERENCES events(id),
+  email TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL, -- Copy of events.payload handed to the notification handlers
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | processing | dispatched | failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(), -- Next retry, or lock expiry while processing
+  last_error TEXT,
+  result JSONB, -- Event returned by the notification handler
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  dispatched_at TIMESTAMPTZ
+);
+
+-- The dispatcher polls due entries by status and next attempt
+CREATE INDEX IF NOT EXISTS idx_outbox_status_next_attempt ON outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_outbox_email ON outbox(email);
+
+-- Queue the side effects of an event (same event types as OUTBOX_EVENT_TYPES in src/shell/outbox.js)
+CREATE OR REPLACE FUNCTION enqueue_outbox()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.type IN ('TICKET_CREATED', 'TICKET_UPDATED', 'COMMENT_ADDED', 'TICKET_ESCALATED', 'TICKET_CLOSED') THEN
+    INSERT INTO outbox (event_id, email, event_type, payload, next_attempt_at, created_at, updated_at)
+    VALUES (NEW.id, NEW.email, NEW.type, NEW.payload, NEW.created_at, NEW.created_at, NEW.created_at);
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS events_enqueue_outbox ON events;
+CREATE TRIGGER events_enqueue_outbox
+  AFTER INSERT ON events
+  FOR EACH ROW
+  EXECUTE FUNCTION enqueue_outbox();
+
+-- Apply Row Level Security (RLS)
+ALTER TABLE outbox ENABLE ROW LEVEL SECURITY;
+
+-- Users can only read the dispatch status of their own events
+CREATE POLICY outbox_select_policy ON outbox
+  FOR SELECT
+  USING (auth.email()::text = email);
+
+-- Only the service role (the dispatcher) updates entries
+CREATE POLICY outbox_write_policy ON outbox
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Comment: Run a single dispatcher per deployment (OUTBOX_DISPATCHER_ENABLED=false on
+-- the other instances): entries are claimed with a plain update, not a row lock
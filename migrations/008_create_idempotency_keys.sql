@@ -0,0 +1,31 @@
+-- Migration: 008_create_idempotency_keys.sql
+-- Purpose: Remember the response of commands sent with an Idempotency-Key header
+-- (or commandId), so client retries of POST /api/commands do not run them twice
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  email TEXT NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  command_type TEXT NOT NULL,
+  request_hash TEXT NOT NULL, -- SHA-256 of the command, to reject a key reused for another request
+  status TEXT NOT NULL DEFAULT 'in_progress', -- in_progress | completed
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  locked_until TIMESTAMPTZ, -- While in_progress: after this the claim is considered abandoned
+  expires_at TIMESTAMPTZ NOT NULL,
+  -- The unique constraint is what makes concurrent claims of the same key safe
+  CONSTRAINT unique_email_idempotency_key UNIQUE (email, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+-- Apply Row Level Security (RLS)
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+-- Only the service role (the API) reads and writes keys
+CREATE POLICY idempotency_keys_service_policy ON idempotency_keys
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Comment: Expired keys are ignored by the API; purge them periodically with
+-- DELETE FROM idempotency_keys WHERE expires_at < now();
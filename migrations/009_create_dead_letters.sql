@@ -0,0 +1,30 @@
+-- Migration: 009_create_dead_letters.sql
+-- Purpose: Dead-letter store for external notifications (outbox entries) that ran out
+-- of retries, kept until an admin retries or discards them
+
+CREATE TABLE IF NOT EXISTS dead_letters (
+  event_id UUID PRIMARY KEY REFERENCES events(id),
+  email TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  event JSONB NOT NULL, -- Original event handed to the notification handler
+  error TEXT, -- Error of the last attempt
+  attempts INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open', -- open | retrying | resolved | discarded
+  first_failed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_attempt_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  resolved_at TIMESTAMPTZ, -- When the retry succeeded or the entry was discarded
+  discarded_by TEXT -- Admin who discarded the entry
+);
+
+CREATE INDEX IF NOT EXISTS idx_dead_letters_status_last_attempt ON dead_letters(status, last_attempt_at DESC);
+CREATE INDEX IF NOT EXISTS idx_dead_letters_event_type ON dead_letters(event_type);
+
+-- Apply Row Level Security (RLS)
+ALTER TABLE dead_letters ENABLE ROW LEVEL SECURITY;
+
+-- Only the service role (dispatcher and admin endpoints) reads and writes dead letters
+CREATE POLICY dead_letters_service_policy ON dead_letters
+  FOR ALL
+  USING (auth.role() = 'service_role');
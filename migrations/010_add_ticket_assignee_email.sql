@@ -0,0 +1,7 @@
+-- Migration: 010_add_ticket_assignee_email.sql
+-- Purpose: Keep the email of the agent a ticket is assigned to in the ticket read model,
+-- so chat connections can check that a user owns or is assigned to the ticket
+
+ALTER TABLE ticket_read_model ADD COLUMN IF NOT EXISTS assignee_email TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_ticket_read_model_assignee_email ON ticket_read_model(assignee_email);
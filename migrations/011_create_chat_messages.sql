@@ -0,0 +1,26 @@
+-- Migration: 011_create_chat_messages.sql
+-- Purpose: Persist ticket chat messages (/ws/tickets/:ticketId), so history survives
+-- restarts and is shared by every instance
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id UUID PRIMARY KEY,
+  position BIGSERIAL NOT NULL UNIQUE, -- Arrival order, used to page through history
+  ticket_id TEXT NOT NULL,
+  sender_email TEXT,
+  sender_role TEXT, -- owner | assignee | admin
+  type TEXT NOT NULL DEFAULT 'message',
+  content TEXT NOT NULL,
+  message JSONB NOT NULL, -- Message as broadcast to the chat clients
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_ticket_position ON chat_messages(ticket_id, position);
+
+-- Apply Row Level Security (RLS)
+ALTER TABLE chat_messages ENABLE ROW LEVEL SECURITY;
+
+-- Only the service role (the API) reads and writes messages; access to a ticket's
+-- chat is checked by the API (owner, assignee or admin)
+CREATE POLICY chat_messages_service_policy ON chat_messages
+  FOR ALL
+  USING (auth.role() = 'service_role');
@@ -0,0 +1,20 @@
+-- Migration: 012_create_chat_read_receipts.sql
+-- Purpose: Last chat message read by each user of a ticket (read receipts of /ws/tickets/:ticketId)
+
+CREATE TABLE IF NOT EXISTS chat_read_receipts (
+  ticket_id TEXT NOT NULL,
+  email TEXT NOT NULL,
+  role TEXT, -- owner | assignee | admin
+  last_read_message_id UUID NOT NULL REFERENCES chat_messages(id),
+  last_read_position BIGINT NOT NULL, -- chat_messages.position of the last read message
+  read_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (ticket_id, email)
+);
+
+-- Apply Row Level Security (RLS)
+ALTER TABLE chat_read_receipts ENABLE ROW LEVEL SECURITY;
+
+-- Only the service role (the API) reads and writes receipts
+CREATE POLICY chat_read_receipts_service_policy ON chat_read_receipts
+  FOR ALL
+  USING (auth.role() = 'service_role');
@@ -0,0 +1,21 @@
+-- Migration: 013_create_chat_zoho_comments.sql
+-- Purpose: Zoho comments that went through the chat ↔ Zoho bridge, so a comment is
+-- never relayed twice (webhook retries, or comments mirrored from the chat coming back)
+
+CREATE TABLE IF NOT EXISTS chat_zoho_comments (
+  external_comment_id TEXT PRIMARY KEY, -- Zoho comment id
+  ticket_id TEXT NOT NULL,
+  chat_message_id UUID REFERENCES chat_messages(id), -- Chat message mirrored into Zoho (to_zoho)
+  direction TEXT NOT NULL, -- to_zoho | from_zoho
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_zoho_comments_ticket ON chat_zoho_comments(ticket_id);
+
+-- Apply Row Level Security (RLS)
+ALTER TABLE chat_zoho_comments ENABLE ROW LEVEL SECURITY;
+
+-- Only the service role (the API) reads and writes the bridge records
+CREATE POLICY chat_zoho_comments_service_policy ON chat_zoho_comments
+  FOR ALL
+  USING (auth.role() = 'service_role');
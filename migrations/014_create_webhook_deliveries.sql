@@ -0,0 +1,20 @@
+-- Migration: 014_create_webhook_deliveries.sql
+-- Purpose: Webhook deliveries already processed (POST /webhook/zoho/desk), so a delivery
+-- sent again does not append its events twice
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  delivery_id TEXT PRIMARY KEY, -- '<source>:<sha256 of the notification>'
+  source TEXT NOT NULL, -- e.g. zoho-desk
+  event_type TEXT, -- Provider event type (e.g. Ticket_Update)
+  received_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received_at ON webhook_deliveries(received_at);
+
+-- Apply Row Level Security (RLS)
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Only the service role (the API) reads and writes deliveries
+CREATE POLICY webhook_deliveries_service_policy ON webhook_deliveries
+  FOR ALL
+  USING (auth.role() = 'service_role');
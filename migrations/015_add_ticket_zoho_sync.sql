@@ -0,0 +1,24 @@
+-- Migration: 015_add_ticket_zoho_sync.sql
+-- Purpose: Link the tickets created through commands to their Zoho ticket, and remember
+-- when each ticket list filter was last imported from Zoho, so misses refresh on an interval
+
+-- Zoho ticket id of a ticket created through a command (TICKET_LINKED_EXTERNALLY event)
+ALTER TABLE ticket_read_model ADD COLUMN IF NOT EXISTS external_ticket_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ticket_read_model_external_ticket_id
+  ON ticket_read_model(external_ticket_id)
+  WHERE external_ticket_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS ticket_zoho_sync (
+  filter_key TEXT PRIMARY KEY, -- Zoho filters of the import, as sorted JSON ('{}' for no filters)
+  synced_at TIMESTAMPTZ NOT NULL, -- Last successful import
+  ticket_count INTEGER NOT NULL DEFAULT 0 -- Tickets imported on that run
+);
+
+-- Apply Row Level Security (RLS)
+ALTER TABLE ticket_zoho_sync ENABLE ROW LEVEL SECURITY;
+
+-- Only the service role (the API) reads and writes the sync state
+CREATE POLICY ticket_zoho_sync_service_policy ON ticket_zoho_sync
+  FOR ALL
+  USING (auth.role() = 'service_role');
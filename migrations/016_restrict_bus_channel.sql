@@ -0,0 +1,19 @@
+-- Migration: 016_restrict_bus_channel.sql
+-- Purpose: Only the API (service role) may read or send on the broadcast bus channel
+-- (BUS_DRIVER=supabase). The bus uses a private Realtime channel, and Realtime checks
+-- private channels against the RLS policies of realtime.messages
+
+-- RLS is on by default for realtime.messages; it is enabled here in case it was turned off
+ALTER TABLE realtime.messages ENABLE ROW LEVEL SECURITY;
+
+-- No policy grants anon or authenticated users access to the bus topic, so they cannot
+-- join it. Change the topic if BUS_CHANNEL is not 'helpdesk-bus'
+CREATE POLICY helpdesk_bus_service_read_policy ON realtime.messages
+  FOR SELECT
+  TO service_role
+  USING (realtime.topic() = 'helpdesk-bus' AND extension = 'broadcast');
+
+CREATE POLICY helpdesk_bus_service_write_policy ON realtime.messages
+  FOR INSERT
+  TO service_role
+  WITH CHECK (realtime.topic() = 'helpdesk-bus' AND extension = 'broadcast');
@@ -0,0 +1,25 @@
+/**
+ * Starts the n8n/Zoho mock server and the API in one process, with the API pointed at the mock
+ * Used by npm run dev:mock: no call leaves the machine
+ *
+ * The n8n variables are set before the API modules load (several read them at import time),
+ * and override the ones in .env
+ */
+import { startMockN8nServer } from './server.js';
+
+const mock = await startMockN8nServer();
+const { paths } = mock.getState().settings;
+
+Object.assign(process.env, {
+  N8N_BASE_URL: mock.url,
+  N8N_ZOHO_CONTACT_CHECK_PATH: paths.contactCheck,
+  N8N_ZOHO_GET_COMPANIES_PATH: paths.companies,
+  N8N_ZOHO_GET_CONTACT_PROFILE_PATH: paths.contactProfile,
+  N8N_WEBHOOK_ACCOUNT_CHECK: `${mock.url}${paths.accountCheck}`,
+  // Tickets y comentarios por los workflows (el mock), no por la API de Zoho Desk
+  ZOHO_DESK_DRIVER: 'n8n'
+});
+
+console.log(`🧪 Mock de n8n escuchando en ${mock.url} (API apuntando al mock)`);
+
+await import('../../src/index.js');
@@ -0,0 +1,79 @@
+/**
+ * Seed data of the n8n/Zoho mock server
+ *
+ * Records are kept in Zoho Desk / Zoho CRM shape; the workflows of the mock map them to
+ * the responses of the real n8n workflows. Every contact email ends in .test, so the
+ * fixtures never match a real customer
+ */
+
+// Fecha base fija: las respuestas del mock no dependen del día en que se ejecuta
+const BASE_TIME = Date.parse('2026-01-05T09:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Pure function to compute an ISO time relative to BASE_TIME
+ */
+const at = (hours) => new Date(BASE_TIME + hours * HOUR_MS).toISOString();
+
+const DEPARTMENTS = [
+  { id: '4100000000001', name: 'Soporte Técnico' },
+  { id: '4100000000002', name: 'Facturación' },
+  { id: '4100000000003', name: 'Ventas' }
+];
+
+const ACCOUNTS = [
+  { id: '4200000000001', accountName: 'Acme Corp', website: 'https://acme.test', industry: 'Manufacturing' },
+  { id: '4200000000002', accountName: 'Globex', website: 'https://globex.test', industry: 'Energy' }
+];
+
+const CONTACTS = [
+  { id: '4300000000001', firstName: 'Ana', lastName: 'García', email: 'ana@acme.test', phone: '+34 600 000 001', title: 'IT Manager', type: 'Customer', accountId: '4200000000001' },
+  { id: '4300000000002', firstName: 'Ben', lastName: 'Howard', email: 'ben@acme.test', phone: '+34 600 000 002', title: 'Developer', type: 'Customer', accountId: '4200000000001' },
+  { id: '4300000000003', firstName: 'Carla', lastName: 'Ruiz', email: 'carla@globex.test', phone: '+34 600 000 003', title: 'CFO', type: 'Customer', accountId: '4200000000002' }
+];
+
+const AGENTS = [
+  { id: '4400000000001', name: 'Diego Agent', email: 'diego@support.test' },
+  { id: '4400000000002', name: 'Elena Agent', email: 'elena@support.test' }
+];
+
+const TICKETS = [
+  { id: '4500000000001', ticketNumber: '101', subject: 'VPN no conecta desde la oficina', description: 'Desde ayer la VPN falla con timeout.', status: 'Open', statusType: 'Open', priority: 'High', departmentId: '4100000000001', contactId: '4300000000001', assigneeId: '4400000000001', category: 'Networking', channel: 'Web', createdTime: at(0), modifiedTime: at(2) },
+  { id: '4500000000002', ticketNumber: '102', subject: 'Factura de diciembre duplicada', description: 'Hemos recibido dos cargos por la misma factura.', status: 'In Progress', statusType: 'Open', priority: 'Medium', departmentId: '4100000000002', contactId: '4300000000001', assigneeId: '4400000000002', category: 'Billing', channel: 'Email', createdTime: at(5), modifiedTime: at(30) },
+  { id: '4500000000003', ticketNumber: '103', subject: 'Error 500 al exportar informes', description: 'La exportación a CSV devuelve un error 500.', status: 'Open', statusType: 'Open', priority: 'Urgent', departmentId: '4100000000001', contactId: '4300000000002', assigneeId: null, category: 'Bug', channel: 'Web', createdTime: at(26), modifiedTime: at(26) },
+  { id: '4500000000004', ticketNumber: '104', subject: 'Ampliar licencias a 50 usuarios', description: 'Queremos presupuesto para 20 licencias más.', status: 'On Hold', statusType: 'On Hold', priority: 'Low', departmentId: '4100000000003', contactId: '4300000000003', assigneeId: '4400000000002', category: 'Sales', channel: 'Phone', createdTime: at(48), modifiedTime: at(72) },
+  { id: '4500000000005', ticketNumber: '105', subject: 'Cambio de datos fiscales', description: 'Actualizar el CIF de la empresa en las facturas.', status: 'Closed', statusType: 'Closed', priority: 'Low', departmentId: '4100000000002', contactId: '4300000000003', assigneeId: '4400000000002', category: 'Billing', channel: 'Email', createdTime: at(50), modifiedTime: at(54), closedTime: at(54) },
+  { id: '4500000000006', ticketNumber: '106', subject: 'Acceso SSO para nuevos empleados', description: 'Los nuevos empleados no pueden iniciar sesión con SSO.', status: 'Open', statusType: 'Open', priority: 'Medium', departmentId: '4100000000001', contactId: '4300000000002', assigneeId: '4400000000001', category: 'Access', channel: 'Chat', createdTime: at(96), modifiedTime: at(97) }
+];
+
+const COMMENTS = [
+  { id: '4600000000001', ticketId: '4500000000001', content: '¿Podéis enviarnos el log del cliente VPN?', isPublic: true, commenterId: '4400000000001', createdTime: at(1) },
+  { id: '4600000000002', ticketId: '4500000000001', content: 'Adjunto el log, el error aparece al autenticar.', isPublic: true, commenterId: '4300000000001', createdTime: at(2) },
+  { id: '4600000000003', ticketId: '4500000000002', content: 'Revisando con contabilidad.', isPublic: false, commenterId: '4400000000002', createdTime: at(6) },
+  { id: '4600000000004', ticketId: '4500000000002', content: 'Hemos emitido el abono del cargo duplicado.', isPublic: true, commenterId: '4400000000002', createdTime: at(30) },
+  { id: '4600000000005', ticketId: '4500000000004', content: 'Pendiente de aprobación del presupuesto por el cliente.', isPublic: true, commenterId: '4400000000002', createdTime: at(72) }
+];
+
+const KB_ARTICLES = [
+  { id: '4700000000001', title: 'Configurar la VPN corporativa', summary: 'Pasos para instalar y configurar el cliente VPN.', category: 'Networking', departmentId: '4100000000001', permalink: 'configurar-vpn', modifiedTime: at(-200) },
+  { id: '4700000000002', title: 'Cómo descargar tus facturas', summary: 'Dónde encontrar y descargar las facturas del portal.', category: 'Billing', departmentId: '4100000000002', permalink: 'descargar-facturas', modifiedTime: at(-150) },
+  { id: '4700000000003', title: 'Inicio de sesión con SSO', summary: 'Requisitos y resolución de problemas del SSO.', category: 'Access', departmentId: '4100000000001', permalink: 'sso', modifiedTime: at(-100) },
+  { id: '4700000000004', title: 'Exportar informes a CSV', summary: 'Formatos de exportación disponibles y sus límites.', category: 'Reports', departmentId: '4100000000001', permalink: 'exportar-informes', modifiedTime: at(-50) }
+];
+
+/**
+ * Creates a fresh copy of the seed data
+ * The mock mutates its copy (new tickets, comments, status changes); a reset creates a new one
+ * @returns {Object} - { departments, accounts, contacts, agents, tickets, comments, kbArticles }
+ */
+export const createFixtures = () => structuredClone({
+  departments: DEPARTMENTS,
+  accounts: ACCOUNTS,
+  contacts: CONTACTS,
+  agents: AGENTS,
+  tickets: TICKETS,
+  comments: COMMENTS,
+  kbArticles: KB_ARTICLES
+});
+
+export default createFixtures;
@@ -0,0 +1,240 @@
+/**
+ * n8n/Zoho mock server
+ * Stand-in for the n8n webhooks at N8N_BASE_URL, for offline development and tests
+ *
+ * - Implements the workflows in workflows.js over seeded fixtures (fixtures.js); tickets,
+ *   comments and status changes are kept in memory until the server stops or is reset
+ * - Configurable latency (fixed plus random jitter) and failure injection (a share of the
+ *   calls, optionally only some workflows, answer an error status or drop the connection)
+ * - Per-request overrides: X-Mock-Latency-Ms and X-Mock-Fail (status code or "reset")
+ * - Control endpoints: GET /__mock/state, POST /__mock/config, POST /__mock/reset
+ *
+ * Usage:
+ *   node mocks/n8n/server.js          (standalone, prints the env to point the API at it)
+ *   npm run dev:mock                  (API + mock in one process, see mocks/n8n/dev.js)
+ *   import { startMockN8nServer }     (tests)
+ */
+import http from 'http';
+import { pathToFileURL } from 'url';
+import Koa from 'koa';
+import bodyParser from 'koa-bodyparser';
+import { createFixtures } from './fixtures.js';
+import { createWorkflows, DEFAULT_WORKFLOW_PATHS } from './workflows.js';
+
+// Prefijos con los que n8n publica los webhooks (producción y pruebas)
+const WEBHOOK_PREFIXES = ['webhook', 'webhook-test'];
+
+/**
+ * Pure function to read a path from env without leading slashes
+ */
+const toWorkflowPath = (path, fallback) => (path || fallback).replace(/^\/+/, '');
+
+/**
+ * Pure function to read the mock settings from env
+ * The configurable workflow paths are the ones the API reads (N8N_ZOHO_*_PATH)
+ * @param {Object} env - process.env
+ * @returns {Object} - Mock settings
+ */
+export const readMockSettings = (env = process.env) => ({
+  port: parseInt(env.MOCK_N8N_PORT || '5679', 10),
+  latencyMs: parseInt(env.MOCK_N8N_LATENCY_MS || '0', 10),
+  latencyJitterMs: parseInt(env.MOCK_N8N_LATENCY_JITTER_MS || '0', 10),
+  failureRate: parseFloat(env.MOCK_N8N_FAILURE_RATE || '0'),
+  failureStatus: env.MOCK_N8N_FAILURE_STATUS === 'reset' ? 'reset' : parseInt(env.MOCK_N8N_FAILURE_STATUS || '503', 10),
+  failWorkflows: (env.MOCK_N8N_FAIL_WORKFLOWS || '').split(',').map(name => name.trim()).filter(Boolean),
+  paths: {
+    contactCheck: toWorkflowPath(env.N8N_ZOHO_CONTACT_CHECK_PATH, DEFAULT_WORKFLOW_PATHS.contactCheck),
+    companies: toWorkflowPath(env.N8N_ZOHO_GET_COMPANIES_PATH, DEFAULT_WORKFLOW_PATHS.companies),
+    contactProfile: toWorkflowPath(env.N8N_ZOHO_GET_CONTACT_PROFILE_PATH, DEFAULT_WORKFLOW_PATHS.contactProfile),
+    accountCheck: DEFAULT_WORKFLOW_PATHS.accountCheck
+  }
+});
+
+/**
+ * Pure function to split a request path into workflow segments
+ * Drops the webhook prefix and empty segments (clients that join URLs with a double slash)
+ */
+const toSegments = (path) => {
+  const segments = path.split('/').filter(Boolean);
+  return WEBHOOK_PREFIXES.includes(segments[0]) ? segments.slice(1) : segments;
+};
+
+/**
+ * Pure function to match request segments against a workflow path
+ * @returns {Object|null} - Path params, or null if the path does not match
+ */
+const matchPath = (workflowPath, segments) => {
+  const parts = workflowPath.split('/');
+  if (parts.length !== segments.length) {
+    return null;
+  }
+  return parts.reduce((params, part, index) => {
+    if (params === null) return null;
+    if (part.startsWith(':')) return { ...params, [part.slice(1)]: decodeURIComponent(segments[index]) };
+    return part === segments[index] ? params : null;
+  }, {});
+};
+
+/**
+ * Pure function to decide whether a call fails, and how
+ * @returns {number|string|null} - Status code, 'reset', or null if the call succeeds
+ */
+const toInjectedFailure = (settings, workflowName, headerValue, random) => {
+  if (headerValue) {
+    return headerValue === 'reset' ? 'reset' : parseInt(headerValue, 10) || settings.failureStatus;
+  }
+  const targeted = settings.failWorkflows.length === 0 || settings.failWorkflows.includes(workflowName);
+  return targeted && settings.failureRate > 0 && random() < settings.failureRate
+    ? settings.failureStatus
+    : null;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates the mock app
+ * @param {Object} [options] - Settings (readMockSettings) and { random, log }
+ * @returns {Object} - { app, configure, reset, getState }
+ */
+export const createMockN8nApp = (options = {}) => {
+  const { random = Math.random, log = true, ...overrides } = options;
+  let settings = { ...readMockSettings({}), ...overrides };
+  let state = createFixtures();
+  let calls = {};
+  const workflows = createWorkflows(settings.paths);
+
+  /**
+   * Changes latency and failure settings at runtime
+   */
+  const configure = (changes = {}) => {
+    const allowed = ['latencyMs', 'latencyJitterMs', 'failureRate', 'failureStatus', 'failWorkflows'];
+    settings = {
+      ...settings,
+      ...Object.fromEntries(Object.entries(changes).filter(([key]) => allowed.includes(key)))
+    };
+    return settings;
+  };
+
+  /**
+   * Restores the fixtures and clears the call counters
+   */
+  const reset = () => {
+    state = createFixtures();
+    calls = {};
+  };
+
+  const getState = () => ({
+    settings,
+    calls,
+    records: Object.fromEntries(Object.entries(state).map(([name, items]) => [name, items.length])),
+    workflows: workflows.map(({ method, path }) => `${method} ${path}`)
+  });
+
+  const app = new Koa();
+  app.use(bodyParser());
+
+  // Endpoints de control del mock
+  app.use(async (ctx, next) => {
+    if (!ctx.path.startsWith('/__mock')) {
+      return next();
+    }
+    if (ctx.method === 'GET' && ctx.path === '/__mock/state') {
+      ctx.body = getState();
+    } else if (ctx.method === 'POST' && ctx.path === '/__mock/config') {
+      ctx.body = { settings: configure(ctx.request.body) };
+    } else if (ctx.method === 'POST' && ctx.path === '/__mock/reset') {
+      reset();
+      ctx.body = { reset: true };
+    } else {
+      ctx.status = 404;
+      ctx.body = { error: `Unknown mock control endpoint ${ctx.method} ${ctx.path}` };
+    }
+  });
+
+  // Workflows: latencia, fallos inyectados y respuesta
+  app.use(async (ctx) => {
+    const startedAt = Date.now();
+    const segments = toSegments(ctx.path);
+    const match = workflows
+      .filter(workflow => workflow.method === ctx.method)
+      .map(workflow => ({ workflow, params: matchPath(workflow.path, segments) }))
+      .find(({ params }) => params !== null);
+
+    if (!match) {
+      ctx.status = 404;
+      ctx.body = { code: 404, message: `The requested webhook "${ctx.method} ${segments.join('/')}" is not registered in the mock` };
+      return;
+    }
+
+    const { workflow, params } = match;
+    calls[workflow.name] = (calls[workflow.name] || 0) + 1;
+
+    const latencyMs = ctx.get('x-mock-latency-ms')
+      ? parseInt(ctx.get('x-mock-latency-ms'), 10) || 0
+      : settings.latencyMs + Math.round(random() * settings.latencyJitterMs);
+    if (latencyMs > 0) {
+      await sleep(latencyMs);
+    }
+
+    const failure = toInjectedFailure(settings, workflow.name, ctx.get('x-mock-fail'), random);
+    if (failure === 'reset') {
+      if (log) console.log(`🧪 mock n8n ${ctx.method} ${workflow.name} → conexión cortada (fallo inyectado)`);
+      ctx.req.socket.destroy();
+      ctx.respond = false;
+      return;
+    }
+
+    const { status, body } = failure
+      ? { status: failure, body: { success: false, message: 'Injected failure', details: { errorCode: 'MOCK_INJECTED_FAILURE' } } }
+      : workflow.handler(state, { params, query: ctx.query, body: ctx.request.body || {} });
+
+    ctx.status = status;
+    ctx.body = body;
+    if (log) console.log(`🧪 mock n8n ${ctx.method} ${workflow.name} → ${status}${failure ? ' (fallo inyectado)' : ''} en ${Date.now() - startedAt} ms`);
+  });
+
+  return { app, configure, reset, getState };
+};
+
+/**
+ * Starts the mock server
+ * @param {Object} [options] - Settings (readMockSettings, port 0 picks a free port) and { random, log }
+ * @returns {Promise<Object>} - { url, port, configure, reset, getState, close }; url is the webhook base (N8N_BASE_URL)
+ */
+export const startMockN8nServer = (options = {}) => {
+  const settings = { ...readMockSettings(), ...options };
+  const mock = createMockN8nApp(settings);
+  const server = http.createServer(mock.app.callback());
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(settings.port, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        ...mock,
+        port,
+        url: `http://127.0.0.1:${port}/webhook/`,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+};
+
+// Ejecución directa: node mocks/n8n/server.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const mock = await startMockN8nServer();
+  const { paths } = mock.getState().settings;
+  console.log(`🧪 Mock de n8n escuchando en ${mock.url}`);
+  console.log('   Variables para apuntar la API al mock:');
+  console.log(`   N8N_BASE_URL=${mock.url}`);
+  console.log(`   N8N_ZOHO_CONTACT_CHECK_PATH=${paths.contactCheck}`);
+  console.log(`   N8N_ZOHO_GET_COMPANIES_PATH=${paths.companies}`);
+  console.log(`   N8N_ZOHO_GET_CONTACT_PROFILE_PATH=${paths.contactProfile}`);
+  console.log(`   N8N_WEBHOOK_ACCOUNT_CHECK=${mock.url}${paths.accountCheck}`);
+  console.log('   ZOHO_DESK_DRIVER=n8n');
+}
+
+export default startMockN8nServer;
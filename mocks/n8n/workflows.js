@@ -0,0 +1,397 @@
+/**
+ * Workflows of the n8n/Zoho mock server
+ *
+ * Each workflow answers like the n8n webhook of the same path, over the in-memory fixtures.
+ * Ticket and comment responses go through the mappers of zohoDeskService, which already
+ * produce the shapes of the real workflows (zoho-tickets, zoho-ticket-detail, zoho-add-comment)
+ *
+ * A workflow is (state, { params, query, body }) => { status, body }
+ */
+import { toTicketSummary, toTicketDetail, toCommentResponse } from '../../src/services/zohoDeskService.js';
+
+/**
+ * Pure function to build a workflow answer
+ */
+const respond = (status, body) => ({ status, body });
+
+/**
+ * Pure function to build a workflow error answer ({ success: false, ... } like the n8n workflows)
+ */
+const fail = (status, message, errorCode) => respond(status, {
+  success: false,
+  error: message,
+  message,
+  details: { errorCode }
+});
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const fullNameOf = (contact) => [contact.firstName, contact.lastName].filter(Boolean).join(' ');
+
+const findContactByEmail = (state, email) =>
+  state.contacts.find(contact => contact.email === normalizeEmail(email));
+
+const findAccount = (state, accountId) =>
+  state.accounts.find(account => account.id === accountId);
+
+/**
+ * Pure function to add to a ticket the related records Zoho Desk includes with it
+ * (department, contact, account, assignee, comment count)
+ */
+const expandTicket = (state, ticket) => {
+  const department = state.departments.find(item => item.id === ticket.departmentId);
+  const contact = state.contacts.find(item => item.id === ticket.contactId);
+  const account = contact && findAccount(state, contact.accountId);
+  const assignee = state.agents.find(agent => agent.id === ticket.assigneeId);
+
+  return {
+    ...ticket,
+    departmentName: department?.name,
+    contactName: contact && fullNameOf(contact),
+    contact: contact && { firstName: contact.firstName, lastName: contact.lastName, email: contact.email },
+    accountId: account?.id,
+    accountName: account?.accountName,
+    assignee: assignee && { name: assignee.name, email: assignee.email },
+    commentCount: state.comments.filter(comment => comment.ticketId === ticket.id).length
+  };
+};
+
+/**
+ * Pure function to map a comment to the shape of zoho-get-comments
+ */
+const toCommentItem = (state, comment) => {
+  const agent = state.agents.find(item => item.id === comment.commenterId);
+  const contact = state.contacts.find(item => item.id === comment.commenterId);
+  return {
+    id: comment.id,
+    content: comment.content,
+    isPublic: comment.isPublic,
+    createdTime: comment.createdTime,
+    createdTimestamp: new Date(comment.createdTime).getTime(),
+    author: agent
+      ? { name: agent.name, email: agent.email, type: 'AGENT' }
+      : { name: contact ? fullNameOf(contact) : comment.author || 'Customer', email: contact?.email || null, type: 'END_USER' }
+  };
+};
+
+/**
+ * Pure function to count items by a key
+ */
+const countBy = (items, keyOf) => items.reduce((counts, item) => ({
+  ...counts,
+  [keyOf(item)]: (counts[keyOf(item)] || 0) + 1
+}), {});
+
+/**
+ * Pure function to compute the reports overview of the overview workflow from the tickets
+ */
+const toReportsOverview = (state) => {
+  const open = state.tickets.filter(ticket => ticket.statusType !== 'Closed');
+  const closed = state.tickets.filter(ticket => ticket.closedTime);
+  const resolutionHours = closed.map(ticket => (Date.parse(ticket.closedTime) - Date.parse(ticket.createdTime)) / 3600000);
+
+  return {
+    ticketCount: state.tickets.length,
+    openTicketCount: open.length,
+    urgentTicketCount: open.filter(ticket => ticket.priority === 'Urgent').length,
+    responseTimeAvg: resolutionHours.length
+      ? Math.round(resolutionHours.reduce((sum, hours) => sum + hours, 0) / resolutionHours.length * 10) / 10
+      : 0,
+    satisfactionScore: 4.6,
+    metrics: {
+      ticketsByPriority: countBy(state.tickets, ticket => ticket.priority),
+      ticketsByStatus: countBy(state.tickets, ticket => ticket.status)
+    },
+    timestamp: new Date().toISOString()
+  };
+};
+
+/**
+ * Creates the ID of a new record (Zoho IDs are numeric strings)
+ */
+const nextId = (items, prefix) =>
+  String(Math.max(Number(`${prefix}00000000000`), ...items.map(item => Number(item.id)).filter(Number.isFinite)) + 1);
+
+// --- Zoho Desk: tickets ---
+
+const listTickets = (state, { query }) => {
+  const limit = Math.max(1, parseInt(query.limit, 10) || 50);
+  const from = Math.max(0, parseInt(query.from, 10) || 0);
+  const matches = state.tickets
+    .filter(ticket => !query.status || ticket.status === query.status)
+    .filter(ticket => !query.priority || ticket.priority === query.priority)
+    .filter(ticket => !query.departmentId || ticket.departmentId === query.departmentId)
+    .map(ticket => expandTicket(state, ticket))
+    .filter(ticket => !query.email || ticket.contact?.email === normalizeEmail(query.email))
+    .sort((a, b) => Date.parse(b.createdTime) - Date.parse(a.createdTime));
+
+  const page = matches.slice(from, from + limit);
+  return respond(200, {
+    success: true,
+    tickets: page.map(toTicketSummary),
+    timestamp: new Date().toISOString(),
+    meta: { from, limit, total: page.length }
+  });
+};
+
+const getTicketDetail = (state, { params, query }) => {
+  const ticketId = params.ticketId || query.ticketId;
+  const ticket = state.tickets.find(item => item.id === ticketId);
+
+  if (!ticket) {
+    return fail(404, `No se pudo encontrar el ticket con ID ${ticketId}`, 'TICKET_NOT_FOUND');
+  }
+  return respond(200, { success: true, ticket: toTicketDetail(expandTicket(state, ticket)), timestamp: new Date().toISOString() });
+};
+
+const createTicket = (state, { body }) => {
+  const contact = body.contactId
+    ? state.contacts.find(item => item.id === body.contactId)
+    : findContactByEmail(state, body.email);
+
+  if (!body.subject || !contact) {
+    return fail(400, 'Ticket subject and a known contact (contactId or email) are required', 'INVALID_TICKET');
+  }
+
+  const now = new Date().toISOString();
+  const ticket = {
+    id: nextId(state.tickets, '45'),
+    ticketNumber: String(100 + state.tickets.length + 1),
+    subject: body.subject,
+    description: body.description || '',
+    status: 'Open',
+    statusType: 'Open',
+    priority: body.priority ? body.priority.charAt(0).toUpperCase() + body.priority.slice(1) : 'Medium',
+    departmentId: body.departmentId || state.departments[0].id,
+    contactId: contact.id,
+    assigneeId: null,
+    category: body.category || null,
+    channel: 'Web',
+    createdTime: now,
+    modifiedTime: now
+  };
+
+  state.tickets.push(ticket);
+  return respond(200, { success: true, ticket: toTicketDetail(expandTicket(state, ticket)), timestamp: now });
+};
+
+const updateTicket = (state, { params, body }) => {
+  const ticket = state.tickets.find(item => item.id === params.ticketId);
+
+  if (!ticket) {
+    return fail(404, `No se pudo encontrar el ticket con ID ${params.ticketId}`, 'TICKET_NOT_FOUND');
+  }
+
+  const updates = Object.fromEntries(
+    ['status', 'priority', 'subject', 'description', 'departmentId', 'assigneeId']
+      .filter(field => body[field] !== undefined)
+      .map(field => [field, body[field]])
+  );
+  const statusType = updates.status ? (['Closed', 'On Hold'].includes(updates.status) ? updates.status : 'Open') : ticket.statusType;
+  const now = new Date().toISOString();
+
+  Object.assign(ticket, updates, {
+    statusType,
+    modifiedTime: now,
+    ...(statusType === 'Closed' && { closedTime: now })
+  });
+  return respond(200, { success: true, ticket: toTicketDetail(expandTicket(state, ticket)), timestamp: now });
+};
+
+// --- Zoho Desk: comments ---
+
+const addComment = (state, { body }) => {
+  if (!body.ticketId || !body.comment) {
+    return respond(200, { success: false, error: 'Missing required fields: ticketId and comment' });
+  }
+  if (!state.tickets.some(ticket => ticket.id === String(body.ticketId))) {
+    return fail(404, `No se pudo encontrar el ticket con ID ${body.ticketId}`, 'TICKET_NOT_FOUND');
+  }
+
+  const author = body.author || 'Customer';
+  const contact = findContactByEmail(state, author);
+  const comment = {
+    id: nextId(state.comments, '46'),
+    ticketId: String(body.ticketId),
+    content: body.comment,
+    isPublic: body.isPublic !== false,
+    commenterId: contact?.id || null,
+    author,
+    createdTime: new Date().toISOString()
+  };
+
+  state.comments.push(comment);
+  return respond(200, toCommentResponse(comment.ticketId, { ...comment, commenter: { name: contact ? fullNameOf(contact) : author } }, body));
+};
+
+const getComments = (state, { query }) => {
+  if (!state.tickets.some(ticket => ticket.id === query.ticketId)) {
+    return fail(404, `No se pudo encontrar el ticket con ID ${query.ticketId}`, 'TICKET_NOT_FOUND');
+  }
+
+  return respond(200, {
+    success: true,
+    ticketId: query.ticketId,
+    comments: state.comments
+      .filter(comment => comment.ticketId === query.ticketId)
+      .map(comment => toCommentItem(state, comment)),
+    timestamp: new Date().toISOString()
+  });
+};
+
+// --- Zoho Desk: departments and knowledge base ---
+
+const listCategories = (state) => respond(200, {
+  success: true,
+  categories: state.departments.map(department => ({ id: department.id, name: department.name, departmentId: department.id })),
+  timestamp: new Date().toISOString()
+});
+
+const listKbArticles = (state, { query }) => {
+  const search = String(query.search || '').toLowerCase();
+  const articles = state.kbArticles
+    .filter(article => !query.category || article.category === query.category)
+    .filter(article => !search || `${article.title} ${article.summary}`.toLowerCase().includes(search))
+    .slice(0, Math.max(1, parseInt(query.limit, 10) || 20));
+
+  return respond(200, { success: true, articles, timestamp: new Date().toISOString() });
+};
+
+// --- Zoho CRM: contacts and accounts ---
+
+const toContactItem = (state, contact) => ({
+  id: contact.id,
+  name: fullNameOf(contact),
+  firstName: contact.firstName,
+  lastName: contact.lastName,
+  fullName: fullNameOf(contact),
+  email: contact.email,
+  phone: contact.phone,
+  type: contact.type,
+  accountId: contact.accountId,
+  accountName: findAccount(state, contact.accountId)?.accountName
+});
+
+const listContacts = (state) => respond(200, {
+  success: true,
+  validContacts: state.contacts.map(contact => toContactItem(state, contact))
+});
+
+const listDashboardContacts = (state) => respond(200, {
+  contacts: state.contacts.map(contact => toContactItem(state, contact)),
+  meta: { total: state.contacts.length },
+  timestamp: new Date().toISOString()
+});
+
+const listAccounts = (state) => respond(200, {
+  success: true,
+  validAccounts: state.accounts.map(account => ({ id: account.id, name: account.accountName, ...account }))
+});
+
+const searchContactByEmail = (state, { query }) => {
+  const contact = findContactByEmail(state, query.email);
+  return respond(200, { data: contact ? [toContactItem(state, contact)] : [] });
+};
+
+// account-checkuser: {} cuando el email no es un contacto de Zoho CRM
+const checkAccountUser = (state, { body }) => {
+  const contact = findContactByEmail(state, body.email);
+  if (!contact) {
+    return respond(200, {});
+  }
+
+  const account = findAccount(state, contact.accountId);
+  return respond(200, {
+    email: contact.email,
+    fullName: fullNameOf(contact),
+    contactId: contact.id,
+    accountId: account?.id,
+    companyName: account?.accountName || ''
+  });
+};
+
+// Comprobación de contacto (N8N_ZOHO_CONTACT_CHECK_PATH): registros de Zoho CRM en { data }
+const checkContact = (state, { body }) => {
+  const contact = findContactByEmail(state, body.email);
+  if (!contact) {
+    return respond(200, {});
+  }
+
+  const account = findAccount(state, contact.accountId);
+  return respond(200, {
+    data: [{
+      id: contact.id,
+      Full_Name: fullNameOf(contact),
+      Email: contact.email,
+      Account_Name: { id: account?.id || null, name: account?.accountName || null }
+    }]
+  });
+};
+
+// Empresas de un contacto (N8N_ZOHO_GET_COMPANIES_PATH)
+const getCompanies = (state, { body }) => {
+  const contact = state.contacts.find(item => item.id === body.contactId);
+  const accounts = contact ? state.accounts.filter(account => account.id === contact.accountId) : [];
+  return respond(200, {
+    data: { companies: accounts.map(account => ({ id: account.id, name: account.accountName, website: account.website })) }
+  });
+};
+
+// Perfil de un contacto (N8N_ZOHO_GET_CONTACT_PROFILE_PATH)
+const getContactProfile = (state, { query }) => {
+  const contact = state.contacts.find(item => item.id === query.contactID);
+  if (!contact) {
+    return fail(404, `Contact ${query.contactID} not found`, 'CONTACT_NOT_FOUND');
+  }
+
+  return respond(200, {
+    contactId: contact.id,
+    fullName: fullNameOf(contact),
+    jobTitle: contact.title,
+    companyName: findAccount(state, contact.accountId)?.accountName || '',
+    phone: contact.phone,
+    email: contact.email
+  });
+};
+
+// --- Reports ---
+
+const getReportsOverview = (state) => respond(200, toReportsOverview(state));
+
+// Rutas por defecto de los workflows cuya ruta se configura por env (mocks/n8n/dev.js las exporta)
+export const DEFAULT_WORKFLOW_PATHS = Object.freeze({
+  contactCheck: 'zoho-contact-check',
+  companies: 'zoho-get-companies',
+  contactProfile: 'zoho-contact-profile',
+  accountCheck: 'account-checkuser'
+});
+
+/**
+ * Lists the workflows of the mock, relative to the webhook base path
+ * @param {Object} [paths] - Paths of the workflows whose path is configured by env (DEFAULT_WORKFLOW_PATHS)
+ * @returns {Array<Object>} - { method, path, name, handler } (name: the path without its params)
+ */
+export const createWorkflows = (paths = DEFAULT_WORKFLOW_PATHS) => [
+  { method: 'GET', path: 'zoho-tickets', handler: listTickets },
+  { method: 'GET', path: 'zoho-ticket-detail', handler: getTicketDetail },
+  { method: 'GET', path: 'zoho-ticket-detail/:ticketId', handler: getTicketDetail },
+  { method: 'POST', path: 'zoho-create-ticket', handler: createTicket },
+  { method: 'PATCH', path: 'zoho-update-ticket/:ticketId', handler: updateTicket },
+  { method: 'PUT', path: 'zoho-update-ticket/:ticketId', handler: updateTicket },
+  { method: 'POST', path: 'zoho-add-comment', handler: addComment },
+  { method: 'GET', path: 'zoho-get-comments', handler: getComments },
+  { method: 'GET', path: 'zoho-categories', handler: listCategories },
+  { method: 'GET', path: 'zoho-kb-articles', handler: listKbArticles },
+  // zohoProxyService.getKbArticles llama a /api/zoho/kb-articles bajo la base de n8n
+  { method: 'GET', path: 'api/zoho/kb-articles', handler: listKbArticles },
+  { method: 'GET', path: 'zoho-contacts', handler: listContacts },
+  { method: 'GET', path: 'zoho-accounts', handler: listAccounts },
+  { method: 'GET', path: 'zoho-search-contact-by-email', handler: searchContactByEmail },
+  { method: 'POST', path: paths.accountCheck, handler: checkAccountUser },
+  { method: 'POST', path: paths.contactCheck, handler: checkContact },
+  { method: 'POST', path: paths.companies, handler: getCompanies },
+  { method: 'GET', path: paths.contactProfile, handler: getContactProfile },
+  { method: 'GET', path: 'overview', handler: getReportsOverview },
+  { method: 'GET', path: 'projections/dashboard/overview', handler: getReportsOverview },
+  { method: 'GET', path: 'projections/dashboard/contacts', handler: listDashboardContacts }
+].map(workflow => ({ ...workflow, name: workflow.path.replace(/\/:.*$/, '') }));
@@ -0,0 +1,124 @@
+/**
+ * Script para reconstruir proyecciones (read models) desde el log de eventos
+ * Recorre todos los eventos en orden global y los aplica a cada proyección registrada
+ *
+ * Uso:
+ *   node replay-projections.js                          # continúa cada proyección desde su checkpoint
+ *   node replay-projections.js --projection user_activity --from-scratch
+ *   node replay-projections.js --list                   # muestra proyecciones y checkpoints
+ *
+ * Opciones:
+ *   --projection <nombre>  Proyección a reconstruir (se puede repetir; por defecto todas)
+ *   --from-scratch         Borra el read model y reprocesa el log desde el principio
+ *   --batch-size <n>       Eventos por lote (por defecto PROJECTION_REPLAY_BATCH_SIZE o 500)
+ *   --list                 Solo muestra el estado de las proyecciones
+ */
+import 'dotenv/config';
+import { createClient } from '@supabase/supabase-js';
+import { getConfig } from './src/config.js';
+import { createEventStoreBackend } from './src/shell/backends/index.js';
+import { SCHEMA_TABLE_RULES } from './src/shell/schemaRules.js';
+import { listProjections, getProjection } from './src/shell/projections/index.js';
+import { fetchCheckpoints } from './src/shell/projections/checkpointStore.js';
+import { fetchHeadPosition } from './src/shell/eventStore.js';
+import { replayProjections } from './src/services/projectionReplayService.js';
+
+/**
+ * Parsea los argumentos de la línea de comandos
+ * @param {Array<string>} args - process.argv sin node ni el script
+ * @returns {Object} - Opciones
+ */
+const parseArgs = (args) => args.reduce((options, arg, index) => {
+  switch (arg) {
+    case '--projection':
+      return { ...options, projections: [...options.projections, args[index + 1]] };
+    case '--from-scratch':
+      return { ...options, fromScratch: true };
+    case '--batch-size':
+      return { ...options, batchSize: parseInt(args[index + 1], 10) };
+    case '--list':
+      return { ...options, list: true };
+    default:
+      return options;
+  }
+}, { projections: [], fromScratch: false, batchSize: undefined, list: false });
+
+/**
+ * Muestra el estado de cada proyección
+ */
+const printStatus = async (eventStore) => {
+  const [checkpointsResult, headResult] = await Promise.all([
+    fetchCheckpoints(eventStore.queryFn)(),
+    fetchHeadPosition(eventStore.queryFn)()
+  ]);
+
+  if (!checkpointsResult.isOk || !headResult.isOk) {
+    throw (checkpointsResult.isOk ? headResult : checkpointsResult).unwrapError();
+  }
+
+  const checkpoints = checkpointsResult.unwrap();
+  console.log(`Posición actual del log: ${headResult.unwrap()}`);
+  listProjections().forEach(projection => {
+    const checkpoint = checkpoints[projection.name];
+    console.log(checkpoint
+      ? `- ${projection.name}: posición ${checkpoint.position}, ${checkpoint.eventsProcessed} eventos, estado ${checkpoint.status}${checkpoint.error ? ` (${checkpoint.error})` : ''}`
+      : `- ${projection.name}: nunca reconstruida`);
+  });
+};
+
+/**
+ * Ejecuta el replay de las proyecciones solicitadas
+ */
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const config = getConfig();
+
+  // Con Supabase se usa la clave de servicio: el replay escribe en tablas protegidas por RLS
+  const { SUPABASE_URL, SUPABASE_SERVICE_KEY } = process.env;
+  const supabaseClient = SUPABASE_URL && SUPABASE_SERVICE_KEY
+    ? createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY, { auth: { autoRefreshToken: false, persistSession: false } })
+    : null;
+
+  const eventStore = await createEventStoreBackend(config.eventStore, { supabaseClient, tableRules: SCHEMA_TABLE_RULES });
+  if (!eventStore.queryFn || !eventStore.upsertFn) {
+    console.error('Error: el event store configurado no está disponible');
+    process.exit(1);
+  }
+
+  if (options.list) {
+    await printStatus(eventStore);
+    return;
+  }
+
+  const unknown = options.projections.filter(name => !getProjection(name));
+  if (unknown.length > 0) {
+    console.error(`Error: proyecciones desconocidas: ${unknown.join(', ')}`);
+    console.error(`Proyecciones disponibles: ${listProjections().map(projection => projection.name).join(', ')}`);
+    process.exit(1);
+  }
+
+  const projections = options.projections.length > 0
+    ? options.projections.map(getProjection)
+    : listProjections();
+
+  console.log(`Reconstruyendo ${projections.map(projection => projection.name).join(', ')}${options.fromScratch ? ' desde cero' : ' desde su checkpoint'}...`);
+
+  const result = await replayProjections(eventStore, {
+    batchSize: options.batchSize || config.eventStore.replayBatchSize,
+    onProgress: ({ projection, position, headPosition, eventsProcessed, progress }) =>
+      console.log(`  ${projection}: posición ${position}/${headPosition} (${progress}%), ${eventsProcessed} eventos procesados`)
+  })(projections, { fromScratch: options.fromScratch });
+
+  if (!result.isOk) {
+    console.error('Error reconstruyendo proyecciones:', result.unwrapError().message);
+    process.exit(1);
+  }
+
+  result.unwrap().forEach(checkpoint =>
+    console.log(`Proyección ${checkpoint.projection} al día en la posición ${checkpoint.position}`));
+};
+
+run().catch(error => {
+  console.error('Error ejecutando el replay:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,320 @@
+/**
+ * Admin API endpoints
+ * Part of the imperative shell: operational endpoints restricted to ADMIN_EMAILS
+ * (projection replay, outbox inspection, dead letters)
+ */
+import Router from '@koa/router';
+import { deepFreeze, extractErrorInfo } from '../utils/functional.js';
+import { verifyToken } from '../services/authService.js';
+import { listProjections, getProjection } from '../shell/projections/index.js';
+import { fetchCheckpoints } from '../shell/projections/checkpointStore.js';
+import { fetchHeadPosition } from '../shell/eventStore.js';
+import { fetchOutboxEntries, toDispatchStatus, OUTBOX_STATUSES } from '../shell/outbox.js';
+import { fetchDeadLetter, fetchDeadLetters, toDeadLetter, DEAD_LETTER_STATUSES } from '../shell/deadLetters.js';
+import { replayProjections, replayProgress } from '../services/projectionReplayService.js';
+import { retryDeadLetter, retryDeadLetters, discardDeadLetter } from '../services/deadLetterService.js';
+import getConfig from '../config.js';
+
+/**
+ * Admin authorization middleware
+ * Requires a valid access token whose email is listed in ADMIN_EMAILS
+ */
+export const requireAdmin = async (ctx, next) => {
+  const token = ctx.headers.authorization?.split(' ')[1];
+  if (!token) {
+    ctx.status = 401;
+    ctx.body = deepFreeze({ error: 'Authentication token required' });
+    return;
+  }
+
+  const verificationResult = await verifyToken(token);
+  const decoded = verificationResult.isOk ? verificationResult.unwrap() : null;
+
+  if (!decoded || decoded.type !== 'access') {
+    ctx.status = 401;
+    ctx.body = deepFreeze({ error: 'Invalid or expired token' });
+    return;
+  }
+
+  if (!getConfig().security.adminEmails.includes(String(decoded.email).toLowerCase())) {
+    ctx.status = 403;
+    ctx.body = deepFreeze({ error: 'Admin access required' });
+    return;
+  }
+
+  ctx.state.email = decoded.email;
+  return next();
+};
+
+/**
+ * Answers the error of a failed service call, with the status it carries (500 otherwise)
+ */
+const respondWithError = (ctx, error, fallbackMessage) => {
+  const errorInfo = extractErrorInfo(error);
+  ctx.status = errorInfo.details?.status || 500;
+  ctx.body = deepFreeze({
+    error: errorInfo.details?.message || fallbackMessage,
+    ...(errorInfo.details?.details?.errorCode && { errorCode: errorInfo.details.details.errorCode })
+  });
+};
+
+/**
+ * Sets up admin routes
+ * @param {Object} deps - Dependencies
+ * @param {EventStoreBackend} deps.eventStore - Configured event store backend
+ * @returns {Router} - Configured router
+ */
+export const setupAdminRoutes = ({ eventStore }) => {
+  const router = new Router({
+    prefix: '/api/admin'
+  });
+
+  router.use(requireAdmin);
+
+  // Replay en curso en este proceso (solo uno a la vez)
+  let runningReplay = null;
+
+  /**
+   * Starts a replay in the background and keeps its live progress
+   * Returns false if another replay is already running
+   */
+  const startReplay = (projections, fromScratch) => {
+    if (runningReplay) {
+      return false;
+    }
+
+    runningReplay = {
+      projections: projections.map(projection => projection.name),
+      fromScratch,
+      startedAt: new Date().toISOString(),
+      progress: null
+    };
+
+    const replay = replayProjections(eventStore, {
+      batchSize: getConfig().eventStore.replayBatchSize,
+      onProgress: (progress) => {
+        runningReplay = { ...runningReplay, progress };
+        console.log(`🔁 Proyección ${progress.projection}: posición ${progress.position}/${progress.headPosition} (${progress.progress}%)`);
+      }
+    });
+
+    replay(projections, { fromScratch })
+      .then(result => {
+        if (result.isOk) {
+          console.log(`✅ Replay completado: ${runningReplay.projections.join(', ')}`);
+        }
+      })
+      .catch(error => console.error('❌ Error inesperado durante el replay:', error))
+      .finally(() => {
+        runningReplay = null;
+      });
+
+    return true;
+  };
+
+  /**
+   * Resolves the projection names of a request body to projections
+   */
+  const resolveProjections = (names) =>
+    Array.isArray(names) && names.length > 0
+      ? names.map(name => ({ name, projection: getProjection(name) }))
+      : listProjections().map(projection => ({ name: projection.name, projection }));
+
+  // Projection status: checkpoints against the head of the log
+  router.get('/projections', async (ctx) => {
+    const [checkpointsResult, headResult] = await Promise.all([
+      fetchCheckpoints(eventStore.queryFn)(),
+      fetchHeadPosition(eventStore.queryFn)()
+    ]);
+
+    if (!checkpointsResult.isOk || !headResult.isOk) {
+      ctx.status = 500;
+      ctx.body = deepFreeze({ error: 'Failed to fetch projection status' });
+      return;
+    }
+
+    const checkpoints = checkpointsResult.unwrap();
+    const headPosition = headResult.unwrap();
+
+    ctx.status = 200;
+    ctx.body = deepFreeze({
+      headPosition,
+      running: runningReplay,
+      projections: listProjections().map(projection => {
+        const checkpoint = checkpoints[projection.name] || null;
+        return {
+          name: projection.name,
+          table: projection.table,
+          eventTypes: projection.eventTypes,
+          checkpoint,
+          lag: headPosition - (checkpoint?.position || 0),
+          progress: replayProgress(checkpoint?.position || 0, headPosition)
+        };
+      })
+    });
+  });
+
+  // Replay projections from their checkpoints (or from scratch)
+  router.post('/projections/replay', async (ctx) => {
+    const { projections: names, fromScratch = false } = ctx.request.body || {};
+    const requested = resolveProjections(names);
+    const unknown = requested.filter(({ projection }) => !projection).map(({ name }) => name);
+
+    if (unknown.length > 0) {
+      ctx.status = 404;
+      ctx.body = deepFreeze({ error: `Unknown projections: ${unknown.join(', ')}` });
+      return;
+    }
+
+    if (!startReplay(requested.map(({ projection }) => projection), fromScratch === true)) {
+      ctx.status = 409;
+      ctx.body = deepFreeze({ error: 'A replay is already running', running: runningReplay });
+      return;
+    }
+
+    ctx.status = 202;
+    ctx.body = deepFreeze({ started: true, running: runningReplay });
+  });
+
+  // Rebuild a single projection from scratch
+  router.post('/projections/:name/rebuild', async (ctx) => {
+    const projection = getProjection(ctx.params.name);
+
+    if (!projection) {
+      ctx.status = 404;
+      ctx.body = deepFreeze({ error: `Unknown projection: ${ctx.params.name}` });
+      return;
+    }
+
+    if (!startReplay([projection], true)) {
+      ctx.status = 409;
+      ctx.body = deepFreeze({ error: 'A replay is already running', running: runningReplay });
+      return;
+    }
+
+    ctx.status = 202;
+    ctx.body = deepFreeze({ started: true, running: runningReplay });
+  });
+
+  // Outbox entries, most recent first (?status=failed&email=...&limit=50)
+  router.get('/outbox', async (ctx) => {
+    const { status, email, limit } = ctx.query;
+
+    if (status && !OUTBOX_STATUSES.includes(status)) {
+      ctx.status = 400;
+      ctx.body = deepFreeze({ error: `Invalid status. Must be one of: ${OUTBOX_STATUSES.join(', ')}` });
+      return;
+    }
+
+    const entriesResult = await fetchOutboxEntries(eventStore.queryFn)({
+      status,
+      email,
+      limit: Math.min(parseInt(limit, 10) || 50, 500)
+    });
+
+    if (!entriesResult.isOk) {
+      ctx.status = 500;
+      ctx.body = deepFreeze({ error: 'Failed to fetch outbox entries' });
+      return;
+    }
+
+    ctx.status = 200;
+    ctx.body = deepFreeze({
+      entries: entriesResult.unwrap().map(entry => ({ ...toDispatchStatus(entry), email: entry.email }))
+    });
+  });
+
+  // Dead letters, most recent failure first (?status=open&eventType=...&email=...&limit=50&offset=0)
+  router.get('/dead-letters', async (ctx) => {
+    const { status, eventType, email, limit, offset } = ctx.query;
+
+    if (status && !DEAD_LETTER_STATUSES.includes(status)) {
+      ctx.status = 400;
+      ctx.body = deepFreeze({ error: `Invalid status. Must be one of: ${DEAD_LETTER_STATUSES.join(', ')}` });
+      return;
+    }
+
+    const deadLettersResult = await fetchDeadLetters(eventStore.queryFn)({
+      status,
+      eventType,
+      email,
+      limit: Math.min(parseInt(limit, 10) || 50, 500),
+      offset: Math.max(parseInt(offset, 10) || 0, 0)
+    });
+
+    if (!deadLettersResult.isOk) {
+      ctx.status = 500;
+      ctx.body = deepFreeze({ error: 'Failed to fetch dead letters' });
+      return;
+    }
+
+    ctx.status = 200;
+    ctx.body = deepFreeze({ deadLetters: deadLettersResult.unwrap().map(toDeadLetter) });
+  });
+
+  // Retry every open dead letter (body: { eventType?, email?, limit? })
+  router.post('/dead-letters/retry', async (ctx) => {
+    const { eventType, email, limit } = ctx.request.body || {};
+    const result = await retryDeadLetters(eventStore)({
+      eventType,
+      email,
+      limit: Math.min(parseInt(limit, 10) || 100, 500)
+    });
+
+    if (!result.isOk) {
+      respondWithError(ctx, result.unwrapError(), 'Failed to retry dead letters');
+      return;
+    }
+
+    ctx.status = 202;
+    ctx.body = result.unwrap();
+  });
+
+  // A single dead letter, with its original event
+  router.get('/dead-letters/:eventId', async (ctx) => {
+    const result = await fetchDeadLetter(eventStore.queryFn)(ctx.params.eventId);
+
+    if (!result.isOk) {
+      ctx.status = 500;
+      ctx.body = deepFreeze({ error: 'Failed to fetch dead letter' });
+      return;
+    }
+
+    if (!result.unwrap()) {
+      ctx.status = 404;
+      ctx.body = deepFreeze({ error: `Dead letter not found: ${ctx.params.eventId}` });
+      return;
+    }
+
+    ctx.status = 200;
+    ctx.body = toDeadLetter(result.unwrap());
+  });
+
+  // Put the notification of a dead letter back in the outbox (runs on the next dispatcher poll)
+  router.post('/dead-letters/:eventId/retry', async (ctx) => {
+    const result = await retryDeadLetter(eventStore)(ctx.params.eventId);
+
+    if (!result.isOk) {
+      respondWithError(ctx, result.unwrapError(), 'Failed to retry dead letter');
+      return;
+    }
+
+    ctx.status = 202;
+    ctx.body = toDeadLetter(result.unwrap());
+  });
+
+  // Give up on the notification of a dead letter
+  router.post('/dead-letters/:eventId/discard', async (ctx) => {
+    const result = await discardDeadLetter(eventStore)(ctx.params.eventId, ctx.state.email);
+
+    if (!result.isOk) {
+      respondWithError(ctx, result.unwrapError(), 'Failed to discard dead letter');
+      return;
+    }
+
+    ctx.status = 200;
+    ctx.body = toDeadLetter(result.unwrap());
+  });
+
+  return router;
+};
@@ -5,27 +5,53 @@
 import Router from '@koa/router';
 import bodyParser from 'koa-bodyparser';
 import jwt from 'jsonwebtoken';
-import { transition, applyEvent, initialState } from '../core/transition.js';
+import { transition } from '../core/transition.js';
+import { isTicketCommand, reconstructTicket } from '../core/ticketAggregate.js';
+import { normalizeStatus, getAllowedTransitions, checkStatusTransition, TICKET_STATUSES } from '../core/ticketLifecycle.js';
 import { validateCommand } from '../validators/commandSchema.js';
 import { 
   storeEvent, 
   fetchEventsForUser, 
+  fetchStreamVersion,
+  fetchTicketEvents,
   fetchAuthEvents,
-  createSupabaseQueryFn,
-  createSupabasePersistFn,
-  getSupabaseAdminPersistFn
+  isConcurrencyConflict
 } from '../shell/eventStore.js';
+import { createEventStoreBackend } from '../shell/backends/index.js';
+import { SCHEMA_TABLE_RULES } from '../shell/schemaRules.js';
 import { notifyExternal } from '../shell/notifications.js';
-import { Result, tryCatchAsync, deepFreeze } from '../utils/functional.js';
+import { Result, tryCatchAsync, deepFreeze, extractErrorInfo } from '../utils/functional.js';
+import { getStreamVersion, checkExpectedVersion } from '../utils/aggregateUtils.js';
+import { reconstructState } from '../services/stateService.js';
 import * as zohoProxyService from '../services/zohoProxyService.js';
+import { listTickets } from '../services/ticketReadModelService.js';
+import { authorizeTicketAccess } from '../services/ticketAccessService.js';
+import { getMessagesForTicket } from '../services/chatLogService.js';
+import { recordZohoComment as recordZohoCommentIn } from '../services/chatZohoBridge.js';
+import { createOutboxDispatcher } from '../services/outboxDispatcher.js';
+import { OUTBOX_EVENT_TYPES, fetchOutboxEntry, toDispatchStatus } from '../shell/outbox.js';
+import { ticketReadModelProjection, fetchTicketRow } from '../shell/projections/ticketReadModel.js';
+import { toCacheHeaders } from '../shell/projectionCache.js';
+import {
+  MAX_IDEMPOTENCY_KEY_LENGTH,
+  IDEMPOTENCY_EXCLUDED_COMMANDS,
+  hashCommand,
+  classifyIdempotencyRecord,
+  fetchIdempotencyRecord,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+} from '../shell/idempotency.js';
 import { 
   ZOHO_TICKET_DETAIL_WEBHOOK,
   ZOHO_CONTACTS_WEBHOOK,
   ZOHO_ACCOUNTS_WEBHOOK,
   ZOHO_CATEGORIES_WEBHOOK
 } from '../services/zohoProxyService.js';
+import { getZohoDeskService } from '../services/zohoDeskService.js';
 import { setupProjectionRoutes, setupWebhookRoutes, setupDashboardRoutes, setupZohoApiRoutes } from './projections.js';
 import commentsRouter from './comments.js';
+import { setupAdminRoutes } from './admin.js';
 import getConfig from '../config.js';
 
 /**
@@ -80,7 +106,8 @@ const withCors = handler => async (ctx, next) => {
     ctx.set('Access-Control-Allow-Origin', allowOrigin);
     ctx.set('Access-Control-Allow-Credentials', 'true');
     ctx.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    ctx.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept');
+    ctx.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, Idempotency-Key');
+    ctx.set('Access-Control-Expose-Headers', 'Idempotent-Replayed');
   }
   
   // Responder inmediatamente a las solicitudes OPTIONS
@@ -253,19 +280,78 @@ const maybeFetchHistory = async (command, deps) => {
   return fetchHistory(command.email, deps.queryFn);
 };
 
+/**
+ * Pure function to fetch the Ticket aggregate history for ticket commands
+ * Commands that do not target an existing ticket get an empty history
+ */
+const maybeFetchTicketHistory = async (command, deps) => {
+  if (!isTicketCommand(command)) {
+    return Result.ok([]);
+  }
+  
+  return fetchTicketEvents(deps.queryFn)(command.ticketId);
+};
+
 /**
  * Pure function to generate an event from a command
  */
-const generateEvent = (command, history, timestamp) => {
+const generateEvent = (command, history, timestamp, ticketHistory) => {
   console.log('Generating event with command:', command);
-  return transition(command, history, timestamp);
+  return transition(command, history, timestamp, {
+    ticketHistory,
+    reopenWindowDays: getConfig().tickets.reopenWindowDays
+  });
+};
+
+/**
+ * Fetches the current lifecycle data of a ticket (status and resolution time)
+ * Tickets created through commands are rebuilt from the event store, the rest come from Zoho
+ * Returns a Result with { id, status, resolvedAt, source } or an error with an HTTP status
+ */
+const fetchTicketLifecycle = async (ticketId, deps) => {
+  const ticketHistoryResult = deps.queryFn
+    ? await fetchTicketEvents(deps.queryFn)(ticketId)
+    : Result.ok([]);
+  const localTicket = reconstructTicket(ticketHistoryResult.isOk ? ticketHistoryResult.unwrap() : []);
+  
+  if (localTicket.exists) {
+    return Result.ok(deepFreeze({
+      id: localTicket.id,
+      status: localTicket.status,
+      resolvedAt: localTicket.resolvedAt,
+      source: 'event-store'
+    }));
+  }
+  
+  return tryCatchAsync(async () => {
+    const result = await zohoProxyService.getTicketById(ticketId);
+    const ticketData = result?.ticket || (result?.success && result.data) || (result?.id ? result : null);
+    
+    if (!ticketData?.id) {
+      throw new Error(JSON.stringify({
+        status: 404,
+        message: `Ticket ${ticketId} not found`,
+        details: { errorCode: 'TICKET_NOT_FOUND' }
+      }));
+    }
+    
+    return deepFreeze({
+      id: ticketData.id,
+      status: ticketData.status,
+      statusType: ticketData.statusType || null,
+      // Zoho no expone cuándo se resolvió el ticket: la ventana de reapertura no aplica
+      resolvedAt: null,
+      source: 'zoho'
+    });
+  })();
 };
 
 /**
  * Pure function to store an event
  * Improved error handling for Supabase connection issues
+ * The event is appended right after streamVersion, so a concurrent append fails
  */
-const storeEvent$ = async (event, deps) => {
+const storeEvent$ = async (event, deps, streamVersion) => {
   console.log('Attempting to store event in Supabase:', event);
   console.log('Using persist function:', deps.persistFn ? 'Available' : 'Not available');
   
@@ -281,7 +367,7 @@ const storeEvent$ = async (event, deps) => {
     }
   }
   
-  const result = await storeEvent(deps.persistFn)(event);
+  const result = await storeEvent(deps.persistFn)(event, { expectedVersion: streamVersion });
   if (!result.isOk) {
     console.error('Failed to store event:', result.unwrapError());
   } else {
@@ -290,24 +376,54 @@ const storeEvent$ = async (event, deps) => {
   return result;
 };
 
+/**
+ * Applies a stored event to the ticket read model (live update of the projection)
+ * A failure is only logged: the command already succeeded and the read model
+ * can be rebuilt with replay-projections.js
+ */
+const updateTicketReadModel$ = async (event, deps) => {
+  if (!deps.eventStore?.upsertFn || !ticketReadModelProjection.eventTypes.includes(event.type)) {
+    return event;
+  }
+  
+  const result = await ticketReadModelProjection.handle(deps.eventStore)(event);
+  if (!result.isOk) {
+    console.error(`⚠️ No se pudo actualizar el read model de tickets para ${event.type}:`, result.unwrapError().message);
+  }
+  return event;
+};
+
 /**
  * Pure function to handle notifications
  * Improved error handling for external service connections
+ * notificationOverrides replaces notification dependencies (the outbox dispatcher defers storeEvent)
  */
-const notify$ = async (event, deps) => {
+const notify$ = async (event, deps, notificationOverrides = {}) => {
   console.log('Processing notifications for event:', event);
   
   // Create notification dependencies from our primitive functions
   const notificationDeps = {
     authenticate: deps.authenticate,
     storeEvent: (event) => storeEvent(deps.persistFn)(event),
+    // Guarda el evento aunque el outbox difiera storeEvent, y lo aplica al read model de tickets
+    recordEvent: async (event) => {
+      const result = await storeEvent(deps.persistFn)(event);
+      if (result.isOk) {
+        await updateTicketReadModel$(result.unwrap(), deps);
+      }
+      return result;
+    },
     createTicket: deps.createTicket,
     updateTicket: deps.updateTicket,
     addComment: deps.addComment,
     escalateTicket: deps.escalateTicket,
+    // Id de Zoho del ticket (read model), que los handlers necesitan antes de llamar a Zoho
+    fetchTicketRow: fetchTicketRow(deps.queryFn),
+    recordZohoComment: deps.recordZohoComment,
     n8nClient: deps.n8nClient,
     supabaseAuth: deps.supabaseAuth,
-    supabaseClient: deps.supabaseClient
+    supabaseClient: deps.supabaseClient,
+    ...notificationOverrides
   };
   
   // En desarrollo, si no hay servicio de autenticación, proporcionamos un simulacro
@@ -347,6 +463,148 @@ const notify$ = async (event, deps) => {
   return result_2;
 };
 
+/**
+ * Runs the side effects of a stored event through the outbox
+ * Events without an outbox entry (e.g. no persistence in development) are notified inline
+ * Returns a Result with { processedEvent, dispatch }: the handler's answer once dispatched,
+ * otherwise the stored event
+ */
+const dispatchThroughOutbox$ = async (storedEvent, outboxDispatcher, deps) => {
+  const dispatchResult = await outboxDispatcher.dispatchNow(storedEvent);
+  
+  if (!dispatchResult.isOk) {
+    // El evento ya está guardado y su entrada en el outbox la reintentará el dispatcher
+    console.error('Failed to dispatch outbox entry:', dispatchResult.unwrapError());
+    return Result.ok(deepFreeze({ processedEvent: storedEvent, dispatch: null }));
+  }
+  
+  const { entry, event } = dispatchResult.unwrap();
+  if (!entry) {
+    const notifyResult = await notify$(storedEvent, deps);
+    return notifyResult.map(processedEvent => ({ processedEvent, dispatch: null }));
+  }
+  
+  // Si el primer intento falla, la respuesta es el evento guardado (con su ticketId), no el
+  // evento de fallo del handler: la entrada queda pendiente o en dead letters
+  return Result.ok(deepFreeze({
+    processedEvent: entry.status === 'dispatched' ? event : storedEvent,
+    dispatch: toDispatchStatus(entry)
+  }));
+};
+
+/**
+ * Pure function to resolve the idempotency key of a command request
+ * The key comes from the Idempotency-Key header or the commandId field (authentication commands have none)
+ * Returns a Result with the key, or null when the request has none
+ */
+const resolveIdempotencyKey = (ctx, command) => {
+  if (IDEMPOTENCY_EXCLUDED_COMMANDS.includes(command.type)) {
+    return Result.ok(null);
+  }
+  
+  const headerKey = (ctx.get('Idempotency-Key') || '').trim() || null;
+  if (headerKey && command.commandId && headerKey !== command.commandId) {
+    return Result.error(new Error('Idempotency-Key header and commandId must match'));
+  }
+  
+  const key = headerKey || command.commandId || null;
+  if (key && key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return Result.error(new Error(`Idempotency-Key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`));
+  }
+  
+  return Result.ok(key);
+};
+
+/**
+ * Claims the idempotency key of a command before it runs
+ * Resolves with the claimed record (null if the command has no key), or rejects with the
+ * pipeline error to answer instead ({ replay } carries the stored response of a repeat)
+ */
+const claimIdempotency$ = async (key, command, deps) => {
+  if (!key) {
+    return null;
+  }
+  
+  if (!deps.eventStore?.upsertFn) {
+    console.warn('⚠️ Idempotency-Key ignorada: el backend del event store no permite guardar claves');
+    return null;
+  }
+  
+  const now = new Date();
+  const { ttlSeconds, lockSeconds } = getConfig().idempotency;
+  const email = command.email.trim().toLowerCase();
+  const requestHash = hashCommand(command);
+  
+  const recordResult = await fetchIdempotencyRecord(deps.eventStore.queryFn)(email, key);
+  if (!recordResult.isOk) {
+    console.error('Failed to fetch idempotency key:', recordResult.unwrapError());
+    return Promise.reject({ status: 500, error: 'Failed to check idempotency key' });
+  }
+  
+  const record = recordResult.unwrap();
+  switch (classifyIdempotencyRecord(record, requestHash, now)) {
+    case 'replay':
+      return Promise.reject({ replay: record });
+    case 'mismatch':
+      return Promise.reject({
+        status: 422,
+        error: 'Idempotency-Key was already used for a different command'
+      });
+    case 'in_progress':
+      return Promise.reject({
+        status: 409,
+        error: 'A command with this Idempotency-Key is still in progress'
+      });
+    default: {
+      // Clave nueva, caducada o abandonada: se reclama para esta petición
+      const claimResult = await claimIdempotencyKey(deps.eventStore)({
+        email,
+        key,
+        commandType: command.type,
+        requestHash,
+        now,
+        ttlSeconds,
+        lockSeconds
+      }, record);
+      
+      if (!claimResult.isOk) {
+        console.error('Failed to claim idempotency key:', claimResult.unwrapError());
+        return Promise.reject({ status: 500, error: 'Failed to check idempotency key' });
+      }
+      
+      // Otra petición con la misma clave la reclamó entre la consulta y la inserción
+      if (claimResult.unwrap() === null) {
+        return Promise.reject({
+          status: 409,
+          error: 'A command with this Idempotency-Key is still in progress'
+        });
+      }
+      
+      return claimResult.unwrap();
+    }
+  }
+};
+
+/**
+ * Records the outcome of a command for its idempotency key
+ * Once the event was stored the response is kept (even an error, so a retry does not run
+ * the command again); otherwise the key is released and the client may retry with it
+ * A failure is only logged: the response was already decided
+ */
+const settleIdempotency$ = async (claim, executed, ctx, deps) => {
+  if (!claim) {
+    return;
+  }
+  
+  const result = executed
+    ? await completeIdempotencyKey(deps.eventStore.upsertFn)(claim, ctx.status, ctx.body)
+    : await releaseIdempotencyKey(deps.eventStore.deleteFn)(claim);
+  
+  if (!result.isOk) {
+    console.error(`⚠️ No se pudo actualizar la Idempotency-Key ${claim.idempotency_key}:`, result.unwrapError().message);
+  }
+};
+
 /**
  * Pure function to shape the response based on event type
  */
@@ -406,6 +664,15 @@ const shapeResponse = (event) => {
       };
       break;
       
+    case 'COMMAND_REJECTED':
+      response = {
+        success: false,
+        commandType: event.commandType,
+        ticketId: event.ticketId,
+        reason: event.reason
+      };
+      break;
+      
     case 'USER_REGISTRATION_REQUESTED':
       // Para eventos de registro, asegurarnos de incluir toda la información relevante
       response = {
@@ -436,21 +703,12 @@ const shapeResponse = (event) => {
  * These functions follow functional-declarative principles
  */
 const createExternalServiceFunctions = async (deps) => {
-  // Create primitive query and persist functions
-  const queryFn = deps.supabaseClient ? createSupabaseQueryFn(deps.supabaseClient) : null;
-  
-  // Obtener la función de persistencia de forma asíncrona
-  let persistFn = null;
-  if (deps.supabaseClient) {
-    try {
-      persistFn = await getSupabaseAdminPersistFn();
-      console.log('✅ Función de persistencia con permisos de admin inicializada correctamente');
-    } catch (error) {
-      console.error('❌ Error al inicializar función de persistencia:', error);
-      persistFn = createSupabasePersistFn(deps.supabaseClient);
-      console.warn('⚠️ Usando función de persistencia estándar como fallback');
-    }
-  }
+  // Create primitive query and persist functions from the configured event store backend
+  const eventStore = deps.eventStore || await createEventStoreBackend(getConfig().eventStore, {
+    supabaseClient: deps.supabaseClient,
+    tableRules: SCHEMA_TABLE_RULES
+  });
+  const { queryFn, persistFn } = eventStore;
   
   // Create primitive authentication function - with mock for development/testing
   const authenticate = (() => {
@@ -490,24 +748,35 @@ const createExternalServiceFunctions = async (deps) => {
     }
   })();
   
+  // Con ZOHO_DESK_DRIVER=api los tickets y comentarios van directamente a la API de Zoho Desk
+  const zohoDesk = getZohoDeskService();
+  
   // Create primitive ticket operation functions
-  const createTicket = deps.n8nClient ?
-    (ticket) => deps.n8nClient.createTicket(ticket) :
-    null;
+  const createTicket = zohoDesk ?
+    (ticket) => zohoDesk.createTicket(ticket).then(result => result.map(({ ticket: created }) => created)) :
+    deps.n8nClient ?
+      (ticket) => deps.n8nClient.createTicket(ticket) :
+      null;
     
   const updateTicket = deps.n8nClient ?
     (ticket) => deps.n8nClient.updateTicket(ticket) :
     null;
     
-  const addComment = deps.n8nClient ?
-    (comment) => deps.n8nClient.addComment(comment) :
-    null;
+  const addComment = zohoDesk ?
+    (comment) => zohoDesk.addComment(comment.ticketId, comment).then(result => result.map(data => ({ ...data, id: data.commentId }))) :
+    deps.n8nClient ?
+      (comment) => deps.n8nClient.addComment(comment) :
+      null;
     
   const escalateTicket = deps.n8nClient ?
     (ticket) => deps.n8nClient.escalateTicket(ticket) :
     null;
   
+  // Comentarios de Zoho creados desde el chat de los tickets (puente chat ↔ Zoho)
+  const recordZohoComment = persistFn ? recordZohoCommentIn(persistFn) : null;
+  
   return {
+    eventStore,
     queryFn,
     persistFn,
     authenticate,
@@ -515,6 +784,7 @@ const createExternalServiceFunctions = async (deps) => {
     updateTicket,
     addComment,
     escalateTicket,
+    recordZohoComment,
     n8nClient: deps.n8nClient,
     supabaseAuth: deps.supabaseAuth,
     supabaseClient: deps.supabaseClient
@@ -534,11 +804,28 @@ const setupApiRoutes = async (deps) => {
   // Create primitive functions for external services
   const serviceFunctions = await createExternalServiceFunctions(deps);
   
+  // Outbox dispatcher: runs the external side effects of ticket events, with retries
+  const outboxConfig = getConfig().outbox;
+  const outboxDispatcher = createOutboxDispatcher({
+    eventStore: serviceFunctions.eventStore,
+    // Los eventos de fallo de los handlers solo se guardan al agotar los reintentos
+    dispatch: (event) => notify$(event, serviceFunctions, { storeEvent: async (failedEvent) => Result.ok(failedEvent) }),
+    storeEvent: (event) => storeEvent(serviceFunctions.persistFn)(event)
+  }, outboxConfig);
+  
+  if (outboxConfig.dispatcherEnabled && serviceFunctions.eventStore?.upsertFn) {
+    outboxDispatcher.start();
+  }
+  
   // --- Command endpoint (centralized) ---
   router.post('/api/commands', async (ctx) => {
     console.log('Request received at /api/commands');
     const timestamp = new Date().toISOString();
     
+    // Clave de idempotencia reclamada por esta petición, y si el evento llegó a guardarse
+    let idempotencyClaim = null;
+    let executed = false;
+    
     // Use forward-composition pipeline with Promises
     return extractCommand(ctx)
       .then(result => {
@@ -574,12 +861,32 @@ const setupApiRoutes = async (deps) => {
         return Promise.resolve(validCommand);
       })
       .then(async validCommand => {
-        // Fetch history if needed
-        return maybeFetchHistory(validCommand, serviceFunctions)
-          .then(historyResult => {
+        // Repeats of a command with the same Idempotency-Key get the stored response
+        const keyResult = resolveIdempotencyKey(ctx, validCommand);
+        
+        if (!keyResult.isOk) {
+          return Promise.reject({
+            status: 400,
+            error: keyResult.unwrapError().message
+          });
+        }
+        
+        idempotencyClaim = await claimIdempotency$(keyResult.unwrap(), validCommand, serviceFunctions);
+        return validCommand;
+      })
+      .then(async validCommand => {
+        // Fetch history if needed (user stream and, for ticket commands, the ticket stream)
+        // The stream version is read on its own: the history read is capped by the backend
+        // (PostgREST returns at most 1000 rows), so its last event is not always the latest
+        return Promise.all([
+          maybeFetchHistory(validCommand, serviceFunctions),
+          maybeFetchTicketHistory(validCommand, serviceFunctions),
+          fetchStreamVersion(serviceFunctions.queryFn)(validCommand.email)
+        ])
+          .then(([historyResult, ticketHistoryResult, versionResult]) => {
             
-            if (!historyResult.isOk) {
-              console.log('History fetch result:', historyResult);
+            if (!historyResult.isOk || !ticketHistoryResult.isOk || !versionResult.isOk) {
+              console.log('History fetch result:', historyResult, ticketHistoryResult, versionResult);
               return Promise.reject({
                 status: 500,
                 error: 'Failed to fetch history'
@@ -587,9 +894,22 @@ const setupApiRoutes = async (deps) => {
             }
             
             const history = historyResult.unwrap();
+            const ticketHistory = ticketHistoryResult.unwrap();
+            
+            // Reject early if the client saw an older version of the stream
+            const streamVersion = Math.max(versionResult.unwrap(), getStreamVersion(history));
+            const versionCheck = checkExpectedVersion(validCommand.expectedVersion, streamVersion);
+            
+            if (!versionCheck.isOk) {
+              return Promise.reject({
+                status: 409,
+                error: versionCheck.unwrapError().message,
+                currentVersion: streamVersion
+              });
+            }
             
             // Generate event from command and history
-            const eventResult = generateEvent(validCommand, history, timestamp);
+            const eventResult = generateEvent(validCommand, history, timestamp, ticketHistory);
             console.log('Event generation result:', eventResult);
             
             if (!eventResult.isOk) {
@@ -601,15 +921,25 @@ const setupApiRoutes = async (deps) => {
             
             const event = eventResult.unwrap();
             console.log('Generated event:', event);
-            return Promise.resolve(event);
+            return Promise.resolve({ event, streamVersion });
           });
       })
-      .then(async event => {
+      .then(async ({ event, streamVersion }) => {
         // Store the event
-        return storeEvent$(event, serviceFunctions)
-          .then(storeResult => {
+        return storeEvent$(event, serviceFunctions, streamVersion)
+          .then(async storeResult => {
             console.log('Event storage result:', storeResult);
             
+            // Another command for the same aggregate was appended in between
+            if (!storeResult.isOk && isConcurrencyConflict(storeResult.unwrapError())) {
+              const versionResult = await fetchStreamVersion(serviceFunctions.queryFn)(event.email);
+              return Promise.reject({
+                status: 409,
+                error: 'Concurrency conflict: the stream has moved on',
+                currentVersion: versionResult.isOk ? versionResult.unwrap() : undefined
+              });
+            }
+            
             if (!storeResult.isOk) {
               return Promise.reject({
                 status: 500,
@@ -619,12 +949,18 @@ const setupApiRoutes = async (deps) => {
             
             const storedEvent = storeResult.unwrap();
             console.log('Stored event:', storedEvent);
-            return Promise.resolve(storedEvent);
+            executed = true;
+            return updateTicketReadModel$(storedEvent, serviceFunctions);
           });
       })
       .then(async storedEvent => {
-        // Process notifications
-        return notify$(storedEvent, serviceFunctions)
+        // Process notifications (side effects queued in the outbox go through its dispatcher)
+        const notification = OUTBOX_EVENT_TYPES.includes(storedEvent.type) && storedEvent.eventId && serviceFunctions.eventStore?.upsertFn
+          ? dispatchThroughOutbox$(storedEvent, outboxDispatcher, serviceFunctions)
+          : notify$(storedEvent, serviceFunctions)
+              .then(notifyResult => notifyResult.map(processedEvent => ({ processedEvent, dispatch: null })));
+        
+        return notification
           .then(notifyResult => {
             console.log('Notification result:', notifyResult);
             
@@ -635,14 +971,16 @@ const setupApiRoutes = async (deps) => {
               });
             }
             
-            const processedEvent = notifyResult.unwrap();
-            console.log('Processed event:', processedEvent);
-            return Promise.resolve(processedEvent);
+            const processed = notifyResult.unwrap();
+            console.log('Processed event:', processed.processedEvent);
+            return Promise.resolve(processed);
           });
       })
-      .then(processedEvent => {
-        // Shape the response
-        const response = shapeResponse(processedEvent);
+      .then(({ processedEvent, dispatch }) => {
+        // Shape the response (with the outbox status of its side effects, if any)
+        const response = dispatch
+          ? { ...shapeResponse(processedEvent), dispatch }
+          : shapeResponse(processedEvent);
         console.log('Shaped response:', response);
         
         // Send the response
@@ -650,15 +988,26 @@ const setupApiRoutes = async (deps) => {
         ctx.body = deepFreeze(response);
       })
       .catch(error => {
+        // Repeat of an already answered command: same response, nothing runs again
+        if (error.replay) {
+          console.log(`🔁 Idempotency-Key repetida, devolviendo la respuesta guardada: ${error.replay.idempotency_key}`);
+          ctx.status = error.replay.response_status;
+          ctx.set('Idempotent-Replayed', 'true');
+          ctx.body = deepFreeze(error.replay.response_body);
+          return;
+        }
+        
         console.error('Error in command processing pipeline:', error);
         
         // Handle errors
         ctx.status = error.status || 500;
         ctx.body = deepFreeze({
           error: error.error || 'An unexpected error occurred',
-          message: 'An unexpected error occurred'
+          message: 'An unexpected error occurred',
+          ...(error.currentVersion !== undefined && { currentVersion: error.currentVersion })
         });
-      });
+      })
+      .then(() => settleIdempotency$(idempotencyClaim, executed, ctx, serviceFunctions));
   });
 
   // --- Zoho API Proxy Endpoints ---
@@ -666,9 +1015,10 @@ const setupApiRoutes = async (deps) => {
   // Reports Overview Endpoint - Refactorizado para usar n8n con enfoque declarativo
   router.get('/projections/overview', withCors(async (ctx) => {
     try {
-      // Usar el servicio zohoProxyService con enfoque declarativo
-      const data = await zohoProxyService.getReportsOverview();
+      // Usar el servicio zohoProxyService con enfoque declarativo (a través de la caché de proyecciones)
+      const { value: data, cache } = await zohoProxyService.readReportsOverview();
       
+      ctx.set(toCacheHeaders(cache));
       ctx.status = 200;
       ctx.body = deepFreeze(data);
     } catch (error) {
@@ -682,21 +1032,22 @@ const setupApiRoutes = async (deps) => {
   }));
   
   // Tickets Endpoint
+  // Served from the local ticket read model (the Zoho import runs in the background)
   router.get('/api/zoho/tickets', withCors(async (ctx) => {
-    try {
-      // Enfoque declarativo sin usar Result
-      const filters = ctx.query;
-      const tickets = await zohoProxyService.getTickets(filters);
-      
-      ctx.status = 200;
-      ctx.body = deepFreeze(tickets);
-    } catch (error) {
-      console.error('Error proxying tickets:', error);
-      ctx.status = 500;
+    const result = await listTickets(serviceFunctions.eventStore)(ctx.query);
+    
+    if (!result.isOk) {
+      console.error('Error listing tickets:', result.unwrapError());
+      const errorInfo = extractErrorInfo(result.unwrapError());
+      ctx.status = errorInfo.details?.status || 500;
       ctx.body = deepFreeze({ 
-        error: error.message || 'Failed to fetch tickets' 
+        error: errorInfo.details?.message || errorInfo.message || 'Failed to fetch tickets' 
       });
+      return;
     }
+    
+    ctx.status = 200;
+    ctx.body = result.unwrap();
   }));
 
   // Ticket Detail Endpoint
@@ -939,10 +1290,11 @@ const setupApiRoutes = async (deps) => {
       console.log('🔍 Iniciando solicitud de categorías');
       
       // Enfoque declarativo sin usar Result
-      console.log('🔄 Llamando a zohoProxyService.getCategories()');
-      const categories = await zohoProxyService.getCategories();
+      console.log('🔄 Llamando a zohoProxyService.readCategories()');
+      const { value: categories, cache } = await zohoProxyService.readCategories();
       
-      console.log('✅ Categorías obtenidas con éxito:', JSON.stringify(categories).substring(0, 200));
+      console.log(`✅ Categorías obtenidas con éxito (caché ${cache.status}):`, JSON.stringify(categories).substring(0, 200));
+      ctx.set(toCacheHeaders(cache));
       ctx.status = 200;
       ctx.body = deepFreeze(categories);
     } catch (error) {
@@ -964,7 +1316,7 @@ const setupApiRoutes = async (deps) => {
     try {
       console.log('🔍 Fetching Zoho accounts via n8n...');
       console.log('🌐 Using N8N_BASE_URL:', process.env.N8N_BASE_URL || 'No value set, using default');
-      const result = await zohoProxyService.getAccounts();
+      const { value: result, cache } = await zohoProxyService.readAccounts();
       
       console.log('📊 n8n accounts result type:', typeof result);
       console.log('📊 n8n accounts result shape:', Object.keys(result || {})); 
@@ -982,8 +1334,9 @@ const setupApiRoutes = async (deps) => {
       
       // Usar validAccounts que es la propiedad real de la respuesta n8n
       const accounts = result.validAccounts || result.accounts || [];
-      console.log(`✅ Returning ${accounts.length} accounts to frontend`);
+      console.log(`✅ Returning ${accounts.length} accounts to frontend (cache ${cache.status})`);
       
+      ctx.set(toCacheHeaders(cache));
       ctx.status = 200;
       ctx.body = deepFreeze({
         success: true,
@@ -1189,17 +1542,21 @@ const setupApiRoutes = async (deps) => {
         filters.clientEmail = user.email;
       }
       
-      // Fetch tickets from Zoho via n8n
-      const data = await zohoProxyService.getTickets(filters);
+      // Read tickets from the local read model (the Zoho import runs in the background)
+      const result = await listTickets(serviceFunctions.eventStore)(filters);
+      if (!result.isOk) {
+        throw result.unwrapError();
+      }
       
       ctx.status = 200;
-      ctx.body = deepFreeze(data);
+      ctx.body = result.unwrap();
     } catch (error) {
       console.error('Error fetching tickets:', error);
-      ctx.status = 500;
+      const errorInfo = extractErrorInfo(error);
+      ctx.status = errorInfo.details?.status || 500;
       ctx.body = deepFreeze({ 
-        error: error.message || 'Failed to fetch tickets',
-        source: 'zoho-tickets-api'
+        error: errorInfo.details?.message || error.message || 'Failed to fetch tickets',
+        source: 'ticket-read-model'
       });
     }
   }));
@@ -1251,33 +1608,123 @@ const setupApiRoutes = async (deps) => {
     }
   }));
 
+  // Allowed next statuses for a ticket, according to the ticket lifecycle
+  router.get('/api/tickets/:ticketId/transitions', withCors(async (ctx) => {
+    const { ticketId } = ctx.params;
+    const ticketResult = await fetchTicketLifecycle(ticketId, serviceFunctions);
+    
+    if (!ticketResult.isOk) {
+      const errorInfo = extractErrorInfo(ticketResult.unwrapError());
+      ctx.status = errorInfo.details?.status || 500;
+      ctx.body = deepFreeze({
+        error: errorInfo.details?.message || errorInfo.message || 'Failed to fetch ticket',
+        source: 'ticket-lifecycle'
+      });
+      return;
+    }
+    
+    const ticket = ticketResult.unwrap();
+    ctx.status = 200;
+    ctx.body = deepFreeze({
+      ticketId,
+      status: normalizeStatus(ticket.status) || ticket.status,
+      allowedTransitions: getAllowedTransitions(ticket, {
+        reopenWindowDays: getConfig().tickets.reopenWindowDays
+      }),
+      source: ticket.source
+    });
+  }));
+
+  // Chat history of a ticket, oldest first (?limit=50&offset=0)
+  // Only the owner of the ticket, its assignee and admins can read it
+  router.get('/api/tickets/:ticketId/messages', verifyJwt, async (ctx) => {
+    const { ticketId } = ctx.params;
+    const accessResult = await authorizeTicketAccess(serviceFunctions.eventStore)(ticketId, ctx.state.email);
+    
+    if (!accessResult.isOk) {
+      const errorInfo = extractErrorInfo(accessResult.unwrapError());
+      ctx.status = errorInfo.details?.status || 500;
+      ctx.body = deepFreeze({ error: errorInfo.details?.message || 'Failed to check ticket access' });
+      return;
+    }
+    
+    const { pageSize, maxPageSize } = getConfig().chat;
+    const limit = Math.min(Math.max(parseInt(ctx.query.limit, 10) || pageSize, 1), maxPageSize);
+    const offset = Math.max(parseInt(ctx.query.offset, 10) || 0, 0);
+    
+    // Se pide un mensaje de más para saber si hay otra página
+    const messagesResult = await getMessagesForTicket(serviceFunctions.queryFn)(ticketId, { limit: limit + 1, offset });
+    
+    if (!messagesResult.isOk) {
+      console.error('Error fetching chat messages:', messagesResult.unwrapError());
+      ctx.status = 500;
+      ctx.body = deepFreeze({ error: 'Failed to fetch chat messages' });
+      return;
+    }
+    
+    const messages = messagesResult.unwrap();
+    ctx.status = 200;
+    ctx.body = deepFreeze({
+      success: true,
+      ticketId,
+      messages: messages.slice(0, limit),
+      meta: {
+        limit,
+        offset,
+        count: Math.min(messages.length, limit),
+        hasMore: messages.length > limit
+      }
+    });
+  });
+
   // Update ticket status
   router.patch('/api/tickets/:ticketId', withCors(async (ctx) => {
     try {
       const { ticketId } = ctx.params;
       const { status } = ctx.request.body;
       
-      // Validate status
-      const validStatuses = ['Open', 'In Progress', 'On Hold', 'Closed'];
-      if (!status || !validStatuses.includes(status)) {
+      // Validate status against the ticket lifecycle
+      const nextStatus = normalizeStatus(status);
+      if (!nextStatus) {
         ctx.status = 400;
         ctx.body = deepFreeze({
-          error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`,
+          error: `Invalid status. Must be one of: ${TICKET_STATUSES.join(', ')}`,
+          source: 'zoho-update-ticket-api'
+        });
+        return;
+      }
+      
+      // Reject transitions the lifecycle does not allow from the current status
+      const ticketResult = await fetchTicketLifecycle(ticketId, serviceFunctions);
+      if (!ticketResult.isOk) {
+        throw ticketResult.unwrapError();
+      }
+      
+      const ticket = ticketResult.unwrap();
+      const lifecycleOptions = { reopenWindowDays: getConfig().tickets.reopenWindowDays };
+      const statusCheck = checkStatusTransition(ticket, nextStatus, lifecycleOptions);
+      if (!statusCheck.isOk) {
+        ctx.status = 409;
+        ctx.body = deepFreeze({
+          error: statusCheck.unwrapError().reason,
+          status: normalizeStatus(ticket.status) || ticket.status,
+          allowedTransitions: getAllowedTransitions(ticket, lifecycleOptions),
           source: 'zoho-update-ticket-api'
         });
         return;
       }
       
       // Update status via Zoho n8n workflow
-      const data = await zohoProxyService.updateTicketStatus(ticketId, status);
+      const data = await zohoProxyService.updateTicketStatus(ticketId, nextStatus);
       
       ctx.status = 200;
       ctx.body = deepFreeze(data);
     } catch (error) {
       console.error(`Error updating ticket ${ctx.params.ticketId}:`, error);
-      ctx.status = 500;
+      const errorInfo = extractErrorInfo(error);
+      ctx.status = errorInfo.details?.status || 500;
       ctx.body = deepFreeze({ 
-        error: error.message || 'Failed to update ticket',
+        error: errorInfo.details?.message || error.message || 'Failed to update ticket',
         source: 'zoho-update-ticket-api'
       });
     }
@@ -1325,24 +1772,21 @@ const setupApiRoutes = async (deps) => {
     }
     
     try {
-      // Fetch all events for the user
-      const eventsResult = await fetchEventsForUser(serviceFunctions.queryFn)(email);
+      // Start from the latest snapshot and replay only the newer events
+      const stateResult = await reconstructState(serviceFunctions, {
+        snapshotInterval: getConfig().eventStore.snapshotInterval
+      })(email);
       
-      if (!eventsResult.isOk) {
+      if (!stateResult.isOk) {
         ctx.status = 500;
         ctx.body = deepFreeze({ error: 'Failed to fetch events' });
         return;
       }
       
-      const events = eventsResult.unwrap();
-      
-      // Reconstruct state by applying all events
-      const state = events.reduce((currentState, event) => {
-        return applyEvent(currentState, event);
-      }, initialState);
+      const { state, version } = stateResult.unwrap();
       
       ctx.status = 200;
-      ctx.body = deepFreeze({ state });
+      ctx.body = deepFreeze({ state, version });
     } catch (error) {
       console.error('Error reconstructing state:', error);
       ctx.status = 500;
@@ -1350,6 +1794,30 @@ const setupApiRoutes = async (deps) => {
     }
   });
   
+  // --- Outbox status of the side effects of an event ---
+  router.get('/api/events/:eventId/dispatch', verifyJwt, async (ctx) => {
+    const entryResult = serviceFunctions.queryFn
+      ? await fetchOutboxEntry(serviceFunctions.queryFn)(ctx.params.eventId)
+      : Result.ok(null);
+    
+    if (!entryResult.isOk) {
+      ctx.status = 500;
+      ctx.body = deepFreeze({ error: 'Failed to fetch dispatch status' });
+      return;
+    }
+    
+    // Solo el dueño del evento puede ver su estado (404 también si es de otro usuario)
+    const entry = entryResult.unwrap();
+    if (!entry || String(entry.email).toLowerCase() !== String(ctx.state.email).toLowerCase()) {
+      ctx.status = 404;
+      ctx.body = deepFreeze({ error: `No side effects found for event ${ctx.params.eventId}` });
+      return;
+    }
+    
+    ctx.status = 200;
+    ctx.body = toDispatchStatus(entry);
+  });
+  
   // --- User authentication status endpoint ---
   router.get('/auth/status', verifyJwt, async (ctx) => {
     const { email } = ctx.state;
@@ -1533,7 +2001,8 @@ export const initializeApi = async (app, deps = {}) => {
     }
   
     ctx.set('Access-Control-Allow-Headers',
-            'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+            'Origin, X-Requested-With, Content-Type, Accept, Authorization, Idempotency-Key');
+    ctx.set('Access-Control-Expose-Headers', 'Idempotent-Replayed');
     ctx.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   
     if (ctx.method === 'OPTIONS') { ctx.status = 204; return; }
@@ -1543,14 +2012,23 @@ export const initializeApi = async (app, deps = {}) => {
   // Apply body parser middleware
   app.use(bodyParser());
   
+  // Event store backend shared by the API and admin routes
+  const eventStore = deps.eventStore || await createEventStoreBackend(getConfig().eventStore, {
+    supabaseClient: deps.supabaseClient,
+    tableRules: SCHEMA_TABLE_RULES
+  });
+  
   // Setup API routes
-  const apiRouter = await setupApiRoutes(deps);
+  const apiRouter = await setupApiRoutes({ ...deps, eventStore });
+  
+  // Setup admin routes (projection replay)
+  const adminRouter = setupAdminRoutes({ eventStore });
   
   // Setup projection routes
-  const projectionRouter = setupProjectionRoutes();
+  const projectionRouter = setupProjectionRoutes({ eventStore });
   
   // Setup webhook routes
-  const webhookRouter = setupWebhookRoutes();
+  const webhookRouter = setupWebhookRoutes({ eventStore });
   
   // Setup dashboard routes
   const dashboardRouter = setupDashboardRoutes();
@@ -1577,6 +2055,9 @@ export const initializeApi = async (app, deps = {}) => {
   app.use(commentsRouter.routes());
   app.use(commentsRouter.allowedMethods());
   
+  app.use(adminRouter.routes());
+  app.use(adminRouter.allowedMethods());
+  
   // Add webhook-test endpoint for testing n8n webhooks
   const webhookTestRouter = new Router({
     prefix: '/webhook-test'
@@ -6,8 +6,11 @@
  * following functional programming principles
  */
 import Router from '@koa/router';
-import { Result, deepFreeze, pipe } from '../utils/functional.js';
+import { Result, deepFreeze, pipe, extractErrorInfo } from '../utils/functional.js';
 import * as projectionService from '../services/projectionService.js';
+import { verifyZohoWebhook, processZohoWebhook } from '../services/zohoWebhookService.js';
+import { toCacheHeaders } from '../shell/projectionCache.js';
+import getConfig from '../config.js';
 
 /**
  * Pure function to handle API responses
@@ -46,11 +49,27 @@ const createProjectionHandler = (projectionFn) => async (ctx) => {
   }
 };
 
+/**
+ * Pure function to create a handler for projections served through the projection cache
+ * Adds the cache status headers (X-Cache, Age, Cache-Control) to successful responses
+ * @param {Function} readFn - Function that returns a Result with { value, cache }
+ * @returns {Function} - Koa handler function
+ */
+const createCachedProjectionHandler = (readFn) => (ctx) => createProjectionHandler(async () => {
+  const result = await readFn();
+  if (result.isOk) {
+    ctx.set(toCacheHeaders(result.unwrap().cache));
+  }
+  return result.map(({ value }) => value);
+})(ctx);
+
 /**
  * Setup projection routes
+ * @param {Object} [deps] - Dependencies
+ * @param {EventStoreBackend} [deps.eventStore] - Backend holding the ticket read model
  * @returns {Router} - Configured router
  */
-export const setupProjectionRoutes = () => {
+export const setupProjectionRoutes = ({ eventStore } = {}) => {
   const router = new Router({
     prefix: '/projections'
   });
@@ -59,28 +78,75 @@ export const setupProjectionRoutes = () => {
   router.get('/dashboard/overview', createProjectionHandler(projectionService.getDashboardOverview));
   
   // New endpoint for general overview using the new n8n workflow
-  router.get('/overview', createProjectionHandler(projectionService.getReportsOverview));
+  router.get('/overview', createCachedProjectionHandler(projectionService.readReportsOverview));
   
-  // Dashboard tickets projection
-  router.get('/dashboard/tickets', createProjectionHandler(projectionService.getDashboardTickets));
+  // Dashboard tickets projection (from the local ticket read model when available)
+  router.get('/dashboard/tickets', createProjectionHandler(eventStore
+    ? projectionService.getReadModelDashboardTickets(eventStore)
+    : projectionService.getDashboardTickets));
   
   // Dashboard contacts projection
-  router.get('/dashboard/contacts', createProjectionHandler(projectionService.getDashboardContacts));
+  router.get('/dashboard/contacts', createCachedProjectionHandler(projectionService.readDashboardContacts));
 
   return router;
 };
 
+/**
+ * Handler for Zoho Desk webhook notifications (ticket, comment and thread changes)
+ * The request must be signed with ZOHO_WEBHOOK_SECRET, or carry it in X-Webhook-Secret
+ * @param {EventStoreBackend} eventStore - Backend where the resulting events are stored
+ * @returns {Function} - Koa handler function
+ */
+const createZohoWebhookHandler = (eventStore) => async (ctx) => {
+  const { secret } = getConfig().zohoWebhook;
+
+  if (!secret || !eventStore) {
+    ctx.status = 503;
+    ctx.body = deepFreeze({ error: 'Zoho webhook is not configured', errorCode: 'WEBHOOK_NOT_CONFIGURED' });
+    return;
+  }
+
+  // La firma se calcula sobre el cuerpo tal como llegó (koa-bodyparser lo guarda en rawBody)
+  if (!verifyZohoWebhook(ctx.request.rawBody, ctx.headers, secret)) {
+    console.warn('🔒 Webhook de Zoho rechazado: firma o secreto inválido');
+    ctx.status = 401;
+    ctx.body = deepFreeze({ error: 'Invalid webhook signature', errorCode: 'INVALID_WEBHOOK_SIGNATURE' });
+    return;
+  }
+
+  const result = await processZohoWebhook(eventStore)(ctx.request.body);
+
+  if (!result.isOk) {
+    const errorInfo = extractErrorInfo(result.unwrapError());
+    console.error('❌ Error procesando webhook de Zoho:', errorInfo.details?.message || errorInfo.message);
+    ctx.status = errorInfo.details?.status || 500;
+    ctx.body = deepFreeze({
+      error: errorInfo.details?.message || 'Failed to process Zoho webhook',
+      ...(errorInfo.details?.details?.errorCode && { errorCode: errorInfo.details.details.errorCode })
+    });
+    return;
+  }
+
+  ctx.status = 200;
+  ctx.body = deepFreeze({ success: true, ...result.unwrap() });
+};
+
 /**
  * Setup webhook routes
+ * @param {Object} [deps] - Dependencies
+ * @param {EventStoreBackend} [deps.eventStore] - Backend where webhook events are stored
  * @returns {Router} - Configured router
  */
-export const setupWebhookRoutes = () => {
+export const setupWebhookRoutes = ({ eventStore } = {}) => {
   const router = new Router({
     prefix: '/webhook'
   });
 
   // Zoho reports overview webhook
-  router.get('/zoho/reports-overview', createProjectionHandler(projectionService.getReportsOverview));
+  router.get('/zoho/reports-overview', createCachedProjectionHandler(projectionService.readReportsOverview));
+
+  // Zoho Desk notifications: ticket, comment and thread changes made in Zoho
+  router.post('/zoho/desk', createZohoWebhookHandler(eventStore));
 
   return router;
 };
@@ -95,16 +161,16 @@ export const setupZohoApiRoutes = () => {
   });
 
   // Zoho reports overview API
-  router.get('/reports-overview', createProjectionHandler(projectionService.getReportsOverview));
+  router.get('/reports-overview', createCachedProjectionHandler(projectionService.readReportsOverview));
   
   // Zoho tickets API
   router.get('/tickets', createProjectionHandler(projectionService.getDashboardTickets));
   
   // Zoho contacts API
-  router.get('/contacts', createProjectionHandler(projectionService.getDashboardContacts));
+  router.get('/contacts', createCachedProjectionHandler(projectionService.readDashboardContacts));
 
   // Zoho categories/departments API
-  router.get('/categories', createProjectionHandler(projectionService.getZohoCategories));
+  router.get('/categories', createCachedProjectionHandler(projectionService.readZohoCategories));
 
   return router;
 };
@@ -121,10 +187,12 @@ export const setupDashboardRoutes = () => {
   // Unified dashboard endpoint
   router.get('/', async (ctx) => {
     try {
-      const reportsResult = await projectionService.getReportsOverview();
+      const reportsResult = await projectionService.readReportsOverview();
       
       if (reportsResult.isOk) {
-        ctx.body = reportsResult.unwrap();
+        const { value, cache } = reportsResult.unwrap();
+        ctx.set(toCacheHeaders(cache));
+        ctx.body = value;
         ctx.status = 200;
       } else {
         ctx.body = deepFreeze({
@@ -90,6 +90,10 @@ export function getConfig() {
       : [originsStr.trim()];
   };
 
+  // Parsear listas separadas por comas (p.ej. ADMIN_EMAILS)
+  const parseList = (listStr) =>
+    (listStr || '').split(',').map(item => item.trim()).filter(Boolean);
+
   // Orígenes permitidos para CORS
   const defaultCorsOrigins = isDevelopment 
     ? ['http://localhost:5172'] 
@@ -101,6 +105,10 @@ export function getConfig() {
     ? configuredOrigins 
     : defaultCorsOrigins;
 
+  // Backend del event store: explícito por env, o Supabase si está configurado, o memoria
+  const eventStoreDriver = process.env.EVENT_STORE_DRIVER
+    || (process.env.SUPABASE_URL ? 'supabase' : 'memory');
+
   // Crear objeto de configuración completamente nuevo
   const config = Object.freeze({
     // Servidor
@@ -119,13 +127,158 @@ export function getConfig() {
       // Array inmutable de orígenes CORS permitidos
       corsOrigins: Object.freeze(corsOrigins),
       // Mantener corsOrigin para compatibilidad con código existente
-      corsOrigin: corsOrigins[0] || ''
+      corsOrigin: corsOrigins[0] || '',
+      // Emails con acceso a los endpoints de administración (/api/admin)
+      adminEmails: Object.freeze(parseList(process.env.ADMIN_EMAILS).map(email => email.toLowerCase())),
+      // Emails de agentes de soporte (pueden seguir cualquier ticket por /ws/events); los admins también lo son
+      agentEmails: Object.freeze(parseList(process.env.AGENT_EMAILS).map(email => email.toLowerCase()))
+    }),
+    
+    // Event store (supabase | memory | file)
+    eventStore: Object.freeze({
+      driver: eventStoreDriver,
+      // Directorio de los logs JSONL cuando driver = 'file'
+      dataDir: process.env.EVENT_STORE_DATA_DIR || path.join(process.cwd(), 'data', 'event-store'),
+      // Cada cuántos eventos se guarda un snapshot del estado (0 = desactivado)
+      snapshotInterval: parseInt(process.env.SNAPSHOT_INTERVAL || '100', 10),
+      // Eventos leídos por lote al reconstruir proyecciones
+      replayBatchSize: parseInt(process.env.PROJECTION_REPLAY_BATCH_SIZE || '500', 10),
+    }),
+    
+    // Bus de difusión entre instancias (memory | supabase) para los mensajes del chat y /ws/events
+    bus: Object.freeze({
+      // 'memory' solo llega a los clientes de este proceso; con varias instancias usar 'supabase'
+      driver: process.env.BUS_DRIVER || 'memory',
+      // Canal de Supabase Realtime compartido por todas las instancias
+      channel: process.env.BUS_CHANNEL || 'helpdesk-bus',
+    }),
+    
+    // Límites de las conexiones WebSocket (0 desactiva el límite)
+    websocket: Object.freeze({
+      // Ping periódico: se cierran las conexiones que no respondieron al anterior
+      heartbeatIntervalMs: parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS || '30000', 10),
+      // Tamaño máximo de un mensaje del cliente (ws cierra con 1009)
+      maxPayloadBytes: parseInt(process.env.WS_MAX_PAYLOAD_BYTES || '65536', 10),
+      // Mensajes por conexión y ventana
+      messageRateLimit: parseInt(process.env.WS_MESSAGE_RATE_LIMIT || '20', 10),
+      messageRateWindowMs: parseInt(process.env.WS_MESSAGE_RATE_WINDOW_MS || '10000', 10),
+      // Conexiones abiertas por usuario (todas las rutas) y por ticket (chat)
+      maxConnectionsPerUser: parseInt(process.env.WS_MAX_CONNECTIONS_PER_USER || '10', 10),
+      maxConnectionsPerTicket: parseInt(process.env.WS_MAX_CONNECTIONS_PER_TICKET || '50', 10),
+      // Datos pendientes de enviar a una conexión antes de cerrarla por lenta
+      maxBufferedBytes: parseInt(process.env.WS_MAX_BUFFERED_BYTES || '1048576', 10),
+    }),
+    
+    // Chat de los tickets (/ws/tickets/:ticketId)
+    chat: Object.freeze({
+      // Mensajes anteriores que recibe un cliente al conectarse
+      historyOnConnect: parseInt(process.env.CHAT_HISTORY_ON_CONNECT || '50', 10),
+      // Tamaño de página por defecto y máximo de GET /api/tickets/:ticketId/messages
+      pageSize: parseInt(process.env.CHAT_HISTORY_PAGE_SIZE || '50', 10),
+      maxPageSize: parseInt(process.env.CHAT_HISTORY_MAX_PAGE_SIZE || '200', 10),
+      // Puente con Zoho: los mensajes del chat se copian como comentarios del ticket en Zoho
+      // y los comentarios de los agentes en Zoho (webhook) llegan al chat
+      zohoBridgeEnabled: process.env.CHAT_ZOHO_BRIDGE === 'true',
+      // Un comentario de Zoho igual a un mensaje del chat aún sin copiar, enviado en esta ventana,
+      // es ese mensaje volviendo por el webhook (llegó antes de que Zoho respondiera al outbox)
+      zohoEchoWindowMs: parseInt(process.env.CHAT_ZOHO_ECHO_WINDOW_MS || '3600000', 10),
+    }),
+    
+    // Webhook de Zoho Desk (POST /webhook/zoho/desk)
+    zohoWebhook: Object.freeze({
+      // Secreto compartido: firma HMAC-SHA256 del cuerpo (X-ZDesk-Signature) o cabecera X-Webhook-Secret
+      // Sin secreto el webhook responde 503
+      secret: process.env.ZOHO_WEBHOOK_SECRET || null,
+    }),
+    
+    // Acceso a Zoho Desk: workflows de n8n o API REST de Zoho Desk directamente
+    zohoDesk: Object.freeze({
+      // 'n8n' | 'api': con 'api' los tickets y comentarios no pasan por n8n
+      driver: process.env.ZOHO_DESK_DRIVER || 'n8n',
+      apiUrl: process.env.ZOHO_DESK_API_URL || 'https://desk.zoho.com/api/v1',
+      // Servidor OAuth de la región de la cuenta (accounts.zoho.eu, accounts.zoho.in...)
+      accountsUrl: process.env.ZOHO_ACCOUNTS_URL || 'https://accounts.zoho.com',
+      orgId: process.env.ZOHO_ORGANIZATION_ID || '',
+      // Flujo OAuth con refresh token; sin él se usa ZOHO_API_TOKEN tal cual
+      clientId: process.env.ZOHO_CLIENT_ID || '',
+      clientSecret: process.env.ZOHO_CLIENT_SECRET || '',
+      refreshToken: process.env.ZOHO_REFRESH_TOKEN || '',
+      accessToken: process.env.ZOHO_API_TOKEN || '',
+      // Departamento de los tickets creados sin departmentId
+      defaultDepartmentId: process.env.ZOHO_DEFAULT_DEPARTMENT_ID || null,
+      // Las llamadas pasan por el cliente saliente (outboundClient.js): tiempo máximo por llamada,
+      // reintentos de las idempotentes (429, 5xx, red) con backoff y jitter, y circuit breaker
+      timeoutMs: parseInt(process.env.ZOHO_TIMEOUT_MS || '10000', 10),
+      maxRetries: parseInt(process.env.ZOHO_RATE_LIMIT_RETRIES || '2', 10),
+      retryBaseDelayMs: parseInt(process.env.ZOHO_RETRY_BASE_DELAY_MS || '500', 10),
+      retryMaxDelayMs: parseInt(process.env.ZOHO_RETRY_MAX_DELAY_MS || '4000', 10),
+      circuitFailureThreshold: parseInt(process.env.ZOHO_CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+      circuitResetMs: parseInt(process.env.ZOHO_CIRCUIT_RESET_MS || '30000', 10),
+    }),
+
+    // Claves de idempotencia de /api/commands (cabecera Idempotency-Key o commandId)
+    idempotency: Object.freeze({
+      // Durante cuánto tiempo una repetición recibe la respuesta guardada
+      ttlSeconds: parseInt(process.env.IDEMPOTENCY_KEY_TTL_SECONDS || '86400', 10),
+      // Tras este tiempo una petición en curso se considera abandonada y la clave puede reutilizarse
+      lockSeconds: parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS || '60', 10),
+    }),
+    
+    // Outbox de efectos externos (Zoho/n8n) y su dispatcher
+    outbox: Object.freeze({
+      // Solo un dispatcher por despliegue: desactivarlo en las demás instancias
+      dispatcherEnabled: process.env.OUTBOX_DISPATCHER_ENABLED !== 'false',
+      pollIntervalMs: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || '5000', 10),
+      batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE || '20', 10),
+      maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '8', 10),
+      // Backoff exponencial entre reintentos: base * 2^(intentos - 1), con tope
+      retryBaseDelayMs: parseInt(process.env.OUTBOX_RETRY_BASE_DELAY_MS || '2000', 10),
+      retryMaxDelayMs: parseInt(process.env.OUTBOX_RETRY_MAX_DELAY_MS || '600000', 10),
+      // Tiempo tras el cual una entrada en proceso se considera abandonada
+      lockMs: parseInt(process.env.OUTBOX_LOCK_MS || '60000', 10),
+    }),
+    
+    // Ciclo de vida de los tickets
+    tickets: Object.freeze({
+      // Días durante los que un ticket resuelto puede reabrirse
+      reopenWindowDays: parseInt(process.env.TICKET_REOPEN_WINDOW_DAYS || '7', 10),
+      // Paginación de los listados servidos desde el read model de tickets
+      pageSize: parseInt(process.env.TICKETS_PAGE_SIZE || '50', 10),
+      maxPageSize: parseInt(process.env.TICKETS_MAX_PAGE_SIZE || '200', 10),
+      // Importación de Zoho al read model: cada filtro se vuelve a importar pasado el intervalo,
+      // en páginas de zohoImportPageSize y como mucho zohoImportMaxPages páginas
+      zohoSyncIntervalMs: parseInt(process.env.TICKETS_ZOHO_SYNC_INTERVAL_MS || '300000', 10),
+      zohoImportPageSize: parseInt(process.env.TICKETS_ZOHO_IMPORT_PAGE_SIZE || '100', 10),
+      zohoImportMaxPages: parseInt(process.env.TICKETS_ZOHO_IMPORT_MAX_PAGES || '20', 10),
+    }),
+    
+    // Caché de las proyecciones de Zoho que cambian poco (informes, categorías, contactos, cuentas)
+    projectionCache: Object.freeze({
+      enabled: process.env.PROJECTION_CACHE_ENABLED !== 'false',
+      // Tiempo durante el que un dato se sirve sin consultar n8n, por proyección
+      ttlMs: Object.freeze({
+        reportsOverview: parseInt(process.env.PROJECTION_CACHE_REPORTS_OVERVIEW_TTL_MS || '60000', 10),
+        categories: parseInt(process.env.PROJECTION_CACHE_CATEGORIES_TTL_MS || '3600000', 10),
+        contacts: parseInt(process.env.PROJECTION_CACHE_CONTACTS_TTL_MS || '300000', 10),
+        accounts: parseInt(process.env.PROJECTION_CACHE_ACCOUNTS_TTL_MS || '900000', 10),
+      }),
+      // Tras el TTL, el dato caducado se sigue sirviendo este tiempo mientras se renueva en segundo plano
+      staleWhileRevalidateMs: parseInt(process.env.PROJECTION_CACHE_STALE_WHILE_REVALIDATE_MS || '300000', 10),
     }),
     
     // Servicios externos
     services: Object.freeze({
       n8n: Object.freeze({
         webhookBaseUrl: process.env.N8N_BASE_URL || 'https://n8n.advancio.io/webhook',
+        // Tiempo máximo de cada llamada a un workflow
+        timeoutMs: parseInt(process.env.N8N_TIMEOUT_MS || '10000', 10),
+        // Reintentos de las llamadas idempotentes, con backoff exponencial y jitter
+        maxRetries: parseInt(process.env.N8N_MAX_RETRIES || '2', 10),
+        retryBaseDelayMs: parseInt(process.env.N8N_RETRY_BASE_DELAY_MS || '250', 10),
+        retryMaxDelayMs: parseInt(process.env.N8N_RETRY_MAX_DELAY_MS || '2000', 10),
+        // Circuit breaker por workflow: fallos seguidos para abrirlo y tiempo abierto antes de probar de nuevo
+        circuitFailureThreshold: parseInt(process.env.N8N_CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+        circuitResetMs: parseInt(process.env.N8N_CIRCUIT_RESET_MS || '30000', 10),
       }),
       supabase: Object.freeze({
         url: process.env.SUPABASE_URL || '',
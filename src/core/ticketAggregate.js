@@ -0,0 +1,156 @@
+/**
+ * Ticket aggregate
+ * Pure functions that rebuild a single ticket from its events and check the
+ * invariants a ticket command must satisfy before an event is emitted
+ */
+import { Result, deepFreeze } from '../utils/functional.js';
+import { normalizeStatus, isTerminalStatus, checkStatusTransition } from './ticketLifecycle.js';
+
+// Commands that target an existing ticket through command.ticketId
+export const TICKET_COMMANDS = Object.freeze([
+  'UPDATE_TICKET',
+  'ADD_COMMENT',
+  'CLOSE_TICKET',
+  'ESCALATE_TICKET'
+]);
+
+/**
+ * Checks whether a command targets an existing ticket
+ * @param {Object} command - Validated command
+ * @returns {boolean} - True for ticket commands carrying a ticketId
+ */
+export const isTicketCommand = (command) =>
+  TICKET_COMMANDS.includes(command?.type) && Boolean(command.ticketId);
+
+// Estado de un ticket que todavía no existe en el event store
+export const initialTicketState = deepFreeze({
+  id: null,
+  email: null,
+  exists: false,
+  status: null,
+  priority: null,
+  escalated: false,
+  commentCount: 0,
+  createdAt: null,
+  updatedAt: null,
+  resolvedAt: null,
+  closedAt: null
+});
+
+/**
+ * Pure function to apply a status change to the ticket state
+ * Keeps track of when the ticket was resolved and closed
+ */
+const withStatus = (ticket, status, timestamp) => ({
+  ...ticket,
+  status,
+  resolvedAt: status === 'Resolved' ? timestamp : ticket.resolvedAt,
+  closedAt: status === 'Closed' ? timestamp : ticket.closedAt
+});
+
+/**
+ * Pure function to apply an event to the ticket state
+ * Events for other tickets are ignored
+ * @param {Object} ticket - Current ticket state
+ * @param {Object} event - Event from the ticket stream
+ * @returns {Object} - New ticket state
+ */
+export const applyTicketEvent = (ticket, event) => {
+  if (ticket.id && event.ticketId !== ticket.id) {
+    return ticket;
+  }
+
+  switch (event.type) {
+    case 'TICKET_CREATED':
+      return deepFreeze({
+        ...ticket,
+        id: event.ticketId,
+        email: event.email,
+        exists: true,
+        status: 'Open',
+        priority: event.details?.priority || null,
+        createdAt: event.timestamp
+      });
+
+    case 'TICKET_UPDATED':
+      return deepFreeze({
+        ...withStatus(ticket, normalizeStatus(event.updates?.status) || ticket.status, event.timestamp),
+        priority: event.updates?.priority || ticket.priority,
+        updatedAt: event.timestamp
+      });
+
+    case 'COMMENT_ADDED':
+      return deepFreeze({
+        ...ticket,
+        commentCount: ticket.commentCount + 1,
+        updatedAt: event.timestamp
+      });
+
+    case 'TICKET_ESCALATED':
+      return deepFreeze({
+        ...ticket,
+        priority: 'High',
+        escalated: true,
+        updatedAt: event.timestamp
+      });
+
+    case 'TICKET_CLOSED':
+      return deepFreeze({
+        ...withStatus(ticket, 'Closed', event.timestamp),
+        updatedAt: event.timestamp
+      });
+
+    default:
+      return ticket;
+  }
+};
+
+/**
+ * Rebuilds a ticket from its event history
+ * @param {Array} ticketHistory - Events of the ticket, in stream order
+ * @returns {Object} - Ticket state
+ */
+export const reconstructTicket = (ticketHistory = []) =>
+  (Array.isArray(ticketHistory) ? ticketHistory : [])
+    .reduce(applyTicketEvent, initialTicketState);
+
+/**
+ * Creates the rejection returned when a command breaks a ticket invariant
+ * @param {string} reason - Human readable reason
+ * @returns {Result} - Error result with the reason
+ */
+const reject = (reason) => Result.error(deepFreeze({ reason }));
+
+/**
+ * Checks the ticket invariants for a command
+ * - the ticket must have been created
+ * - a closed ticket cannot be updated, commented, escalated or closed again
+ * - a ticket can only be escalated once
+ * - status changes (UPDATE_TICKET with a status, CLOSE_TICKET) must follow the ticket lifecycle
+ * @param {Object} command - Validated ticket command
+ * @param {Object} ticket - Ticket state from reconstructTicket
+ * @param {Object} [lifecycleOptions] - { now, reopenWindowDays } for the lifecycle rules
+ * @returns {Result} - Result with the ticket or an error with the rejection reason
+ */
+export const checkTicketInvariants = (command, ticket, lifecycleOptions = {}) => {
+  if (!ticket.exists || ticket.id !== command.ticketId) {
+    return reject(`Ticket ${command.ticketId} does not exist`);
+  }
+
+  if (isTerminalStatus(ticket.status)) {
+    return reject(`Ticket ${command.ticketId} is closed`);
+  }
+
+  if (command.type === 'ESCALATE_TICKET' && ticket.escalated) {
+    return reject(`Ticket ${command.ticketId} is already escalated`);
+  }
+
+  const nextStatus = command.type === 'CLOSE_TICKET' ? 'Closed' : command.updates?.status;
+  const statusCheck = nextStatus
+    ? checkStatusTransition(ticket, nextStatus, lifecycleOptions)
+    : Result.ok(ticket.status);
+
+  return statusCheck.isOk
+    ? Result.ok(ticket)
+    : reject(statusCheck.unwrapError().reason);
+};
@@ -0,0 +1,144 @@
+/**
+ * Ticket lifecycle
+ * Single declaration of the ticket statuses and the transitions allowed between them,
+ * shared by the command path (transition) and the REST path (/api/tickets)
+ * Pure functions with no side effects
+ */
+import { Result, deepFreeze } from '../utils/functional.js';
+
+// Estados del ciclo de vida de un ticket
+export const TICKET_STATUSES = Object.freeze(['Open', 'In Progress', 'On Hold', 'Resolved', 'Closed']);
+
+// Estados finales: no admiten ninguna transición
+export const TERMINAL_STATUSES = Object.freeze(['Closed']);
+
+/**
+ * Allowed transitions from each status
+ * Resolved → Open is a reopen and is subject to the reopen window
+ */
+export const STATUS_TRANSITIONS = deepFreeze({
+  'Open': ['In Progress', 'On Hold', 'Resolved', 'Closed'],
+  'In Progress': ['Open', 'On Hold', 'Resolved', 'Closed'],
+  'On Hold': ['Open', 'In Progress', 'Resolved', 'Closed'],
+  'Resolved': ['Open', 'Closed'],
+  'Closed': []
+});
+
+// Días durante los que un ticket resuelto puede reabrirse
+export const DEFAULT_REOPEN_WINDOW_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Nombres heredados o usados por Zoho que corresponden a un estado del ciclo de vida
+const STATUS_ALIASES = Object.freeze({
+  'pending': 'On Hold',
+  'in-progress': 'In Progress',
+  'inprogress': 'In Progress',
+  'onhold': 'On Hold'
+});
+
+/**
+ * Normalizes a status coming from a client or from Zoho to a lifecycle status
+ * Matching is case-insensitive ('open' → 'Open', 'Pending' → 'On Hold')
+ * @param {string} status - Raw status
+ * @returns {string|null} - Lifecycle status, or null when unknown
+ */
+export const normalizeStatus = (status) => {
+  if (typeof status !== 'string') return null;
+  const key = status.trim().toLowerCase();
+  return TICKET_STATUSES.find(known => known.toLowerCase() === key) || STATUS_ALIASES[key] || null;
+};
+
+/**
+ * Reads the lifecycle status of a ticket
+ * Zoho statuses outside the lifecycle (e.g. Escalated or a custom status) fall back to
+ * their Zoho statusType (Open, On Hold or Closed)
+ * @param {Object} ticket - Ticket with status and optional statusType
+ * @returns {string|null} - Lifecycle status, or null when neither is known
+ */
+export const toLifecycleStatus = (ticket) =>
+  normalizeStatus(ticket?.status) || normalizeStatus(ticket?.statusType);
+
+/**
+ * Checks whether a status is terminal
+ * @param {string} status - Lifecycle status
+ * @returns {boolean} - True if no transition leaves this status
+ */
+export const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(normalizeStatus(status));
+
+/**
+ * Pure function to convert a timestamp (number, ISO string or Date) to milliseconds
+ */
+const toMillis = (value) =>
+  value === undefined || value === null ? null : new Date(value).getTime();
+
+/**
+ * Checks whether a resolved ticket is still inside its reopen window
+ * Tickets without a known resolution time can always be reopened
+ * @param {Object} ticket - Ticket with an optional resolvedAt
+ * @param {Object} options - { now, reopenWindowDays }
+ * @returns {boolean} - True if the ticket can be reopened
+ */
+const isWithinReopenWindow = (ticket, { now = Date.now(), reopenWindowDays = DEFAULT_REOPEN_WINDOW_DAYS } = {}) => {
+  const resolvedAt = toMillis(ticket.resolvedAt);
+  return resolvedAt === null || toMillis(now) - resolvedAt <= reopenWindowDays * DAY_MS;
+};
+
+/**
+ * Returns the statuses a ticket can move to next
+ * A ticket whose status is not modelled (see toLifecycleStatus) can move to any status
+ * @param {Object} ticket - Ticket with status and optional statusType and resolvedAt
+ * @param {Object} [options] - { now, reopenWindowDays }
+ * @returns {Array<string>} - Allowed next statuses (empty for terminal statuses)
+ */
+export const getAllowedTransitions = (ticket, options = {}) => {
+  const status = toLifecycleStatus(ticket);
+  const candidates = status ? STATUS_TRANSITIONS[status] : TICKET_STATUSES;
+
+  return status === 'Resolved' && !isWithinReopenWindow(ticket, options)
+    ? candidates.filter(next => next !== 'Open')
+    : [...candidates];
+};
+
+/**
+ * Checks a status change against the lifecycle
+ * Keeping the current status is allowed (except on terminal statuses)
+ * @param {Object} ticket - Ticket with status and optional statusType and resolvedAt
+ * @param {string} nextStatus - Requested status
+ * @param {Object} [options] - { now, reopenWindowDays }
+ * @returns {Result} - Result with the normalized next status or an error with the rejection reason
+ */
+export const checkStatusTransition = (ticket, nextStatus, options = {}) => {
+  const from = toLifecycleStatus(ticket);
+  const to = normalizeStatus(nextStatus);
+
+  if (!to) {
+    return Result.error(deepFreeze({
+      reason: `Unknown status '${nextStatus}'. Must be one of: ${TICKET_STATUSES.join(', ')}`
+    }));
+  }
+
+  // Un estado de Zoho que el ciclo de vida no modela no restringe el cambio
+  if (!from) {
+    return Result.ok(to);
+  }
+
+  if (isTerminalStatus(from)) {
+    return Result.error(deepFreeze({ reason: `Ticket is ${from} and cannot change status` }));
+  }
+
+  // Repetir el estado actual (p.ej. un UPDATE_TICKET que solo cambia la prioridad) no es una transición
+  if (to === from) {
+    return Result.ok(to);
+  }
+
+  if (from === 'Resolved' && to === 'Open' && !isWithinReopenWindow(ticket, options)) {
+    return Result.error(deepFreeze({
+      reason: `Resolved tickets can only be reopened within ${options.reopenWindowDays ?? DEFAULT_REOPEN_WINDOW_DAYS} days`
+    }));
+  }
+
+  return getAllowedTransitions(ticket, options).includes(to)
+    ? Result.ok(to)
+    : Result.error(deepFreeze({ reason: `Cannot move ticket from ${from} to ${to}` }));
+};
@@ -4,23 +4,44 @@
  */
 import { v4 as generateUUID } from 'uuid';
 import { Result, deepFreeze } from '../utils/functional.js';
+import { isTicketCommand, reconstructTicket, checkTicketInvariants } from './ticketAggregate.js';
 
 /**
  * Pure transition function that converts commands to events
  * No side effects, just pure business logic
  * Returns a Result type with either success or error events
+ * Ticket commands are checked against the ticket aggregate rebuilt from ticketHistory
+ * and become a COMMAND_REJECTED event when they break a ticket invariant or the ticket lifecycle
  */
-export const transition = (command, eventHistory = [], timestamp) => {
+export const transition = (command, eventHistory = [], timestamp, { ticketHistory = [], reopenWindowDays } = {}) => {
   // Ensure timestamp is set with immutable pattern
   const eventTimestamp = timestamp || command.timestamp || Date.now();
   
+  const invariantCheck = isTicketCommand(command)
+    ? checkTicketInvariants(command, reconstructTicket(ticketHistory), { now: eventTimestamp, reopenWindowDays })
+    : Result.ok(null);
+  
   // Create event based on command type
-  const event = createEventFromCommand(command, eventTimestamp, eventHistory);
+  const event = invariantCheck.isOk
+    ? createEventFromCommand(command, eventTimestamp, eventHistory)
+    : createRejectionEvent(command, eventTimestamp, invariantCheck.unwrapError().reason);
   
   // Freeze the event to enforce immutability
   return Result.ok(deepFreeze(event));
 };
 
+/**
+ * Pure function to create the event emitted for a rejected command
+ */
+const createRejectionEvent = (command, timestamp, reason) => ({
+  type: 'COMMAND_REJECTED',
+  email: command.email || 'unknown',
+  commandType: command.type,
+  ...(command.ticketId && { ticketId: command.ticketId }),
+  reason,
+  timestamp
+});
+
 /**
  * Pure function to create an event from a command
  * No side effects, just pure data transformation
@@ -91,13 +112,22 @@ const createEventFromCommand = (command, timestamp, eventHistory) => {
         timestamp
       };
       
+    case 'ESCALATE_TICKET':
+      return {
+        type: 'TICKET_ESCALATED',
+        email: command.email,
+        ticketId: command.ticketId,
+        reason: command.reason,
+        timestamp
+      };
+      
     case 'ADD_COMMENT':
       return {
         type: 'COMMENT_ADDED',
         email: command.email,
         ticketId: command.ticketId,
         commentId: generateUUID(),
-        content: command.content,
+        content: command.comment,
         timestamp
       };
       
@@ -110,11 +140,8 @@ const createEventFromCommand = (command, timestamp, eventHistory) => {
       
     default:
       return {
-        type: 'COMMAND_REJECTED',
-        email: command.email || 'unknown',
-        reason: `Unknown command type: ${command.type}`,
-        originalCommand: command,
-        timestamp
+        ...createRejectionEvent(command, timestamp, `Unknown command type: ${command.type}`),
+        originalCommand: command
       };
   }
 };
@@ -185,6 +212,13 @@ const validateRefreshTokenFromHistory = (email, refreshToken, eventHistory) => {
   return deepFreeze({ isValid: true });
 };
 
+/**
+ * Version of the applyEvent reducer
+ * Bump it whenever applyEvent changes how state is built: snapshots taken with
+ * another reducer version are ignored and the state is rebuilt from the events
+ */
+export const STATE_REDUCER_VERSION = 3;
+
 /**
  * Pure function to apply events to state
  * Reconstructs state from a sequence of events
@@ -248,6 +282,16 @@ export const applyEvent = (state, event) => {
         )
       });
       
+    case 'TICKET_CLOSED':
+      return deepFreeze({
+        ...state,
+        tickets: state.tickets.map(ticket => 
+          ticket.id === event.ticketId
+            ? { ...ticket, status: 'Closed', closedAt: event.timestamp }
+            : ticket
+        )
+      });
+      
     case 'COMMENT_ADDED':
       return deepFreeze({
         ...state,
@@ -260,7 +304,7 @@ export const applyEvent = (state, event) => {
                   {
                     id: event.commentId,
                     email: event.email,
-                    text: event.comment,
+                    text: event.content,
                     timestamp: event.timestamp
                   }
                 ]
@@ -288,6 +332,15 @@ export const applyEvent = (state, event) => {
   }
 };
 
+/**
+ * Pure function to fold a sequence of events into a state
+ * @param {Object} state - State to start from (initialState or a snapshot)
+ * @param {Array} events - Events to apply, in stream order
+ * @returns {Object} - Resulting state
+ */
+export const applyEvents = (state, events) =>
+  events.reduce((currentState, event) => applyEvent(currentState, event), state);
+
 // Initial state for state reconstruction
 export const initialState = deepFreeze({
   tickets: [],
@@ -0,0 +1,76 @@
+/**
+ * Event schema versions and upcasters
+ * Stored payloads keep the shape they had when they were written; upcasters
+ * migrate old shapes to the current one when events are read, so historical
+ * streams stay replayable as events evolve
+ * Pure functions with no side effects
+ */
+import { deepFreeze } from '../utils/functional.js';
+
+// Versión por defecto de los eventos sin schemaVersion (escritos antes del versionado)
+export const INITIAL_SCHEMA_VERSION = 1;
+
+/**
+ * Current schema version per event type
+ * Event types not listed here are at INITIAL_SCHEMA_VERSION
+ * Bump the version and register an upcaster whenever the payload shape of an event changes
+ */
+export const CURRENT_SCHEMA_VERSIONS = deepFreeze({
+  // v2: el texto del comentario pasa de `comment` a `content`
+  COMMENT_ADDED: 2
+});
+
+/**
+ * Upcaster registry: UPCASTERS[type][version] migrates a payload from version to version + 1
+ */
+export const UPCASTERS = Object.freeze({
+  COMMENT_ADDED: Object.freeze({
+    1: ({ comment, ...event }) => ({
+      ...event,
+      content: event.content ?? comment ?? null
+    })
+  })
+});
+
+/**
+ * Returns the current schema version for an event type
+ * @param {string} type - Event type
+ * @returns {number} - Current schema version
+ */
+export const getSchemaVersion = (type) =>
+  CURRENT_SCHEMA_VERSIONS[type] || INITIAL_SCHEMA_VERSION;
+
+/**
+ * Stamps an event with the current schema version of its type
+ * @param {Object} event - Event about to be stored
+ * @returns {Object} - Event with schemaVersion
+ */
+export const withSchemaVersion = (event) => ({
+  ...event,
+  schemaVersion: getSchemaVersion(event.type)
+});
+
+/**
+ * Migrates a stored event to the current schema version of its type
+ * Applies the registered upcasters one version at a time
+ * @param {Object} event - Stored event, with or without schemaVersion
+ * @returns {Object} - Event in its current shape
+ * @throws {Error} - If an intermediate upcaster is missing from the registry
+ */
+export const upcastEvent = (event) => {
+  const targetVersion = getSchemaVersion(event.type);
+  const upcastFrom = (current, version) => {
+    if (version >= targetVersion) {
+      return { ...current, schemaVersion: version };
+    }
+
+    const upcaster = UPCASTERS[event.type]?.[version];
+    if (!upcaster) {
+      throw new Error(`Missing upcaster for ${event.type} v${version} → v${version + 1}`);
+    }
+
+    return upcastFrom(upcaster(current), version + 1);
+  };
+
+  return upcastFrom(event, event.schemaVersion || INITIAL_SCHEMA_VERSION);
+};
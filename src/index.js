@@ -8,7 +8,12 @@ import http from 'http';
 import { initializeApi } from './api/index.js';
 import { createClient } from '@supabase/supabase-js';
 import n8nClient from './shell/n8nClient.js';
+import { n8nOutbound, zohoDeskOutbound } from './shell/outboundClient.js';
+import { startProjectionCacheInvalidation } from './shell/projectionCache.js';
 import { initializeWebSocketServer } from './ws/index.js';
+import { createEventStoreBackend } from './shell/backends/index.js';
+import { SCHEMA_TABLE_RULES } from './shell/schemaRules.js';
+import { createBus } from './shell/bus/index.js';
 import { getConfig } from './config.js';
 
 /**
@@ -110,7 +115,8 @@ app.use(cors({
     return false; // Bloqueamos orígenes no permitidos en producción
   },
   allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Requested-With'],
+  allowHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Requested-With', 'Idempotency-Key'],
+  exposeHeaders: ['Idempotent-Replayed'],
   credentials: true,
   maxAge: 86400, // 24 horas en segundos
   
@@ -119,13 +125,20 @@ app.use(cors({
 }));
 
 // Add a simple health check endpoint for connectivity testing
+// Con un circuito de n8n o de Zoho Desk abierto el estado es 'degraded', pero responde 200: la API sigue sirviendo
 app.use(async (ctx, next) => {
   if (ctx.path === '/health') {
+    const n8nHealth = n8nOutbound.getHealth();
+    const zohoDeskHealth = zohoDeskOutbound.getHealth();
     ctx.body = { 
-      status: 'ok', 
+      status: n8nHealth.status === 'ok' && zohoDeskHealth.status === 'ok' ? 'ok' : 'degraded', 
       timestamp: new Date().toISOString(),
       environment: config.server.nodeEnv,
-      version: process.env.APP_VERSION || '1.0.0'
+      version: process.env.APP_VERSION || '1.0.0',
+      dependencies: {
+        n8n: n8nHealth,
+        zohoDesk: zohoDeskHealth
+      }
     };
     ctx.status = 200;
   } else {
@@ -136,8 +149,17 @@ app.use(async (ctx, next) => {
 // Función principal asíncrona para inicializar la aplicación
 const startServer = async () => {
   try {
+    // Event store compartido por la API y el stream de eventos de WebSocket
+    const eventStore = await createEventStoreBackend(config.eventStore, { supabaseClient, tableRules: SCHEMA_TABLE_RULES });
+    
+    // Bus de difusión: los mensajes del chat y los eventos llegan a los clientes de todas las instancias
+    const bus = await createBus(config.bus, { supabaseClient });
+    
+    // Los eventos guardados por cualquier instancia invalidan las proyecciones cacheadas que cambian
+    startProjectionCacheInvalidation(bus);
+    
     // Inicializar API de forma asíncrona
-    await initializeApi(app, deps);
+    await initializeApi(app, { ...deps, eventStore });
     
     /**
      * Create HTTP server to attach WebSockets
@@ -147,7 +169,7 @@ const startServer = async () => {
     /**
      * Initialize WebSocket server
      */
-    initializeWebSocketServer(server);
+    initializeWebSocketServer(server, { eventStore, bus });
     
     /**
      * Start server
@@ -161,6 +183,7 @@ const startServer = async () => {
       console.log(`  - POST /api/commands - Central command endpoint`);
       console.log(`  - GET /api/state/:userId - State reconstruction endpoint`);
       console.log(`  - WS /ws/tickets/:ticketId - WebSocket chat for tickets`);
+      console.log(`  - WS /ws/events - Real-time event stream (resume with ?after=position)`);
       console.log(`  - GET /health - Health check endpoint`);
     });
   } catch (error) {
@@ -1,71 +1,203 @@
 /**
  * Servicio de registro de mensajes de chat
- * 
- * Proporciona funciones puras para persistir y recuperar
- * mensajes de chat asociados a tickets
+ *
+ * Persiste los mensajes de chat de los tickets en la tabla chat_messages a través
+ * del backend del event store (supabase, memory o file): el historial sobrevive a
+ * los reinicios y lo comparten todas las instancias
  */
+import { v4 as generateUUID } from 'uuid';
+import { tryCatchAsync, deepFreeze } from '../utils/functional.js';
 
-// Almacenamiento en memoria para desarrollo
-// En producción, esto debería usar una base de datos persistente
-const chatMessagesStore = new Map();
+export const CHAT_MESSAGES_TABLE = 'chat_messages';
+export const CHAT_READ_RECEIPTS_TABLE = 'chat_read_receipts';
+
+/**
+ * Función pura que convierte un mensaje de chat en una fila de chat_messages
+ * @param {Object} message - Mensaje con ticketId, sender, type, content y timestamp
+ * @returns {Object} - Fila a insertar
+ */
+export const toChatMessageRow = (message) => ({
+  id: generateUUID(),
+  ticket_id: message.ticketId,
+  sender_email: message.sender?.email || null,
+  sender_role: message.sender?.role || null,
+  type: message.type || 'message',
+  content: message.content,
+  message,
+  created_at: message.timestamp || new Date().toISOString()
+});
+
+/**
+ * Función pura que convierte una fila de chat_messages en el mensaje que ven los clientes
+ * @param {Object} row - Fila guardada
+ * @returns {Object} - Mensaje con su id
+ */
+export const toChatMessage = (row) => deepFreeze({
+  ...row.message,
+  id: row.id,
+  saved: true
+});
 
 /**
  * Guarda un mensaje en la base de datos
- * @param {Object} message - Mensaje a guardar
- * @returns {Promise<Object>} - Promesa que resuelve al mensaje guardado
+ * Devuelve un Result con el mensaje guardado (con su id)
+ * @param {PersistFn} persistFn - Función para insertar filas
  */
-export const logMessageToDatabase = async (message) => {
-  if (!message || !message.ticketId) {
-    return Promise.reject(new Error('Mensaje inválido o sin ID de ticket'));
-  }
-  
-  try {
-    // Asegurar que tenemos un array para este ticket
-    if (!chatMessagesStore.has(message.ticketId)) {
-      chatMessagesStore.set(message.ticketId, []);
+export const logMessageToDatabase = (persistFn) => async (message) => {
+  return tryCatchAsync(async () => {
+    if (!message || !message.ticketId) {
+      throw new Error('Mensaje inválido o sin ID de ticket');
     }
-    
-    // Agregar un ID único al mensaje
-    const enhancedMessage = {
-      ...message,
-      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      saved: true
-    };
-    
-    // Guardar en nuestro store
-    chatMessagesStore.get(message.ticketId).push(enhancedMessage);
-    
+
+    const row = toChatMessageRow(message);
+    const result = await persistFn(CHAT_MESSAGES_TABLE, row);
+
+    if (result.error) {
+      throw new Error(`Failed to store chat message: ${result.unwrapError().message}`);
+    }
+
     console.log(`Mensaje guardado para ticket ${message.ticketId}`);
-    return Promise.resolve(enhancedMessage);
-  } catch (error) {
-    console.error('Error al guardar mensaje:', error);
-    return Promise.reject(error);
-  }
+    return toChatMessage(result.unwrap() || row);
+  })();
 };
 
 /**
- * Recupera mensajes para un ticket específico
- * @param {string} ticketId - ID del ticket
- * @param {Object} options - Opciones de paginación y filtrado
- * @returns {Promise<Array>} - Promesa que resuelve a un array de mensajes
+ * Recupera mensajes para un ticket específico, del más antiguo al más reciente
+ * Devuelve un Result con los mensajes
+ * @param {QueryFn} queryFn - Función para consultar filas
  */
-export const getMessagesForTicket = async (ticketId, options = {}) => {
-  if (!ticketId) {
-    return Promise.reject(new Error('ID de ticket requerido'));
-  }
-  
-  try {
-    // Obtener mensajes para este ticket o array vacío si no hay ninguno
-    const messages = chatMessagesStore.get(ticketId) || [];
-    
-    // Aplicar límite si se especifica
+export const getMessagesForTicket = (queryFn) => async (ticketId, options = {}) => {
+  return tryCatchAsync(async () => {
+    if (!ticketId) {
+      throw new Error('ID de ticket requerido');
+    }
+
+    // Aplicar límite y desplazamiento (paginación)
     const { limit = 50, offset = 0 } = options;
-    const paginatedMessages = messages
-      .slice(offset, offset + limit);
-    
-    return Promise.resolve(paginatedMessages);
-  } catch (error) {
-    console.error('Error al recuperar mensajes:', error);
-    return Promise.reject(error);
-  }
+    const result = await queryFn({
+      table: CHAT_MESSAGES_TABLE,
+      filters: { ticket_id: ticketId },
+      order: 'position',
+      limit,
+      offset
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to fetch chat messages: ${result.unwrapError().message}`);
+    }
+
+    return (result.unwrap() || []).map(toChatMessage);
+  })();
+};
+
+/**
+ * Recupera los últimos mensajes de un ticket, del más antiguo al más reciente
+ * Devuelve un Result con los mensajes
+ * @param {QueryFn} queryFn - Función para consultar filas
+ */
+export const getRecentMessagesForTicket = (queryFn) => async (ticketId, count = 50) => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: CHAT_MESSAGES_TABLE,
+      filters: { ticket_id: ticketId },
+      order: 'position',
+      ascending: false,
+      limit: count
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to fetch chat messages: ${result.unwrapError().message}`);
+    }
+
+    return (result.unwrap() || []).map(toChatMessage).reverse();
+  })();
+};
+
+/**
+ * Función pura que convierte una fila de chat_read_receipts en el recibo que ven los clientes
+ * @param {Object} row - Fila guardada
+ * @returns {Object} - { email, role, messageId, readAt }
+ */
+export const toReadReceipt = (row) => deepFreeze({
+  email: row.email,
+  role: row.role,
+  messageId: row.last_read_message_id,
+  readAt: row.read_at
+});
+
+/**
+ * Marca como leído un mensaje del ticket para un usuario
+ * El último leído solo avanza: marcar un mensaje anterior no cambia el recibo
+ * Devuelve un Result con { receipt, advanced } (advanced es false si el recibo no cambió)
+ * @param {EventStoreBackend} eventStore - Backend con queryFn y upsertFn
+ */
+export const markMessageRead = (eventStore) => async (ticketId, reader, messageId, now = new Date()) => {
+  return tryCatchAsync(async () => {
+    const messageResult = await eventStore.queryFn({
+      table: CHAT_MESSAGES_TABLE,
+      filters: { id: messageId, ticket_id: ticketId },
+      limit: 1
+    });
+
+    if (messageResult.error) {
+      throw new Error(`Failed to fetch chat message: ${messageResult.unwrapError().message}`);
+    }
+
+    const message = messageResult.unwrap()?.[0];
+    if (!message) {
+      throw new Error(`Mensaje ${messageId} no encontrado en el ticket ${ticketId}`);
+    }
+
+    const receiptResult = await eventStore.queryFn({
+      table: CHAT_READ_RECEIPTS_TABLE,
+      filters: { ticket_id: ticketId, email: reader.email },
+      limit: 1
+    });
+
+    if (receiptResult.error) {
+      throw new Error(`Failed to fetch read receipt: ${receiptResult.unwrapError().message}`);
+    }
+
+    const existing = receiptResult.unwrap()?.[0];
+    if (existing && existing.last_read_position >= message.position) {
+      return deepFreeze({ receipt: toReadReceipt(existing), advanced: false });
+    }
+
+    const row = {
+      ticket_id: ticketId,
+      email: reader.email,
+      role: reader.role || null,
+      last_read_message_id: message.id,
+      last_read_position: message.position,
+      read_at: now.toISOString()
+    };
+    const saveResult = await eventStore.upsertFn(CHAT_READ_RECEIPTS_TABLE, row, { onConflict: 'ticket_id,email' });
+
+    if (saveResult.error) {
+      throw new Error(`Failed to store read receipt: ${saveResult.unwrapError().message}`);
+    }
+
+    return deepFreeze({ receipt: toReadReceipt(saveResult.unwrap() || row), advanced: true });
+  })();
+};
+
+/**
+ * Recupera el último mensaje leído de cada usuario de un ticket
+ * Devuelve un Result con los recibos
+ * @param {QueryFn} queryFn - Función para consultar filas
+ */
+export const getReadReceiptsForTicket = (queryFn) => async (ticketId) => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: CHAT_READ_RECEIPTS_TABLE,
+      filters: { ticket_id: ticketId },
+      order: 'read_at'
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to fetch read receipts: ${result.unwrapError().message}`);
+    }
+
+    return (result.unwrap() || []).map(toReadReceipt);
+  })();
 };
@@ -0,0 +1,308 @@
+/**
+ * Chat ↔ Zoho bridge - FCIS pattern compliant
+ * Functional, Composable, Isolated, Stateless
+ *
+ * Mirrors ticket chat messages into Zoho as ticket comments, and relays the comments
+ * that agents write in Zoho Desk back into the ticket's chat room
+ *
+ * - Chat → Zoho: each chat message is stored as a COMMENT_ADDED event, so the outbox
+ *   dispatcher sends it through the zoho-add-comment workflow with its retries and dead letters;
+ *   like an ADD_COMMENT command, it is checked against the ticket (a closed ticket rejects it)
+ *   and appended at the version of the stream it was checked against
+ * - Zoho → chat: each AGENT_REPLIED event (from the Zoho webhook) is stored as a chat
+ *   message and published on the bus, in the room of the local ticket the Zoho ticket is linked to
+ *
+ * chat_zoho_comments records every Zoho comment that went through the bridge, in either
+ * direction, so a comment is never relayed twice (webhook retries, or the webhook
+ * reporting a comment that was mirrored from the chat)
+ *
+ * The id of a mirrored comment is only known once Zoho answers the outbox, and the webhook
+ * may report the comment before that: a Zoho comment with the same content as a recent chat
+ * message that is not linked to a Zoho comment yet is taken as that message coming back
+ */
+import { Result, tryCatchAsync, deepFreeze } from '../utils/functional.js';
+import { storeEvent, fetchStreamVersion, fetchTicketEvents } from '../shell/eventStore.js';
+import { ticketReadModelProjection, fetchLinkedTicketRow } from '../shell/projections/ticketReadModel.js';
+import { reconstructTicket, checkTicketInvariants } from '../core/ticketAggregate.js';
+import { subscribeToStoredEvents } from '../shell/eventFeed.js';
+import { BUS_TOPICS } from '../shell/bus/index.js';
+import { logMessageToDatabase, CHAT_MESSAGES_TABLE } from './chatLogService.js';
+import getConfig from '../config.js';
+
+export const CHAT_ZOHO_COMMENTS_TABLE = 'chat_zoho_comments';
+
+/**
+ * Throws the error of a failed Result, returns its value otherwise
+ */
+const unwrapOrThrow = (result) => {
+  if (!result.isOk) {
+    throw result.unwrapError();
+  }
+  return result.unwrap();
+};
+
+/**
+ * Pure function to decide whether a chat message is mirrored into Zoho
+ * Only stored user messages: not typing/read frames, and not comments that came from Zoho
+ * @param {Object} message - Chat message as broadcast to the room
+ * @returns {boolean} - True if it must become a Zoho comment
+ */
+export const shouldMirrorToZoho = (message) =>
+  Boolean(message?.saved && message.type === 'message' && message.source !== 'zoho' && message.sender?.email);
+
+/**
+ * Pure function to build the COMMENT_ADDED event of a chat message
+ * @param {Object} message - Stored chat message
+ * @returns {Object} - Event to store
+ */
+export const toCommentAddedEvent = (message) => ({
+  type: 'COMMENT_ADDED',
+  email: message.sender.email,
+  ticketId: message.ticketId,
+  commentId: message.id,
+  content: message.content,
+  source: 'chat',
+  chatMessageId: message.id,
+  timestamp: message.timestamp || new Date().toISOString()
+});
+
+/**
+ * Pure function to build the chat message of a Zoho comment
+ * @param {Object} event - AGENT_REPLIED event
+ * @returns {Object} - Chat message (sender role 'agent')
+ */
+export const toZohoChatMessage = (event) => ({
+  type: 'message',
+  source: 'zoho',
+  ticketId: event.ticketId,
+  content: event.content,
+  externalCommentId: String(event.commentId),
+  sender: {
+    email: event.authorEmail || null,
+    name: event.authorName || null,
+    role: 'agent'
+  },
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Records a Zoho comment that went through the bridge
+ * Fails if the comment was already recorded (the table is keyed by the Zoho comment id)
+ * @param {PersistFn} persistFn - Function to insert rows
+ */
+export const recordZohoComment = (persistFn) => ({ commentId, ticketId, chatMessageId = null, direction }) =>
+  persistFn(CHAT_ZOHO_COMMENTS_TABLE, {
+    external_comment_id: String(commentId),
+    ticket_id: ticketId,
+    chat_message_id: chatMessageId,
+    direction,
+    created_at: new Date().toISOString()
+  });
+
+/**
+ * Pure function to compare a chat message and a Zoho comment by their text
+ * Zoho may return the comment as HTML, so tags, entities for spaces and extra whitespace are ignored
+ * @param {string} content - Chat message or Zoho comment content
+ * @returns {string} - Comparable text
+ */
+export const toComparableContent = (content) => String(content || '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Finds the chat message a Zoho comment was mirrored from, while its Zoho id is not recorded yet
+ * Candidates are the ticket's chat messages (not from Zoho) sent within the echo window with
+ * the same content; the oldest one that is not linked to a Zoho comment is returned
+ * Returns a Result with the chat message row or null
+ * @param {QueryFn} queryFn - Function to query rows
+ */
+export const findUnlinkedMirror = (queryFn) => async (event, now = new Date()) => {
+  return tryCatchAsync(async () => {
+    const since = new Date(now.getTime() - getConfig().chat.zohoEchoWindowMs).toISOString();
+    const rows = unwrapOrThrow(await queryFn({
+      table: CHAT_MESSAGES_TABLE,
+      filters: { ticket_id: event.ticketId, type: 'message', created_at: { gte: since } },
+      order: 'created_at'
+    }));
+
+    const content = toComparableContent(event.content);
+    const candidates = rows.filter(row =>
+      row.message?.source !== 'zoho' && toComparableContent(row.content) === content);
+
+    // Uno a uno: el primero sin comentario de Zoho enlazado
+    return candidates.reduce((found, row) => found.then(async (match) => {
+      if (match) {
+        return match;
+      }
+      const linked = unwrapOrThrow(await queryFn({
+        table: CHAT_ZOHO_COMMENTS_TABLE,
+        filters: { chat_message_id: row.id },
+        select: 'external_comment_id',
+        limit: 1
+      }));
+      return linked.length === 0 ? row : null;
+    }), Promise.resolve(null));
+  })();
+};
+
+/**
+ * Checks a chat message against its ticket, with the invariants of the ADD_COMMENT command
+ * Returns a Result with the ticket, or a 409 error with the rejection reason
+ * @param {QueryFn} queryFn - Function to query the events
+ */
+const checkCommentedTicket = (queryFn) => async (message) => {
+  return tryCatchAsync(async () => {
+    const ticketHistory = unwrapOrThrow(await fetchTicketEvents(queryFn)(message.ticketId));
+    const check = checkTicketInvariants(
+      { type: 'ADD_COMMENT', ticketId: message.ticketId, email: message.sender.email },
+      reconstructTicket(ticketHistory),
+      { reopenWindowDays: getConfig().tickets.reopenWindowDays }
+    );
+
+    if (!check.isOk) {
+      throw new Error(JSON.stringify({
+        status: 409,
+        message: check.unwrapError().reason,
+        details: { errorCode: 'COMMENT_REJECTED' }
+      }));
+    }
+
+    return check.unwrap();
+  })();
+};
+
+/**
+ * Stores a chat message as a COMMENT_ADDED event, for the outbox to send it to Zoho
+ * Returns a Result with the stored event, or null if the message is not mirrored
+ * Fails if the ticket rejects the comment, or if the stream moved while it was checked
+ * @param {EventStoreBackend} eventStore - Backend holding the events and the read model
+ */
+export const mirrorChatMessageToZoho = (eventStore) => async (message) => {
+  return tryCatchAsync(async () => {
+    if (!shouldMirrorToZoho(message)) {
+      return null;
+    }
+
+    // La versión se lee antes de comprobar el ticket: si el stream avanza entretanto, el append falla
+    const streamVersion = unwrapOrThrow(await fetchStreamVersion(eventStore.queryFn)(message.sender.email));
+    unwrapOrThrow(await checkCommentedTicket(eventStore.queryFn)(message));
+
+    const storedEvent = unwrapOrThrow(await storeEvent(eventStore.persistFn)(
+      toCommentAddedEvent(message),
+      { expectedVersion: streamVersion }
+    ));
+
+    // Como los comandos ADD_COMMENT: el read model cuenta el comentario
+    const projectionResult = await ticketReadModelProjection.handle(eventStore)(storedEvent);
+    if (!projectionResult.isOk) {
+      console.error(`⚠️ No se pudo actualizar el read model del ticket ${message.ticketId}:`, projectionResult.unwrapError().message);
+    }
+
+    console.log(`💬➡️ Mensaje ${message.id} del chat del ticket ${message.ticketId} enviado al outbox como comentario de Zoho`);
+    return storedEvent;
+  })();
+};
+
+/**
+ * Resolves the local ticket of an AGENT_REPLIED event
+ * The webhook already maps a linked Zoho ticket to its local ticket (externalTicketId set);
+ * otherwise the read model is asked, and a Zoho ticket not linked to one keeps its Zoho id
+ * Returns a Result with the ticket id the chat room is keyed by
+ * @param {QueryFn} queryFn - Function to query the read model
+ */
+const resolveLocalTicketId = (queryFn) => async (event) => {
+  if (event.externalTicketId) {
+    return Result.ok(event.ticketId);
+  }
+
+  const linkedResult = await fetchLinkedTicketRow(queryFn)(event.ticketId);
+  return linkedResult.map(row => row?.ticket_id || event.ticketId);
+};
+
+/**
+ * Stores a Zoho comment as a chat message and publishes it to the ticket's room
+ * Returns a Result with the chat message, or null if the comment was already relayed
+ * @param {Object} deps
+ * @param {EventStoreBackend} deps.eventStore - Backend holding the chat messages
+ * @param {Bus} deps.bus - Broadcast bus of the chat rooms
+ */
+export const relayZohoCommentToChat = ({ eventStore, bus }) => async (event) => {
+  return tryCatchAsync(async () => {
+    if (!event?.ticketId || !event.commentId || !event.content) {
+      throw new Error('AGENT_REPLIED event without ticketId, commentId or content');
+    }
+
+    // La sala del chat es la del ticket local, no la del ticket de Zoho
+    const ticketId = unwrapOrThrow(await resolveLocalTicketId(eventStore.queryFn)(event));
+    const reply = { ...event, ticketId };
+
+    // Reclamar el comentario antes de guardarlo: si ya existe, ya pasó por el puente
+    const existing = unwrapOrThrow(await eventStore.queryFn({
+      table: CHAT_ZOHO_COMMENTS_TABLE,
+      filters: { external_comment_id: String(event.commentId) },
+      limit: 1
+    }));
+
+    if (existing.length > 0) {
+      console.log(`↩️ Comentario de Zoho ${event.commentId} ya está en el chat del ticket ${ticketId}`);
+      return null;
+    }
+
+    // Un mensaje del chat que el webhook trae antes de que Zoho respondiera al outbox:
+    // se enlaza aquí (to_zoho) y el outbox encontrará el comentario ya registrado
+    const mirror = unwrapOrThrow(await findUnlinkedMirror(eventStore.queryFn)(reply));
+    if (mirror) {
+      const linkResult = await recordZohoComment(eventStore.persistFn)({
+        commentId: event.commentId,
+        ticketId,
+        chatMessageId: mirror.id,
+        direction: 'to_zoho'
+      });
+      console.log(linkResult.isOk
+        ? `↩️ Comentario de Zoho ${event.commentId} es el mensaje ${mirror.id} del chat, no se reenvía`
+        : `↩️ Comentario de Zoho ${event.commentId} reclamado por otra instancia`);
+      return null;
+    }
+
+    const claimResult = await recordZohoComment(eventStore.persistFn)({
+      commentId: event.commentId,
+      ticketId,
+      direction: 'from_zoho'
+    });
+    if (!claimResult.isOk) {
+      console.log(`↩️ Comentario de Zoho ${event.commentId} reclamado por otra instancia`);
+      return null;
+    }
+
+    const message = unwrapOrThrow(await logMessageToDatabase(eventStore.persistFn)(toZohoChatMessage(reply)));
+    const publishResult = await bus.publish(BUS_TOPICS.CHAT_MESSAGE, { ticketId, message });
+    if (!publishResult.isOk) {
+      console.error(`Error al publicar el comentario de Zoho ${event.commentId} en el bus:`, publishResult.unwrapError().message);
+    }
+
+    console.log(`💬⬅️ Comentario de Zoho ${event.commentId} enviado al chat del ticket ${ticketId}`);
+    return deepFreeze(message);
+  })();
+};
+
+/**
+ * Relays to the chat rooms the Zoho comments stored by this process
+ * Listens to the local feed (not the bus), so each comment is relayed by the instance
+ * that received the webhook, and only once
+ * @param {Object} deps - { eventStore, bus }
+ * @returns {Function} - Function to stop the bridge
+ */
+export const startZohoCommentRelay = (deps) => subscribeToStoredEvents((event) => {
+  if (event.type !== 'AGENT_REPLIED') {
+    return;
+  }
+
+  relayZohoCommentToChat(deps)(event).then(result => {
+    if (!result.isOk) {
+      console.error(`❌ No se pudo enviar el comentario de Zoho ${event.commentId} al chat:`, result.unwrapError().message);
+    }
+  });
+});
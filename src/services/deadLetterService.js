@@ -0,0 +1,176 @@
+/**
+ * Dead-letter service - FCIS pattern compliant
+ * Functional, Composable, Isolated, Stateless
+ *
+ * Captures the outbox entries that ran out of retries in the dead-letter store and
+ * lets admins retry or discard them. A retry puts the entry back in the outbox as
+ * pending, so it runs in the outbox dispatcher like any other entry: if it fails
+ * again, the dead letter is open again with one more attempt
+ */
+import { tryCatchAsync, deepFreeze } from '../utils/functional.js';
+import {
+  toDeadLetterRow,
+  fetchDeadLetter,
+  fetchDeadLetters,
+  saveDeadLetter
+} from '../shell/deadLetters.js';
+import { fetchOutboxEntry, saveOutboxEntry } from '../shell/outbox.js';
+
+/**
+ * Creates a dead-letter error with its HTTP status
+ */
+const deadLetterError = (status, message, errorCode) => new Error(JSON.stringify({
+  status,
+  message,
+  details: { errorCode }
+}));
+
+/**
+ * Throws the error of a failed Result, returns its value otherwise
+ */
+const unwrapOrThrow = (result) => {
+  if (!result.isOk) {
+    throw result.unwrapError();
+  }
+  return result.unwrap();
+};
+
+/**
+ * Records a failed outbox entry in the dead-letter store
+ * Returns a Result with { deadLetter, firstFailure } (firstFailure is false when a retried dead letter failed again)
+ * @param {EventStoreBackend} eventStore - Backend holding the dead letters
+ */
+export const recordDeadLetter = (eventStore) => async (entry, event, now = new Date()) => {
+  return tryCatchAsync(async () => {
+    const existing = unwrapOrThrow(await fetchDeadLetter(eventStore.queryFn)(entry.event_id));
+    const deadLetter = toDeadLetterRow(entry, event, existing, now);
+    unwrapOrThrow(await saveDeadLetter(eventStore.upsertFn)(deadLetter));
+
+    console.error(`🪦 Notificación ${entry.event_type} ${entry.event_id} enviada a dead letters tras ${entry.attempts} intentos`);
+    return deepFreeze({ deadLetter, firstFailure: !existing });
+  })();
+};
+
+/**
+ * Marks the dead letter of a dispatched entry as resolved (a retry succeeded)
+ * Returns a Result with the dead letter, or null if the entry had none being retried
+ * @param {EventStoreBackend} eventStore - Backend holding the dead letters
+ */
+export const resolveDeadLetter = (eventStore) => async (eventId, now = new Date()) => {
+  return tryCatchAsync(async () => {
+    const existing = unwrapOrThrow(await fetchDeadLetter(eventStore.queryFn)(eventId));
+    if (!existing || existing.status !== 'retrying') {
+      return null;
+    }
+
+    const resolved = {
+      ...existing,
+      status: 'resolved',
+      updated_at: now.toISOString(),
+      resolved_at: now.toISOString()
+    };
+    unwrapOrThrow(await saveDeadLetter(eventStore.upsertFn)(resolved));
+
+    console.log(`✅ Dead letter ${existing.event_type} ${eventId} resuelta tras reintento`);
+    return deepFreeze(resolved);
+  })();
+};
+
+/**
+ * Fetches an open dead letter, or fails with 404/409
+ */
+const fetchOpenDeadLetter = async (eventStore, eventId) => {
+  const deadLetter = unwrapOrThrow(await fetchDeadLetter(eventStore.queryFn)(eventId));
+
+  if (!deadLetter) {
+    throw deadLetterError(404, `Dead letter not found: ${eventId}`, 'DEAD_LETTER_NOT_FOUND');
+  }
+
+  if (deadLetter.status !== 'open') {
+    throw deadLetterError(409, `Dead letter is ${deadLetter.status}, only open dead letters can be changed`, 'DEAD_LETTER_NOT_OPEN');
+  }
+
+  return deadLetter;
+};
+
+/**
+ * Puts the outbox entry of a dead letter back in the queue, due now
+ * Returns a Result with the dead letter (status retrying)
+ * @param {EventStoreBackend} eventStore - Backend holding the outbox and the dead letters
+ */
+export const retryDeadLetter = (eventStore) => async (eventId, now = new Date()) => {
+  return tryCatchAsync(async () => {
+    const deadLetter = await fetchOpenDeadLetter(eventStore, eventId);
+    const entry = unwrapOrThrow(await fetchOutboxEntry(eventStore.queryFn)(eventId));
+
+    if (!entry) {
+      throw deadLetterError(409, `Outbox entry not found for event ${eventId}`, 'OUTBOX_ENTRY_NOT_FOUND');
+    }
+
+    // Se mantiene el número de intentos: el reintento manual es un único intento más
+    unwrapOrThrow(await saveOutboxEntry(eventStore.upsertFn)({
+      ...entry,
+      status: 'pending',
+      next_attempt_at: now.toISOString(),
+      updated_at: now.toISOString()
+    }));
+
+    const retrying = { ...deadLetter, status: 'retrying', updated_at: now.toISOString() };
+    unwrapOrThrow(await saveDeadLetter(eventStore.upsertFn)(retrying));
+
+    console.log(`🔁 Dead letter ${deadLetter.event_type} ${eventId} devuelta al outbox`);
+    return deepFreeze(retrying);
+  })();
+};
+
+/**
+ * Retries every open dead letter matching the filters, one at a time
+ * Returns a Result with { retried, failed } (event ids)
+ * @param {EventStoreBackend} eventStore - Backend holding the outbox and the dead letters
+ */
+export const retryDeadLetters = (eventStore) => async ({ eventType, email, limit = 100 } = {}) => {
+  return tryCatchAsync(async () => {
+    const deadLetters = unwrapOrThrow(await fetchDeadLetters(eventStore.queryFn)({
+      status: 'open',
+      eventType,
+      email,
+      limit
+    }));
+
+    const outcomes = await deadLetters.reduce(
+      (previous, deadLetter) => previous.then(async (results) => [
+        ...results,
+        { eventId: deadLetter.event_id, result: await retryDeadLetter(eventStore)(deadLetter.event_id) }
+      ]),
+      Promise.resolve([])
+    );
+
+    return deepFreeze({
+      retried: outcomes.filter(({ result }) => result.isOk).map(({ eventId }) => eventId),
+      failed: outcomes.filter(({ result }) => !result.isOk).map(({ eventId }) => eventId)
+    });
+  })();
+};
+
+/**
+ * Discards an open dead letter: its notification will not be sent
+ * Returns a Result with the dead letter (status discarded)
+ * @param {EventStoreBackend} eventStore - Backend holding the dead letters
+ */
+export const discardDeadLetter = (eventStore) => async (eventId, discardedBy, now = new Date()) => {
+  return tryCatchAsync(async () => {
+    const deadLetter = await fetchOpenDeadLetter(eventStore, eventId);
+
+    const discarded = {
+      ...deadLetter,
+      status: 'discarded',
+      updated_at: now.toISOString(),
+      resolved_at: now.toISOString(),
+      discarded_by: discardedBy || null
+    };
+    unwrapOrThrow(await saveDeadLetter(eventStore.upsertFn)(discarded));
+
+    console.log(`🗑️ Dead letter ${deadLetter.event_type} ${eventId} descartada por ${discardedBy}`);
+    return deepFreeze(discarded);
+  })();
+};
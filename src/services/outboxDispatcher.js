@@ -0,0 +1,313 @@
+/**
+ * Outbox dispatcher - FCIS pattern compliant
+ * Functional, Composable, Isolated, Stateless
+ *
+ * Runs the external side effects queued in the outbox (handlers in src/shell/notifications.js)
+ * with retries and exponential backoff. Entries are dispatched right after their command
+ * (dispatchNow) and, if that fails or the process dies midway, by the polling loop
+ * Entries that run out of retries go to the dead-letter store (see deadLetterService.js)
+ */
+import { Result, tryCatchAsync, deepFreeze, extractErrorInfo } from '../utils/functional.js';
+import { upcastEvent } from '../core/upcasters.js';
+import {
+  fetchOutboxEntry,
+  fetchDueOutboxEntries,
+  saveOutboxEntry
+} from '../shell/outbox.js';
+import { recordDeadLetter, resolveDeadLetter } from './deadLetterService.js';
+
+/**
+ * Pure function to compute the delay before the next attempt
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {Object} policy - { retryBaseDelayMs, retryMaxDelayMs }
+ * @returns {number} - Delay in milliseconds
+ */
+export const retryDelayMs = (attempts, { retryBaseDelayMs, retryMaxDelayMs }) =>
+  Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** Math.max(0, attempts - 1));
+
+/**
+ * Pure function to rebuild the event handed to the notification handlers
+ * The payload is upcast in case its schema changed while the entry was waiting
+ * @param {Object} entry - Outbox row
+ * @returns {Object} - Event
+ */
+export const toOutboxEvent = (entry) => deepFreeze({
+  ...upcastEvent(entry.payload),
+  eventId: entry.event_id
+});
+
+/**
+ * Pure function to check whether a handler attempt failed
+ * The handlers answer a failure with a different event type (e.g. TICKET_CREATION_FAILED)
+ * @param {Object} event - Dispatched event
+ * @param {Result} result - Result of the handler
+ * @returns {boolean} - True if the side effect was not applied
+ */
+export const isFailedAttempt = (event, result) =>
+  !result.isOk || result.unwrap()?.type !== event.type;
+
+/**
+ * Pure function to describe why an attempt failed
+ */
+const attemptError = (result) =>
+  !result.isOk
+    ? result.unwrapError()?.message || String(result.unwrapError())
+    : result.unwrap()?.error || `Handler answered ${result.unwrap()?.type}`;
+
+/**
+ * Pure function to read the HTTP status of a failed attempt
+ * Errors carry it in their JSON message, failure events in their error field
+ */
+const attemptStatus = (result) =>
+  Number(extractErrorInfo(!result.isOk ? result.unwrapError() : { message: result.unwrap()?.error }).details?.status) || null;
+
+/**
+ * Pure function to check whether a failed attempt may succeed if it is retried
+ * Network errors, timeouts, 429 and 5xx answers may; other 4xx answers and 501 (not implemented) never will
+ * @param {Result} result - Result of the handler
+ * @returns {boolean} - True if the entry should be retried
+ */
+export const isRetryableFailure = (result) => {
+  const status = attemptStatus(result);
+  return !status || status === 408 || status === 429 || (status >= 500 && status !== 501);
+};
+
+/**
+ * Pure function to compute the outbox row after an attempt
+ * Failures that a retry cannot fix fail the entry at once
+ * @param {Object} entry - Outbox row being processed (attempts already incremented)
+ * @param {Object} event - Dispatched event
+ * @param {Result} result - Result of the handler
+ * @param {Date} now - Current time
+ * @param {Object} policy - { maxAttempts, retryBaseDelayMs, retryMaxDelayMs }
+ * @returns {Object} - New outbox row
+ */
+export const settleOutboxEntry = (entry, event, result, now, policy) => {
+  const updatedAt = now.toISOString();
+
+  if (!isFailedAttempt(event, result)) {
+    return {
+      ...entry,
+      status: 'dispatched',
+      last_error: null,
+      result: result.unwrap(),
+      updated_at: updatedAt,
+      dispatched_at: updatedAt
+    };
+  }
+
+  const exhausted = entry.attempts >= policy.maxAttempts || !isRetryableFailure(result);
+  return {
+    ...entry,
+    status: exhausted ? 'failed' : 'pending',
+    next_attempt_at: exhausted
+      ? entry.next_attempt_at
+      : new Date(now.getTime() + retryDelayMs(entry.attempts, policy)).toISOString(),
+    last_error: attemptError(result),
+    result: result.isOk ? result.unwrap() : null,
+    updated_at: updatedAt
+  };
+};
+
+/**
+ * Creates an outbox dispatcher
+ * @param {Object} deps - Dependencies
+ * @param {EventStoreBackend} deps.eventStore - Backend holding the outbox (queryFn, upsertFn)
+ * @param {Function} deps.dispatch - (event) => Promise<Result>, runs the notification handler of the event
+ * @param {Function} deps.storeEvent - (event) => Promise<Result>, stores the failure event once retries are exhausted
+ * @param {Object} options - getConfig().outbox
+ * @returns {Object} - { dispatchNow, runOnce, start, stop }
+ */
+export const createOutboxDispatcher = ({ eventStore, dispatch, storeEvent }, options) => {
+  const policy = deepFreeze({ ...options });
+
+  // Estado del proceso: entradas en curso y temporizador del sondeo
+  const inFlight = new Set();
+  let timer = null;
+  let polling = false;
+
+  /**
+   * Claims an entry, runs its handler and records the outcome
+   * Returns a Result with { entry, event } (event is the handler's answer) or null if the entry is busy
+   */
+  const processEntry = async (entry) => {
+    if (inFlight.has(entry.event_id)) {
+      return Result.ok(null);
+    }
+
+    inFlight.add(entry.event_id);
+    try {
+      return await tryCatchAsync(async () => {
+        const startedAt = new Date();
+        const claimed = {
+          ...entry,
+          status: 'processing',
+          attempts: (entry.attempts || 0) + 1,
+          // Mientras está en proceso, next_attempt_at es el fin del bloqueo
+          next_attempt_at: new Date(startedAt.getTime() + policy.lockMs).toISOString(),
+          updated_at: startedAt.toISOString()
+        };
+
+        const claimResult = await saveOutboxEntry(eventStore.upsertFn)(claimed);
+        if (!claimResult.isOk) {
+          throw claimResult.unwrapError();
+        }
+
+        const event = toOutboxEvent(entry);
+        const result = await dispatch(event)
+          .catch(error => Result.error(error));
+
+        const settled = settleOutboxEntry(claimed, event, result, new Date(), policy);
+        const saveResult = await saveOutboxEntry(eventStore.upsertFn)(settled);
+        if (!saveResult.isOk) {
+          throw saveResult.unwrapError();
+        }
+
+        if (settled.status === 'failed') {
+          console.error(`❌ Outbox: ${settled.event_type} ${settled.event_id} falló ${settled.attempts} veces, sin más reintentos: ${settled.last_error}`);
+          const deadLetterResult = await recordDeadLetter(eventStore)(settled, event);
+          if (!deadLetterResult.isOk) {
+            console.error('❌ Outbox: no se pudo guardar la dead letter:', deadLetterResult.unwrapError().message);
+          }
+
+          // El evento de fallo del handler solo se guarda cuando ya no habrá más intentos,
+          // y una sola vez aunque un admin reintente la dead letter
+          const firstFailure = !deadLetterResult.isOk || deadLetterResult.unwrap().firstFailure;
+          if (firstFailure && result.isOk && result.unwrap()?.type !== event.type) {
+            await storeEvent(result.unwrap());
+          }
+        } else if (settled.status === 'dispatched') {
+          const resolveResult = await resolveDeadLetter(eventStore)(settled.event_id);
+          if (!resolveResult.isOk) {
+            console.error('❌ Outbox: no se pudo resolver la dead letter:', resolveResult.unwrapError().message);
+          }
+        } else if (settled.status === 'pending') {
+          console.warn(`⚠️ Outbox: ${settled.event_type} ${settled.event_id} falló (intento ${settled.attempts}), reintento a las ${settled.next_attempt_at}`);
+        }
+
+        return deepFreeze({
+          entry: settled,
+          event: result.isOk ? result.unwrap() : event
+        });
+      })();
+    } finally {
+      inFlight.delete(entry.event_id);
+    }
+  };
+
+  /**
+   * Checks that the event of an entry was stored
+   * (a file backend that died between its two writes can leave an entry without its event)
+   */
+  const eventExists = async (eventId) => {
+    const result = await eventStore.queryFn({
+      table: 'events',
+      filters: { id: eventId },
+      select: 'id',
+      limit: 1
+    });
+    return !result.isOk || result.unwrap().length > 0;
+  };
+
+  /**
+   * Marks an entry whose event does not exist as failed, without running its handler
+   */
+  const discardOrphan = (entry) => saveOutboxEntry(eventStore.upsertFn)({
+    ...entry,
+    status: 'failed',
+    last_error: 'Event not found in the event store',
+    updated_at: new Date().toISOString()
+  });
+
+  /**
+   * Dispatches the outbox entry of a just stored event
+   * Returns a Result with { entry, event }, or with { entry: null } if the event has no entry
+   */
+  const dispatchNow = async (storedEvent) => {
+    const entryResult = await fetchOutboxEntry(eventStore.queryFn)(storedEvent.eventId);
+    if (!entryResult.isOk) {
+      return entryResult;
+    }
+
+    const entry = entryResult.unwrap();
+    if (!entry) {
+      return Result.ok(deepFreeze({ entry: null, event: storedEvent }));
+    }
+
+    const processed = await processEntry(entry);
+    return processed.isOk && processed.unwrap() === null
+      ? Result.ok(deepFreeze({ entry, event: storedEvent }))
+      : processed;
+  };
+
+  /**
+   * Processes the due entries once, one at a time and oldest first
+   * Returns a Result with the number of processed entries
+   */
+  const runOnce = async () => {
+    const dueResult = await fetchDueOutboxEntries(eventStore.queryFn)({
+      now: new Date().toISOString(),
+      limit: policy.batchSize
+    });
+    if (!dueResult.isOk) {
+      return dueResult;
+    }
+
+    const entries = dueResult.unwrap();
+    await entries.reduce(
+      (previous, entry) => previous.then(async () =>
+        await eventExists(entry.event_id) ? processEntry(entry) : discardOrphan(entry)),
+      Promise.resolve()
+    );
+
+    return Result.ok(entries.length);
+  };
+
+  /**
+   * Starts polling the outbox every pollIntervalMs
+   */
+  const start = () => {
+    if (timer) {
+      return;
+    }
+
+    timer = setInterval(async () => {
+      if (polling) {
+        return;
+      }
+
+      polling = true;
+      try {
+        const result = await runOnce();
+        if (!result.isOk) {
+          console.error('❌ Outbox: error consultando entradas pendientes:', result.unwrapError().message);
+        }
+      } finally {
+        polling = false;
+      }
+    }, policy.pollIntervalMs);
+
+    // No mantener vivo el proceso solo por el sondeo
+    timer.unref?.();
+    console.log(`📤 Dispatcher del outbox iniciado (cada ${policy.pollIntervalMs} ms)`);
+  };
+
+  /**
+   * Stops polling the outbox
+   */
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return Object.freeze({
+    dispatchNow,
+    runOnce,
+    start,
+    stop
+  });
+};
+
+export default createOutboxDispatcher;
@@ -0,0 +1,165 @@
+/**
+ * Projection replay service - FCIS pattern compliant
+ * Functional, Composable, Isolated, Stateless
+ *
+ * Streams the event log in global order through projection handlers, in batches,
+ * saving a checkpoint after every batch so an interrupted replay resumes where it stopped
+ */
+import { fetchEventsAfterPosition, fetchHeadPosition } from '../shell/eventStore.js';
+import { fetchCheckpoint, saveCheckpoint } from '../shell/projections/checkpointStore.js';
+import { Result, tryCatchAsync, deepFreeze } from '../utils/functional.js';
+
+// Eventos leídos por lote durante el replay
+export const DEFAULT_BATCH_SIZE = 500;
+
+/**
+ * Pure function to compute the progress of a replay
+ * @param {number} position - Last replayed position
+ * @param {number} headPosition - Position of the latest event in the log
+ * @returns {number} - Percentage between 0 and 100
+ */
+export const replayProgress = (position, headPosition) =>
+  headPosition > 0 ? Math.min(100, Math.round((position / headPosition) * 100)) : 100;
+
+/**
+ * Resolves the position a projection starts from
+ * A rebuild from scratch resets the read model and starts from the beginning of the log
+ */
+const loadStartingPoint = async (deps, projection, fromScratch) => {
+  if (fromScratch) {
+    const resetResult = await projection.reset(deps);
+    if (!resetResult.isOk) {
+      throw new Error(`Failed to reset projection ${projection.name}: ${resetResult.unwrapError().message}`);
+    }
+    return { position: 0, eventsProcessed: 0 };
+  }
+
+  const checkpointResult = await fetchCheckpoint(deps.queryFn)(projection.name);
+  if (!checkpointResult.isOk) {
+    throw checkpointResult.unwrapError();
+  }
+
+  const checkpoint = checkpointResult.unwrap();
+  return {
+    position: checkpoint?.position || 0,
+    eventsProcessed: checkpoint?.eventsProcessed || 0
+  };
+};
+
+/**
+ * Applies a batch of events to a projection, one event at a time and in order
+ * Rejects with the position of the event that failed
+ */
+const applyBatch = (handle, projection, events) =>
+  events
+    .filter(event => projection.eventTypes.includes(event.type))
+    .reduce((previous, event) => previous.then(async () => {
+      const result = await handle(event);
+      if (!result.isOk) {
+        throw new Error(`Event at position ${event.position} (${event.type}) failed: ${result.unwrapError().message}`);
+      }
+    }), Promise.resolve());
+
+/**
+ * Replays the event log through one projection
+ * Returns a Result with the final checkpoint or an error (the checkpoint is then marked as failed)
+ * @param {EventStoreBackend} deps - Event store functions (queryFn, persistFn, upsertFn, deleteFn)
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Events read per batch
+ * @param {Function} [options.onProgress] - Called after every batch with { projection, position, headPosition, eventsProcessed, progress }
+ */
+export const replayProjection = (deps, { batchSize = DEFAULT_BATCH_SIZE, onProgress = () => {} } = {}) =>
+  async (projection, { fromScratch = false } = {}) => {
+    const startedAt = new Date().toISOString();
+    const handle = projection.handle(deps);
+
+    // Último lote confirmado: si algo falla, el checkpoint se queda aquí
+    const committed = { position: 0, eventsProcessed: 0 };
+
+    const checkpointAt = (position, eventsProcessed, status, error) =>
+      saveCheckpoint(deps.upsertFn)({ projection: projection.name, position, eventsProcessed, status, error, startedAt });
+
+    const replayFrom = async (position, eventsProcessed, headPosition) => {
+      const eventsResult = await fetchEventsAfterPosition(deps.queryFn)({ afterPosition: position, limit: batchSize });
+      if (!eventsResult.isOk) {
+        throw eventsResult.unwrapError();
+      }
+
+      const events = eventsResult.unwrap();
+      if (events.length === 0) {
+        return { position, eventsProcessed };
+      }
+
+      await applyBatch(handle, projection, events);
+
+      const nextPosition = events[events.length - 1].position;
+      const nextProcessed = eventsProcessed + events.length;
+      const checkpointResult = await checkpointAt(nextPosition, nextProcessed, 'running');
+      if (!checkpointResult.isOk) {
+        throw checkpointResult.unwrapError();
+      }
+
+      committed.position = nextPosition;
+      committed.eventsProcessed = nextProcessed;
+      onProgress(deepFreeze({
+        projection: projection.name,
+        position: nextPosition,
+        headPosition: Math.max(headPosition, nextPosition),
+        eventsProcessed: nextProcessed,
+        progress: replayProgress(nextPosition, Math.max(headPosition, nextPosition))
+      }));
+
+      return events.length < batchSize
+        ? { position: nextPosition, eventsProcessed: nextProcessed }
+        : replayFrom(nextPosition, nextProcessed, headPosition);
+    };
+
+    const result = await tryCatchAsync(async () => {
+      const start = await loadStartingPoint(deps, projection, fromScratch);
+      committed.position = start.position;
+      committed.eventsProcessed = start.eventsProcessed;
+
+      const headResult = await fetchHeadPosition(deps.queryFn)();
+      if (!headResult.isOk) {
+        throw headResult.unwrapError();
+      }
+
+      const startCheckpoint = await checkpointAt(start.position, start.eventsProcessed, 'running');
+      if (!startCheckpoint.isOk) {
+        throw startCheckpoint.unwrapError();
+      }
+
+      const end = await replayFrom(start.position, start.eventsProcessed, headResult.unwrap());
+      return checkpointAt(end.position, end.eventsProcessed, 'idle');
+    })();
+
+    if (!result.isOk) {
+      const error = result.unwrapError();
+      console.error(`❌ Replay de la proyección ${projection.name} fallido:`, error.message);
+      await checkpointAt(committed.position, committed.eventsProcessed, 'failed', error.message);
+    }
+
+    return result;
+  };
+
+/**
+ * Replays the event log through several projections, one after the other
+ * Stops at the first projection that fails
+ * Returns a Result with the final checkpoints or the first error
+ * @param {EventStoreBackend} deps - Event store functions
+ * @param {Object} [options] - Same options as replayProjection
+ */
+export const replayProjections = (deps, options = {}) => async (projections, { fromScratch = false } = {}) =>
+  projections.reduce(
+    (previous, projection) => previous.then(async (checkpoints) => {
+      if (!checkpoints.isOk) {
+        return checkpoints;
+      }
+
+      const result = await replayProjection(deps, options)(projection, { fromScratch });
+      return result.isOk
+        ? Result.ok(deepFreeze([...checkpoints.unwrap(), result.unwrap()]))
+        : result;
+    }),
+    Promise.resolve(Result.ok([]))
+  );
@@ -5,7 +5,11 @@
  * This service provides pure projections of data from external sources (n8n)
  * following functional programming principles
  */
-import { Result, tryCatchAsync, deepFreeze, pipe } from '../utils/functional.js';
+import { Result, tryCatchAsync, deepFreeze } from '../utils/functional.js';
+import { listTickets } from './ticketReadModelService.js';
+import { n8nOutbound } from '../shell/outboundClient.js';
+import { projectionCache } from '../shell/projectionCache.js';
+import { validateN8nResponse, toContractName } from '../validators/n8nContracts.js';
 
 // n8n configuration (should be in environment variables in production)
 const N8N_BASE_URL = process.env.N8N_BASE_URL || 'https://n8n.advancio.io';
@@ -49,49 +53,48 @@ const normalizePath = (path, baseUrl) => {
 
 /**
  * Pure function to fetch data from n8n webhook
+ * Goes through the shared outbound client: timeout, retries, circuit breaker per workflow
+ * The response is checked against the workflow contract (validators/n8nContracts.js)
  * @param {String} webhookPath - Path to n8n webhook
  * @returns {Promise<Result<Object, Error>>} - Result with data or error
  */
 const fetchFromN8N = (webhookPath) => {
   // Devolver una función que, cuando se ejecute, realizará la petición
   const fetchFn = async () => {
-    try {
-      const normalizedBaseUrl = normalizeBaseUrl(N8N_BASE_URL);
-      const normalizedPath = normalizePath(webhookPath, normalizedBaseUrl);
-      const url = `${normalizedBaseUrl}${normalizedPath}`;
-      
-      console.log(`[fetchFromN8N] Fetching data from n8n: ${url}`);
-      
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        }
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`[fetchFromN8N] Response not OK: ${response.status} ${response.statusText}`);
-        throw new Error(`n8n fetch failed: ${response.status} ${errorText}`);
-      }
-      
-      const data = await response.json();
-      console.log(`[fetchFromN8N] Received data:`, JSON.stringify(data).substring(0, 200) + '...');
-      
-      // Verificar si los datos están vacíos o tienen valores en cero
-      if (!data || (typeof data === 'object' && Object.keys(data).length === 0)) {
-        console.warn('[fetchFromN8N] Received empty data object from n8n');
-      } else if (data.ticketCount === 0 && data.openTicketCount === 0) {
-        console.warn('[fetchFromN8N] Received data with all zero values, might indicate an issue with n8n integration');
+    const normalizedBaseUrl = normalizeBaseUrl(N8N_BASE_URL);
+    const normalizedPath = normalizePath(webhookPath, normalizedBaseUrl);
+    const url = `${normalizedBaseUrl}${normalizedPath}`;
+    
+    console.log(`[fetchFromN8N] Fetching data from n8n: ${url}`);
+    
+    const result = await n8nOutbound.request(url, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Requested-With': 'XMLHttpRequest'
       }
-      
-      return Result.ok(data);
-    } catch (error) {
-      console.error(`[fetchFromN8N] Fetch error:`, error);
-      return Result.error(error);
+    });
+    
+    if (!result.isOk) {
+      console.error(`[fetchFromN8N] Fetch error:`, result.unwrapError().message);
+      return result;
+    }
+    
+    const data = result.unwrap().body;
+    console.log(`[fetchFromN8N] Received data:`, JSON.stringify(data).substring(0, 200) + '...');
+    
+    // Un cambio de forma del workflow es un error, no un dashboard vacío o a cero
+    const validation = validateN8nResponse(toContractName(webhookPath), data);
+    if (!validation.isOk) {
+      console.error(`[fetchFromN8N] Unexpected response shape:`, validation.unwrapError().message);
+      return validation;
+    }
+    
+    if (data?.ticketCount === 0 && data?.openTicketCount === 0) {
+      console.warn('[fetchFromN8N] Received data with all zero values, might indicate an issue with n8n integration');
     }
+    
+    return Result.ok(data);
   };
   
   return fetchFn;
@@ -132,7 +135,7 @@ const projectTickets = (rawData) => {
     })),
     meta: rawData.meta || {},
     lastUpdated: rawData.timestamp || new Date().toISOString(),
-    source: "zoho"
+    source: rawData.source || "zoho"
   });
 };
 
@@ -218,14 +221,27 @@ const projectCategories = (rawData) => deepFreeze({
   source: "zoho"
 });
 
+/**
+ * Reads a projection through the projection cache
+ * The upstream data is cached; the projection is applied on every read
+ * @param {String} name - Projection name in the cache (its TTL key)
+ * @param {String} webhookPath - Path to n8n webhook
+ * @param {Function} project - Projection of the raw data
+ * @returns {Function} - Async function that returns a Result with { value, cache }
+ */
+const readCachedProjection = (name, webhookPath, project) => async () => {
+  const result = await projectionCache.read(name, fetchFromN8N(webhookPath));
+  return result.map(({ value, cache }) => ({ value: project(value), cache }));
+};
+
 /**
  * Compose a function to fetch and project dashboard overview data
  * @returns {Function} - Async function that returns projected data
  */
-export const getDashboardOverview = pipe(
-  fetchFromN8N('/projections/dashboard/overview'),
-  result => result.map(projectDashboardOverview)
-);
+export const getDashboardOverview = async () => {
+  const result = await fetchFromN8N('/projections/dashboard/overview')();
+  return result.map(projectDashboardOverview);
+};
 
 /**
  * Compose a function to fetch and project dashboard tickets data
@@ -237,7 +253,7 @@ export const getDashboardTickets = async () => {
     const webhookPath = '/webhook/zoho-tickets';
     console.log(`[getDashboardTickets] Intentando obtener tickets desde: ${webhookPath}`);
     
-    const result = await fetchFromN8N(webhookPath);
+    const result = await fetchFromN8N(webhookPath)();
     
     console.log('[getDashboardTickets] Fetch result:', result);
     
@@ -269,14 +285,36 @@ export const getDashboardTickets = async () => {
   }
 };
 
+/**
+ * Fetches dashboard tickets from the local ticket read model
+ * @param {EventStoreBackend} eventStore - Backend holding the read model
+ * @returns {Function} - Async function that returns projected data
+ */
+export const getReadModelDashboardTickets = (eventStore) => async () => {
+  const result = await listTickets(eventStore)({});
+  return result.map(projectTickets);
+};
+
+/**
+ * Reads dashboard contacts data through the projection cache
+ * @returns {Function} - Async function that returns a Result with { value, cache }
+ */
+export const readDashboardContacts = readCachedProjection('contacts', '/projections/dashboard/contacts', projectContacts);
+
 /**
  * Compose a function to fetch and project dashboard contacts data
  * @returns {Function} - Async function that returns projected data
  */
-export const getDashboardContacts = pipe(
-  fetchFromN8N('/projections/dashboard/contacts'),
-  result => result.map(projectContacts)
-);
+export const getDashboardContacts = async () => {
+  const result = await readDashboardContacts();
+  return result.map(({ value }) => value);
+};
+
+/**
+ * Reads reports overview data through the projection cache
+ * @returns {Function} - Async function that returns a Result with { value, cache }
+ */
+export const readReportsOverview = readCachedProjection('reportsOverview', 'overview', projectReportsOverview);
 
 /**
  * Compose a function to fetch and project reports overview data
@@ -284,18 +322,14 @@ export const getDashboardContacts = pipe(
  */
 export const getReportsOverview = async () => {
   try {
-    // Obtener los datos usando la función fetchFromN8N
-    const fetchFn = fetchFromN8N('overview');
-    const result = await fetchFn();
-    
-    console.log('[getReportsOverview] Fetch result:', result);
+    // Datos de n8n a través de la caché de proyecciones
+    const result = await readReportsOverview();
     
     // Verificar si tenemos un Result válido
     if (result && result.isOk) {
-      // Transformar los datos utilizando la función de proyección
-      const data = result.unwrap();
-      console.log('[getReportsOverview] Unwrapped data:', JSON.stringify(data).substring(0, 200) + '...');
-      return Result.ok(projectReportsOverview(data));
+      const { value, cache } = result.unwrap();
+      console.log(`[getReportsOverview] Projected data (cache ${cache.status}):`, JSON.stringify(value).substring(0, 200) + '...');
+      return Result.ok(value);
     }
     
     // Si llegamos aquí, ocurrió un error
@@ -312,31 +346,26 @@ export const getReportsOverview = async () => {
   }
 };
 
+/**
+ * Reads Zoho categories/departments data through the projection cache
+ * @returns {Function} - Async function that returns a Result with { value, cache }
+ */
+export const readZohoCategories = readCachedProjection('categories', 'webhook/zoho-categories', projectCategories);
+
 /**
  * Compose a function to fetch and project Zoho categories/departments data
  * @returns {Function} - Async function that returns projected data
  */
 export const getZohoCategories = async () => {
   try {
-    // Mostrar claramente la URL que estamos intentando consultar
-    const webhookPath = 'webhook/zoho-categories';
-    const normalizedBaseUrl = normalizeBaseUrl(N8N_BASE_URL);
-    const normalizedPath = normalizePath(webhookPath, normalizedBaseUrl);
-    const url = `${normalizedBaseUrl}/${normalizedPath}`;
-    
-    console.log(`[getZohoCategories] Intentando obtener categorías desde: ${url}`);
-    
-    // Obtener los datos directamente como una promesa (no como una función)
-    const result = await fetchFromN8N(webhookPath);
-    
-    console.log('[getZohoCategories] Fetch result:', result);
+    // Datos de n8n a través de la caché de proyecciones
+    const result = await readZohoCategories();
     
     // Verificar si tenemos un Result válido
     if (result && result.isOk) {
-      // Transformar los datos utilizando la función de proyección
-      const data = result.unwrap();
-      console.log('[getZohoCategories] Unwrapped data:', JSON.stringify(data).substring(0, 200) + '...');
-      return Result.ok(projectCategories(data));
+      const { value, cache } = result.unwrap();
+      console.log(`[getZohoCategories] Projected data (cache ${cache.status}):`, JSON.stringify(value).substring(0, 200) + '...');
+      return Result.ok(value);
     }
     
     // Si llegamos aquí, ocurrió un error
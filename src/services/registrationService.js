@@ -8,6 +8,7 @@
 import fetch from 'node-fetch';
 import supabaseClient, { createSupabaseClient } from '../shell/supabaseClient.js';
 import { getConfig } from '../config.js';
+import { validateN8nResponse } from '../validators/n8nContracts.js';
 
 /**
  * Valida si un email corresponde a un contacto registrado en Zoho CRM
@@ -103,10 +104,11 @@ export const validateZohoContact = async (email) => {
     }
     
     // Si llegamos aquí, el contacto existe y tenemos sus datos
-    // Verificamos que tenga los campos esperados
-    if (!contactData.email) {
-      console.error('❌ Datos de contacto incompletos (falta email):', contactData);
-      throw new Error('Incomplete contact data received from Zoho CRM');
+    // Verificamos que tengan la forma del contrato del workflow
+    const validation = validateN8nResponse('account-checkuser', contactData);
+    if (!validation.isOk) {
+      console.error('❌ Datos de contacto incompletos:', validation.unwrapError().message);
+      throw validation.unwrapError();
     }
     
     // Datos válidos, retornamos la información del contacto
@@ -0,0 +1,112 @@
+/**
+ * State reconstruction service - FCIS pattern compliant
+ * Functional, Composable, Isolated, Stateless
+ *
+ * Rebuilds a user's state from the latest snapshot plus the events appended after it,
+ * and takes a new snapshot every `snapshotInterval` events
+ */
+import { applyEvents, initialState, STATE_REDUCER_VERSION } from '../core/transition.js';
+import { fetchEventsByUserAndFilters } from '../shell/eventStore.js';
+import { fetchLatestSnapshot, storeSnapshot } from '../shell/snapshotStore.js';
+import { getStreamVersion } from '../utils/aggregateUtils.js';
+import { Result, tryCatchAsync, deepFreeze } from '../utils/functional.js';
+
+/**
+ * Pure function to decide whether a new snapshot should be taken
+ * @param {number} version - Current stream version
+ * @param {number} snapshotVersion - Version of the snapshot used (0 if none)
+ * @param {number} interval - Events between snapshots (0 disables snapshots)
+ * @returns {boolean} - True if enough events were replayed since the snapshot
+ */
+export const shouldTakeSnapshot = (version, snapshotVersion, interval) =>
+  interval > 0 && version - snapshotVersion >= interval;
+
+// Eventos leídos por consulta: PostgREST corta cada respuesta en 1000 filas
+const DEFAULT_PAGE_SIZE = 500;
+
+/**
+ * Fetches the events of a stream after a version, a page at a time until a short page
+ * Returns a Result with the events in version order or an error
+ * @param {QueryFn} queryFn - Function to query data
+ * @param {number} pageSize - Events per query
+ */
+const fetchEventsAfterVersion = (queryFn, pageSize) => async (email, afterVersion, fetched = []) => {
+  const pageResult = await fetchEventsByUserAndFilters(queryFn)({
+    email,
+    filters: afterVersion > 0 ? { version: { gt: afterVersion } } : {},
+    limit: pageSize
+  });
+  
+  if (!pageResult.isOk) {
+    return pageResult;
+  }
+  
+  const page = pageResult.unwrap();
+  const events = [...fetched, ...page];
+  return page.length < pageSize
+    ? Result.ok(events)
+    : fetchEventsAfterVersion(queryFn, pageSize)(email, page[page.length - 1].version, events);
+};
+
+/**
+ * Loads the latest usable snapshot, falling back to the initial state
+ * A failing snapshot read never blocks reconstruction
+ */
+const loadStartingPoint = async (queryFn, email) => {
+  const snapshotResult = await fetchLatestSnapshot(queryFn)(email, STATE_REDUCER_VERSION);
+  
+  if (!snapshotResult.isOk) {
+    console.warn(`⚠️ No se pudo leer el snapshot de ${email}, reconstruyendo desde cero:`, snapshotResult.unwrapError().message);
+  }
+  
+  const snapshot = snapshotResult.isOk ? snapshotResult.unwrap() : null;
+  return snapshot
+    ? { state: snapshot.state, version: snapshot.version }
+    : { state: initialState, version: 0 };
+};
+
+/**
+ * Reconstructs the state of a user
+ * Returns a Result with { state, version, snapshotVersion } or an error
+ * @param {Object} deps - Event store functions
+ * @param {QueryFn} deps.queryFn - Function to query data
+ * @param {PersistFn} [deps.persistFn] - Function to persist snapshots
+ * @param {Object} options
+ * @param {number} options.snapshotInterval - Events between snapshots (0 disables snapshots)
+ * @param {number} [options.pageSize] - Events read per query
+ */
+export const reconstructState = ({ queryFn, persistFn }, { snapshotInterval, pageSize = DEFAULT_PAGE_SIZE }) => async (email) => {
+  return tryCatchAsync(async () => {
+    const startingPoint = await loadStartingPoint(queryFn, email);
+    
+    // Solo los eventos posteriores al snapshot, por páginas: un stream puede ir muy por delante
+    // de su último snapshot (se guardan sin esperar y pueden fallar)
+    const eventsResult = await fetchEventsAfterVersion(queryFn, pageSize)(email, startingPoint.version);
+    
+    if (!eventsResult.isOk) {
+      return eventsResult;
+    }
+    
+    const events = eventsResult.unwrap();
+    const state = applyEvents(startingPoint.state, events);
+    const version = Math.max(startingPoint.version, getStreamVersion(events));
+    
+    if (persistFn && shouldTakeSnapshot(version, startingPoint.version, snapshotInterval)) {
+      // No bloqueamos la respuesta: un snapshot fallido solo implica más replay la próxima vez
+      storeSnapshot(persistFn)({ email, version, reducerVersion: STATE_REDUCER_VERSION, state })
+        .then(result => {
+          if (result.isOk) {
+            console.log(`📸 Snapshot guardado para ${email} en la versión ${version}`);
+          } else {
+            console.error(`Failed to store snapshot: ${result.unwrapError().message}`);
+          }
+        });
+    }
+    
+    return Result.ok(deepFreeze({
+      state,
+      version,
+      snapshotVersion: startingPoint.version
+    }));
+  })();
+};
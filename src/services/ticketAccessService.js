@@ -0,0 +1,102 @@
+/**
+ * Ticket access service - FCIS pattern compliant
+ * Functional, Composable, Isolated, Stateless
+ *
+ * Decides whether a user may take part in a ticket (its chat, its history):
+ * the owner of the ticket, the agent it is assigned to, and admins
+ * The ticket comes from the ticket read model, or from its events if the
+ * read model does not have it yet
+ */
+import { Result, tryCatchAsync, deepFreeze } from '../utils/functional.js';
+import { fetchTicketRow } from '../shell/projections/ticketReadModel.js';
+import { fetchTicketEvents } from '../shell/eventStore.js';
+import getConfig from '../config.js';
+
+/**
+ * Creates a ticket access error with its HTTP status
+ */
+const ticketAccessError = (status, message, errorCode) => Result.error(new Error(JSON.stringify({
+  status,
+  message,
+  details: { errorCode }
+})));
+
+/**
+ * Pure function to normalize an email for comparisons
+ */
+const toEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Pure function to find the role of a user in a ticket
+ * @param {string} email - Email of the user
+ * @param {Object} ticket - { email, assigneeEmail } of the ticket
+ * @param {Array<string>} adminEmails - Emails of the admins
+ * @returns {string|null} - 'owner', 'assignee', 'admin' or null if the user has no access
+ */
+export const ticketRole = (email, ticket, adminEmails = []) => {
+  const normalized = toEmail(email);
+  if (!normalized) {
+    return null;
+  }
+  if (ticket?.email && toEmail(ticket.email) === normalized) {
+    return 'owner';
+  }
+  if (ticket?.assigneeEmail && toEmail(ticket.assigneeEmail) === normalized) {
+    return 'assignee';
+  }
+  return adminEmails.includes(normalized) ? 'admin' : null;
+};
+
+/**
+ * Finds the owner and assignee of a ticket
+ * Returns a Result with { ticketId, email, assigneeEmail } or null if the ticket is unknown
+ * @param {EventStoreBackend} eventStore - Backend holding the read model and the events
+ */
+export const fetchTicketParticipants = (eventStore) => async (ticketId) => {
+  return tryCatchAsync(async () => {
+    const rowResult = await fetchTicketRow(eventStore.queryFn)(ticketId);
+    if (!rowResult.isOk) {
+      throw rowResult.unwrapError();
+    }
+
+    const row = rowResult.unwrap();
+    if (row?.email) {
+      return deepFreeze({ ticketId, email: row.email, assigneeEmail: row.assignee_email || null });
+    }
+
+    // El read model puede ir por detrás (o haberse reconstruido): buscar el TICKET_CREATED
+    const eventsResult = await fetchTicketEvents(eventStore.queryFn)(ticketId);
+    if (!eventsResult.isOk) {
+      throw eventsResult.unwrapError();
+    }
+
+    const created = eventsResult.unwrap().find(event => event.type === 'TICKET_CREATED');
+    return created || row
+      ? deepFreeze({ ticketId, email: created?.email || null, assigneeEmail: row?.assignee_email || null })
+      : null;
+  })();
+};
+
+/**
+ * Checks that a user may take part in a ticket
+ * Returns a Result with { ticketId, email, role } or a 404/403 error
+ * @param {EventStoreBackend} eventStore - Backend holding the read model and the events
+ */
+export const authorizeTicketAccess = (eventStore) => async (ticketId, email) => {
+  const participantsResult = await fetchTicketParticipants(eventStore)(ticketId);
+  if (!participantsResult.isOk) {
+    return participantsResult;
+  }
+
+  const participants = participantsResult.unwrap();
+  if (!participants) {
+    return ticketAccessError(404, `Ticket not found: ${ticketId}`, 'TICKET_NOT_FOUND');
+  }
+
+  const role = ticketRole(email, participants, getConfig().security.adminEmails);
+  if (!role) {
+    return ticketAccessError(403, 'You do not have access to this ticket', 'TICKET_ACCESS_DENIED');
+  }
+
+  return Result.ok(deepFreeze({ ticketId, email, role }));
+};
@@ -0,0 +1,422 @@
+/**
+ * Ticket read model service - FCIS pattern compliant
+ * Functional, Composable, Isolated, Stateless
+ *
+ * Serves ticket lists from the local ticket read model (filtering, sorting and
+ * pagination in the database). The Zoho tickets (via n8n) of each filter are imported
+ * into the read model in the background, on its first read and again once its sync
+ * interval has passed
+ */
+import { Result, tryCatchAsync, deepFreeze } from '../utils/functional.js';
+import { normalizeStatus } from '../core/ticketLifecycle.js';
+import {
+  TICKET_READ_MODEL_TABLE,
+  TICKET_ZOHO_SYNC_TABLE,
+  normalizeTicketPriority,
+  fromZohoTicket,
+  fetchLinkedTicketRows,
+  saveTicketRows
+} from '../shell/projections/ticketReadModel.js';
+import * as zohoProxyService from './zohoProxyService.js';
+import getConfig from '../config.js';
+
+// Campos por los que se puede ordenar y su columna en el read model
+export const TICKET_SORT_FIELDS = deepFreeze({
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  priority: 'priority_rank',
+  status: 'status',
+  subject: 'subject'
+});
+
+export const TICKET_SOURCES = Object.freeze(['local', 'zoho']);
+
+/**
+ * Creates the error returned for an invalid ticket query
+ */
+const invalidQuery = (message) => Result.error(new Error(JSON.stringify({
+  status: 400,
+  message,
+  details: { errorCode: 'INVALID_TICKET_QUERY' }
+})));
+
+/**
+ * Pure function to split a comma separated query value
+ * @param {string|Array<string>} value - Query string value
+ * @returns {Array<string>} - Non empty values
+ */
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+/**
+ * Pure function to turn a list into an equality (one value) or membership filter
+ */
+const toFilterValue = (values) => values.length === 1 ? values[0] : values;
+
+/**
+ * Pure function to parse a non negative integer query value
+ */
+const toInteger = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+/**
+ * Pure function to parse the query string of a ticket list request
+ * Supported parameters:
+ * - status, priority, source: one value or a comma separated list
+ * - email (or clientEmail), departmentId
+ * - sortBy (createdAt, updatedAt, priority, status, subject) and sortOrder (asc, desc)
+ * - limit and from (offset), as in the n8n zoho-tickets webhook
+ * @param {Object} query - Query string parameters
+ * @param {Object} [options] - { pageSize, maxPageSize }
+ * @returns {Result} - Result with { filters, order, ascending, limit, from } or a 400 error
+ */
+export const parseTicketQuery = (query = {}, { pageSize = 50, maxPageSize = 200 } = {}) => {
+  const statuses = toList(query.status).map(status => normalizeStatus(status) || status);
+  const priorities = toList(query.priority);
+  const sources = toList(query.source);
+  const unknownPriority = priorities.find(priority => !normalizeTicketPriority(priority));
+  const unknownSource = sources.find(source => !TICKET_SOURCES.includes(source));
+  const sortBy = query.sortBy || 'updatedAt';
+  const sortOrder = String(query.sortOrder || 'desc').toLowerCase();
+
+  if (unknownPriority) {
+    return invalidQuery(`Invalid priority: ${unknownPriority}. Must be one of: Low, Medium, High, Urgent`);
+  }
+
+  if (unknownSource) {
+    return invalidQuery(`Invalid source: ${unknownSource}. Must be one of: ${TICKET_SOURCES.join(', ')}`);
+  }
+
+  if (!TICKET_SORT_FIELDS[sortBy]) {
+    return invalidQuery(`Invalid sortBy: ${sortBy}. Must be one of: ${Object.keys(TICKET_SORT_FIELDS).join(', ')}`);
+  }
+
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    return invalidQuery('Invalid sortOrder. Must be asc or desc');
+  }
+
+  const email = query.email || query.clientEmail;
+
+  return Result.ok(deepFreeze({
+    filters: {
+      ...(statuses.length > 0 && { status: toFilterValue(statuses) }),
+      ...(priorities.length > 0 && { priority: toFilterValue(priorities.map(normalizeTicketPriority)) }),
+      ...(sources.length > 0 && { source: toFilterValue(sources) }),
+      ...(email && { email: String(email).toLowerCase() }),
+      ...(query.departmentId && { department_id: String(query.departmentId) })
+    },
+    order: TICKET_SORT_FIELDS[sortBy],
+    ascending: sortOrder === 'asc',
+    limit: Math.min(Math.max(toInteger(query.limit, pageSize), 1), maxPageSize),
+    from: toInteger(query.from, 0)
+  }));
+};
+
+/**
+ * Pure function to map a read model row to the ticket shape of the n8n zoho-tickets webhook
+ * @param {Object} row - Read model row
+ * @returns {Object} - Ticket for the API response
+ */
+export const toTicketResponse = (row) => deepFreeze({
+  id: row.ticket_id,
+  ticketNumber: row.ticket_number || null,
+  subject: row.subject,
+  description: row.description,
+  status: row.status,
+  priority: row.priority,
+  email: row.email,
+  departmentId: row.department_id || null,
+  departmentName: row.department_name || null,
+  contactId: row.contact_id || null,
+  contactName: row.contact_name || null,
+  assigneeId: row.assignee_id || null,
+  category: row.category || null,
+  escalated: row.escalated === true,
+  commentCount: row.comment_count || 0,
+  lastCommentTime: row.last_comment_at || null,
+  createdTime: row.created_at,
+  modifiedTime: row.updated_at || row.created_at,
+  closedTime: row.closed_at || null,
+  createdTimestamp: row.created_at ? new Date(row.created_at).getTime() : 0,
+  lastUpdatedTimestamp: new Date(row.updated_at || row.created_at || 0).getTime(),
+  source: row.source
+});
+
+/**
+ * Queries a page of the ticket read model
+ * One extra row is read to know whether there is a next page
+ * @param {QueryFn} queryFn - Function to query data
+ * @returns {Function} - Function that takes a parsed query and returns a Result with { rows, hasMore }
+ */
+export const queryTicketReadModel = (queryFn) => async ({ filters, order, ascending, limit, from }) => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: TICKET_READ_MODEL_TABLE,
+      filters,
+      order,
+      // Desempate estable: con el mismo valor de orden las páginas no se solapan
+      thenOrder: 'ticket_id',
+      ascending,
+      limit: limit + 1,
+      offset: from
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to query ticket read model: ${result.unwrapError().message}`);
+    }
+
+    const rows = result.unwrap() || [];
+    return deepFreeze({
+      rows: rows.slice(0, limit),
+      hasMore: rows.length > limit
+    });
+  })();
+};
+
+/**
+ * Pure function to build the key of the sync state of a set of Zoho filters
+ * The keys are sorted so the same filters always map to the same state
+ */
+const toSyncKey = (zohoFilters = {}) => JSON.stringify(
+  Object.keys(zohoFilters).sort().reduce((acc, key) => ({ ...acc, [key]: zohoFilters[key] }), {})
+);
+
+/**
+ * Pure function to check whether the Zoho import of a filter must run again
+ * @param {Object|null} syncState - ticket_zoho_sync row of the filter, or null
+ * @param {Date} now - Current time
+ * @param {number} intervalMs - Refresh interval
+ * @returns {boolean} - True if the filter was never imported or the import is older than the interval
+ */
+export const isZohoSyncDue = (syncState, now, intervalMs) =>
+  !syncState?.synced_at || now.getTime() - new Date(syncState.synced_at).getTime() >= intervalMs;
+
+/**
+ * Fetches the sync state of a set of Zoho filters
+ * Returns a Result with the row or null
+ */
+const fetchSyncState = (queryFn) => async (syncKey) => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: TICKET_ZOHO_SYNC_TABLE,
+      filters: { filter_key: syncKey },
+      limit: 1
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to fetch ticket sync state: ${result.unwrapError().message}`);
+    }
+
+    return (result.unwrap() || [])[0] || null;
+  })();
+};
+
+/**
+ * Pure function to extract the tickets of a Zoho (n8n) response
+ */
+const toZohoTicketList = (response) =>
+  (response?.tickets || response?.data || (Array.isArray(response) ? response : []))
+    .filter(ticket => ticket?.id);
+
+/**
+ * Saves a page of Zoho tickets in the read model: one lookup and one write per page
+ * A ticket created through a command is linked to its Zoho ticket (external_ticket_id):
+ * its row is refreshed instead of adding a second row with the Zoho id
+ */
+const saveZohoTickets = ({ queryFn, upsertFn }) => async (tickets, syncedAt) => {
+  if (tickets.length === 0) {
+    return Result.ok([]);
+  }
+
+  const linkedResult = await fetchLinkedTicketRows(queryFn)(tickets.map(ticket => ticket.id));
+  if (!linkedResult.isOk) {
+    return linkedResult;
+  }
+
+  const linkedById = new Map(linkedResult.unwrap().map(row => [String(row.external_ticket_id), row]));
+  const rows = tickets.map(ticket => {
+    const row = fromZohoTicket(ticket, syncedAt);
+    const linked = linkedById.get(String(ticket.id));
+    // Mismas columnas en todas las filas: el upsert de varias filas rellena las que faltan con null
+    return linked
+      ? { ...row, ticket_id: linked.ticket_id, source: linked.source, external_ticket_id: linked.external_ticket_id }
+      : { ...row, external_ticket_id: null };
+  });
+
+  return saveTicketRows(upsertFn)(rows);
+};
+
+/**
+ * Fetches tickets from Zoho (via n8n) page by page and caches them in the read model
+ * Pages are read until a short page or maxPages, and the sync state of the filters is recorded
+ * A complete import also removes the Zoho rows of the filters it did not see (synced_at older
+ * than the import): tickets deleted in Zoho or that no longer match the filters
+ * Returns a Result with the number of cached tickets
+ * @param {Object} deps - { queryFn, upsertFn, deleteFn, fetchZohoTickets }
+ * @param {Object} [options] - { pageSize, maxPages }
+ * @returns {Function} - (zohoFilters, rowFilters) => Promise<Result>; rowFilters are the same filters on the read model
+ */
+export const cacheZohoTickets = ({ queryFn, upsertFn, deleteFn, fetchZohoTickets = zohoProxyService.getTickets }, options = {}) =>
+  async (zohoFilters = {}, rowFilters = {}) => {
+    const { zohoImportPageSize, zohoImportMaxPages } = getConfig().tickets;
+    const pageSize = options.pageSize || zohoImportPageSize;
+    const maxPages = options.maxPages || zohoImportMaxPages;
+
+    return tryCatchAsync(async () => {
+      const syncedAt = new Date().toISOString();
+
+      // Página a página y en orden: así un fallo no deja escrituras en vuelo
+      const importPage = async (page, imported) => {
+        const response = await fetchZohoTickets({ ...zohoFilters, from: page * pageSize, limit: pageSize });
+        const tickets = toZohoTicketList(response);
+
+        const saveResult = await saveZohoTickets({ queryFn, upsertFn })(tickets, syncedAt);
+        if (!saveResult.isOk) {
+          throw saveResult.unwrapError();
+        }
+
+        const total = imported + tickets.length;
+        if (tickets.length < pageSize) {
+          return { count: total, complete: true };
+        }
+        return page + 1 >= maxPages
+          ? { count: total, complete: false }
+          : importPage(page + 1, total);
+      };
+
+      const { count, complete } = await importPage(0, 0);
+
+      // Solo una importación completa sabe qué tickets ya no están; las filas enlazadas son locales
+      if (complete && deleteFn) {
+        const staleResult = await deleteFn(TICKET_READ_MODEL_TABLE, {
+          ...rowFilters,
+          source: 'zoho',
+          synced_at: { lt: syncedAt }
+        });
+        if (!staleResult.isOk) {
+          throw staleResult.unwrapError();
+        }
+        if (staleResult.unwrap().count > 0) {
+          console.log(`🧹 ${staleResult.unwrap().count} tickets de Zoho ya no están en la importación, se quitan del read model`);
+        }
+      }
+
+      const stateResult = await upsertFn(TICKET_ZOHO_SYNC_TABLE, {
+        filter_key: toSyncKey(zohoFilters),
+        synced_at: syncedAt,
+        ticket_count: count
+      }, { onConflict: 'filter_key' });
+      if (!stateResult.isOk) {
+        throw stateResult.unwrapError();
+      }
+
+      console.log(`🗂️ ${count} tickets de Zoho guardados en el read model`);
+      return count;
+    })();
+  };
+
+// Importaciones de Zoho en curso por backend y filtro: una sola a la vez por filtro
+const runningZohoImports = new WeakMap();
+
+/**
+ * Starts the Zoho import of a filter in the background, unless one is already running
+ * Failures are only logged: the next due read tries again
+ * @returns {Promise<Result>} - The running import
+ */
+const startZohoImport = (eventStore, syncKey, runImport) => {
+  const running = runningZohoImports.get(eventStore) || new Map();
+  runningZohoImports.set(eventStore, running);
+
+  if (!running.has(syncKey)) {
+    running.set(syncKey, runImport()
+      .then(result => {
+        if (!result.isOk) {
+          console.warn('⚠️ No se pudieron importar los tickets de Zoho:', result.unwrapError().message);
+        }
+        return result;
+      })
+      .finally(() => running.delete(syncKey)));
+  }
+
+  return running.get(syncKey);
+};
+
+/**
+ * Pure function to build the Zoho filters of an import
+ * Only the filters the n8n webhook understands are forwarded
+ */
+const toZohoFilters = (query = {}) => ({
+  ...(query.status && { status: query.status }),
+  ...(query.priority && { priority: query.priority }),
+  ...(query.departmentId && { departmentId: query.departmentId }),
+  ...((query.email || query.clientEmail) && { clientEmail: query.email || query.clientEmail })
+});
+
+/**
+ * Lists tickets from the read model, and imports the Zoho tickets of the filters in the background when due
+ * The first page of a filter starts the import when the filter was never imported, or when its
+ * last import is older than TICKETS_ZOHO_SYNC_INTERVAL_MS; the request does not wait for it
+ * Returns a Result with the same shape as the n8n zoho-tickets webhook:
+ * { success, tickets, meta: { from, limit, count, hasMore, sortBy, sortOrder, syncing }, timestamp, source }
+ * @param {EventStoreBackend} eventStore - Backend holding the read model (queryFn, upsertFn, deleteFn)
+ * @param {Object} [options] - { fetchZohoTickets, pageSize, maxPageSize, syncIntervalMs }
+ */
+export const listTickets = (eventStore, options = {}) => async (query = {}) => {
+  const { pageSize, maxPageSize, zohoSyncIntervalMs } = getConfig().tickets;
+  const parsedResult = parseTicketQuery(query, {
+    pageSize: options.pageSize || pageSize,
+    maxPageSize: options.maxPageSize || maxPageSize
+  });
+  if (!parsedResult.isOk) {
+    return parsedResult;
+  }
+
+  const parsed = parsedResult.unwrap();
+  const pageResult = await queryTicketReadModel(eventStore.queryFn)(parsed);
+  if (!pageResult.isOk) {
+    return pageResult;
+  }
+
+  const zohoFilters = toZohoFilters(query);
+  const syncKey = toSyncKey(zohoFilters);
+  const syncState = parsed.from === 0
+    ? await fetchSyncState(eventStore.queryFn)(syncKey)
+    : null;
+  // Sin estado legible se importa: es preferible una llamada de más a una lista incompleta
+  const isSyncDue = parsed.from === 0 && (!syncState.isOk || isZohoSyncDue(
+    syncState.unwrap(),
+    new Date(),
+    options.syncIntervalMs ?? zohoSyncIntervalMs
+  ));
+
+  if (isSyncDue) {
+    // El filtro de origen no cambia qué tickets de Zoho tiene el filtro
+    const { source: _source, ...rowFilters } = parsed.filters;
+    startZohoImport(eventStore, syncKey, () => cacheZohoTickets({
+      queryFn: eventStore.queryFn,
+      upsertFn: eventStore.upsertFn,
+      deleteFn: eventStore.deleteFn,
+      fetchZohoTickets: options.fetchZohoTickets
+    })(zohoFilters, rowFilters));
+  }
+
+  return pageResult.map(({ rows, hasMore }) => deepFreeze({
+    success: true,
+    tickets: rows.map(toTicketResponse),
+    meta: {
+      from: parsed.from,
+      limit: parsed.limit,
+      count: rows.length,
+      hasMore,
+      sortBy: Object.keys(TICKET_SORT_FIELDS).find(field => TICKET_SORT_FIELDS[field] === parsed.order),
+      sortOrder: parsed.ascending ? 'asc' : 'desc',
+      syncing: runningZohoImports.get(eventStore)?.has(syncKey) === true
+    },
+    timestamp: new Date().toISOString(),
+    source: 'read-model'
+  }));
+};
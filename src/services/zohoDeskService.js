@@ -0,0 +1,282 @@
+/**
+ * Zoho Desk API service - FCIS pattern compliant
+ * Functional, Composable, Isolated, Stateless
+ *
+ * Ticket and comment operations against the Zoho Desk REST API, used instead of the
+ * n8n workflows when ZOHO_DESK_DRIVER=api. Responses keep the shape of the n8n
+ * workflows (zoho-tickets, zoho-ticket-detail, zoho-create-ticket, zoho-add-comment),
+ * so callers do not depend on which driver is configured
+ */
+import { tryCatchAsync, deepFreeze } from '../utils/functional.js';
+import { createZohoDeskClient } from '../shell/zohoDeskClient.js';
+import getConfig from '../config.js';
+
+// Datos relacionados que Zoho Desk incluye con cada ticket (email del cliente y del agente)
+const TICKET_INCLUDE = 'contacts,assignee,departments';
+
+/**
+ * Throws the error of a failed Result, returns its value otherwise
+ */
+const unwrapOrThrow = (result) => {
+  if (!result.isOk) {
+    throw result.unwrapError();
+  }
+  return result.unwrap();
+};
+
+/**
+ * Pure function to convert a time into milliseconds (0 if missing)
+ */
+const toTimestamp = (time) => time ? new Date(time).getTime() : 0;
+
+/**
+ * Pure function to map a Zoho Desk ticket to the n8n zoho-tickets item shape
+ * Also keeps the customer and assignee emails, which the ticket read model uses
+ * @param {Object} ticket - Ticket as returned by Zoho Desk
+ * @returns {Object} - Ticket summary
+ */
+export const toTicketSummary = (ticket) => ({
+  id: ticket.id,
+  ticketNumber: ticket.ticketNumber,
+  subject: ticket.subject,
+  status: ticket.status,
+  priority: ticket.priority,
+  departmentId: ticket.departmentId,
+  departmentName: ticket.departmentName || ticket.department?.name,
+  contactId: ticket.contactId,
+  contactName: ticket.contactName || [ticket.contact?.firstName, ticket.contact?.lastName].filter(Boolean).join(' ') || undefined,
+  accountId: ticket.accountId,
+  accountName: ticket.accountName || ticket.contact?.account?.accountName,
+  email: ticket.email || ticket.contact?.email,
+  assigneeId: ticket.assigneeId,
+  assigneeEmail: ticket.assignee?.email,
+  description: ticket.description,
+  createdTime: ticket.createdTime,
+  modifiedTime: ticket.modifiedTime,
+  dueDate: ticket.dueDate,
+  category: ticket.category,
+  commentCount: ticket.commentCount !== undefined ? Number(ticket.commentCount) : undefined,
+  createdTimestamp: toTimestamp(ticket.createdTime),
+  lastUpdatedTimestamp: toTimestamp(ticket.modifiedTime)
+});
+
+/**
+ * Pure function to map a Zoho Desk ticket to the n8n zoho-ticket-detail shape
+ * @param {Object} ticket - Ticket as returned by Zoho Desk
+ * @returns {Object} - Ticket detail
+ */
+export const toTicketDetail = (ticket) => ({
+  ...toTicketSummary(ticket),
+  statusType: ticket.statusType,
+  channel: ticket.channel,
+  classification: ticket.classification,
+  language: ticket.language,
+  closedTime: ticket.closedTime,
+  timeEntryCount: ticket.timeEntryCount,
+  isSpam: ticket.isSpam,
+  isDeleted: ticket.isDeleted,
+  isTrashed: ticket.isTrashed,
+  teamId: ticket.teamId,
+  productId: ticket.productId,
+  subCategory: ticket.subCategory,
+  cf: ticket.cf || {}
+});
+
+/**
+ * Pure function to build the body of POST /tickets
+ * Zoho Desk needs a department and a contact: the contact is created from the email
+ * when there is no contactId
+ * @param {Object} ticketData - Ticket data (as sent to the zoho-create-ticket workflow)
+ * @param {string|null} defaultDepartmentId - Department used when the ticket has none
+ * @returns {Object} - Zoho Desk ticket
+ */
+export const toCreateTicketBody = (ticketData, defaultDepartmentId) => {
+  const email = ticketData.email || ticketData.createdBy;
+  const body = {
+    subject: ticketData.subject,
+    description: ticketData.description || '',
+    departmentId: ticketData.departmentId || defaultDepartmentId,
+    contactId: ticketData.contactId,
+    ...(!ticketData.contactId && email && { contact: { email, lastName: email.split('@')[0] } }),
+    accountId: ticketData.accountId,
+    category: ticketData.category,
+    priority: ticketData.priority,
+    status: ticketData.status,
+    dueDate: ticketData.dueDate,
+    cf: ticketData.cf
+  };
+
+  return Object.fromEntries(Object.entries(body).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+};
+
+/**
+ * Pure function to map a Zoho Desk comment to the n8n zoho-add-comment response
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} comment - Comment as returned by Zoho Desk
+ * @param {Object} commentData - Comment as requested
+ * @returns {Object} - { success, ticketId, commentId, content, author, createdTime, createdTimestamp, isPublic }
+ */
+export const toCommentResponse = (ticketId, comment, commentData) => {
+  const createdTime = comment.createdTime || new Date().toISOString();
+  return {
+    success: true,
+    ticketId,
+    commentId: comment.id,
+    content: comment.content || commentData.comment,
+    author: comment.commenter?.name || commentData.author || commentData.email || 'Customer',
+    createdTime,
+    createdTimestamp: toTimestamp(createdTime),
+    isPublic: comment.isPublic !== false
+  };
+};
+
+/**
+ * Creates the Zoho Desk API operations over a client
+ * Every operation returns a Result
+ * @param {Object} client - Zoho Desk client (createZohoDeskClient)
+ * @param {Object} [options]
+ * @param {string|null} [options.defaultDepartmentId] - Department of the tickets created without one
+ */
+export const createZohoDeskService = (client, { defaultDepartmentId = null } = {}) => {
+  /**
+   * Lists tickets (zoho-tickets shape)
+   * @param {Object} [filters] - { status, priority, departmentId, limit, from }
+   */
+  const getTickets = async ({ limit = 50, from = 0, status, priority, departmentId } = {}) => {
+    return tryCatchAsync(async () => {
+      const pageLimit = Math.max(1, parseInt(limit, 10) || 50);
+      const pageFrom = Math.max(0, parseInt(from, 10) || 0);
+      const tickets = unwrapOrThrow(await client.paginate('/tickets', {
+        query: { status, priority, departmentId, include: TICKET_INCLUDE },
+        from: pageFrom,
+        limit: pageLimit
+      }));
+
+      return deepFreeze({
+        success: true,
+        tickets: tickets.map(toTicketSummary),
+        timestamp: new Date().toISOString(),
+        meta: { from: pageFrom, limit: pageLimit, total: tickets.length }
+      });
+    })();
+  };
+
+  /**
+   * Gets a ticket (zoho-ticket-detail shape)
+   * @param {string} id - Zoho ticket ID
+   */
+  const getTicketById = async (id) => {
+    return tryCatchAsync(async () => {
+      const ticket = unwrapOrThrow(await client.request('GET', `/tickets/${encodeURIComponent(id)}`, {
+        query: { include: TICKET_INCLUDE }
+      }));
+
+      if (!ticket?.id) {
+        throw new Error(JSON.stringify({
+          status: 404,
+          message: `Ticket ${id} not found in Zoho Desk`,
+          details: { errorCode: 'TICKET_NOT_FOUND' }
+        }));
+      }
+
+      return deepFreeze({ success: true, ticket: toTicketDetail(ticket), timestamp: new Date().toISOString() });
+    })();
+  };
+
+  /**
+   * Creates a ticket (zoho-create-ticket shape: { success, ticket })
+   * @param {Object} ticketData - Ticket data
+   */
+  const createTicket = async (ticketData) => {
+    return tryCatchAsync(async () => {
+      const body = toCreateTicketBody(ticketData || {}, defaultDepartmentId);
+
+      if (!body.subject || !body.departmentId || (!body.contactId && !body.contact)) {
+        throw new Error(JSON.stringify({
+          status: 400,
+          message: 'Ticket subject, departmentId and a contact (contactId or email) are required',
+          details: { errorCode: 'INVALID_TICKET' }
+        }));
+      }
+
+      const ticket = unwrapOrThrow(await client.request('POST', '/tickets', { body }));
+      console.log('✅ Ticket creado en Zoho Desk:', ticket.id);
+      return deepFreeze({ success: true, ticket: toTicketDetail(ticket), timestamp: new Date().toISOString() });
+    })();
+  };
+
+  /**
+   * Adds a comment to a ticket (zoho-add-comment shape)
+   * @param {string} ticketId - Zoho ticket ID
+   * @param {Object} commentData - { comment, isPublic, author }
+   */
+  const addComment = async (ticketId, commentData) => {
+    return tryCatchAsync(async () => {
+      if (!ticketId || !commentData?.comment) {
+        throw new Error(JSON.stringify({
+          status: 400,
+          message: 'Missing required parameters: ticketId and comment',
+          details: { errorCode: 'INVALID_COMMENT' }
+        }));
+      }
+
+      const comment = unwrapOrThrow(await client.request('POST', `/tickets/${encodeURIComponent(ticketId)}/comments`, {
+        body: {
+          isPublic: commentData.isPublic !== false,
+          contentType: 'plainText',
+          content: commentData.comment
+        }
+      }));
+
+      console.log('✅ Comentario añadido en Zoho Desk al ticket:', ticketId);
+      return deepFreeze(toCommentResponse(ticketId, comment, commentData));
+    })();
+  };
+
+  return {
+    getTickets,
+    getTicketById,
+    createTicket,
+    addComment
+  };
+};
+
+// Cliente y servicio del proceso: el cliente guarda el token de acceso entre llamadas
+let zohoDeskClient = null;
+let zohoDeskService = null;
+
+/**
+ * Returns the Zoho Desk API client of the process, whatever the configured driver
+ * @returns {Object} - Zoho Desk client (createZohoDeskClient)
+ */
+export const getZohoDeskClient = () => {
+  if (!zohoDeskClient) {
+    const zohoDeskConfig = getConfig().zohoDesk;
+    if (!zohoDeskConfig.orgId) {
+      console.warn('⚠️ ZOHO_ORGANIZATION_ID no está definido: Zoho Desk rechazará las peticiones sin orgId');
+    }
+    zohoDeskClient = createZohoDeskClient(zohoDeskConfig);
+  }
+  return zohoDeskClient;
+};
+
+/**
+ * Returns the Zoho Desk API service when ZOHO_DESK_DRIVER=api, null otherwise (n8n)
+ * @returns {Object|null} - Zoho Desk API operations
+ */
+export const getZohoDeskService = () => {
+  const zohoDeskConfig = getConfig().zohoDesk;
+
+  if (zohoDeskConfig.driver !== 'api') {
+    return null;
+  }
+
+  if (!zohoDeskService) {
+    console.log(`🔗 Zoho Desk: usando la API REST (${zohoDeskConfig.apiUrl}) en lugar de n8n`);
+    zohoDeskService = createZohoDeskService(getZohoDeskClient(), {
+      defaultDepartmentId: zohoDeskConfig.defaultDepartmentId
+    });
+  }
+
+  return zohoDeskService;
+};
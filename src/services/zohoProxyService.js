@@ -3,13 +3,14 @@
  * Functional, Composable, Isolated, Stateless
  * 
  * This service proxies requests to Zoho API to avoid CORS issues
+ * Tickets and comments go through the n8n workflows, or straight to the Zoho Desk
+ * API when ZOHO_DESK_DRIVER=api (same signatures and response shapes)
  */
-import { deepFreeze, pipeAsync } from '../utils/functional.js';
-
-// Zoho API configuration (should be in environment variables in production)
-const ZOHO_BASE_URL = process.env.ZOHO_BASE_URL || 'https://desk.zoho.com';
-const ZOHO_API_TOKEN = process.env.ZOHO_API_TOKEN || 'your-zoho-api-token';
-const ZOHO_ORGANIZATION_ID = process.env.ZOHO_ORGANIZATION_ID || 'your-org-id';
+import { deepFreeze, pipeAsync, extractErrorInfo, tryCatchAsync } from '../utils/functional.js';
+import { getZohoDeskClient, getZohoDeskService } from './zohoDeskService.js';
+import { n8nOutbound } from '../shell/outboundClient.js';
+import { projectionCache } from '../shell/projectionCache.js';
+import { validateN8nResponse, toContractName } from '../validators/n8nContracts.js';
 
 // n8n configuration (should be in environment variables in production)
 const N8N_BASE_URL = process.env.N8N_BASE_URL || 'https://n8n.advancio.io/webhook/';
@@ -41,22 +42,36 @@ console.log(' URL ejemplo para contactos:', buildN8nUrl(N8N_BASE_URL, ZOHO_CONTA
 console.log(' URL ejemplo para cuentas:', buildN8nUrl(N8N_BASE_URL, ZOHO_ACCOUNTS_WEBHOOK));
 
 /**
- * Pure function to create headers for Zoho API requests
- * @returns {Object} - Headers object
+ * Throws the error of a failed Result, returns its value otherwise
  */
-const createZohoHeaders = () => ({
-  'Authorization': `Zoho-oauthtoken ${ZOHO_API_TOKEN}`,
-  'orgId': ZOHO_ORGANIZATION_ID,
-  'Content-Type': 'application/json',
-});
+const unwrapOrThrow = (result) => {
+  if (!result.isOk) {
+    throw result.unwrapError();
+  }
+  return result.unwrap();
+};
 
 /**
- * Pure function to normalize a path
- * @param {String} path - Path to normalize
- * @returns {String} - Normalized path
+ * Runs an operation on the Zoho Desk API when ZOHO_DESK_DRIVER=api, or through n8n otherwise
+ * @param {String} operation - Operation of the Zoho Desk service (same name and arguments)
+ * @param {Function} viaN8n - n8n implementation
+ * @returns {Function} - Function with the signature of viaN8n
  */
-const normalizePath = (path) => 
-  path.startsWith('/') ? path : `/${path}`;
+const viaZohoDesk = (operation, viaN8n) => (...args) => {
+  const zohoDesk = getZohoDeskService();
+  return zohoDesk
+    ? zohoDesk[operation](...args).then(unwrapOrThrow)
+    : viaN8n(...args);
+};
+
+/**
+ * Reads n8n data through the projection cache (shared with projectionService)
+ * @param {String} name - Projection name in the cache (its TTL key)
+ * @param {Function} fetchData - Fetches the data, throws on error
+ * @returns {Function} - Function that returns a promise with { value, cache }
+ */
+const readThroughCache = (name, fetchData) => () =>
+  projectionCache.read(name, tryCatchAsync(fetchData)).then(unwrapOrThrow);
 
 /**
  * Pure function to log a message
@@ -70,8 +85,10 @@ const logMessage = (message) => {
 
 /**
  * Pure function to fetch data from n8n webhook
+ * Goes through the shared outbound client: timeout, retries for GET, circuit breaker per workflow
+ * The response is checked against the workflow contract (validators/n8nContracts.js)
  * @param {String} path - Path to n8n webhook
- * @param {Object} options - Fetch options
+ * @param {Object} options - Fetch options ({ method, headers, body })
  * @returns {Promise<Object>} - Promise with data
  */
 export const fetchFromN8N = (path, options = {}) => {
@@ -79,15 +96,12 @@ export const fetchFromN8N = (path, options = {}) => {
     ? buildN8nUrl(N8N_BASE_URL, path) 
     : path;
   
-  console.log(`[n8n] Requesting: ${url}`);
+  // El workflow es el primer segmento del path (zoho-update-ticket/:id comparte circuito)
+  const workflow = typeof path === 'string' && !path.startsWith('http')
+    ? path.replace(/^\/+/, '').split(/[/?]/)[0]
+    : undefined;
   
-  // Ensure content-type is set correctly for POST requests with a body
-  if (options.method === 'POST' && options.body && !options.headers?.['Content-Type']) {
-    options.headers = {
-      ...options.headers,
-      'Content-Type': 'application/json'
-    };
-  }
+  console.log(`[n8n] Requesting: ${url}`);
   
   return pipeAsync(
     () => logMessage(`[n8n] Fetching data from n8n: ${url} with method ${options.method || 'GET'}`),
@@ -99,23 +113,29 @@ export const fetchFromN8N = (path, options = {}) => {
           : JSON.stringify(options.body).substring(0, 500);
         logMessage(`[n8n] Request body: ${bodyPreview}...`);
       }
-      console.log(`[n8n] Request URL: ${url}, Request options: ${JSON.stringify(options)}`);
-      return fetch(url, options);
+      return n8nOutbound.request(url, {
+        method: options.method || 'GET',
+        headers: options.headers,
+        body: options.body,
+        workflow
+      });
     },
-    (response) => {
-      logMessage(`[n8n] Response status: ${response.status} ${response.statusText}`);
-      
-      if (!response.ok) {
-        // Capture more error details
-        return response.text().then(text => {
-          const errorDetails = `Status: ${response.status}, StatusText: ${response.statusText}, Body: ${text}`;
-          logMessage(`[n8n] Error response: ${errorDetails}`);
-          throw new Error(`Error in n8n response: ${errorDetails}`);
-        });
+    (result) => {
+      if (!result.isOk) {
+        logMessage(`[n8n] Error response: ${result.unwrapError().message}`);
+        throw result.unwrapError();
       }
-      return response;
+      logMessage(`[n8n] Response status: ${result.unwrap().status}`);
+      return result.unwrap().body;
+    },
+    (data) => {
+      const validation = validateN8nResponse(toContractName(path), data);
+      if (!validation.isOk) {
+        logMessage(`[n8n] Unexpected response shape: ${validation.unwrapError().message}`);
+        throw validation.unwrapError();
+      }
+      return data;
     },
-    (response) => response.json(),
     (data) => {
       logMessage(`[n8n] Data received: ${JSON.stringify(data).substring(0, 200)}...`);
       return deepFreeze(data);
@@ -125,40 +145,28 @@ export const fetchFromN8N = (path, options = {}) => {
 
 /**
  * Pure function to proxy a request to Zoho API
- * @param {String} endpoint - API endpoint
- * @param {Object} options - Request options
+ * Uses the Zoho Desk client (OAuth token, orgId header, 429 retries)
+ * @param {String} endpoint - API endpoint, relative to ZOHO_DESK_API_URL (e.g. /tickets)
+ * @param {Object} options - Request options ({ method, data, query, headers })
  * @returns {Promise<Object>} - Promise with response data
  */
-export const proxyZohoRequest = (endpoint, options = {}) => {
-  const url = `${ZOHO_BASE_URL}${normalizePath(endpoint)}`;
-  
-  const fetchOptions = {
-    method: options.method || 'GET',
-    headers: {
-      ...createZohoHeaders(),
-      ...(options.headers || {})
-    },
-  };
-
-  // Add body if needed
-  if (options.data) {
-    fetchOptions.body = JSON.stringify(options.data);
-  }
-  
-  return pipeAsync(
-    () => logMessage(`Proxying request to Zoho: ${url}`),
-    () => fetch(url, fetchOptions),
-    async (response) => {
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Zoho API request failed: ${response.status} ${errorText}`);
-      }
-      return response;
-    },
-    (response) => response.json(),
+export const proxyZohoRequest = (endpoint, options = {}) =>
+  pipeAsync(
+    () => logMessage(`Proxying request to Zoho: ${endpoint}`),
+    () => getZohoDeskClient().request(options.method || 'GET', endpoint, {
+      query: options.query,
+      body: options.data,
+      headers: options.headers
+    }),
+    unwrapOrThrow,
     (data) => deepFreeze(data)
   )();
-};
+
+/**
+ * Reads reports overview through the projection cache
+ * @returns {Promise<Object>} - Promise with { value, cache }
+ */
+export const readReportsOverview = readThroughCache('reportsOverview', () => fetchFromN8N('overview'));
 
 /**
  * Pure function to get reports overview
@@ -166,7 +174,7 @@ export const proxyZohoRequest = (endpoint, options = {}) => {
  * @returns {Promise<Object>} - Promise with reports data
  */
 export const getReportsOverview = () => 
-  fetchFromN8N('overview');
+  readReportsOverview().then(({ value }) => value);
 
 /**
  * Pure function to build query string from filters
@@ -189,7 +197,7 @@ const buildQueryString = (filters) => {
  * @param {Object} filters - Query filters
  * @returns {Promise<Object>} - Promise with tickets data
  */
-export const getTickets = (filters = {}) => {
+export const getTickets = viaZohoDesk('getTickets', (filters = {}) => {
   // Build query parameters
   const queryParams = Object.entries(filters)
     .filter(([_, value]) => value !== undefined && value !== null && value !== '')
@@ -202,22 +210,28 @@ export const getTickets = (filters = {}) => {
   const webhookPath = `zoho-tickets${queryString ? `?${queryString}` : ''}`;
   
   return fetchFromN8N(webhookPath);
-};
+});
 
 /**
  * Pure function to get a ticket by ID
  * @param {String} id - Ticket ID
  * @returns {Promise<Object>} - Promise with ticket data
  */
-export const getTicketById = (id) => 
-  fetchFromN8N(`${ZOHO_TICKET_DETAIL_WEBHOOK}?ticketId=${id}`);
+export const getTicketById = viaZohoDesk('getTicketById', (id) =>
+  fetchFromN8N(`${ZOHO_TICKET_DETAIL_WEBHOOK}?ticketId=${id}`));
+
+/**
+ * Reads categories through the projection cache
+ * @returns {Promise<Object>} - Promise with { value, cache }
+ */
+export const readCategories = readThroughCache('categories', () => fetchFromN8N(ZOHO_CATEGORIES_WEBHOOK));
 
 /**
  * Pure function to get categories
  * @returns {Promise<Object>} - Promise with categories data
  */
 export const getCategories = () => 
-  fetchFromN8N('zoho-categories');
+  readCategories().then(({ value }) => value);
 
 /**
  * Pure function to create a ticket
@@ -230,6 +244,23 @@ export const createTicket = (ticketData) => {
     return Promise.reject(new Error('Ticket subject is required'));
   }
   
+  // API de Zoho Desk: los errores se devuelven igual que los del webhook de n8n
+  const zohoDesk = getZohoDeskService();
+  if (zohoDesk) {
+    return zohoDesk.createTicket(ticketData).then(result => {
+      if (result.isOk) {
+        return result.unwrap();
+      }
+      const errorInfo = extractErrorInfo(result.unwrapError());
+      console.error('[zohoProxyService] Error al crear ticket en Zoho Desk:', errorInfo.details?.message || errorInfo.message);
+      return {
+        success: false,
+        error: errorInfo.details?.message || errorInfo.message,
+        timestamp: new Date().toISOString()
+      };
+    });
+  }
+  
   // Normalizar los datos para asegurar compatibilidad con Zoho Desk API
   const normalizedData = {
     subject: ticketData.subject,
@@ -318,7 +349,7 @@ export const updateTicketStatus = (ticketId, status) =>
  * @param {Object} commentData - Comment data
  * @returns {Promise<Object>} - Promise with comment data
  */
-export const addComment = (ticketId, commentData) => {
+export const addComment = viaZohoDesk('addComment', (ticketId, commentData) => {
   // Validar parámetros de forma funcional
   if (!ticketId || !commentData || !commentData.comment) {
     return Promise.reject(new Error('Missing required parameters: ticketId and comment'));
@@ -336,7 +367,7 @@ export const addComment = (ticketId, commentData) => {
       author: commentData.author || 'Customer'
     })
   });
-};
+});
 
 /**
  * Pure function to get filtered tickets
@@ -346,6 +377,12 @@ export const addComment = (ticketId, commentData) => {
  * @returns {Promise<Object>} - Promise with tickets data
  */
 export const getFilteredTickets = (filters = {}, limit = 50, from = 0) => {
+  // API de Zoho Desk: la paginación (from / limit) la resuelve el cliente
+  const zohoDesk = getZohoDeskService();
+  if (zohoDesk) {
+    return zohoDesk.getTickets({ ...filters, limit, from }).then(unwrapOrThrow);
+  }
+  
   // Construir query params de forma funcional
   const queryParams = {
     ...filters,
@@ -382,12 +419,31 @@ export const getTicketComments = (ticketId) => {
 export const getContacts = () => 
   fetchFromN8N(ZOHO_CONTACTS_WEBHOOK);
 
+/**
+ * Reads Zoho accounts through the projection cache
+ * @returns {Promise<Object>} - Promise with { value, cache }
+ */
+export const readAccounts = readThroughCache('accounts', async () => {
+  const data = await fetchFromN8N(ZOHO_ACCOUNTS_WEBHOOK);
+  
+  // Una respuesta sin success: true no se guarda en caché
+  if (!data?.success) {
+    throw new Error(JSON.stringify({
+      status: 502,
+      message: data?.message || 'Failed to fetch accounts',
+      details: { errorCode: 'N8N_INVALID_RESPONSE' }
+    }));
+  }
+  
+  return data;
+});
+
 /**
  * Pure function to get Zoho accounts
  * @returns {Promise<Object>} - Promise with accounts data
  */
 export const getAccounts = () =>
-  fetchFromN8N(ZOHO_ACCOUNTS_WEBHOOK);
+  readAccounts().then(({ value }) => value);
 
 /**
  * Pure function to get Zoho Knowledge Base articles
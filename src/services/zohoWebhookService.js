@@ -0,0 +1,346 @@
+/**
+ * Zoho Desk webhook service - FCIS pattern compliant
+ * Functional, Composable, Isolated, Stateless
+ *
+ * Turns Zoho Desk webhook notifications into domain events, so the event store, the
+ * ticket read model, /ws/events and the ticket chat reflect what agents do in Zoho:
+ * - Ticket_Add / Ticket_Update → TICKET_UPDATED_EXTERNALLY
+ * - Ticket_Comment_Add (public agent comments) and Ticket_Thread_Add (outgoing replies) → AGENT_REPLIED
+ *
+ * Every notification is claimed in webhook_deliveries before its events are stored,
+ * so a notification delivered twice is only applied once
+ */
+import { createHmac, timingSafeEqual } from 'crypto';
+import { tryCatchAsync, deepFreeze } from '../utils/functional.js';
+import { storeEvent } from '../shell/eventStore.js';
+import { fetchTicketRow, fetchLinkedTicketRow, ticketReadModelProjection } from '../shell/projections/ticketReadModel.js';
+import {
+  toDeliveryId,
+  claimWebhookDelivery,
+  releaseWebhookDelivery
+} from '../shell/webhookDeliveries.js';
+
+export const ZOHO_WEBHOOK_SOURCE = 'zoho-desk';
+
+// Cabecera con la firma HMAC-SHA256 del cuerpo (base64 o hex)
+export const ZOHO_SIGNATURE_HEADER = 'x-zdesk-signature';
+// Cabecera alternativa con el secreto compartido (reglas de Zoho o relés como n8n)
+export const WEBHOOK_SECRET_HEADER = 'x-webhook-secret';
+
+/**
+ * Creates a webhook error with its HTTP status
+ */
+const webhookError = (status, message, errorCode) => new Error(JSON.stringify({
+  status,
+  message,
+  details: { errorCode }
+}));
+
+/**
+ * Pure function to compare two strings in constant time
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && timingSafeEqual(left, right);
+};
+
+/**
+ * Pure function to verify a Zoho Desk webhook request
+ * Accepts an HMAC-SHA256 signature of the raw body, or the shared secret itself
+ * @param {string} rawBody - Body exactly as received
+ * @param {Object} headers - Request headers (lower case)
+ * @param {string} secret - Shared secret (ZOHO_WEBHOOK_SECRET)
+ * @returns {boolean} - True if the request comes from someone who knows the secret
+ */
+export const verifyZohoWebhook = (rawBody, headers, secret) => {
+  if (!secret) {
+    return false;
+  }
+
+  const signature = headers[ZOHO_SIGNATURE_HEADER];
+  if (signature) {
+    const hmac = createHmac('sha256', secret).update(rawBody || '');
+    const expected = hmac.digest();
+    return safeEqual(signature, expected.toString('base64')) || safeEqual(signature, expected.toString('hex'));
+  }
+
+  return safeEqual(headers[WEBHOOK_SECRET_HEADER], secret);
+};
+
+/**
+ * Pure function to list the notifications of a webhook body
+ * Zoho Desk sends an array of notifications; a single notification or { events: [...] } are accepted too
+ * @param {*} body - Parsed body
+ * @returns {Array<Object>} - Notifications ({ eventType, eventTime, payload, prevState })
+ */
+export const toZohoNotifications = (body) => {
+  const notifications = Array.isArray(body) ? body : Array.isArray(body?.events) ? body.events : [body];
+  return notifications.filter(notification => notification && typeof notification === 'object' && notification.eventType);
+};
+
+/**
+ * Pure function to normalize an email
+ */
+const toEmail = (email) => email ? String(email).trim().toLowerCase() : null;
+
+// Campos del ticket de Zoho que se propagan, y los campos de prevState que indican su cambio
+const ZOHO_TICKET_FIELDS = Object.freeze({
+  subject: { read: (ticket) => ticket.subject, changedBy: ['subject'] },
+  description: { read: (ticket) => ticket.description, changedBy: ['description'] },
+  status: { read: (ticket) => ticket.status, changedBy: ['status', 'statusType'] },
+  priority: { read: (ticket) => ticket.priority, changedBy: ['priority'] },
+  departmentId: { read: (ticket) => ticket.departmentId, changedBy: ['departmentId'] },
+  assigneeId: { read: (ticket) => ticket.assigneeId, changedBy: ['assigneeId', 'assignee'] },
+  assigneeEmail: { read: (ticket) => toEmail(ticket.assignee?.email || ticket.assigneeEmail), changedBy: ['assigneeId', 'assignee'] }
+});
+
+/**
+ * Pure function to extract the ticket changes of a Ticket_Add / Ticket_Update notification
+ * With prevState only the fields that changed are kept, otherwise every known field
+ * @param {Object} ticket - Zoho ticket (notification payload)
+ * @param {Object} [prevState] - Previous values of the changed fields
+ * @returns {Object} - Updates in TICKET_UPDATED_EXTERNALLY shape
+ */
+export const toTicketUpdates = (ticket, prevState) =>
+  Object.fromEntries(
+    Object.entries(ZOHO_TICKET_FIELDS)
+      .filter(([, field]) => !prevState || field.changedBy.some(key => key in prevState))
+      .map(([name, field]) => [name, field.read(ticket)])
+      .filter(([, value]) => value !== undefined)
+  );
+
+/**
+ * Pure function to find who wrote a Zoho comment or thread
+ * @param {Object} payload - Comment or thread
+ * @returns {Object} - { name, email, type }
+ */
+const toAuthor = (payload) => {
+  const author = payload.commenter || payload.author || {};
+  return {
+    name: author.name || [author.firstName, author.lastName].filter(Boolean).join(' ') || null,
+    email: toEmail(author.email),
+    type: String(author.type || payload.commenterType || '').toUpperCase() || null
+  };
+};
+
+/**
+ * Pure function to map a Zoho Desk notification to domain events
+ * The events use the local id of the ticket when it was created through a command (linked
+ * to the Zoho ticket), and keep the Zoho id in externalTicketId
+ * @param {Object} notification - { eventType, eventTime, payload, prevState }
+ * @param {Object} context
+ * @param {string|null} context.ticketEmail - Email of the ticket's customer (aggregate of the events)
+ * @param {string|null} [context.ticketId] - Local id of the ticket, if it is linked to the Zoho ticket
+ * @returns {{ events: Array<Object>, ignored: string|null }} - Events to store, or why the notification is ignored
+ */
+export const toDomainEvents = (notification, { ticketEmail, ticketId = null }) => {
+  const { eventType, payload = {}, prevState } = notification;
+  const toTicketIds = (zohoTicketId) => ticketId && ticketId !== String(zohoTicketId)
+    ? { ticketId, externalTicketId: String(zohoTicketId) }
+    : { ticketId: String(zohoTicketId) };
+  const timestamp = notification.eventTime ? new Date(Number(notification.eventTime) || notification.eventTime).toISOString() : new Date().toISOString();
+  const ignore = (reason) => ({ events: [], ignored: reason });
+
+  switch (eventType) {
+    case 'Ticket_Add':
+    case 'Ticket_Update': {
+      const email = toEmail(payload.email || payload.contact?.email) || ticketEmail;
+      const updates = toTicketUpdates(payload, eventType === 'Ticket_Update' ? prevState : null);
+
+      if (!payload.id || !email) {
+        return ignore('ticket without id or customer email');
+      }
+      if (Object.keys(updates).length === 0) {
+        return ignore('no tracked ticket field changed');
+      }
+
+      return {
+        events: [{
+          type: 'TICKET_UPDATED_EXTERNALLY',
+          email,
+          ...toTicketIds(payload.id),
+          updates,
+          source: 'zoho',
+          zohoEventType: eventType,
+          timestamp
+        }],
+        ignored: null
+      };
+    }
+
+    case 'Ticket_Comment_Add':
+    case 'Ticket_Thread_Add': {
+      const author = toAuthor(payload);
+      const isThread = eventType === 'Ticket_Thread_Add';
+
+      // Las notas privadas y los mensajes del cliente no son respuestas del agente
+      if (!isThread && payload.isPublic === false) {
+        return ignore('private comment');
+      }
+      if (isThread && String(payload.direction || '').toLowerCase() !== 'out') {
+        return ignore('incoming thread');
+      }
+      if (author.type && author.type !== 'AGENT') {
+        return ignore('not written by an agent');
+      }
+      if (author.email && author.email === ticketEmail) {
+        return ignore('written by the customer');
+      }
+
+      const content = payload.content || payload.summary || null;
+      const email = ticketEmail || author.email;
+      if (!payload.id || !payload.ticketId || !content || !email) {
+        return ignore('reply without id, ticket, content or customer email');
+      }
+
+      return {
+        events: [{
+          type: 'AGENT_REPLIED',
+          email,
+          ...toTicketIds(payload.ticketId),
+          commentId: String(payload.id),
+          content,
+          authorName: author.name,
+          authorEmail: author.email,
+          source: 'zoho',
+          zohoEventType: eventType,
+          timestamp
+        }],
+        ignored: null
+      };
+    }
+
+    default:
+      return ignore(`unsupported event type ${eventType}`);
+  }
+};
+
+/**
+ * Finds the read model row of the ticket a notification is about
+ * A ticket created through a command keeps its own id and is linked to the Zoho one
+ * (external_ticket_id); a ticket imported from Zoho uses the Zoho id itself
+ * A failed lookup throws: the webhook answers 500 and Zoho retries, instead of storing
+ * the events under the Zoho id as a second ticket
+ */
+const fetchNotifiedTicket = async (eventStore, zohoTicketId) => {
+  if (!zohoTicketId) {
+    return null;
+  }
+
+  const linkedResult = await fetchLinkedTicketRow(eventStore.queryFn)(zohoTicketId);
+  if (!linkedResult.isOk) {
+    throw linkedResult.unwrapError();
+  }
+  if (linkedResult.unwrap()) {
+    return linkedResult.unwrap();
+  }
+
+  const rowResult = await fetchTicketRow(eventStore.queryFn)(String(zohoTicketId));
+  if (!rowResult.isOk) {
+    throw rowResult.unwrapError();
+  }
+  return rowResult.unwrap();
+};
+
+/**
+ * Stores an event and applies it to the ticket read model
+ */
+const storeWithReadModel = async (eventStore, event) => {
+  const storeResult = await storeEvent(eventStore.persistFn)(event);
+  if (!storeResult.isOk) {
+    throw storeResult.unwrapError();
+  }
+
+  const storedEvent = storeResult.unwrap();
+  const projectionResult = await ticketReadModelProjection.handle(eventStore)(storedEvent);
+  if (!projectionResult.isOk) {
+    console.error(`⚠️ No se pudo actualizar el read model del ticket ${storedEvent.ticketId}:`, projectionResult.unwrapError().message);
+  }
+  return storedEvent;
+};
+
+/**
+ * Processes one notification: claims it, maps it and stores its events
+ * Returns { status: 'stored' | 'duplicate' | 'ignored', events, reason }
+ */
+const processNotification = (eventStore) => async (notification) => {
+  const payload = notification.payload || {};
+  const ticket = await fetchNotifiedTicket(eventStore, payload.ticketId || payload.id);
+  const { events, ignored } = toDomainEvents(notification, {
+    ticketEmail: ticket?.email || null,
+    ticketId: ticket?.ticket_id || null
+  });
+
+  if (ignored) {
+    console.log(`🔕 Webhook de Zoho ${notification.eventType} ignorado: ${ignored}`);
+    return { status: 'ignored', events: [], reason: ignored };
+  }
+
+  const deliveryId = toDeliveryId(ZOHO_WEBHOOK_SOURCE, notification);
+  const claimResult = await claimWebhookDelivery(eventStore.persistFn)({
+    deliveryId,
+    source: ZOHO_WEBHOOK_SOURCE,
+    eventType: notification.eventType
+  });
+
+  // Solo una clave repetida es un duplicado; cualquier otro error responde 500 y Zoho reintenta
+  if (!claimResult.isOk) {
+    throw claimResult.unwrapError();
+  }
+
+  if (!claimResult.unwrap()) {
+    console.log(`↩️ Webhook de Zoho ${notification.eventType} ya procesado (${deliveryId})`);
+    return { status: 'duplicate', events: [], reason: null };
+  }
+
+  try {
+    const storedEvents = await events.reduce(
+      (previous, event) => previous.then(async (stored) => [...stored, await storeWithReadModel(eventStore, event)]),
+      Promise.resolve([])
+    );
+    console.log(`📥 Webhook de Zoho ${notification.eventType}: ${storedEvents.map(event => event.type).join(', ')}`);
+    return { status: 'stored', events: storedEvents, reason: null };
+  } catch (error) {
+    // Liberar la entrega para que el reintento de Zoho la procese
+    await releaseWebhookDelivery(eventStore.deleteFn)(deliveryId);
+    throw error;
+  }
+};
+
+/**
+ * Processes a Zoho Desk webhook body, one notification at a time
+ * Returns a Result with { received, stored, duplicates, ignored, events }
+ * Fails with 500 if an event could not be stored (Zoho retries the delivery)
+ * @param {EventStoreBackend} eventStore - Backend holding the events, the read model and the deliveries
+ */
+export const processZohoWebhook = (eventStore) => async (body) => {
+  return tryCatchAsync(async () => {
+    const notifications = toZohoNotifications(body);
+
+    if (notifications.length === 0) {
+      throw webhookError(400, 'No Zoho Desk notifications in the request body', 'INVALID_WEBHOOK_PAYLOAD');
+    }
+
+    const outcomes = await notifications.reduce(
+      (previous, notification) => previous.then(async (results) => [
+        ...results,
+        await processNotification(eventStore)(notification)
+      ]),
+      Promise.resolve([])
+    );
+
+    const count = (status) => outcomes.filter(outcome => outcome.status === status).length;
+    return deepFreeze({
+      received: notifications.length,
+      stored: count('stored'),
+      duplicates: count('duplicate'),
+      ignored: count('ignored'),
+      events: outcomes.flatMap(outcome => outcome.events.map(event => ({
+        eventId: event.eventId,
+        type: event.type,
+        ticketId: event.ticketId
+      })))
+    });
+  })();
+};
@@ -0,0 +1,115 @@
+/**
+ * Durable local file event store backend
+ * Part of the imperative shell: persists every table as an append-only JSON Lines log
+ *
+ * Each table lives in <dataDir>/<table>.jsonl, one operation per line
+ * ({ "op": "insert", "row": {...} }, plus "upsert" and "delete" for derived tables).
+ * The log is replayed into an in-memory backend on startup, so queries behave
+ * exactly like the memory backend.
+ */
+import fs from 'fs';
+import path from 'path';
+import { createMemoryBackend, matchesFilters, upsertRow } from './memoryBackend.js';
+import { tryCatch } from '../../utils/functional.js';
+
+const LOG_EXTENSION = '.jsonl';
+
+/**
+ * Pure function to apply a log operation to the rows of a table
+ * @param {Array} rows - Current rows
+ * @param {Object} operation - Logged operation
+ * @returns {Array} - Rows after the operation
+ */
+const applyOperation = (rows, operation) => {
+  switch (operation.op) {
+    case 'insert':
+      return [...rows, operation.row];
+    case 'upsert':
+      return upsertRow(rows, operation.row, operation.onConflict);
+    case 'delete':
+      return rows.filter(row => !matchesFilters(row, operation.filters));
+    default:
+      return rows;
+  }
+};
+
+/**
+ * Reads a table log into rows
+ * A last line cut short by a crash mid-append is dropped, and the file is truncated to the
+ * last complete line so the next append starts clean. A broken line before the last one
+ * is real corruption and fails the load
+ * @param {string} filePath - Path to the table log
+ * @returns {Array} - Rows of the table
+ */
+const readTableLog = (filePath) => {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  const lastLine = lines.findLastIndex(line => line.trim() !== '');
+  const entries = lines
+    .map((line, index) => ({ index, parsed: line.trim() === '' ? null : tryCatch(JSON.parse)(line) }))
+    .filter(({ parsed }) => parsed !== null);
+  
+  const broken = entries.filter(({ parsed }) => !parsed.isOk);
+  const corrupt = broken.find(({ index }) => index !== lastLine);
+  if (corrupt) {
+    throw new Error(`Corrupt event store log ${filePath} at line ${corrupt.index + 1}: ${corrupt.parsed.unwrapError().message}`);
+  }
+  
+  if (broken.length > 0) {
+    const completeBytes = Buffer.byteLength(lines.slice(0, lastLine).map(line => `${line}\n`).join(''), 'utf8');
+    console.warn(`⚠️ Última línea incompleta en ${filePath} (escritura interrumpida), se descarta`);
+    fs.truncateSync(filePath, completeBytes);
+  }
+  
+  return entries
+    .filter(({ parsed }) => parsed.isOk)
+    .map(({ parsed }) => parsed.unwrap())
+    .reduce(applyOperation, []);
+};
+
+/**
+ * Loads every table log found in the data directory
+ * @param {string} dataDir - Data directory
+ * @returns {Object} - Rows by table name
+ */
+const loadTables = (dataDir) =>
+  fs.readdirSync(dataDir)
+    .filter(file => file.endsWith(LOG_EXTENSION))
+    .reduce((tables, file) => ({
+      ...tables,
+      [path.basename(file, LOG_EXTENSION)]: readTableLog(path.join(dataDir, file))
+    }), {});
+
+/**
+ * Creates a file backed backend
+ * @param {Object} options
+ * @param {string} options.dataDir - Directory that holds the table logs
+ * @param {Object} [options.tableRules] - Database rules by table name (see createMemoryBackend)
+ * @returns {EventStoreBackend} - Backend with queryFn, persistFn, upsertFn and deleteFn
+ */
+export const createFileBackend = ({ dataDir, tableRules = {} }) => {
+  if (!dataDir) {
+    throw new Error('File event store requires a data directory');
+  }
+  
+  fs.mkdirSync(dataDir, { recursive: true });
+  const tables = loadTables(dataDir);
+  
+  const appendOperation = (table, operation) =>
+    fs.appendFileSync(path.join(dataDir, `${table}${LOG_EXTENSION}`), `${JSON.stringify(operation)}\n`);
+  
+  const memoryBackend = createMemoryBackend({
+    tables,
+    tableRules,
+    // Escritura síncrona: la operación está en disco antes de confirmarla
+    onWrite: appendOperation
+  });
+  
+  console.log(`📁 Event store en archivos inicializado en ${dataDir}`);
+  
+  return Object.freeze({
+    ...memoryBackend,
+    name: 'file'
+  });
+};
+
+export default createFileBackend;
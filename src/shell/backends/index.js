@@ -0,0 +1,38 @@
+/**
+ * Event store backend selection
+ * Part of the imperative shell: picks the storage adapter configured in getConfig().eventStore
+ */
+import { createMemoryBackend } from './memoryBackend.js';
+import { createFileBackend } from './fileBackend.js';
+import { createSupabaseBackend } from './supabaseBackend.js';
+
+/**
+ * Backend factories by driver name
+ */
+const backendFactories = Object.freeze({
+  memory: async (_, { tableRules }) => createMemoryBackend({ tableRules }),
+  file: async ({ dataDir }, { tableRules }) => createFileBackend({ dataDir, tableRules }),
+  supabase: async (_, { supabaseClient }) => createSupabaseBackend({ supabaseClient })
+});
+
+/**
+ * Creates the event store backend for the configured driver
+ * @param {Object} eventStoreConfig - getConfig().eventStore
+ * @param {Object} deps - Clients the backends may need
+ * @param {Object} [deps.supabaseClient] - Supabase client instance
+ * @param {Object} [deps.tableRules] - Database rules the memory and file backends apply in place of
+ *   the migrations (SCHEMA_TABLE_RULES)
+ * @returns {Promise<EventStoreBackend>} - Selected backend
+ */
+export const createEventStoreBackend = async (eventStoreConfig, deps = {}) => {
+  const factory = backendFactories[eventStoreConfig.driver];
+  
+  if (!factory) {
+    throw new Error(`Unknown event store driver: ${eventStoreConfig.driver}. Use one of: ${Object.keys(backendFactories).join(', ')}`);
+  }
+  
+  console.log(`🗄️ Event store: usando backend '${eventStoreConfig.driver}'`);
+  return factory(eventStoreConfig, deps);
+};
+
+export { createMemoryBackend, createFileBackend, createSupabaseBackend };
@@ -0,0 +1,251 @@
+/**
+ * In-memory event store backend
+ * Part of the imperative shell: keeps tables in process memory for tests and local development
+ *
+ * Implements the same QueryFn/PersistFn/UpsertFn/DeleteFn contract as the Supabase functions in eventStore.js
+ * and applies the database rules it is given (defaults, triggers, unique keys); the rules of the
+ * app tables, mirroring /migrations, are in ../schemaRules.js
+ */
+import { v4 as generateUUID } from 'uuid';
+import { tryCatchAsync, deepFreeze } from '../../utils/functional.js';
+import { isRangeFilter } from '../eventStore.js';
+
+// Postgres unique_violation, devuelto igual que lo haría Supabase
+const UNIQUE_VIOLATION_CODE = '23505';
+
+/**
+ * Creates a rule that assigns the next value of a sequence column (BIGSERIAL)
+ * @param {string} column - Sequence column
+ * @returns {Function} - (row, rows) => row with the column set
+ */
+export const assignSequence = (column) => (row, rows) =>
+  row[column] !== undefined && row[column] !== null
+    ? row
+    : {
+        ...row,
+        [column]: rows.reduce((max, existing) => Math.max(max, existing[column] || 0), 0) + 1
+      };
+
+/**
+ * Range comparisons for filters like { version: { gt: 10 } }
+ */
+const rangeComparisons = Object.freeze({
+  gt: (actual, operand) => actual > operand,
+  gte: (actual, operand) => actual >= operand,
+  lt: (actual, operand) => actual < operand,
+  lte: (actual, operand) => actual <= operand
+});
+
+/**
+ * Pure function to check whether a row matches the event store filters
+ * Uses the same semantics as createSupabaseQueryFn
+ * @param {Object} row - Stored row
+ * @param {Object} filters - Query filters
+ * @returns {boolean} - True if the row matches every filter
+ */
+export const matchesFilters = (row, filters = {}) =>
+  Object.entries(filters).every(([key, value]) => {
+    if (value === undefined || value === null || value === '') return true;
+    if (key === 'ticketId') return row.payload?.ticketId === value;
+    if (key === 'types') return !Array.isArray(value) || value.length === 0 || value.includes(row.type);
+    if (Array.isArray(value)) return value.includes(row[key]);
+    if (isRangeFilter(value)) {
+      return row[key] !== undefined && row[key] !== null &&
+        Object.entries(value).every(([op, operand]) => rangeComparisons[op](row[key], operand));
+    }
+    return row[key] === value;
+  });
+
+/**
+ * Pure function to project the selected columns of a row
+ * @param {string} select - Comma separated column list or '*'
+ * @returns {Function} - Function that projects a row
+ */
+const projectColumns = (select = '*') => {
+  const columns = select.split(',').map(column => column.trim()).filter(Boolean);
+  return columns.includes('*')
+    ? (row) => row
+    : (row) => columns.reduce((acc, column) => ({ ...acc, [column]: row[column] }), {});
+};
+
+/**
+ * Pure function to compare two rows by a column
+ * @param {string} column - Column to order by
+ * @param {boolean} ascending - Sort direction
+ * @returns {Function} - Comparator
+ */
+const compareBy = (column, ascending) => (a, b) => {
+  const left = a[column];
+  const right = b[column];
+  if (left === right) return 0;
+  if (left === undefined || left === null) return 1;
+  if (right === undefined || right === null) return -1;
+  return (left < right ? -1 : 1) * (ascending ? 1 : -1);
+};
+
+/**
+ * Pure function to compare two rows by a column, then by a tie-break column
+ * (same direction, like createSupabaseQueryFn)
+ * @param {string} column - Column to order by
+ * @param {string} [thenColumn] - Column to order the ties by
+ * @param {boolean} ascending - Sort direction
+ * @returns {Function} - Comparator
+ */
+const compareByThen = (column, thenColumn, ascending) => (a, b) =>
+  compareBy(column, ascending)(a, b) || (thenColumn ? compareBy(thenColumn, ascending)(a, b) : 0);
+
+/**
+ * Pure function to find the unique key violated by a new row
+ * @param {Array<Array<string>>} uniqueKeys - Unique column sets
+ * @param {Array} rows - Current rows of the table
+ * @param {Object} row - Row about to be inserted
+ * @returns {Array<string>|undefined} - Violated key, if any
+ */
+const findViolatedKey = (uniqueKeys, rows, row) =>
+  uniqueKeys.find(columns =>
+    columns.every(column => row[column] !== undefined && row[column] !== null) &&
+    rows.some(existing => columns.every(column => existing[column] === row[column]))
+  );
+
+/**
+ * Pure function to parse the onConflict columns of an upsert
+ * @param {string|Array<string>} onConflict - Comma separated columns or column list
+ * @returns {Array<string>} - Conflict columns
+ */
+const parseConflictColumns = (onConflict = 'id') =>
+  (Array.isArray(onConflict) ? onConflict : onConflict.split(','))
+    .map(column => column.trim())
+    .filter(Boolean);
+
+/**
+ * Pure function to insert or replace a row by its conflict columns
+ * The replaced row keeps its position in the table
+ * @param {Array} rows - Current rows of the table
+ * @param {Object} row - Row to upsert
+ * @param {Array<string>} columns - Conflict columns
+ * @returns {Array} - Rows after the upsert
+ */
+export const upsertRow = (rows, row, columns) => {
+  const sameKey = (existing) => columns.every(column => existing[column] === row[column]);
+  return rows.some(sameKey)
+    ? rows.map(existing => sameKey(existing) ? row : existing)
+    : [...rows, row];
+};
+
+/**
+ * Creates an in-memory backend
+ * @param {Object} options
+ * @param {Object} [options.tables] - Initial rows by table name
+ * @param {Object} [options.tableRules] - Database rules by table name (see SCHEMA_TABLE_RULES); tables without rules
+ *   only have a unique id
+ *   - beforeInsert: trigger-like transformations, (row, rows) => row
+ *   - afterInsert: trigger-like writes to other tables, applied together with the insert, (row) => [{ table, row }]
+ *   - uniqueKeys: column sets that must be unique
+ * @param {Function} [options.onWrite] - Called with (table, operation) before each write is applied; throwing aborts it.
+ *   Operations: { op: 'insert', row }, { op: 'upsert', row, onConflict }, { op: 'delete', filters }
+ * @returns {EventStoreBackend} - Backend with queryFn, persistFn, upsertFn and deleteFn
+ */
+export const createMemoryBackend = ({
+  tables: initialTables = {},
+  tableRules = {},
+  onWrite = () => {}
+} = {}) => {
+  // Estado mutable encapsulado: es el "disco" de este backend
+  const tables = new Map(
+    Object.entries(initialTables).map(([table, rows]) => [table, [...rows]])
+  );
+  
+  const rowsOf = (table) => tables.get(table) || [];
+  
+  /** @type {QueryFn} */
+  const queryFn = async (params) => tryCatchAsync(async () => {
+    const { table, filters = {}, select = '*', order, thenOrder, limit, offset = 0, ascending = true } = params;
+    
+    const matching = rowsOf(table).filter(row => matchesFilters(row, filters));
+    const ordered = order ? [...matching].sort(compareByThen(order, thenOrder, ascending)) : matching;
+    const limited = limit ? ordered.slice(offset, offset + limit) : ordered;
+    
+    return deepFreeze(limited.map(projectColumns(select)));
+  })();
+  
+  /** @type {PersistFn} */
+  const persistFn = async (table, data) => tryCatchAsync(async () => {
+    const rules = tableRules[table] || {};
+    const rows = rowsOf(table);
+    
+    const withDefaults = {
+      id: generateUUID(),
+      created_at: new Date().toISOString(),
+      ...data
+    };
+    const row = (rules.beforeInsert || []).reduce((acc, trigger) => trigger(acc, rows), withDefaults);
+    
+    const violatedKey = findViolatedKey(rules.uniqueKeys || [['id']], rows, row);
+    if (violatedKey) {
+      throw new Error(JSON.stringify({
+        message: `Database insert error: duplicate key value violates unique constraint on ${table}(${violatedKey.join(', ')})`,
+        details: { table, columns: violatedKey },
+        code: UNIQUE_VIOLATION_CODE
+      }));
+    }
+    
+    // onWrite va primero: si falla (p.ej. escritura a disco) el insert no se aplica
+    // Las filas de los triggers se escriben antes que la fila principal: si el proceso
+    // muere entre ambas escrituras queda una fila derivada huérfana, nunca un evento sin ella
+    const storedRow = deepFreeze(row);
+    const triggeredRows = (rules.afterInsert || [])
+      .flatMap(trigger => trigger(storedRow))
+      .map(({ table: target, row: derived }) => ({ table: target, row: deepFreeze(derived) }));
+    
+    triggeredRows.forEach(({ table: target, row: derived }) => onWrite(target, { op: 'insert', row: derived }));
+    onWrite(table, { op: 'insert', row: storedRow });
+    
+    triggeredRows.forEach(({ table: target, row: derived }) => tables.set(target, [...rowsOf(target), derived]));
+    tables.set(table, [...rows, storedRow]);
+    
+    return storedRow;
+  })();
+  
+  /** @type {UpsertFn} */
+  const upsertFn = async (table, data, { onConflict } = {}) => tryCatchAsync(async () => {
+    const columns = parseConflictColumns(onConflict);
+    
+    const upsertOne = (row) => {
+      const rows = rowsOf(table);
+      const existing = rows.find(candidate => columns.every(column => candidate[column] === row[column]));
+      
+      // Como en Postgres, los defaults solo aplican cuando la fila es nueva
+      const storedRow = deepFreeze(existing
+        ? { ...existing, ...row }
+        : { id: generateUUID(), created_at: new Date().toISOString(), ...row });
+      
+      onWrite(table, { op: 'upsert', row: storedRow, onConflict: columns });
+      tables.set(table, upsertRow(rows, storedRow, columns));
+      return storedRow;
+    };
+    
+    // Una lista de filas se guarda en orden, como el upsert de varias filas de Supabase
+    return Array.isArray(data) ? deepFreeze(data.map(upsertOne)) : upsertOne(data);
+  })();
+  
+  /** @type {DeleteFn} */
+  const deleteFn = async (table, filters = {}) => tryCatchAsync(async () => {
+    const rows = rowsOf(table);
+    const remaining = rows.filter(row => !matchesFilters(row, filters));
+    
+    onWrite(table, { op: 'delete', filters });
+    tables.set(table, remaining);
+    
+    return deepFreeze({ count: rows.length - remaining.length });
+  })();
+  
+  return Object.freeze({
+    name: 'memory',
+    queryFn,
+    persistFn,
+    upsertFn,
+    deleteFn
+  });
+};
+
+export default createMemoryBackend;
@@ -0,0 +1,60 @@
+/**
+ * Supabase event store backend
+ * Part of the imperative shell: wires the Supabase query/persist functions into a backend
+ */
+import {
+  createSupabaseQueryFn,
+  createSupabasePersistFn,
+  createSupabaseUpsertFn,
+  createSupabaseDeleteFn,
+  getSupabaseAdminPersistFn
+} from '../eventStore.js';
+
+/**
+ * Loads the service-role Supabase client, if configured
+ * @returns {Promise<Object|null>} - Admin client or null
+ */
+const loadAdminClient = async () => {
+  try {
+    const configModule = await import('../config.js');
+    return configModule.getSupabaseAdminClient();
+  } catch (error) {
+    console.error('❌ Error al obtener el cliente admin de Supabase:', error);
+    return null;
+  }
+};
+
+/**
+ * Creates a Supabase backed backend
+ * Writes go through the service-role client when available to bypass RLS
+ * @param {Object} options
+ * @param {Object} options.supabaseClient - Supabase client instance
+ * @returns {Promise<EventStoreBackend>} - Backend with queryFn, persistFn, upsertFn and deleteFn
+ */
+export const createSupabaseBackend = async ({ supabaseClient }) => {
+  if (!supabaseClient) {
+    console.warn('⚠️ Event store Supabase seleccionado pero Supabase no está configurado');
+    return Object.freeze({ name: 'supabase', queryFn: null, persistFn: null, upsertFn: null, deleteFn: null });
+  }
+  
+  // Obtener la función de persistencia de forma asíncrona
+  const adminPersistFn = await getSupabaseAdminPersistFn();
+  if (adminPersistFn) {
+    console.log('✅ Función de persistencia con permisos de admin inicializada correctamente');
+  } else {
+    console.warn('⚠️ Usando función de persistencia estándar como fallback');
+  }
+  
+  // Las tablas derivadas (proyecciones) también se escriben con la clave de servicio
+  const writeClient = (await loadAdminClient()) || supabaseClient;
+  
+  return Object.freeze({
+    name: 'supabase',
+    queryFn: createSupabaseQueryFn(supabaseClient),
+    persistFn: adminPersistFn || createSupabasePersistFn(supabaseClient),
+    upsertFn: createSupabaseUpsertFn(writeClient),
+    deleteFn: createSupabaseDeleteFn(writeClient)
+  });
+};
+
+export default createSupabaseBackend;
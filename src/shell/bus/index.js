@@ -0,0 +1,69 @@
+/**
+ * Broadcast bus selection
+ * Part of the imperative shell: picks the pub/sub implementation configured in getConfig().bus
+ *
+ * The bus carries real-time pushes (ticket chat messages, stored events) to the
+ * WebSocket clients of every API instance, not only the one that produced them
+ */
+import { createMemoryBus } from './memoryBus.js';
+import { createSupabaseBus } from './supabaseBus.js';
+
+/**
+ * Broadcast bus
+ * @typedef {Object} Bus
+ * @property {string} name - Driver name
+ * @property {(topic: string, message: Object) => Promise<Result>} publish - Sends a message to every instance
+ * @property {(topic: string, handler: Function) => Function} subscribe - Receives the messages of a topic, returns the unsubscribe function
+ * @property {(topic: string, message: Object) => number} deliver - Delivers a message to the local subscribers only
+ * @property {() => Promise<void>} close - Stops receiving messages
+ */
+
+// Topics del bus
+export const BUS_TOPICS = Object.freeze({
+  CHAT_MESSAGE: 'chat-message',
+  STORED_EVENT: 'stored-event'
+});
+
+/**
+ * Pure function to build the bus message of a stored event
+ * Only what the subscribers need to route it travels on the bus, never the payload
+ * (LOGIN_SUCCEEDED and TOKEN_REFRESHED carry tokens); the full event is read from the event store
+ * @param {Object} event - Stored event (with eventId and position)
+ * @returns {Object} - { eventId, type, email, ticketId, position, timestamp }
+ */
+export const toStoredEventNotice = (event) => Object.freeze({
+  eventId: event.eventId,
+  type: event.type,
+  email: event.email,
+  ticketId: event.ticketId ?? null,
+  position: Number.isInteger(event.position) ? event.position : null,
+  timestamp: event.timestamp
+});
+
+/**
+ * Bus factories by driver name
+ */
+const busFactories = Object.freeze({
+  memory: async () => createMemoryBus(),
+  supabase: async ({ channel }, { supabaseClient }) => createSupabaseBus({ supabaseClient, channel })
+});
+
+/**
+ * Creates the broadcast bus for the configured driver
+ * @param {Object} busConfig - getConfig().bus
+ * @param {Object} deps - Clients the buses may need
+ * @param {Object} [deps.supabaseClient] - Supabase client instance
+ * @returns {Promise<Bus>} - Selected bus
+ */
+export const createBus = async (busConfig, deps = {}) => {
+  const factory = busFactories[busConfig.driver];
+
+  if (!factory) {
+    throw new Error(`Unknown bus driver: ${busConfig.driver}. Use one of: ${Object.keys(busFactories).join(', ')}`);
+  }
+
+  console.log(`📡 Bus: usando '${busConfig.driver}'`);
+  return factory(busConfig, deps);
+};
+
+export { createMemoryBus, createSupabaseBus };
@@ -0,0 +1,70 @@
+/**
+ * In-process broadcast bus
+ * Part of the imperative shell: delivers each published message to the subscribers
+ * of its topic in this process only (single instance deployments and local development)
+ */
+import { Result } from '../../utils/functional.js';
+
+/**
+ * Creates an in-process bus
+ * @returns {Bus} - Bus with publish, subscribe, deliver and close
+ */
+export const createMemoryBus = () => {
+  // Suscriptores por topic (estado del proceso)
+  const handlers = new Map();
+
+  /**
+   * Delivers a message to the local subscribers of a topic
+   * A failing subscriber never affects the others
+   * @returns {number} - Number of subscribers notified
+   */
+  const deliver = (topic, message) => {
+    const topicHandlers = handlers.get(topic) || new Set();
+    topicHandlers.forEach(handler => {
+      try {
+        handler(message);
+      } catch (error) {
+        console.error(`❌ Error en un suscriptor del bus (${topic}):`, error);
+      }
+    });
+    return topicHandlers.size;
+  };
+
+  /**
+   * Subscribes to the messages of a topic
+   * @returns {Function} - Unsubscribe function
+   */
+  const subscribe = (topic, handler) => {
+    if (!handlers.has(topic)) {
+      handlers.set(topic, new Set());
+    }
+    handlers.get(topic).add(handler);
+
+    return () => {
+      handlers.get(topic)?.delete(handler);
+      if (handlers.get(topic)?.size === 0) {
+        handlers.delete(topic);
+      }
+    };
+  };
+
+  /**
+   * Publishes a message to the subscribers of a topic
+   * Returns a Result with the number of local subscribers notified
+   */
+  const publish = async (topic, message) => Result.ok(deliver(topic, message));
+
+  const close = async () => {
+    handlers.clear();
+  };
+
+  return Object.freeze({
+    name: 'memory',
+    publish,
+    subscribe,
+    deliver,
+    close
+  });
+};
+
+export default createMemoryBus;
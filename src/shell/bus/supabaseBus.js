@@ -0,0 +1,74 @@
+/**
+ * Supabase Realtime broadcast bus
+ * Part of the imperative shell: fans messages out to every API instance through a
+ * Supabase Realtime broadcast channel (no extra infrastructure beyond the Supabase project)
+ *
+ * A published message is delivered to the local subscribers right away and sent to the
+ * channel; the other instances receive it from the channel (broadcast.self is off, so
+ * the sender never gets its own messages twice)
+ *
+ * The channel is private: Realtime only lets in the clients allowed by the RLS policies
+ * on realtime.messages (migration 016 allows the service role only), so a client holding
+ * the anon key can neither read the bus nor publish forged chat messages on it
+ */
+import { Result, tryCatchAsync } from '../../utils/functional.js';
+import { createMemoryBus } from './memoryBus.js';
+
+/**
+ * Creates a bus backed by a Supabase Realtime broadcast channel
+ * @param {Object} options
+ * @param {Object} options.supabaseClient - Supabase client instance
+ * @param {string} options.channel - Channel shared by every instance
+ * @returns {Bus} - Bus with publish, subscribe, deliver and close
+ */
+export const createSupabaseBus = ({ supabaseClient, channel: channelName }) => {
+  if (!supabaseClient) {
+    throw new Error('Supabase bus requires a Supabase client (SUPABASE_URL and a key)');
+  }
+
+  const local = createMemoryBus();
+
+  // El topic viaja como nombre del evento de broadcast
+  const channel = supabaseClient
+    .channel(channelName, { config: { private: true, broadcast: { self: false } } })
+    .on('broadcast', { event: '*' }, ({ event, payload }) => local.deliver(event, payload))
+    .subscribe((status, error) => {
+      if (status === 'SUBSCRIBED') {
+        console.log(`📡 Bus: conectado al canal de Supabase Realtime '${channelName}'`);
+      } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+        console.error(`❌ Bus: error en el canal '${channelName}' (${status}):`, error?.message || '');
+      }
+    });
+
+  /**
+   * Publishes a message to the local subscribers and to the other instances
+   * Returns a Result with the number of local subscribers notified, or an error if the
+   * channel rejected the message (local subscribers were notified anyway)
+   */
+  const publish = async (topic, message) => {
+    const delivered = local.deliver(topic, message);
+
+    return tryCatchAsync(async () => {
+      const status = await channel.send({ type: 'broadcast', event: topic, payload: message });
+      if (status !== 'ok') {
+        throw new Error(`Broadcast to '${channelName}' failed: ${status}`);
+      }
+      return delivered;
+    })();
+  };
+
+  const close = async () => {
+    await local.close();
+    await supabaseClient.removeChannel(channel);
+  };
+
+  return Object.freeze({
+    name: 'supabase',
+    publish,
+    subscribe: local.subscribe,
+    deliver: local.deliver,
+    close
+  });
+};
+
+export default createSupabaseBus;
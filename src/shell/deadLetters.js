@@ -0,0 +1,109 @@
+/**
+ * Dead-letter store
+ * Part of the imperative shell: keeps the external notifications (outbox entries) that
+ * ran out of retries, with the original event, the last error and the attempt count,
+ * until an admin retries or discards them (see src/services/deadLetterService.js)
+ */
+import { tryCatchAsync, deepFreeze } from '../utils/functional.js';
+
+export const DEAD_LETTER_TABLE = 'dead_letters';
+
+// open: esperando a un admin, retrying: devuelta al outbox, resolved: el reintento funcionó,
+// discarded: descartada por un admin
+export const DEAD_LETTER_STATUSES = Object.freeze(['open', 'retrying', 'resolved', 'discarded']);
+
+/**
+ * Pure function to build the dead letter of an outbox entry that ran out of retries
+ * A notification that fails again after a retry updates its existing dead letter
+ * @param {Object} entry - Failed outbox row
+ * @param {Object} event - Original event handed to the notification handler
+ * @param {Object|null} existing - Current dead letter of the event, if any
+ * @param {Date} now - Current time
+ * @returns {Object} - Dead letter row
+ */
+export const toDeadLetterRow = (entry, event, existing, now) => ({
+  event_id: entry.event_id,
+  email: entry.email,
+  event_type: entry.event_type,
+  event,
+  error: entry.last_error || null,
+  attempts: entry.attempts,
+  status: 'open',
+  first_failed_at: existing?.first_failed_at || now.toISOString(),
+  last_attempt_at: entry.updated_at,
+  created_at: existing?.created_at || now.toISOString(),
+  updated_at: now.toISOString(),
+  resolved_at: null,
+  discarded_by: null
+});
+
+/**
+ * Pure function to map a dead letter row to the shape returned by the admin endpoints
+ * @param {Object} row - Dead letter row
+ * @returns {Object} - Dead letter
+ */
+export const toDeadLetter = (row) => deepFreeze({
+  eventId: row.event_id,
+  email: row.email,
+  eventType: row.event_type,
+  status: row.status,
+  error: row.error,
+  attempts: row.attempts,
+  firstFailedAt: row.first_failed_at,
+  lastAttemptAt: row.last_attempt_at,
+  resolvedAt: row.resolved_at || null,
+  discardedBy: row.discarded_by || null,
+  event: row.event
+});
+
+/**
+ * Fetches the dead letter of an event
+ * Returns a Result with the row or null
+ * @param {QueryFn} queryFn - Function to query data
+ */
+export const fetchDeadLetter = (queryFn) => async (eventId) => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: DEAD_LETTER_TABLE,
+      filters: { event_id: eventId },
+      limit: 1
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to fetch dead letter: ${result.unwrapError().message}`);
+    }
+
+    return (result.unwrap() || [])[0] || null;
+  })();
+};
+
+/**
+ * Fetches dead letters, most recent failure first
+ * Returns a Result with the rows
+ * @param {QueryFn} queryFn - Function to query data
+ */
+export const fetchDeadLetters = (queryFn) => async ({ status, eventType, email, limit = 50, offset = 0 } = {}) => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: DEAD_LETTER_TABLE,
+      filters: { status, event_type: eventType, email },
+      order: 'last_attempt_at',
+      ascending: false,
+      limit,
+      offset
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to fetch dead letters: ${result.unwrapError().message}`);
+    }
+
+    return result.unwrap() || [];
+  })();
+};
+
+/**
+ * Saves the new state of a dead letter
+ * @param {UpsertFn} upsertFn - Function to upsert data
+ */
+export const saveDeadLetter = (upsertFn) => (row) =>
+  upsertFn(DEAD_LETTER_TABLE, row, { onConflict: 'event_id' });
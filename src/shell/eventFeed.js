@@ -0,0 +1,38 @@
+/**
+ * In-process feed of stored events
+ * Part of the imperative shell: storeEvent publishes every event it appends, and
+ * real-time consumers (the /ws/events stream) subscribe to it
+ *
+ * Only events stored by this process are published; consumers that need older
+ * events (e.g. a client resuming after a reconnect) read them from the event store
+ */
+
+// Funciones suscritas al feed (estado del proceso)
+const listeners = new Set();
+
+/**
+ * Subscribes to the events stored from now on
+ * @param {Function} listener - (event) => void, receives the stored event (with eventId and position)
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToStoredEvents = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Publishes a stored event to every subscriber
+ * A failing subscriber never affects the write that published the event
+ * @param {Object} event - Stored event
+ * @returns {number} - Number of subscribers notified
+ */
+export const publishStoredEvent = (event) => {
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('❌ Error en un suscriptor del feed de eventos:', error);
+    }
+  });
+  return listeners.size;
+};
@@ -3,15 +3,39 @@
  * Part of the imperative shell that handles side effects
  */
 import { v4 as generateUUID } from 'uuid';
-import { Result, tryCatchAsync, deepFreeze } from '../utils/functional.js';
+import { Result, tryCatchAsync, deepFreeze, extractErrorInfo } from '../utils/functional.js';
+import { withSchemaVersion, upcastEvent } from '../core/upcasters.js';
+import { toUserActivityRow, USER_ACTIVITY_EVENT_TYPES } from './projections/userActivity.js';
+import { publishStoredEvent } from './eventFeed.js';
 
 // Event store table name - updated to match our new schema
 const EVENTS_TABLE = 'events';
 const USER_ACTIVITY_TABLE = 'user_activity';
 
+// Postgres unique_violation: another writer already appended this stream version
+const UNIQUE_VIOLATION_CODE = '23505';
+
+// Range operators accepted as filter values, e.g. { version: { gt: 10 } }
+export const RANGE_OPERATORS = Object.freeze(['gt', 'gte', 'lt', 'lte']);
+
+/**
+ * Checks whether a filter value is a range filter
+ * @param {*} value - Filter value
+ * @returns {boolean} - True for objects like { gt: 10 }
+ */
+export const isRangeFilter = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every(op => RANGE_OPERATORS.includes(op));
+
 /**
  * Generic query function type definition
- * @typedef {(params: {table: string, filters?: Object, select?: string, order?: string}) => Promise<{data: any[], error: Error|null}>} QueryFn
+ * Filter values may be scalars (equality), arrays (membership) or range objects ({ gt, gte, lt, lte })
+ * offset skips rows for pagination and is only applied together with limit
+ * thenOrder breaks the ties of order (same direction), so pages are stable
+ * @typedef {(params: {table: string, filters?: Object, select?: string, order?: string, thenOrder?: string, ascending?: boolean, limit?: number, offset?: number}) => Promise<{data: any[], error: Error|null}>} QueryFn
  */
 
 /**
@@ -19,47 +43,119 @@ const USER_ACTIVITY_TABLE = 'user_activity';
  * @typedef {(table: string, data: Object) => Promise<{data: any, error: Error|null}>} PersistFn
  */
 
+/**
+ * Generic upsert function type definition
+ * Inserts the row, or replaces the row with the same onConflict columns (comma separated)
+ * A list of rows is written in one call and answers the list of stored rows
+ * @typedef {(table: string, data: Object|Array<Object>, options: {onConflict: string}) => Promise<{data: any, error: Error|null}>} UpsertFn
+ */
+
+/**
+ * Generic delete function type definition
+ * Deletes the rows matching the filters (empty filters delete every row); returns { count }
+ * @typedef {(table: string, filters?: Object) => Promise<{data: {count: number}, error: Error|null}>} DeleteFn
+ */
+
+/**
+ * Event store backend: the storage adapter behind the event store functions
+ * Implementations live in ./backends (supabase, memory, file) and are selected via getConfig().eventStore
+ * Events are append-only: upsertFn and deleteFn are meant for derived tables (projections, checkpoints)
+ * @typedef {Object} EventStoreBackend
+ * @property {string} name - Driver name
+ * @property {QueryFn|null} queryFn - Function to query rows
+ * @property {PersistFn|null} persistFn - Function to insert rows
+ * @property {UpsertFn|null} upsertFn - Function to insert or replace rows
+ * @property {DeleteFn|null} deleteFn - Function to delete rows
+ */
+
+/**
+ * Creates the error returned when an append loses the race for a stream version
+ * @param {string} email - Aggregate identifier
+ * @param {number} expectedVersion - Version the writer expected the stream to be at
+ * @returns {Error} - Error with a JSON message, like the rest of the shell errors
+ */
+const concurrencyConflictError = (email, expectedVersion) =>
+  new Error(JSON.stringify({
+    status: 409,
+    message: `Stream for ${email} has moved past version ${expectedVersion}`,
+    details: { errorCode: 'CONCURRENCY_CONFLICT', email, expectedVersion }
+  }));
+
+/**
+ * Checks whether an error returned by storeEvent is a concurrency conflict
+ * @param {Error} error - Error from a failed append
+ * @returns {boolean} - True if the stream version was already taken
+ */
+export const isConcurrencyConflict = (error) =>
+  extractErrorInfo(error).details?.details?.errorCode === 'CONCURRENCY_CONFLICT';
+
+// Columnas leídas al reconstruir eventos
+const EVENT_COLUMNS = 'payload, version, schema_version';
+
+/**
+ * Maps a stored row back to the event it holds, exposing its stream version
+ * The payload is upcast to the current schema version of its event type
+ * @param {Object} row - Row from the events table
+ * @returns {Object} - Event payload with its version
+ */
+const toEvent = (row) => {
+  const event = upcastEvent({
+    ...row.payload,
+    schemaVersion: row.payload?.schemaVersion ?? row.schema_version
+  });
+  return row.version !== undefined && row.version !== null
+    ? { ...event, version: row.version }
+    : event;
+};
+
 /**
  * Stores an event in the event store
- * Returns a Result with the stored event or an error
+ * Returns a Result with the stored event (including its stream version, eventId and log position) or an error
+ * When expectedVersion is given the event is appended as version expectedVersion + 1,
+ * and the append fails with a CONCURRENCY_CONFLICT error if that version is taken
  * @param {PersistFn} persistFn - Function to persist data
  */
-export const storeEvent = (persistFn) => async (event) => {
+export const storeEvent = (persistFn) => async (event, { expectedVersion } = {}) => {
   // Use tryCatchAsync to handle errors functionally
   return tryCatchAsync(async () => {
     // console.log({ event });
-    // Ensure event has a timestamp if not already present
-    const eventWithTimestamp = deepFreeze({
+    // Ensure event has a timestamp and the schema version of its type
+    const eventWithTimestamp = deepFreeze(withSchemaVersion({
       ...event,
       timestamp: event.timestamp || Date.now()
-    });
+    }));
 
     // Insert into the events table with the new schema
+    // Sin expectedVersion la base de datos asigna la siguiente versión del stream
+    const hasExpectedVersion = Number.isInteger(expectedVersion);
+    const eventId = generateUUID();
     const eventResult = await persistFn(EVENTS_TABLE, {
-      id: generateUUID(),
+      id: eventId,
       email: event.email, // Usar email como identificador de agregado
       type: event.type,
-      payload: eventWithTimestamp
+      payload: eventWithTimestamp,
+      schema_version: eventWithTimestamp.schemaVersion,
+      ...(hasExpectedVersion && { version: expectedVersion + 1 })
     });
     
     // persistFn ahora devuelve un Result, así que necesitamos manejarlo adecuadamente
     if (eventResult.error) {
-      throw new Error(`Failed to store event: ${eventResult.unwrapError().message}`);
+      const persistError = eventResult.unwrapError();
+      if (hasExpectedVersion && extractErrorInfo(persistError).details?.code === UNIQUE_VIOLATION_CODE) {
+        throw concurrencyConflictError(event.email, expectedVersion);
+      }
+      throw new Error(`Failed to store event: ${persistError.message}`);
     }
     
+    const storedRow = eventResult.unwrap();
+    const storedVersion = storedRow?.version ?? (hasExpectedVersion ? expectedVersion + 1 : undefined);
+    
     // For authentication events, also track in user_activity table
-    if (
-      event.type === 'LOGIN_SUCCEEDED' || 
-      event.type === 'TOKEN_REFRESHED' || 
-      event.type === 'INVALID_REFRESH_TOKEN'
-    ) {
+    // (live update of the user_activity projection; it can be rebuilt with replay-projections.js)
+    if (USER_ACTIVITY_EVENT_TYPES.includes(event.type)) {
       // Usar un enfoque funcional para manejar el registro de actividad del usuario
       // No esperamos a que se complete, para no bloquear el flujo principal
-      persistFn(USER_ACTIVITY_TABLE, {
-        email: event.email, // Usar email como identificador de agregado
-        activity_type: event.type,
-        created_at: eventWithTimestamp.timestamp
-      })
+      persistFn(USER_ACTIVITY_TABLE, toUserActivityRow(eventWithTimestamp, eventId))
       .then(result => {
         if (result.error) {
           console.error(`Failed to store user activity: ${result.unwrapError().message}`);
@@ -72,7 +168,17 @@ export const storeEvent = (persistFn) => async (event) => {
       });
     }
     
-    return eventWithTimestamp;
+    // Como en fetchEventsAfterPosition, el evento lleva el id de su fila y su posición en el log
+    const storedEvent = deepFreeze({
+      ...eventWithTimestamp,
+      ...(storedVersion !== undefined && { version: storedVersion }),
+      eventId,
+      ...(storedRow?.global_position !== undefined && { position: storedRow.global_position })
+    });
+    
+    // Avisar a los consumidores en tiempo real (p. ej. /ws/events)
+    publishStoredEvent(storedEvent);
+    return storedEvent;
   })();
 };
 
@@ -83,7 +189,7 @@ export const storeEvent = (persistFn) => async (event) => {
 export const fetchEventsByUserAndFilters = (queryFn) => async (params) => {
   return tryCatchAsync(async () => {
     console.log('Fetching events:', params);
-    const { email, filters = {}, select = 'payload', order = 'created_at' } = params;
+    const { email, filters = {}, select = EVENT_COLUMNS, order = 'version', limit } = params;
     
     const queryParams = {
       table: EVENTS_TABLE,
@@ -92,7 +198,8 @@ export const fetchEventsByUserAndFilters = (queryFn) => async (params) => {
         ...filters
       },
       select,
-      order
+      order,
+      ...(limit && { limit })
     };
 
     console.log('Query params:', queryParams);
@@ -105,11 +212,85 @@ export const fetchEventsByUserAndFilters = (queryFn) => async (params) => {
     
     // Map and freeze each event to ensure immutability
     return (result.unwrap() || [])
-      .map(item => item.payload)
+      .map(toEvent)
       .map(deepFreeze);
   })();
 };
 
+/**
+ * Fetches the current version of a user's event stream
+ * Returns a Result with the latest version (0 for an empty stream) or an error
+ */
+export const fetchStreamVersion = (queryFn) => async (email) => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: EVENTS_TABLE,
+      filters: { email },
+      select: 'version',
+      order: 'version',
+      ascending: false,
+      limit: 1
+    });
+    
+    if (result.error) {
+      throw new Error(`Failed to fetch stream version: ${result.unwrapError().message}`);
+    }
+    
+    const [latest] = result.unwrap() || [];
+    return latest?.version ?? 0;
+  })();
+};
+
+/**
+ * Fetches a batch of events of every aggregate in global log order
+ * Used to replay the whole log through projections, and to resume real-time streams
+ * (filters narrow the log down to one stream, e.g. { email } or { ticketId })
+ * Each event carries its log position and the id of its row (eventId)
+ * Returns a Result with the events or an error
+ */
+export const fetchEventsAfterPosition = (queryFn) => async ({ afterPosition = 0, limit = 500, filters = {} } = {}) => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: EVENTS_TABLE,
+      filters: { ...filters, global_position: { gt: afterPosition } },
+      select: `id, ${EVENT_COLUMNS}, global_position`,
+      order: 'global_position',
+      limit
+    });
+    
+    if (result.error) {
+      throw new Error(`Failed to fetch events: ${result.unwrapError().message}`);
+    }
+    
+    return (result.unwrap() || [])
+      .map(row => ({ ...toEvent(row), eventId: row.id, position: row.global_position }))
+      .map(deepFreeze);
+  })();
+};
+
+/**
+ * Fetches the position of the latest event in the global log
+ * Returns a Result with the position (0 for an empty log) or an error
+ */
+export const fetchHeadPosition = (queryFn) => async () => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: EVENTS_TABLE,
+      select: 'global_position',
+      order: 'global_position',
+      ascending: false,
+      limit: 1
+    });
+    
+    if (result.error) {
+      throw new Error(`Failed to fetch head position: ${result.unwrapError().message}`);
+    }
+    
+    const [latest] = result.unwrap() || [];
+    return latest?.global_position ?? 0;
+  })();
+};
+
 /**
  * Fetches all events for a specific user
  * Returns a Result with the events or an error
@@ -135,7 +316,9 @@ export const fetchEventsByType = (queryFn) => async (email, eventType) => {
 };
 
 /**
- * Fetches events related to a specific ticket
+ * Fetches events related to a specific ticket (the Ticket aggregate history)
+ * Ticket events live in the streams of the users that produced them, so they are
+ * ordered by creation time rather than by stream version
  * Returns a Result with the events or an error
  */
 export const fetchTicketEvents = (queryFn) => async (ticketId) => {
@@ -145,19 +328,20 @@ export const fetchTicketEvents = (queryFn) => async (ticketId) => {
       filters: {
         ticketId
       },
-      select: 'payload',
+      select: EVENT_COLUMNS,
       order: 'created_at'
     };
     
     const result = await queryFn(queryParams);
       
     if (result.error) {
-      return Promise.reject(new Error(`Failed to fetch ticket events: ${result.error.message}`));
+      throw new Error(`Failed to fetch ticket events: ${result.unwrapError().message}`);
     }
     
     // Map and freeze each event to ensure immutability
-    const events = (result.data?.map(item => item.payload) || []).map(deepFreeze);
-    return events;
+    return (result.unwrap() || [])
+      .map(toEvent)
+      .map(deepFreeze);
   })();
 };
 
@@ -202,6 +386,35 @@ export const fetchUserActivity = (queryFn) => async (email) => {
   })();
 };
 
+/**
+ * Applies event store filters to a Supabase query builder
+ * Shared by the query and delete functions so both read filters the same way
+ * @param {Object} query - Supabase filter builder
+ * @param {Object} filters - Event store filters
+ * @returns {Object} - Filter builder with the filters applied
+ */
+const applySupabaseFilters = (query, filters = {}) =>
+  Object.entries(filters).reduce((filtered, [key, value]) => {
+    if (key === 'email' && value) {
+      return filtered.eq('email', value);
+    } else if (key === 'type' && Array.isArray(value) && value.length > 0) {
+      return filtered.in('type', value);
+    } else if (key === 'type' && value) {
+      return filtered.eq('type', value);
+    } else if (key === 'types' && Array.isArray(value) && value.length > 0) {
+      return filtered.in('type', value);
+    } else if (key === 'ticketId' && value) {
+      return filtered.contains('payload', { ticketId: value });
+    } else if (Array.isArray(value) && value.length > 0) {
+      return filtered.in(key, value);
+    } else if (isRangeFilter(value)) {
+      return Object.entries(value).reduce((rangeQuery, [op, operand]) => rangeQuery[op](key, operand), filtered);
+    } else if (value !== undefined && value !== null && value !== '' && typeof value !== 'object') {
+      return filtered.eq(key, value);
+    }
+    return filtered;
+  }, query);
+
 /**
  * Creates a Supabase query function that can be used with our event store functions
  * @param {Object} supabaseClient - Supabase client instance
@@ -209,42 +422,36 @@ export const fetchUserActivity = (queryFn) => async (email) => {
  */
 export const createSupabaseQueryFn = (supabaseClient) => async (params) => {
   return tryCatchAsync(async () => {
-    const { table, filters = {}, select = '*', order, limit, ascending = true } = params;
+    const { table, filters = {}, select = '*', order, thenOrder, limit, offset, ascending = true } = params;
     
     console.log("Supabase query:", {
       table,
       filters,
       select,
       order,
-      limit
+      thenOrder,
+      limit,
+      offset
     });
     
     // Crear la consulta base
     const baseQuery = supabaseClient.from(table).select(select);
     
     // Aplicar filtros de forma funcional
-    const withFilters = Object.entries(filters).reduce((query, [key, value]) => {
-      if (key === 'email' && value) {
-        return query.eq('email', value);
-      } else if (key === 'type' && value) {
-        return query.eq('type', value);
-      } else if (key === 'types' && Array.isArray(value) && value.length > 0) {
-        return query.in('type', value);
-      } else if (key === 'ticketId' && value) {
-        return query.contains('payload', { ticketId: value });
-      }
-      return query;
-    }, baseQuery);
+    const withFilters = applySupabaseFilters(baseQuery, filters);
     
     // Aplicar ordenamiento de forma funcional
+    // Postgres no garantiza el orden de los empates: thenOrder los desempata
     const withOrder = order 
-      ? withFilters.order(order, { ascending }) 
+      ? [order, thenOrder].filter(Boolean).reduce((ordered, column) => ordered.order(column, { ascending }), withFilters)
       : withFilters;
     
-    // Aplicar límite de forma funcional
-    const finalQuery = limit 
-      ? withOrder.limit(limit) 
-      : withOrder;
+    // Aplicar límite (y desplazamiento para paginar) de forma funcional
+    const finalQuery = limit && offset
+      ? withOrder.range(offset, offset + limit - 1)
+      : limit
+        ? withOrder.limit(limit)
+        : withOrder;
     
     // Execute the query and handle errors
     const { data, error } = await finalQuery;
@@ -303,6 +510,58 @@ export const createSupabasePersistFn = (supabaseClient) => async (table, data) =
   })();
 };
 
+/**
+ * Creates a Supabase upsert function for derived tables
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {UpsertFn} - Upsert function that works with our event store
+ */
+export const createSupabaseUpsertFn = (supabaseClient) => async (table, data, { onConflict } = {}) => {
+  return tryCatchAsync(async () => {
+    const { data: upsertedData, error } = await supabaseClient
+      .from(table)
+      .upsert(Array.isArray(data) ? data : [data], { onConflict })
+      .select();
+    
+    if (error) {
+      throw new Error(JSON.stringify({
+        message: `Database upsert error: ${error.message}`,
+        details: error,
+        code: error.code
+      }));
+    }
+    
+    return deepFreeze(Array.isArray(data) ? upsertedData || [] : upsertedData?.[0] || null);
+  })();
+};
+
+/**
+ * Creates a Supabase delete function for derived tables
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {DeleteFn} - Delete function that works with our event store
+ */
+export const createSupabaseDeleteFn = (supabaseClient) => async (table, filters = {}) => {
+  return tryCatchAsync(async () => {
+    const baseQuery = supabaseClient.from(table).delete({ count: 'exact' });
+    
+    // PostgREST no permite DELETE sin WHERE: sin filtros se borran todas las filas con id
+    const finalQuery = Object.keys(filters).length > 0
+      ? applySupabaseFilters(baseQuery, filters)
+      : baseQuery.not('id', 'is', null);
+    
+    const { count, error } = await finalQuery;
+    
+    if (error) {
+      throw new Error(JSON.stringify({
+        message: `Database delete error: ${error.message}`,
+        details: error,
+        code: error.code
+      }));
+    }
+    
+    return deepFreeze({ count: count ?? 0 });
+  })();
+};
+
 // Crear función persistencia específica usando el cliente admin
 export const getSupabaseAdminPersistFn = async () => {
   try {
@@ -0,0 +1,171 @@
+/**
+ * Idempotency keys for commands
+ * Part of the imperative shell: remembers the response of the first execution of a
+ * command sent with an Idempotency-Key header (or commandId), so client retries get
+ * the same response instead of running transition and notifyExternal again
+ *
+ * Keys are scoped by the email of the command: two users never share a key
+ */
+import crypto from 'crypto';
+import { Result, tryCatchAsync, deepFreeze, extractErrorInfo } from '../utils/functional.js';
+
+export const IDEMPOTENCY_TABLE = 'idempotency_keys';
+
+// Longitud máxima de una clave (como el límite habitual de las APIs de pago)
+export const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Comandos de autenticación: sus respuestas llevan tokens y no se guardan
+export const IDEMPOTENCY_EXCLUDED_COMMANDS = Object.freeze([
+  'LOGIN_ATTEMPT',
+  'REFRESH_TOKEN',
+  'REGISTER_USER'
+]);
+
+// Postgres unique_violation: otra petición reclamó la clave a la vez
+const UNIQUE_VIOLATION_CODE = '23505';
+
+/**
+ * Pure function to serialize a value with its object keys sorted
+ * @param {*} value - Value to serialize
+ * @returns {string} - Stable JSON
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Fingerprint of a command, used to detect a key reused for a different request
+ * The timestamp and the key itself are left out: they change between retries
+ * @param {Object} command - Validated command
+ * @returns {string} - SHA-256 hex digest
+ */
+export const hashCommand = ({ timestamp, commandId, ...command }) =>
+  crypto.createHash('sha256').update(stableStringify(command)).digest('hex');
+
+/**
+ * Pure function to classify the stored record of a key
+ * @param {Object|null} record - Stored record
+ * @param {string} requestHash - Fingerprint of the current request
+ * @param {Date} now - Current time
+ * @returns {string} - 'new' (no live record), 'replay', 'in_progress', 'abandoned' (stale claim) or 'mismatch'
+ */
+export const classifyIdempotencyRecord = (record, requestHash, now) => {
+  if (!record || new Date(record.expires_at) <= now) {
+    return 'new';
+  }
+  if (record.request_hash !== requestHash) {
+    return 'mismatch';
+  }
+  if (record.status === 'completed') {
+    return 'replay';
+  }
+  return new Date(record.locked_until) <= now ? 'abandoned' : 'in_progress';
+};
+
+/**
+ * Fetches the record of a key
+ * Returns a Result with the record or null
+ * @param {QueryFn} queryFn - Function to query data
+ */
+export const fetchIdempotencyRecord = (queryFn) => async (email, key) => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: IDEMPOTENCY_TABLE,
+      filters: { email, idempotency_key: key },
+      limit: 1
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to fetch idempotency key: ${result.unwrapError().message}`);
+    }
+
+    return (result.unwrap() || [])[0] || null;
+  })();
+};
+
+/**
+ * Pure function to build the filters that match a stored record exactly as it was read
+ * Every claim writes new created_at, locked_until and expires_at values, so a record that
+ * changed since it was read no longer matches
+ */
+const toRecordFilters = (record) => ({
+  email: record.email,
+  idempotency_key: record.idempotency_key,
+  created_at: record.created_at,
+  expires_at: record.expires_at,
+  locked_until: record.locked_until
+});
+
+/**
+ * Claims a key for a request that is about to run
+ * An expired or abandoned record is taken over with a compare-and-set: it is deleted only if it
+ * is still the record that was read, then the new claim is inserted. A request that deletes
+ * nothing, or whose insert hits the unique key, lost the key to another request
+ * Returns a Result with the claimed record, or with null if another request claimed it first
+ * @param {Object} backend - { persistFn, deleteFn }
+ * @param {Object} claim - { email, key, commandType, requestHash, now, ttlSeconds, lockSeconds }
+ * @param {Object|null} [previous] - Expired or abandoned record to take over, as it was read
+ */
+export const claimIdempotencyKey = ({ persistFn, deleteFn }) =>
+  async ({ email, key, commandType, requestHash, now, ttlSeconds, lockSeconds }, previous = null) => {
+    const record = {
+      email,
+      idempotency_key: key,
+      command_type: commandType,
+      request_hash: requestHash,
+      status: 'in_progress',
+      response_status: null,
+      response_body: null,
+      created_at: now.toISOString(),
+      locked_until: new Date(now.getTime() + lockSeconds * 1000).toISOString(),
+      expires_at: new Date(now.getTime() + ttlSeconds * 1000).toISOString()
+    };
+
+    if (previous) {
+      const takeOverResult = await deleteFn(IDEMPOTENCY_TABLE, toRecordFilters(previous));
+      if (!takeOverResult.isOk) {
+        return takeOverResult;
+      }
+      // Otra petición ya sustituyó (o completó) el registro leído
+      if (takeOverResult.unwrap().count === 0) {
+        return Result.ok(null);
+      }
+    }
+
+    const result = await persistFn(IDEMPOTENCY_TABLE, record);
+
+    if (result.isError && extractErrorInfo(result.unwrapError()).details?.code === UNIQUE_VIOLATION_CODE) {
+      return Result.ok(null);
+    }
+
+    return result.map(() => deepFreeze(record));
+  };
+
+/**
+ * Stores the response of a completed request
+ * @param {UpsertFn} upsertFn - Function to upsert data
+ */
+export const completeIdempotencyKey = (upsertFn) => (record, responseStatus, responseBody) =>
+  upsertFn(IDEMPOTENCY_TABLE, {
+    ...record,
+    status: 'completed',
+    response_status: responseStatus,
+    response_body: responseBody,
+    locked_until: null
+  }, { onConflict: 'email,idempotency_key' });
+
+/**
+ * Releases a claimed key so the request can be retried with it (nothing was executed)
+ * @param {DeleteFn} deleteFn - Function to delete data
+ */
+export const releaseIdempotencyKey = (deleteFn) => (record) =>
+  deleteFn(IDEMPOTENCY_TABLE, { email: record.email, idempotency_key: record.idempotency_key });
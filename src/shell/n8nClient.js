@@ -3,13 +3,16 @@
  * Part of the imperative shell that handles side effects
  */
 import 'dotenv/config';
-import { Result, tryCatchAsync, deepFreeze } from '../utils/functional.js';
+import { Result, tryCatch, tryCatchAsync, deepFreeze } from '../utils/functional.js';
+import { n8nOutbound } from './outboundClient.js';
+import { validateN8nResponse } from '../validators/n8nContracts.js';
 
 const {
   N8N_BASE_URL,
   N8N_ZOHO_CONTACT_CHECK_PATH,
   N8N_ZOHO_GET_COMPANIES_PATH,
-  N8N_ZOHO_GET_CONTACT_PROFILE_PATH
+  N8N_ZOHO_GET_CONTACT_PROFILE_PATH,
+  N8N_ZOHO_ADD_COMMENT_PATH
 } = process.env;
 
 // Validate environment variables
@@ -18,47 +21,35 @@ if (!N8N_BASE_URL) {
 }
 
 /**
- * Performs a fetch request to n8n endpoint
+ * Performs a request to an n8n workflow through the shared outbound client
+ * (timeout, retries for idempotent calls, circuit breaker per workflow)
+ * The response is checked against the workflow contract before reading its data
  * @param {string} path - API path
  * @param {Object} data - Request body data
+ * @param {Object} options - { workflow, idempotent }: contract name, and whether the lookup may be retried
  * @returns {Promise<Object>} - Response data
  */
-const fetchFromN8n = async (path, data) => {
-  const response = await fetch(`${N8N_BASE_URL}${path}`, {
+const fetchFromN8n = async (path, data, { workflow, idempotent = false }) => {
+  console.log('🔗 Fetching data from n8n:', `${N8N_BASE_URL}${path}`);
+
+  const result = await n8nOutbound.request(`${N8N_BASE_URL}${path}`, {
     method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(data)
+    body: data,
+    idempotent
   });
 
-  console.log('🔗 Fetching data from n8n:', `${N8N_BASE_URL}${path}`);
-  // console.log('🔗 Response:', responseText);
+  if (!result.isOk) {
+    throw result.unwrapError();
+  }
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    try {
-      const errorJson = JSON.parse(errorText);
-      throw new Error(JSON.stringify({
-        status: response.status,
-        message: errorJson.message || 'n8n request failed',
-        details: errorJson.details || { errorCode: 'N8N_REQUEST_FAILED' }
-      }));
-    } catch (e) {
-      if (e.message.includes('JSON')) {
-        throw new Error(JSON.stringify({
-          status: response.status,
-          message: errorText || 'n8n request failed',
-          details: { errorCode: 'N8N_REQUEST_FAILED' }
-        }));
-      }
-      throw e;
-    }
+  const validation = validateN8nResponse(workflow, result.unwrap().body);
+  if (!validation.isOk) {
+    console.error('❌ Unexpected n8n response shape:', validation.unwrapError().message);
+    throw validation.unwrapError();
   }
-  
-  const { data: result } = await response.json();
 
-  return result;
+  const { data: responseData } = validation.unwrap() || {};
+  return responseData;
 };
 
 /**
@@ -78,7 +69,7 @@ export const verifyZohoContact = async (email) => {
     }
 
     console.log('🔍 Verifying Zoho contact via n8n workflow:', email);
-    const data = await fetchFromN8n(N8N_ZOHO_CONTACT_CHECK_PATH, { email });
+    const data = await fetchFromN8n(N8N_ZOHO_CONTACT_CHECK_PATH, { email }, { workflow: 'zoho-contact-check', idempotent: true });
     
     if (!data) {
       console.error('❌ Contact not found in Zoho CRM:', email);
@@ -117,7 +108,7 @@ export const getZohoCompanies = async (contactId) => {
     }
 
     console.log('🔍 Getting companies for contact via n8n workflow:', contactId);
-    const data = await fetchFromN8n(N8N_ZOHO_GET_COMPANIES_PATH, { contactId });
+    const data = await fetchFromN8n(N8N_ZOHO_GET_COMPANIES_PATH, { contactId }, { workflow: 'zoho-get-companies', idempotent: true });
     
     if (!data) {
       console.error('❌ Failed to get companies for contact:', contactId);
@@ -155,66 +146,180 @@ export const authenticate = async (email, password) => {
 };
 
 /**
- * Create a ticket via n8n workflow
- * @param {Object} ticket - Ticket data
- * @returns {Promise<Result>} - Result with ticket data or error
+ * Base URL of the webhooks, so workflow paths resolve relative to it (with or without trailing slash)
  */
-export const createTicket = async (ticket) => {
-  return tryCatchAsync(async () => {
-    console.error('❌ Ticket creation via n8n not implemented yet');
+const n8nBaseUrl = () => N8N_BASE_URL.endsWith('/') ? N8N_BASE_URL : `${N8N_BASE_URL}/`;
+
+/**
+ * Sends a write (ticket, comment) to an n8n workflow and checks the answer against its contract
+ * Writes are not idempotent: no retries here (the outbox retries the entry)
+ * @param {URL} url - Webhook URL
+ * @param {Object} request - { method, body }
+ * @param {Object} options - { workflow, errorCode }: contract name, and error code when the workflow reports a failure
+ * @returns {Promise<Object>} - Response body
+ */
+const writeToN8n = async (url, { method, body }, { workflow, errorCode }) => {
+  const result = await n8nOutbound.request(url.toString(), { method, body });
+
+  if (!result.isOk) {
+    throw result.unwrapError();
+  }
+
+  const validation = validateN8nResponse(workflow, result.unwrap().body);
+  if (!validation.isOk) {
+    throw validation.unwrapError();
+  }
+
+  const data = validation.unwrap() || {};
+  if (data.success === false) {
     throw new Error(JSON.stringify({
-      status: 501,
-      message: 'Ticket creation via n8n not implemented yet',
-      details: { errorCode: 'NOT_IMPLEMENTED', message: 'This feature is not implemented yet' }
+      status: 502,
+      message: data.error || data.message || `n8n workflow ${workflow} failed`,
+      details: { errorCode }
     }));
+  }
+
+  return data;
+};
+
+/**
+ * Fails when the webhooks have no base URL
+ */
+const requireN8nBaseUrl = (operation) => {
+  if (!N8N_BASE_URL) {
+    console.error(`❌ n8n configuration missing for ${operation}`);
+    throw new Error(JSON.stringify({
+      status: 503,
+      message: 'n8n service not configured',
+      details: { errorCode: 'N8N_NOT_CONFIGURED', message: 'n8n service not configured for Zoho operations' }
+    }));
+  }
+};
+
+/**
+ * Pure function to pick the ticket fields the zoho-update-ticket workflow accepts
+ */
+const toTicketUpdates = (ticket) => Object.fromEntries(
+  ['status', 'priority', 'subject', 'description', 'departmentId', 'assigneeId']
+    .filter(field => ticket[field] !== undefined)
+    .map(field => [field, ticket[field]])
+);
+
+/**
+ * Create a ticket via n8n workflow (zoho-create-ticket)
+ * The contact is looked up in Zoho by the email of the ticket's owner
+ * @param {Object} ticket - { subject, description, priority, departmentId, email }
+ * @returns {Promise<Result>} - Result with the Zoho ticket ({ id, ... }) or error
+ */
+export const createTicket = async (ticket) => {
+  return tryCatchAsync(async () => {
+    requireN8nBaseUrl('Zoho tickets');
+
+    console.log('🎫 Creating Zoho ticket via n8n workflow for:', ticket.email);
+    const url = new URL('zoho-create-ticket', n8nBaseUrl());
+    const data = await writeToN8n(url, {
+      method: 'POST',
+      body: {
+        subject: ticket.subject,
+        description: ticket.description || '',
+        priority: ticket.priority,
+        departmentId: ticket.departmentId,
+        contactId: ticket.contactId,
+        email: ticket.email
+      }
+    }, { workflow: 'zoho-create-ticket', errorCode: 'ZOHO_TICKET_FAILED' });
+
+    if (!data.ticket?.id) {
+      throw new Error(JSON.stringify({
+        status: 502,
+        message: 'n8n workflow zoho-create-ticket answered without the created ticket',
+        details: { errorCode: 'ZOHO_TICKET_FAILED' }
+      }));
+    }
+
+    console.log('✅ Zoho ticket created:', data.ticket.id);
+    return deepFreeze(data.ticket);
   })();
 };
 
 /**
- * Update a ticket via n8n workflow
- * @param {Object} ticket - Ticket data
- * @returns {Promise<Result>} - Result with ticket data or error
+ * Update a ticket via n8n workflow (zoho-update-ticket/:ticketId)
+ * @param {Object} ticket - { id (Zoho ticket id), status, priority, subject, description, ... }
+ * @returns {Promise<Result>} - Result with the Zoho ticket or error
  */
 export const updateTicket = async (ticket) => {
   return tryCatchAsync(async () => {
-    console.error('❌ Ticket update via n8n not implemented yet');
-    throw new Error(JSON.stringify({
-      status: 501,
-      message: 'Ticket update via n8n not implemented yet',
-      details: { errorCode: 'NOT_IMPLEMENTED', message: 'This feature is not implemented yet' }
-    }));
+    requireN8nBaseUrl('Zoho tickets');
+
+    console.log('✏️ Updating Zoho ticket via n8n workflow:', ticket.id);
+    const url = new URL(`zoho-update-ticket/${encodeURIComponent(ticket.id)}`, n8nBaseUrl());
+    const data = await writeToN8n(url, {
+      method: 'PATCH',
+      body: toTicketUpdates(ticket)
+    }, { workflow: 'zoho-update-ticket', errorCode: 'ZOHO_TICKET_FAILED' });
+
+    console.log('✅ Zoho ticket updated:', ticket.id);
+    return deepFreeze(data.ticket);
   })();
 };
 
 /**
- * Add a comment to a ticket via n8n workflow
- * @param {Object} comment - Comment data
- * @returns {Promise<Result>} - Result with comment data or error
+ * Add a comment to a ticket via n8n workflow (zoho-add-comment)
+ * The workflow answers { success, commentId, ... } instead of the { data } envelope of the other workflows
+ * @param {Object} comment - { ticketId, comment, email, isPublic }
+ * @returns {Promise<Result>} - Result with the Zoho comment ({ id, ... }) or error
  */
 export const addComment = async (comment) => {
   return tryCatchAsync(async () => {
-    console.error('❌ Comment addition via n8n not implemented yet');
-    throw new Error(JSON.stringify({
-      status: 501,
-      message: 'Comment addition via n8n not implemented yet',
-      details: { errorCode: 'NOT_IMPLEMENTED', message: 'This feature is not implemented yet' }
-    }));
+    requireN8nBaseUrl('Zoho comments');
+
+    // Ruta relativa a N8N_BASE_URL (con o sin barra final)
+    const path = (N8N_ZOHO_ADD_COMMENT_PATH || 'zoho-add-comment').replace(/^\/+/, '');
+    const url = new URL(path, n8nBaseUrl());
+
+    console.log('💬 Adding comment to Zoho ticket via n8n workflow:', comment.ticketId);
+    const data = await writeToN8n(url, {
+      method: 'POST',
+      body: {
+        ticketId: comment.ticketId,
+        comment: comment.comment,
+        isPublic: comment.isPublic !== false,
+        author: comment.author || comment.email
+      }
+    }, { workflow: 'zoho-add-comment', errorCode: 'ZOHO_COMMENT_FAILED' });
+
+    if (!data.commentId) {
+      throw new Error(JSON.stringify({
+        status: 502,
+        message: 'Failed to add comment to Zoho Desk',
+        details: { errorCode: 'ZOHO_COMMENT_FAILED' }
+      }));
+    }
+
+    console.log('✅ Comment added to Zoho ticket:', comment.ticketId);
+    return deepFreeze({ ...data, id: data.commentId });
   })();
 };
 
 /**
- * Escalate a ticket via n8n workflow
- * @param {Object} ticket - Ticket data
- * @returns {Promise<Result>} - Result with ticket data or error
+ * Escalate a ticket via n8n workflow (zoho-update-ticket/:ticketId)
+ * Zoho Desk has no escalation call: the ticket is raised to High priority, as in our aggregate
+ * @param {Object} ticket - { id (Zoho ticket id), reason }
+ * @returns {Promise<Result>} - Result with the Zoho ticket or error
  */
 export const escalateTicket = async (ticket) => {
   return tryCatchAsync(async () => {
-    console.error('❌ Ticket escalation via n8n not implemented yet');
-    throw new Error(JSON.stringify({
-      status: 501,
-      message: 'Ticket escalation via n8n not implemented yet',
-      details: { errorCode: 'NOT_IMPLEMENTED', message: 'This feature is not implemented yet' }
-    }));
+    requireN8nBaseUrl('Zoho tickets');
+
+    console.log('⏫ Escalating Zoho ticket via n8n workflow:', ticket.id);
+    const url = new URL(`zoho-update-ticket/${encodeURIComponent(ticket.id)}`, n8nBaseUrl());
+    const data = await writeToN8n(url, {
+      method: 'PATCH',
+      body: { priority: 'High' }
+    }, { workflow: 'zoho-update-ticket', errorCode: 'ZOHO_TICKET_FAILED' });
+
+    console.log('✅ Zoho ticket escalated:', ticket.id);
+    return deepFreeze(data.ticket);
   })();
 };
 
@@ -248,56 +353,29 @@ export const getContactProfile = async (contactID) => {
   const buildUrl = ({ N8N_BASE_URL, N8N_ZOHO_GET_CONTACT_PROFILE_PATH, contactID }) => 
     `${N8N_BASE_URL}${N8N_ZOHO_GET_CONTACT_PROFILE_PATH}?contactID=${encodeURIComponent(contactID)}`;
   
-  // Función para hacer el fetch con manejo de errores
+  // Función para hacer el fetch (cliente saliente compartido: timeout, reintentos y circuit breaker)
+  // Las respuestas no exitosas llegan como Result.error con su status y detalles
   const fetchProfile = async (url) => {
     console.log('🔍 Getting contact profile via n8n workflow:', url);
     
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: { 'Content-Type': 'application/json' }
-    });
-    
-    const { status, statusText, headers } = response;
-    console.log('Profile Response status:', status, statusText);
-    console.log('Content-Type:', headers.get('content-type'));
-    
-    return response;
-  };
-  
-  // Función para manejar respuestas HTTP no exitosas
-  const handleErrorResponse = async (response) => {
-    if (response.ok) return { response, isError: false };
-    
-    const errorText = await response.text();
-    console.error('Error response text:', errorText);
+    const result = await n8nOutbound.request(url, { method: 'GET' });
     
-    try {
-      const { message, details } = JSON.parse(errorText);
-      return { 
-        isError: true,
-        error: new Error(JSON.stringify({
-          status: response.status,
-          message: message || 'n8n request failed',
-          details: details || { errorCode: 'N8N_REQUEST_FAILED' }
-        }))
-      };
-    } catch (e) {
-      return { 
-        isError: true,
-        error: new Error(JSON.stringify({
-          status: response.status,
-          message: errorText || 'n8n request failed',
-          details: { errorCode: 'N8N_REQUEST_FAILED' }
-        }))
-      };
+    if (result.isOk) {
+      const { status, headers } = result.unwrap();
+      console.log('Profile Response status:', status);
+      console.log('Content-Type:', headers.get('content-type'));
+    } else {
+      console.error('Error response:', result.unwrapError().message);
     }
+    
+    return result;
   };
   
   // Función para extraer y parsear el contenido
-  const extractContent = async ({ response, isError, error }) => {
-    if (isError) return Result.error(error);
+  const extractContent = (fetchResult) => {
+    if (!fetchResult.isOk) return fetchResult;
     
-    const responseText = await response.text();
+    const responseText = fetchResult.unwrap().text;
     console.log('Profile data text:', responseText);
     
     return !responseText || responseText.trim() === ''
@@ -307,29 +385,36 @@ export const getContactProfile = async (contactID) => {
   
   // Función para parsear el contenido JSON
   const parseContent = ({ responseText, contactID }) => {
-    try {
-      const result = JSON.parse(responseText);
-      console.log('Profile data parsed:', result);
-      
-      // Asegurarnos de que todas las propiedades estén presentes
-      // Esto es crítico para garantizar que se persista todo en el evento PROFILE_UPDATED
-      return {
-        contactId: result.contactId || contactID,
-        fullName: result.fullName || '',
-        jobTitle: result.jobTitle || '',
-        companyName: result.companyName || '',
-        phone: result.phone || '',
-        email: result.email || '',
-        // Mantenemos el payload completo para acceso a campos adicionales
-        payload: result
-      };
-    } catch (error) {
-      console.error('Error parsing JSON response:', error);
+    const parsed = tryCatch(JSON.parse)(responseText);
+    if (!parsed.isOk) {
+      console.error('Error parsing JSON response:', parsed.unwrapError());
       return {
         ...createEmptyProfile(contactID),
         rawResponse: responseText.substring(0, 200)
       };
     }
+
+    const result = parsed.unwrap();
+    console.log('Profile data parsed:', result);
+
+    // Un cambio de forma del workflow no debe persistirse como un perfil vacío
+    const validation = validateN8nResponse('zoho-contact-profile', result);
+    if (!validation.isOk) {
+      throw validation.unwrapError();
+    }
+    
+    // Asegurarnos de que todas las propiedades estén presentes
+    // Esto es crítico para garantizar que se persista todo en el evento PROFILE_UPDATED
+    return {
+      contactId: result.contactId || contactID,
+      fullName: result.fullName || '',
+      jobTitle: result.jobTitle || '',
+      companyName: result.companyName || '',
+      phone: result.phone || '',
+      email: result.email || '',
+      // Mantenemos el payload completo para acceso a campos adicionales
+      payload: result
+    };
   };
   
   // Función pura para crear un perfil vacío
@@ -363,10 +448,9 @@ export const getContactProfile = async (contactID) => {
     const { N8N_BASE_URL, N8N_ZOHO_GET_CONTACT_PROFILE_PATH } = configResult.unwrap();
     const url = buildUrl({ N8N_BASE_URL, N8N_ZOHO_GET_CONTACT_PROFILE_PATH, contactID });
     
-    // Ejecutar pipeline de fetch -> manejo de errores -> extracción de contenido -> parsing
-    const response = await fetchProfile(url);
-    const errorCheckResult = await handleErrorResponse(response);
-    const contentResult = await extractContent(errorCheckResult);
+    // Ejecutar pipeline de fetch -> extracción de contenido -> parsing
+    const fetchResult = await fetchProfile(url);
+    const contentResult = extractContent(fetchResult);
     
     if (contentResult.isError) {
       throw contentResult.unwrapError();
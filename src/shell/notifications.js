@@ -52,10 +52,12 @@ const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
  * @property {Object} n8nClient - n8n client for external workflow operations
  * @property {Function} n8nClient.verifyZohoContact - Function to verify if a contact exists in Zoho CRM
  * @property {Function} storeEvent - Function to store events
+ * @property {Function} [recordEvent] - Function to store events right away (the outbox defers storeEvent)
  * @property {TicketOperationFn} createTicket - Function to create tickets
  * @property {TicketOperationFn} updateTicket - Function to update tickets
  * @property {CommentOperationFn} addComment - Function to add comments
  * @property {TicketOperationFn} escalateTicket - Function to escalate tickets
+ * @property {Function} fetchTicketRow - (ticketId) => Promise<Result>, ticket read model row (holds the Zoho id of the ticket)
  */
 
 /**
@@ -96,6 +98,9 @@ export const notifyExternal = async (event, deps) => {
       case 'TICKET_ESCALATED':
         return await handleTicketEscalated(event, deps);
         
+      case 'TICKET_CLOSED':
+        return await handleTicketClosed(event, deps);
+        
       case 'USER_REGISTRATION_REQUESTED':
         try {
           console.log(`🔐 Procesando registro de usuario para: ${event.email}`);
@@ -1468,6 +1473,15 @@ const generateRefreshToken = (email) => {
   );
 };
 
+/**
+ * Pure function to read the ticket data of a TICKET_CREATED event
+ * The transition stores it in details; ticketDetails is the name the handler used to read,
+ * kept for entries queued with that shape
+ * @param {Object} event - TICKET_CREATED event (as dispatched by the outbox)
+ * @returns {Object} - Ticket data (subject, description, priority...)
+ */
+const toTicketDetails = (event) => event.details || event.ticketDetails || {};
+
 /**
  * Handles ticket creation
  * @param {Object} event - Ticket creation event
@@ -1476,11 +1490,12 @@ const generateRefreshToken = (email) => {
 const handleTicketCreated = async (event, deps) => {
   // Use tryCatchAsync to handle errors functionally
   return tryCatchAsync(async () => {
-    console.log('Creating ticket in external system:', event.ticketDetails);
+    const ticketDetails = toTicketDetails(event);
+    console.log('Creating ticket in external system:', ticketDetails);
     
     // Create the ticket in the external system
     const createResult = await deps.createTicket({
-      ...event.ticketDetails,
+      ...ticketDetails,
       email: event.email
     });
     
@@ -1491,7 +1506,7 @@ const handleTicketCreated = async (event, deps) => {
       const failedEvent = deepFreeze({
         type: 'TICKET_CREATION_FAILED',
         email: event.email,
-        ticketDetails: event.ticketDetails,
+        ticketDetails,
         error: createResult.unwrapError().message,
         timestamp: new Date().toISOString()
       });
@@ -1503,6 +1518,21 @@ const handleTicketCreated = async (event, deps) => {
     // Get the created ticket details
     const createdTicket = createResult.unwrap();
     
+    // Enlaza el ticket con el de Zoho en el read model; si falla el ticket ya existe en Zoho,
+    // así que no se reintenta (la importación de Zoho lo traería como un ticket aparte)
+    if (deps.recordEvent && event.ticketId && createdTicket?.id) {
+      const linkResult = await deps.recordEvent(deepFreeze({
+        type: 'TICKET_LINKED_EXTERNALLY',
+        email: event.email,
+        ticketId: event.ticketId,
+        externalTicketId: String(createdTicket.id),
+        timestamp: new Date().toISOString()
+      }));
+      if (!linkResult.isOk) {
+        console.error('❌ No se pudo enlazar el ticket con Zoho:', linkResult.unwrapError().message);
+      }
+    }
+    
     // Create ticket created success event
     const successEvent = deepFreeze({
       ...event,
@@ -1514,6 +1544,47 @@ const handleTicketCreated = async (event, deps) => {
   })();
 };
 
+/**
+ * Resolves the Zoho id of the ticket of an event from the ticket read model
+ * Tickets created through a command get it once Zoho creates them (TICKET_LINKED_EXTERNALLY);
+ * tickets imported from Zoho already use it as their id
+ * A ticket not linked yet answers a retryable error, so the outbox keeps the entry pending
+ * @param {Object} event - Ticket event
+ * @param {NotificationDeps} deps - Dependencies for notification operations
+ * @returns {Promise<Result>} - Result with the Zoho ticket id
+ */
+const resolveExternalTicketId = async (event, deps) => {
+  const rowResult = await deps.fetchTicketRow(event.ticketId);
+
+  return rowResult.flatMap(row => {
+    if (row?.external_ticket_id) {
+      return Result.ok(String(row.external_ticket_id));
+    }
+    if (row?.source === 'zoho') {
+      return Result.ok(String(row.ticket_id));
+    }
+    return Result.error(new Error(JSON.stringify({
+      status: 503,
+      message: `Ticket ${event.ticketId} is not linked to a Zoho ticket yet`,
+      details: { errorCode: 'TICKET_NOT_LINKED' }
+    })));
+  });
+};
+
+/**
+ * Runs an operation on the Zoho ticket of an event once its id is resolved
+ * @returns {Promise<{ externalTicketId: string|null, result: Result }>}
+ */
+const withExternalTicket = async (event, deps, operation) => {
+  const externalResult = await resolveExternalTicketId(event, deps);
+  if (!externalResult.isOk) {
+    return { externalTicketId: null, result: externalResult };
+  }
+
+  const externalTicketId = externalResult.unwrap();
+  return { externalTicketId, result: await operation(externalTicketId) };
+};
+
 /**
  * Handles ticket updates
  * @param {Object} event - Ticket update event
@@ -1525,11 +1596,12 @@ const handleTicketUpdated = async (event, deps) => {
     console.log('Updating ticket in external system:', event.ticketId);
     
     // Update the ticket in the external system
-    const updateResult = await deps.updateTicket({
-      id: event.externalTicketId || event.ticketId,
-      ...event.updateDetails,
-      email: event.email
-    });
+    const { externalTicketId, result: updateResult } = await withExternalTicket(event, deps, (id) =>
+      deps.updateTicket({
+        id,
+        ...event.updates,
+        email: event.email
+      }));
     
     if (!updateResult.isOk) {
       console.error('Failed to update ticket:', updateResult.unwrapError());
@@ -1539,8 +1611,8 @@ const handleTicketUpdated = async (event, deps) => {
         type: 'TICKET_UPDATE_FAILED',
         email: event.email,
         ticketId: event.ticketId,
-        externalTicketId: event.externalTicketId,
-        updateDetails: event.updateDetails,
+        externalTicketId,
+        updates: event.updates,
         error: updateResult.unwrapError().message,
         timestamp: new Date().toISOString()
       });
@@ -1552,6 +1624,7 @@ const handleTicketUpdated = async (event, deps) => {
     // Create ticket updated success event
     const successEvent = deepFreeze({
       ...event,
+      externalTicketId,
       status: 'updated'
     });
     
@@ -1570,11 +1643,12 @@ const handleCommentAdded = async (event, deps) => {
     console.log('Adding comment to ticket in external system:', event.ticketId);
     
     // Add the comment in the external system
-    const commentResult = await deps.addComment({
-      ticketId: event.externalTicketId || event.ticketId,
-      comment: event.comment,
-      email: event.email
-    });
+    const { externalTicketId, result: commentResult } = await withExternalTicket(event, deps, (ticketId) =>
+      deps.addComment({
+        ticketId,
+        comment: event.content,
+        email: event.email
+      }));
     
     if (!commentResult.isOk) {
       console.error('Failed to add comment:', commentResult.unwrapError());
@@ -1584,8 +1658,8 @@ const handleCommentAdded = async (event, deps) => {
         type: 'COMMENT_FAILED',
         email: event.email,
         ticketId: event.ticketId,
-        externalTicketId: event.externalTicketId,
-        comment: event.comment,
+        externalTicketId,
+        comment: event.content,
         error: commentResult.unwrapError().message,
         timestamp: new Date().toISOString()
       });
@@ -1597,10 +1671,31 @@ const handleCommentAdded = async (event, deps) => {
     // Create comment added success event
     const successEvent = deepFreeze({
       ...event,
+      externalTicketId,
       externalCommentId: commentResult.unwrap().id,
       status: 'added'
     });
     
+    // Comments mirrored from the ticket chat: remember the Zoho comment, so the
+    // webhook reporting it does not bring it back into the chat
+    if (event.chatMessageId && successEvent.externalCommentId && deps.recordZohoComment) {
+      const recordResult = await deps.recordZohoComment({
+        commentId: successEvent.externalCommentId,
+        ticketId: event.ticketId,
+        chatMessageId: event.chatMessageId,
+        direction: 'to_zoho'
+      });
+      // Si ya existe, el webhook trajo el comentario antes y lo enlazó con el mensaje
+      if (!recordResult.isOk) {
+        const alreadyLinked = extractErrorInfo(recordResult.unwrapError()).details?.code === '23505';
+        if (alreadyLinked) {
+          console.log(`Zoho comment ${successEvent.externalCommentId} already linked to chat message ${event.chatMessageId}`);
+        } else {
+          console.error('Failed to record mirrored Zoho comment:', recordResult.unwrapError().message);
+        }
+      }
+    }
+    
     return successEvent;
   })();
 };
@@ -1616,12 +1711,13 @@ const handleTicketEscalated = async (event, deps) => {
     console.log('Escalating ticket in external system:', event.ticketId);
     
     // Escalate the ticket in the external system
-    const escalateResult = await deps.escalateTicket({
-      id: event.externalTicketId || event.ticketId,
-      escalationLevel: event.escalationLevel,
-      reason: event.reason,
-      email: event.email
-    });
+    const { externalTicketId, result: escalateResult } = await withExternalTicket(event, deps, (id) =>
+      deps.escalateTicket({
+        id,
+        escalationLevel: event.escalationLevel,
+        reason: event.reason,
+        email: event.email
+      }));
     
     if (!escalateResult.isOk) {
       console.error('Failed to escalate ticket:', escalateResult.unwrapError());
@@ -1631,7 +1727,7 @@ const handleTicketEscalated = async (event, deps) => {
         type: 'TICKET_ESCALATION_FAILED',
         email: event.email,
         ticketId: event.ticketId,
-        externalTicketId: event.externalTicketId,
+        externalTicketId,
         escalationLevel: event.escalationLevel,
         reason: event.reason,
         error: escalateResult.unwrapError().message,
@@ -1645,6 +1741,7 @@ const handleTicketEscalated = async (event, deps) => {
     // Create escalation success event
     const successEvent = deepFreeze({
       ...event,
+      externalTicketId,
       status: 'escalated'
     });
     
@@ -1652,6 +1749,53 @@ const handleTicketEscalated = async (event, deps) => {
   })();
 };
 
+/**
+ * Handles ticket closing: the Zoho ticket is set to Closed
+ * @param {Object} event - Ticket closed event
+ * @param {NotificationDeps} deps - Dependencies for notification operations
+ */
+const handleTicketClosed = async (event, deps) => {
+  // Use tryCatchAsync to handle errors functionally
+  return tryCatchAsync(async () => {
+    console.log('Closing ticket in external system:', event.ticketId);
+    
+    // Close the ticket in the external system
+    const { externalTicketId, result: closeResult } = await withExternalTicket(event, deps, (id) =>
+      deps.updateTicket({
+        id,
+        status: 'Closed',
+        email: event.email
+      }));
+    
+    if (!closeResult.isOk) {
+      console.error('Failed to close ticket:', closeResult.unwrapError());
+      
+      // Create ticket close failed event
+      const failedEvent = deepFreeze({
+        type: 'TICKET_CLOSE_FAILED',
+        email: event.email,
+        ticketId: event.ticketId,
+        externalTicketId,
+        reason: event.reason,
+        error: closeResult.unwrapError().message,
+        timestamp: new Date().toISOString()
+      });
+      
+      await deps.storeEvent(failedEvent);
+      return failedEvent;
+    }
+    
+    // Create ticket closed success event
+    const successEvent = deepFreeze({
+      ...event,
+      externalTicketId,
+      status: 'closed'
+    });
+    
+    return successEvent;
+  })();
+};
+
 /**
  * Handles user registration requests
  * Verifies contact in Zoho CRM and registers user in Supabase
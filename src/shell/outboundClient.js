@@ -0,0 +1,327 @@
+/**
+ * Outbound HTTP client for external workflows (n8n)
+ * Part of the imperative shell that handles side effects
+ *
+ * Every call to n8n goes through one client, so a slow or down n8n cannot hang the API:
+ * - Per-call timeout (the request is aborted and fails with 504)
+ * - Retries with jittered exponential backoff, only for idempotent calls
+ *   (GET, or calls marked idempotent), on network errors, timeouts, 429 and 5xx
+ * - A circuit breaker per workflow: after consecutive failures the workflow fails fast
+ *   with 503 until the reset time passes, then a single probe call decides whether it closes
+ *
+ * The circuit state is kept per process and reported on /health
+ */
+import { Result, deepFreeze } from '../utils/functional.js';
+import getConfig from '../config.js';
+
+export const CIRCUIT_STATES = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+});
+
+/**
+ * Creates an outbound error with its HTTP status
+ */
+const outboundError = (status, message, details) => new Error(JSON.stringify({
+  status,
+  message,
+  details
+}));
+
+/**
+ * Pure function to read the workflow of a URL (its path without the query string)
+ * Used as the circuit breaker key when the caller does not name the workflow
+ */
+export const toWorkflowName = (url) => {
+  try {
+    return new URL(url).pathname.replace(/^\/+(webhook\/)?/, '') || '/';
+  } catch (error) {
+    return String(url).split('?')[0];
+  }
+};
+
+/**
+ * Pure function to compute the delay before a retry (full jitter)
+ * A random delay between 0 and min(max, base * 2^attempt)
+ */
+export const toRetryDelayMs = (attempt, { retryBaseDelayMs, retryMaxDelayMs }, random = Math.random) =>
+  Math.round(random() * Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** attempt));
+
+/**
+ * Pure function to decide whether a failed attempt may be retried
+ * Client errors (4xx other than 429) are not retried
+ */
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+/**
+ * Pure function to read the message of an error (JSON errors carry it inside)
+ */
+const toErrorMessage = (error) => {
+  try {
+    return JSON.parse(error.message).message || error.message;
+  } catch (parseError) {
+    return error.message;
+  }
+};
+
+/**
+ * Pure function to parse a response body: JSON when possible, the raw text otherwise
+ */
+const parseBody = (text) => {
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+/**
+ * Pure function to build the error of a non-2xx response
+ * Keeps the message and details of a JSON error body (as n8n workflows answer them),
+ * and the errorCode of bodies without details (as the Zoho Desk API answers them)
+ */
+const toResponseError = (status, body, errorCode) => {
+  const isJson = body && typeof body === 'object';
+  return outboundError(
+    status,
+    (isJson && body.message) || (typeof body === 'string' && body) || `Request failed with status ${status}`,
+    (isJson && body.details) || { errorCode, ...(isJson && body.errorCode && { upstreamErrorCode: body.errorCode }) }
+  );
+};
+
+/**
+ * Creates an outbound client
+ * @param {Object} options
+ * @param {string} options.name - Name of the service called (logs and errors)
+ * @param {string} options.errorCodePrefix - Prefix of the error codes (e.g. N8N)
+ * @param {Function} options.getSettings - Returns { timeoutMs, maxRetries, retryBaseDelayMs, retryMaxDelayMs, circuitFailureThreshold, circuitResetMs }
+ * @param {Function} [options.fetchFn] - fetch implementation
+ * @param {Function} [options.sleep] - Waits a number of milliseconds
+ * @param {Function} [options.now] - Current time in milliseconds
+ * @returns {Object} - { request, getHealth }
+ */
+export const createOutboundClient = ({
+  name,
+  errorCodePrefix,
+  getSettings,
+  fetchFn = (...args) => fetch(...args),
+  sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+  now = Date.now
+}) => {
+  // Estado del circuit breaker de cada workflow
+  const circuits = new Map();
+
+  const getCircuit = (workflow) => {
+    if (!circuits.has(workflow)) {
+      circuits.set(workflow, {
+        state: CIRCUIT_STATES.CLOSED,
+        failures: 0,
+        openedAt: null,
+        probing: false,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null
+      });
+    }
+    return circuits.get(workflow);
+  };
+
+  /**
+   * Lets a call through, or fails fast while the circuit is open
+   * After circuitResetMs the circuit turns half-open and lets a single probe through
+   */
+  const admit = (workflow, circuit, settings) => {
+    if (circuit.state === CIRCUIT_STATES.OPEN && now() - circuit.openedAt >= settings.circuitResetMs) {
+      circuit.state = CIRCUIT_STATES.HALF_OPEN;
+      console.log(`🟡 ${name}: circuito de ${workflow} semiabierto, probando una llamada`);
+    }
+
+    if (circuit.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN && !circuit.probing) {
+      circuit.probing = true;
+      return true;
+    }
+    return false;
+  };
+
+  const recordSuccess = (workflow, circuit) => {
+    if (circuit.state !== CIRCUIT_STATES.CLOSED) {
+      console.log(`🟢 ${name}: circuito de ${workflow} cerrado`);
+    }
+    circuit.state = CIRCUIT_STATES.CLOSED;
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.probing = false;
+    circuit.lastSuccessAt = new Date(now()).toISOString();
+  };
+
+  const recordFailure = (workflow, circuit, message, settings) => {
+    circuit.failures += 1;
+    circuit.probing = false;
+    circuit.lastError = message;
+    circuit.lastFailureAt = new Date(now()).toISOString();
+
+    const shouldOpen = circuit.state === CIRCUIT_STATES.HALF_OPEN ||
+      (settings.circuitFailureThreshold > 0 && circuit.failures >= settings.circuitFailureThreshold);
+
+    if (shouldOpen && circuit.state !== CIRCUIT_STATES.OPEN) {
+      console.warn(`🔴 ${name}: circuito de ${workflow} abierto tras ${circuit.failures} fallos (${message})`);
+      circuit.state = CIRCUIT_STATES.OPEN;
+      circuit.openedAt = now();
+    }
+  };
+
+  /**
+   * One attempt: fetch with timeout
+   * Returns { status, headers, text } or throws a network or timeout error
+   */
+  const attempt = async (url, fetchOptions, timeoutMs) => {
+    const controller = new AbortController();
+    const timer = timeoutMs > 0 ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+    try {
+      const response = await fetchFn(url, { ...fetchOptions, signal: controller.signal });
+      const text = await response.text();
+      return { status: response.status, headers: response.headers, text };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw outboundError(504, `${name} did not answer within ${timeoutMs} ms`, { errorCode: `${errorCodePrefix}_TIMEOUT` });
+      }
+      throw outboundError(502, `${name} unreachable: ${error.cause?.code || error.message}`, { errorCode: `${errorCodePrefix}_UNAVAILABLE` });
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  /**
+   * Sends a request
+   * Returns a Result with { status, headers, text, body } for 2xx answers, or the error
+   * @param {string} url - Full URL
+   * @param {Object} [options]
+   * @param {string} [options.method] - HTTP method (GET by default)
+   * @param {Object|string} [options.body] - Body (objects are sent as JSON)
+   * @param {Object} [options.headers] - Extra headers
+   * @param {boolean} [options.idempotent] - Whether the call may be retried (GET and HEAD always are)
+   * @param {string} [options.workflow] - Circuit breaker key (the URL path by default)
+   * @param {number} [options.timeoutMs] - Timeout of this call
+   */
+  const request = async (url, {
+    method = 'GET',
+    body,
+    headers = {},
+    idempotent,
+    workflow = toWorkflowName(url),
+    timeoutMs
+  } = {}) => {
+    const settings = getSettings();
+    const circuit = getCircuit(workflow);
+    const canRetry = idempotent ?? ['GET', 'HEAD'].includes(method.toUpperCase());
+    const maxAttempts = canRetry ? settings.maxRetries + 1 : 1;
+
+    if (!admit(workflow, circuit, settings)) {
+      console.warn(`⛔ ${name}: circuito de ${workflow} abierto, petición rechazada sin llamar`);
+      return Result.error(outboundError(503, `${name} workflow ${workflow} is unavailable (circuit open)`, {
+        errorCode: `${errorCodePrefix}_CIRCUIT_OPEN`,
+        retryAfterMs: Math.max(0, settings.circuitResetMs - (now() - circuit.openedAt))
+      }));
+    }
+
+    const fetchOptions = {
+      method,
+      headers: {
+        Accept: 'application/json',
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...headers
+      },
+      ...(body !== undefined && { body: typeof body === 'string' ? body : JSON.stringify(body) })
+    };
+
+    const run = async (attemptNumber) => {
+      const isLast = attemptNumber + 1 >= maxAttempts;
+      const retry = async (reason) => {
+        const delayMs = toRetryDelayMs(attemptNumber, settings);
+        console.warn(`🔁 ${name}: ${method} ${workflow} falló (${reason}), reintento ${attemptNumber + 1}/${maxAttempts - 1} en ${delayMs} ms`);
+        await sleep(delayMs);
+        return run(attemptNumber + 1);
+      };
+
+      try {
+        const response = await attempt(url, fetchOptions, timeoutMs ?? settings.timeoutMs);
+        const parsed = parseBody(response.text);
+
+        if (response.status >= 200 && response.status < 300) {
+          recordSuccess(workflow, circuit);
+          return Result.ok({ ...response, body: parsed });
+        }
+
+        if (isRetryableStatus(response.status) && !isLast) {
+          return retry(`HTTP ${response.status}`);
+        }
+
+        // Solo los fallos del servicio (429, 5xx) cuentan para el circuito
+        if (isRetryableStatus(response.status)) {
+          recordFailure(workflow, circuit, `HTTP ${response.status}`, settings);
+        } else {
+          recordSuccess(workflow, circuit);
+        }
+        return Result.error(toResponseError(response.status, parsed, `${errorCodePrefix}_REQUEST_FAILED`));
+      } catch (error) {
+        if (!isLast) {
+          return retry(toErrorMessage(error));
+        }
+        recordFailure(workflow, circuit, toErrorMessage(error), settings);
+        return Result.error(error);
+      }
+    };
+
+    return run(0);
+  };
+
+  /**
+   * Health of the service: 'ok', or 'degraded' while a workflow circuit is not closed
+   * @returns {Object} - { status, circuits: { [workflow]: { state, failures, lastError, ... } } }
+   */
+  const getHealth = () => {
+    const entries = [...circuits.entries()];
+    const degraded = entries.some(([, circuit]) => circuit.state !== CIRCUIT_STATES.CLOSED);
+
+    return deepFreeze({
+      status: degraded ? 'degraded' : 'ok',
+      circuits: Object.fromEntries(entries.map(([workflow, circuit]) => [workflow, {
+        state: circuit.state,
+        failures: circuit.failures,
+        openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+        lastError: circuit.lastError,
+        lastFailureAt: circuit.lastFailureAt,
+        lastSuccessAt: circuit.lastSuccessAt
+      }]))
+    });
+  };
+
+  return {
+    request,
+    getHealth
+  };
+};
+
+// Cliente compartido por todas las llamadas a n8n del proceso
+export const n8nOutbound = createOutboundClient({
+  name: 'n8n',
+  errorCodePrefix: 'N8N',
+  getSettings: () => getConfig().services.n8n
+});
+
+// Cliente compartido por todas las llamadas a la API de Zoho Desk (y a su servidor OAuth)
+export const zohoDeskOutbound = createOutboundClient({
+  name: 'Zoho Desk',
+  errorCodePrefix: 'ZOHO',
+  getSettings: () => getConfig().zohoDesk
+});
+
+export default n8nOutbound;
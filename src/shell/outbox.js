@@ -0,0 +1,143 @@
+/**
+ * Transactional outbox
+ * Part of the imperative shell: side effects of an event (Zoho/n8n calls) are
+ * recorded in the outbox table in the same write as the event itself, and a
+ * dispatcher runs them afterwards (see src/services/outboxDispatcher.js)
+ *
+ * On Supabase the outbox row is inserted by the events_enqueue_outbox trigger
+ * (migration 007); the memory and file backends mirror that trigger
+ */
+import { tryCatchAsync, deepFreeze } from '../utils/functional.js';
+
+export const OUTBOX_TABLE = 'outbox';
+
+// Eventos cuyos efectos externos pasan por el outbox (mismo listado que el trigger SQL)
+export const OUTBOX_EVENT_TYPES = Object.freeze([
+  'TICKET_CREATED',
+  'TICKET_UPDATED',
+  'COMMENT_ADDED',
+  'TICKET_ESCALATED',
+  'TICKET_CLOSED'
+]);
+
+// pending: esperando (o reintento programado), processing: en curso,
+// dispatched: efectos aplicados, failed: reintentos agotados
+export const OUTBOX_STATUSES = Object.freeze(['pending', 'processing', 'dispatched', 'failed']);
+
+/**
+ * Pure function to build the outbox row of a stored event
+ * Mirrors the events_enqueue_outbox trigger (migration 007)
+ * @param {Object} eventRow - Row inserted in the events table
+ * @returns {Object|null} - Outbox row, or null if the event has no external side effects
+ */
+export const toOutboxRow = (eventRow) =>
+  OUTBOX_EVENT_TYPES.includes(eventRow.type)
+    ? {
+        event_id: eventRow.id,
+        email: eventRow.email,
+        event_type: eventRow.type,
+        payload: eventRow.payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: eventRow.created_at,
+        last_error: null,
+        result: null,
+        created_at: eventRow.created_at,
+        updated_at: eventRow.created_at,
+        dispatched_at: null
+      }
+    : null;
+
+/**
+ * Pure function to map an outbox row to the dispatch status shown to clients
+ * @param {Object} row - Outbox row
+ * @returns {Object} - Dispatch status
+ */
+export const toDispatchStatus = (row) => deepFreeze({
+  eventId: row.event_id,
+  eventType: row.event_type,
+  status: row.status,
+  attempts: row.attempts,
+  nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+  lastError: row.last_error || null,
+  dispatchedAt: row.dispatched_at || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Fetches the outbox entry of an event
+ * Returns a Result with the row or null
+ * @param {QueryFn} queryFn - Function to query data
+ */
+export const fetchOutboxEntry = (queryFn) => async (eventId) => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: OUTBOX_TABLE,
+      filters: { event_id: eventId },
+      limit: 1
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to fetch outbox entry: ${result.unwrapError().message}`);
+    }
+
+    return (result.unwrap() || [])[0] || null;
+  })();
+};
+
+/**
+ * Fetches the entries that are due: pending entries whose next attempt has come,
+ * and processing entries whose lock expired (their dispatcher stopped midway)
+ * Returns a Result with the rows, oldest first
+ * @param {QueryFn} queryFn - Function to query data
+ */
+export const fetchDueOutboxEntries = (queryFn) => async ({ now = new Date().toISOString(), limit = 20 } = {}) => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: OUTBOX_TABLE,
+      filters: {
+        status: ['pending', 'processing'],
+        next_attempt_at: { lte: now }
+      },
+      order: 'next_attempt_at',
+      limit
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to fetch outbox entries: ${result.unwrapError().message}`);
+    }
+
+    return result.unwrap() || [];
+  })();
+};
+
+/**
+ * Fetches outbox entries for inspection, most recent first
+ * Returns a Result with the rows
+ * @param {QueryFn} queryFn - Function to query data
+ */
+export const fetchOutboxEntries = (queryFn) => async ({ status, email, limit = 50 } = {}) => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: OUTBOX_TABLE,
+      filters: { status, email },
+      order: 'created_at',
+      ascending: false,
+      limit
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to fetch outbox entries: ${result.unwrapError().message}`);
+    }
+
+    return result.unwrap() || [];
+  })();
+};
+
+/**
+ * Saves the new state of an outbox entry
+ * @param {UpsertFn} upsertFn - Function to upsert data
+ */
+export const saveOutboxEntry = (upsertFn) => (row) =>
+  upsertFn(OUTBOX_TABLE, row, { onConflict: 'event_id' });
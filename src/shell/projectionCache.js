@@ -0,0 +1,209 @@
+/**
+ * Read-through cache of the Zoho projections served from n8n
+ * Part of the imperative shell: keeps the upstream data of each projection in process memory
+ *
+ * - Each projection has its own TTL; a fresh entry is served without calling n8n (HIT)
+ * - Once the TTL passes, the stale entry is still served for staleWhileRevalidateMs while
+ *   a single background fetch renews it (STALE)
+ * - Concurrent misses of a projection share one upstream fetch (request coalescing)
+ * - Stored events that change a projection's data invalidate it (see PROJECTION_INVALIDATIONS)
+ *
+ * Failed fetches are never cached
+ */
+import { Result, deepFreeze } from '../utils/functional.js';
+import { BUS_TOPICS } from './bus/index.js';
+import getConfig from '../config.js';
+
+export const CACHE_STATUS = Object.freeze({
+  HIT: 'HIT',
+  MISS: 'MISS',
+  STALE: 'STALE',
+  BYPASS: 'BYPASS'
+});
+
+// Eventos que cambian los datos de cada proyección
+export const PROJECTION_INVALIDATIONS = Object.freeze({
+  reportsOverview: Object.freeze([
+    'TICKET_CREATED',
+    'TICKET_UPDATED',
+    'TICKET_UPDATED_EXTERNALLY',
+    'TICKET_ESCALATED',
+    'TICKET_CLOSED',
+    'AGENT_REPLIED'
+  ]),
+  contacts: Object.freeze(['REGISTRATION_SUCCEEDED', 'PROFILE_UPDATED', 'CONTACT_VERIFICATION_SUCCEEDED']),
+  accounts: Object.freeze(['REGISTRATION_SUCCEEDED', 'PROFILE_UPDATED']),
+  // Los departamentos solo cambian en Zoho: se renuevan por TTL
+  categories: Object.freeze([])
+});
+
+/**
+ * Pure function to list the projections invalidated by an event
+ * @param {Object} event - Stored event
+ * @returns {Array<string>} - Projection names
+ */
+export const toInvalidatedProjections = (event) =>
+  Object.entries(PROJECTION_INVALIDATIONS)
+    .filter(([, eventTypes]) => eventTypes.includes(event?.type))
+    .map(([name]) => name);
+
+/**
+ * Pure function to build the cache response headers of a projection read
+ * @param {Object} cache - { status, ageMs, ttlMs, staleWhileRevalidateMs }
+ * @returns {Object} - Response headers
+ */
+export const toCacheHeaders = ({ status, ageMs, ttlMs, staleWhileRevalidateMs }) => {
+  if (status === CACHE_STATUS.BYPASS) {
+    return { 'X-Cache': status, 'Cache-Control': 'no-store' };
+  }
+
+  const maxAgeSeconds = Math.max(0, Math.floor((ttlMs - ageMs) / 1000));
+  return {
+    'X-Cache': status,
+    Age: String(Math.floor(ageMs / 1000)),
+    'Cache-Control': `private, max-age=${maxAgeSeconds}, stale-while-revalidate=${Math.floor(staleWhileRevalidateMs / 1000)}`
+  };
+};
+
+/**
+ * Creates a projection cache
+ * @param {Object} options
+ * @param {Function} options.getSettings - Returns { enabled, ttlMs: { [projection]: ms }, staleWhileRevalidateMs }
+ * @param {Function} [options.now] - Current time in milliseconds
+ * @returns {Object} - { read, invalidate, invalidateForEvent, getStats }
+ */
+export const createProjectionCache = ({ getSettings, now = Date.now }) => {
+  // Datos de cada proyección, peticiones en curso y generación (sube con cada invalidación)
+  const entries = new Map();
+  const inflight = new Map();
+  const generations = new Map();
+
+  const generationOf = (name) => generations.get(name) || 0;
+
+  /**
+   * Fetches a projection once, whoever asks for it meanwhile
+   * The data is only stored if the projection was not invalidated during the fetch
+   */
+  const fetchEntry = (name, loader) => {
+    if (inflight.has(name)) {
+      return inflight.get(name);
+    }
+
+    const generation = generationOf(name);
+    const pending = Promise.resolve()
+      .then(loader)
+      .then(result => {
+        if (result.isOk && generationOf(name) === generation) {
+          entries.set(name, { value: deepFreeze(result.unwrap()), storedAt: now() });
+        }
+        return result;
+      })
+      .catch(error => Result.error(error))
+      .finally(() => {
+        if (inflight.get(name) === pending) {
+          inflight.delete(name);
+        }
+      });
+
+    inflight.set(name, pending);
+    return pending;
+  };
+
+  /**
+   * Reads a projection through the cache
+   * Returns a Result with { value, cache: { status, ageMs, ttlMs, staleWhileRevalidateMs } }
+   * @param {string} name - Projection name (a key of ttlMs)
+   * @param {Function} loader - Fetches the upstream data, returns a Result
+   */
+  const read = async (name, loader) => {
+    const { enabled, ttlMs: ttls, staleWhileRevalidateMs } = getSettings();
+    const ttlMs = ttls[name];
+    const toRead = (value, status, ageMs) => ({ value, cache: { status, ageMs, ttlMs, staleWhileRevalidateMs } });
+
+    if (!enabled || !(ttlMs > 0)) {
+      const result = await Promise.resolve().then(loader).catch(error => Result.error(error));
+      return result.map(value => toRead(value, CACHE_STATUS.BYPASS, 0));
+    }
+
+    const entry = entries.get(name);
+    const ageMs = entry ? now() - entry.storedAt : null;
+
+    if (entry && ageMs < ttlMs) {
+      return Result.ok(toRead(entry.value, CACHE_STATUS.HIT, ageMs));
+    }
+
+    if (entry && ageMs < ttlMs + staleWhileRevalidateMs) {
+      if (!inflight.has(name)) {
+        console.log(`♻️ Caché: ${name} caducado, renovándolo en segundo plano`);
+        fetchEntry(name, loader).then(result => {
+          if (!result.isOk) {
+            console.error(`❌ Caché: no se pudo renovar ${name}:`, result.unwrapError().message);
+          }
+        });
+      }
+      return Result.ok(toRead(entry.value, CACHE_STATUS.STALE, ageMs));
+    }
+
+    const result = await fetchEntry(name, loader);
+    return result.map(value => toRead(deepFreeze(value), CACHE_STATUS.MISS, 0));
+  };
+
+  /**
+   * Drops the data of projections, so the next read fetches it again
+   * A fetch in progress is not stored, nor shared with later reads
+   * @param {Array<string>} names - Projection names
+   */
+  const invalidate = (names) => {
+    names.forEach(name => {
+      generations.set(name, generationOf(name) + 1);
+      entries.delete(name);
+      inflight.delete(name);
+    });
+    return names;
+  };
+
+  /**
+   * Invalidates the projections whose data an event changes
+   * @param {Object} event - Stored event
+   * @returns {Array<string>} - Invalidated projections
+   */
+  const invalidateForEvent = (event) => {
+    const names = toInvalidatedProjections(event).filter(name => entries.has(name) || inflight.has(name));
+    if (names.length > 0) {
+      console.log(`🧹 Caché: ${event.type} invalida ${names.join(', ')}`);
+    }
+    return invalidate(names);
+  };
+
+  /**
+   * Current state of the cache (for diagnostics)
+   */
+  const getStats = () => deepFreeze(Object.fromEntries([...entries.entries()].map(([name, entry]) => [name, {
+    ageMs: now() - entry.storedAt,
+    refreshing: inflight.has(name)
+  }])));
+
+  return {
+    read,
+    invalidate,
+    invalidateForEvent,
+    getStats
+  };
+};
+
+// Caché compartida por projectionService y zohoProxyService
+export const projectionCache = createProjectionCache({
+  getSettings: () => getConfig().projectionCache
+});
+
+/**
+ * Keeps the projection cache in line with the events stored by any instance
+ * @param {Bus} bus - Broadcast bus carrying the stored events
+ * @returns {Function} - Function to stop the invalidation
+ */
+export const startProjectionCacheInvalidation = (bus) =>
+  bus.subscribe(BUS_TOPICS.STORED_EVENT, (event) => {
+    projectionCache.invalidateForEvent(event);
+  });
+
+export default projectionCache;
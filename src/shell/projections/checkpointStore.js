@@ -0,0 +1,89 @@
+/**
+ * Projection checkpoint store
+ * Part of the imperative shell: remembers how far each projection has replayed the log
+ */
+import { tryCatchAsync, deepFreeze } from '../../utils/functional.js';
+
+const CHECKPOINTS_TABLE = 'projection_checkpoints';
+
+/**
+ * Maps a stored row to a checkpoint
+ * @param {Object} row - Row from the projection_checkpoints table
+ * @returns {Object} - Checkpoint
+ */
+const toCheckpoint = (row) => deepFreeze({
+  projection: row.projection,
+  position: row.position,
+  eventsProcessed: row.events_processed,
+  status: row.status,
+  error: row.error || null,
+  startedAt: row.started_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Fetches the checkpoint of a projection
+ * Returns a Result with the checkpoint, or null if the projection never ran
+ * @param {QueryFn} queryFn - Function to query data
+ */
+export const fetchCheckpoint = (queryFn) => async (projection) => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: CHECKPOINTS_TABLE,
+      filters: { projection },
+      select: '*',
+      limit: 1
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to fetch checkpoint: ${result.unwrapError().message}`);
+    }
+
+    const [row] = result.unwrap() || [];
+    return row ? toCheckpoint(row) : null;
+  })();
+};
+
+/**
+ * Fetches the checkpoints of every projection that ran at least once
+ * Returns a Result with the checkpoints by projection name
+ * @param {QueryFn} queryFn - Function to query data
+ */
+export const fetchCheckpoints = (queryFn) => async () => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({ table: CHECKPOINTS_TABLE, select: '*' });
+
+    if (result.error) {
+      throw new Error(`Failed to fetch checkpoints: ${result.unwrapError().message}`);
+    }
+
+    return deepFreeze((result.unwrap() || []).reduce(
+      (checkpoints, row) => ({ ...checkpoints, [row.projection]: toCheckpoint(row) }),
+      {}
+    ));
+  })();
+};
+
+/**
+ * Saves the checkpoint of a projection (one row per projection)
+ * @param {UpsertFn} upsertFn - Function to upsert data
+ */
+export const saveCheckpoint = (upsertFn) => async (checkpoint) => {
+  return tryCatchAsync(async () => {
+    const result = await upsertFn(CHECKPOINTS_TABLE, {
+      projection: checkpoint.projection,
+      position: checkpoint.position,
+      events_processed: checkpoint.eventsProcessed,
+      status: checkpoint.status,
+      error: checkpoint.error || null,
+      started_at: checkpoint.startedAt,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'projection' });
+
+    if (result.error) {
+      throw new Error(`Failed to save checkpoint: ${result.unwrapError().message}`);
+    }
+
+    return toCheckpoint(result.unwrap());
+  })();
+};
@@ -0,0 +1,43 @@
+/**
+ * Projection registry
+ * Part of the imperative shell: read models derived from the event log
+ *
+ * A projection is rebuilt by replaying the log in order through its handler,
+ * see src/services/projectionReplayService.js
+ */
+import { userActivityProjection } from './userActivity.js';
+import { ticketReadModelProjection } from './ticketReadModel.js';
+
+/**
+ * Projection definition
+ * @typedef {Object} Projection
+ * @property {string} name - Unique projection name (also its checkpoint key)
+ * @property {string} table - Table that holds the read model
+ * @property {Array<string>} eventTypes - Event types the handler cares about
+ * @property {(deps: EventStoreBackend) => Promise<Result>} reset - Removes every projected row
+ * @property {(deps: EventStoreBackend) => (event: Object) => Promise<Result>} handle - Applies one event;
+ *   must tolerate events it already applied, since replays are at-least-once
+ */
+
+/**
+ * Registered projections by name
+ */
+export const PROJECTIONS = Object.freeze({
+  [userActivityProjection.name]: userActivityProjection,
+  [ticketReadModelProjection.name]: ticketReadModelProjection
+});
+
+/**
+ * Returns a registered projection
+ * @param {string} name - Projection name
+ * @returns {Projection|null} - Projection or null if unknown
+ */
+export const getProjection = (name) => PROJECTIONS[name] || null;
+
+/**
+ * Returns every registered projection
+ * @returns {Array<Projection>} - Projections
+ */
+export const listProjections = () => Object.values(PROJECTIONS);
+
+export { userActivityProjection, ticketReadModelProjection };
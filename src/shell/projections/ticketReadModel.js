@@ -0,0 +1,329 @@
+/**
+ * ticket_read_model projection
+ * Part of the imperative shell: keeps a local, queryable copy of every ticket so
+ * ticket lists are served without calling n8n/Zoho on each request
+ *
+ * Rows come from two places:
+ * - ticket events of the log (source 'local', or 'zoho' for events reported by Zoho)
+ * - Zoho tickets imported into the read model (source 'zoho', see ticketReadModelService.js)
+ */
+import { Result, tryCatchAsync, deepFreeze } from '../../utils/functional.js';
+import { normalizeStatus } from '../../core/ticketLifecycle.js';
+
+export const TICKET_READ_MODEL_TABLE = 'ticket_read_model';
+
+export const TICKET_ZOHO_SYNC_TABLE = 'ticket_zoho_sync';
+
+// Eventos que modifican el read model de tickets
+// (TICKET_UPDATED_EXTERNALLY y AGENT_REPLIED llegan desde el webhook de Zoho,
+// TICKET_LINKED_EXTERNALLY lo guarda el outbox al crear el ticket en Zoho)
+export const TICKET_READ_MODEL_EVENT_TYPES = Object.freeze([
+  'TICKET_CREATED',
+  'TICKET_LINKED_EXTERNALLY',
+  'TICKET_UPDATED',
+  'TICKET_CLOSED',
+  'TICKET_ESCALATED',
+  'COMMENT_ADDED',
+  'TICKET_UPDATED_EXTERNALLY',
+  'AGENT_REPLIED'
+]);
+
+// Orden de las prioridades, para poder ordenar por prioridad en la base de datos
+export const PRIORITY_RANKS = deepFreeze({
+  Low: 1,
+  Medium: 2,
+  High: 3,
+  Urgent: 4
+});
+
+/**
+ * Pure function to normalize a priority to Low, Medium, High or Urgent
+ * @param {string} priority - Priority from a command or from Zoho
+ * @returns {string|null} - Normalized priority or null if unknown
+ */
+export const normalizeTicketPriority = (priority) =>
+  Object.keys(PRIORITY_RANKS)
+    .find(known => known.toLowerCase() === String(priority || '').trim().toLowerCase()) || null;
+
+/**
+ * Pure function to convert an event or Zoho timestamp to ISO
+ * @param {string|number} timestamp - ISO string or epoch milliseconds
+ * @returns {string|null} - ISO timestamp
+ */
+const toIsoTimestamp = (timestamp) =>
+  timestamp === undefined || timestamp === null || timestamp === ''
+    ? null
+    : new Date(timestamp).toISOString();
+
+/**
+ * Pure function to normalize an email for the email filter
+ */
+const toEmail = (email) => email ? String(email).trim().toLowerCase() : null;
+
+/**
+ * Pure function to set the priority (and its rank) of a row
+ * Unknown priorities keep the current one
+ */
+const withPriority = (row, priority) => {
+  const normalized = normalizeTicketPriority(priority) || row.priority || null;
+  return { ...row, priority: normalized, priority_rank: PRIORITY_RANKS[normalized] || null };
+};
+
+/**
+ * Pure function to set the status of a row
+ * Zoho may use statuses outside our lifecycle, those are kept as they come
+ */
+const withStatus = (row, status, timestamp) => {
+  const normalized = normalizeStatus(status) || status || row.status;
+  return {
+    ...row,
+    status: normalized,
+    closed_at: normalized === 'Closed' ? timestamp : row.closed_at || null
+  };
+};
+
+/**
+ * Pure function to apply the changes of an update event to a row
+ */
+const withUpdates = (row, updates = {}, timestamp) => {
+  const withFields = {
+    ...row,
+    ...(updates.subject !== undefined && { subject: updates.subject }),
+    ...(updates.description !== undefined && { description: updates.description }),
+    ...(updates.departmentId !== undefined && { department_id: updates.departmentId }),
+    ...(updates.assigneeId !== undefined && { assignee_id: updates.assigneeId }),
+    ...(updates.assigneeEmail !== undefined && { assignee_email: toEmail(updates.assigneeEmail) }),
+    updated_at: timestamp
+  };
+  const withNewStatus = updates.status ? withStatus(withFields, updates.status, timestamp) : withFields;
+  return updates.priority ? withPriority(withNewStatus, updates.priority) : withNewStatus;
+};
+
+/**
+ * Pure function to build the row of a ticket first seen through a Zoho event
+ */
+const externalRow = (event, timestamp) => ({
+  ticket_id: event.ticketId,
+  source: 'zoho',
+  email: toEmail(event.email),
+  comment_count: 0,
+  escalated: false,
+  created_at: timestamp
+});
+
+/**
+ * Pure function to apply an event to the read model row of its ticket
+ * Returns null when the event cannot create the row (e.g. a comment on an unknown ticket)
+ * @param {Object|null} row - Current row of the ticket, or null
+ * @param {Object} event - Ticket event
+ * @returns {Object|null} - New row
+ */
+export const applyTicketReadModelEvent = (row, event) => {
+  const timestamp = toIsoTimestamp(event.timestamp) || new Date().toISOString();
+
+  switch (event.type) {
+    case 'TICKET_CREATED':
+      return withPriority({
+        ...row,
+        ticket_id: event.ticketId,
+        source: 'local',
+        email: toEmail(event.email),
+        subject: event.details?.subject || null,
+        description: event.details?.description || null,
+        department_id: event.details?.departmentId || null,
+        status: 'Open',
+        escalated: false,
+        comment_count: row?.comment_count || 0,
+        created_at: timestamp,
+        updated_at: timestamp
+      }, event.details?.priority);
+
+    case 'TICKET_UPDATED':
+      return row ? withUpdates(row, event.updates, timestamp) : null;
+
+    case 'TICKET_LINKED_EXTERNALLY':
+      return row && event.externalTicketId
+        ? { ...row, external_ticket_id: String(event.externalTicketId) }
+        : row;
+
+    case 'TICKET_UPDATED_EXTERNALLY':
+      return withUpdates(row || externalRow(event, timestamp), event.updates, timestamp);
+
+    case 'TICKET_CLOSED':
+      return row ? { ...withStatus(row, 'Closed', timestamp), updated_at: timestamp } : null;
+
+    case 'TICKET_ESCALATED':
+      return row ? withPriority({ ...row, escalated: true, updated_at: timestamp }, 'High') : null;
+
+    case 'COMMENT_ADDED':
+    case 'AGENT_REPLIED':
+      return row
+        ? { ...row, comment_count: (row.comment_count || 0) + 1, last_comment_at: timestamp, updated_at: timestamp }
+        : null;
+
+    default:
+      return row;
+  }
+};
+
+/**
+ * Pure function to map a Zoho ticket (as returned by the n8n workflows) to a read model row
+ * @param {Object} ticket - Zoho ticket
+ * @param {string} syncedAt - When the ticket was fetched
+ * @returns {Object} - Read model row
+ */
+export const fromZohoTicket = (ticket, syncedAt) => withPriority({
+  ticket_id: String(ticket.id),
+  source: 'zoho',
+  ticket_number: ticket.ticketNumber || null,
+  email: toEmail(ticket.email || ticket.contact?.email),
+  subject: ticket.subject || null,
+  description: ticket.description || null,
+  status: normalizeStatus(ticket.status) || ticket.status || null,
+  department_id: ticket.departmentId || null,
+  department_name: ticket.departmentName || null,
+  contact_id: ticket.contactId || null,
+  contact_name: ticket.contactName || null,
+  assignee_id: ticket.assigneeId || null,
+  assignee_email: toEmail(ticket.assigneeEmail || ticket.assignee?.email),
+  category: ticket.category || null,
+  comment_count: ticket.commentCount || 0,
+  escalated: ticket.isEscalated === true,
+  created_at: toIsoTimestamp(ticket.createdTime) || syncedAt,
+  updated_at: toIsoTimestamp(ticket.modifiedTime) || syncedAt,
+  closed_at: toIsoTimestamp(ticket.closedTime),
+  synced_at: syncedAt
+}, ticket.priority);
+
+/**
+ * Fetches the read model row of a ticket
+ * Returns a Result with the row or null
+ * @param {QueryFn} queryFn - Function to query data
+ */
+export const fetchTicketRow = (queryFn) => async (ticketId) => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: TICKET_READ_MODEL_TABLE,
+      filters: { ticket_id: ticketId },
+      limit: 1
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to fetch ticket read model: ${result.unwrapError().message}`);
+    }
+
+    return (result.unwrap() || [])[0] || null;
+  })();
+};
+
+/**
+ * Fetches the read model row linked to a Zoho ticket (a ticket created through a command)
+ * Returns a Result with the row or null
+ * @param {QueryFn} queryFn - Function to query data
+ */
+export const fetchLinkedTicketRow = (queryFn) => async (externalTicketId) => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: TICKET_READ_MODEL_TABLE,
+      filters: { external_ticket_id: String(externalTicketId) },
+      limit: 1
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to fetch linked ticket: ${result.unwrapError().message}`);
+    }
+
+    return (result.unwrap() || [])[0] || null;
+  })();
+};
+
+/**
+ * Fetches the read model rows linked to a list of Zoho tickets, in one query
+ * Returns a Result with the rows
+ * @param {QueryFn} queryFn - Function to query data
+ */
+export const fetchLinkedTicketRows = (queryFn) => async (externalTicketIds) => {
+  return tryCatchAsync(async () => {
+    if (externalTicketIds.length === 0) {
+      return [];
+    }
+
+    const result = await queryFn({
+      table: TICKET_READ_MODEL_TABLE,
+      filters: { external_ticket_id: externalTicketIds.map(String) }
+    });
+
+    if (result.error) {
+      throw new Error(`Failed to fetch linked tickets: ${result.unwrapError().message}`);
+    }
+
+    return result.unwrap() || [];
+  })();
+};
+
+/**
+ * Inserts or replaces the read model row of a ticket
+ * @param {UpsertFn} upsertFn - Function to upsert data
+ */
+export const saveTicketRow = (upsertFn) => (row) =>
+  upsertFn(TICKET_READ_MODEL_TABLE, row, { onConflict: 'ticket_id' });
+
+/**
+ * Inserts or replaces the read model rows of several tickets in one write
+ * @param {UpsertFn} upsertFn - Function to upsert data
+ */
+export const saveTicketRows = (upsertFn) => (rows) =>
+  upsertFn(TICKET_READ_MODEL_TABLE, rows, { onConflict: 'ticket_id' });
+
+/**
+ * ticket_read_model projection definition
+ * @type {Projection}
+ */
+export const ticketReadModelProjection = Object.freeze({
+  name: 'ticket_read_model',
+  table: TICKET_READ_MODEL_TABLE,
+  eventTypes: TICKET_READ_MODEL_EVENT_TYPES,
+
+  /**
+   * Removes every row, including cached Zoho tickets, and the sync state
+   * (so the Zoho tickets are fetched again on the next read)
+   */
+  reset: async ({ deleteFn }) => {
+    const syncResult = await deleteFn(TICKET_ZOHO_SYNC_TABLE, {});
+    return syncResult.isOk ? deleteFn(TICKET_READ_MODEL_TABLE, {}) : syncResult;
+  },
+
+  /**
+   * Projects one ticket event onto the row of its ticket
+   * Each row remembers the last log position applied, so an event is never counted twice
+   */
+  handle: ({ queryFn, upsertFn }) => async (event) => {
+    if (!event.ticketId) {
+      return Result.ok(null);
+    }
+
+    const rowResult = await fetchTicketRow(queryFn)(event.ticketId);
+    if (!rowResult.isOk) {
+      return rowResult;
+    }
+
+    const row = rowResult.unwrap();
+    const alreadyApplied = Number.isInteger(event.position) &&
+      Number.isInteger(row?.last_position) && row.last_position >= event.position;
+    if (alreadyApplied) {
+      return Result.ok(row);
+    }
+
+    const nextRow = applyTicketReadModelEvent(row, event);
+    if (!nextRow) {
+      return Result.ok(null);
+    }
+
+    return saveTicketRow(upsertFn)({
+      ...nextRow,
+      last_position: Number.isInteger(event.position) ? event.position : row?.last_position ?? null
+    });
+  }
+});
+
+export default ticketReadModelProjection;
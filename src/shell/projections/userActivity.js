@@ -0,0 +1,61 @@
+/**
+ * user_activity projection
+ * Part of the imperative shell: keeps the user_activity table in sync with the
+ * authentication events of the log
+ */
+import { Result, extractErrorInfo } from '../../utils/functional.js';
+
+const USER_ACTIVITY_TABLE = 'user_activity';
+
+// Postgres unique_violation: la fila de este evento ya estaba proyectada
+const UNIQUE_VIOLATION_CODE = '23505';
+
+// Eventos que generan actividad de usuario
+export const USER_ACTIVITY_EVENT_TYPES = Object.freeze([
+  'LOGIN_SUCCEEDED',
+  'TOKEN_REFRESHED',
+  'INVALID_REFRESH_TOKEN'
+]);
+
+/**
+ * Pure function to map an authentication event to its user_activity row
+ * The row reuses the id of the event row, so projecting an event twice is detected
+ * @param {Object} event - Authentication event
+ * @param {string} eventId - Id of the stored event row
+ * @returns {Object} - user_activity row
+ */
+export const toUserActivityRow = (event, eventId) => ({
+  ...(eventId && { id: eventId }),
+  email: event.email, // Usar email como identificador de agregado
+  activity_type: event.type,
+  created_at: new Date(event.timestamp || Date.now()).toISOString()
+});
+
+/**
+ * user_activity projection definition
+ * @type {Projection}
+ */
+export const userActivityProjection = Object.freeze({
+  name: 'user_activity',
+  table: USER_ACTIVITY_TABLE,
+  eventTypes: USER_ACTIVITY_EVENT_TYPES,
+
+  /**
+   * Removes every projected row before a rebuild
+   */
+  reset: ({ deleteFn }) => deleteFn(USER_ACTIVITY_TABLE, {}),
+
+  /**
+   * Projects one authentication event
+   * Rows that already exist (same event id) are treated as applied
+   */
+  handle: ({ persistFn }) => async (event) => {
+    const result = await persistFn(USER_ACTIVITY_TABLE, toUserActivityRow(event, event.eventId));
+
+    return result.isError && extractErrorInfo(result.unwrapError()).details?.code === UNIQUE_VIOLATION_CODE
+      ? Result.ok(null)
+      : result;
+  }
+});
+
+export default userActivityProjection;
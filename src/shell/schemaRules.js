@@ -0,0 +1,95 @@
+/**
+ * Database rules of the app tables, mirroring the SQL migrations
+ * Part of the imperative shell: the memory and file backends apply them in place of the
+ * Postgres triggers, sequences and unique constraints declared in /migrations
+ *
+ * Passed to the backends by whoever creates them (createEventStoreBackend callers, tests)
+ */
+import { deepFreeze } from '../utils/functional.js';
+import { assignSequence } from './backends/memoryBackend.js';
+import { OUTBOX_TABLE, toOutboxRow } from './outbox.js';
+
+/**
+ * Assigns the next stream version to an event without one
+ * Mirrors the events_assign_version trigger (migration 002)
+ * @param {Object} row - Row about to be inserted
+ * @param {Array} rows - Current rows of the table
+ * @returns {Object} - Row with its version
+ */
+const assignEventVersion = (row, rows) =>
+  row.version !== undefined && row.version !== null
+    ? row
+    : {
+        ...row,
+        version: rows
+          .filter(existing => existing.email === row.email)
+          .reduce((max, existing) => Math.max(max, existing.version || 0), 0) + 1
+      };
+
+/**
+ * Assigns the next position in the global event log
+ * Mirrors the global_position sequence (migration 005)
+ */
+const assignGlobalPosition = assignSequence('global_position');
+
+/**
+ * Queues the external side effects of an event in the outbox
+ * Mirrors the events_enqueue_outbox trigger (migration 007)
+ * @param {Object} row - Inserted event row
+ * @returns {Array<{table: string, row: Object}>} - Rows to insert with the event
+ */
+const enqueueOutbox = (row) => {
+  const outboxRow = toOutboxRow(row);
+  return outboxRow ? [{ table: OUTBOX_TABLE, row: outboxRow }] : [];
+};
+
+/**
+ * Database rules per table (see createMemoryBackend for the rule kinds)
+ */
+export const SCHEMA_TABLE_RULES = deepFreeze({
+  events: {
+    beforeInsert: [assignEventVersion, assignGlobalPosition],
+    afterInsert: [enqueueOutbox],
+    uniqueKeys: [['id'], ['email', 'version']]
+  },
+  snapshots: {
+    uniqueKeys: [['id'], ['email', 'reducer_version', 'version']]
+  },
+  user_activity: {
+    uniqueKeys: [['id']]
+  },
+  projection_checkpoints: {
+    uniqueKeys: [['projection']]
+  },
+  ticket_read_model: {
+    uniqueKeys: [['ticket_id']]
+  },
+  outbox: {
+    uniqueKeys: [['event_id']]
+  },
+  idempotency_keys: {
+    uniqueKeys: [['email', 'idempotency_key']]
+  },
+  dead_letters: {
+    uniqueKeys: [['event_id']]
+  },
+  chat_messages: {
+    // Orden de llegada de los mensajes (migration 011)
+    beforeInsert: [assignSequence('position')],
+    uniqueKeys: [['id']]
+  },
+  chat_read_receipts: {
+    uniqueKeys: [['ticket_id', 'email']]
+  },
+  chat_zoho_comments: {
+    uniqueKeys: [['external_comment_id']]
+  },
+  webhook_deliveries: {
+    uniqueKeys: [['delivery_id']]
+  },
+  ticket_zoho_sync: {
+    uniqueKeys: [['filter_key']]
+  }
+});
+
+export default SCHEMA_TABLE_RULES;
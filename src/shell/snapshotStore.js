@@ -0,0 +1,72 @@
+/**
+ * Snapshot store for aggregate state reconstruction
+ * Part of the imperative shell that handles side effects
+ */
+import { tryCatchAsync, deepFreeze } from '../utils/functional.js';
+
+const SNAPSHOTS_TABLE = 'snapshots';
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} email - Aggregate identifier
+ * @property {number} version - Last event version folded into the state
+ * @property {number} reducerVersion - Reducer version that built the state
+ * @property {Object} state - Reconstructed state
+ */
+
+/**
+ * Fetches the latest snapshot of a user built by the given reducer version
+ * Returns a Result with the snapshot, or null when there is none
+ * @param {QueryFn} queryFn - Function to query data
+ */
+export const fetchLatestSnapshot = (queryFn) => async (email, reducerVersion) => {
+  return tryCatchAsync(async () => {
+    const result = await queryFn({
+      table: SNAPSHOTS_TABLE,
+      filters: {
+        email,
+        reducer_version: reducerVersion
+      },
+      select: 'email, version, reducer_version, state',
+      order: 'version',
+      ascending: false,
+      limit: 1
+    });
+    
+    if (result.error) {
+      throw new Error(`Failed to fetch snapshot: ${result.unwrapError().message}`);
+    }
+    
+    const [row] = result.unwrap() || [];
+    return row
+      ? deepFreeze({
+          email: row.email,
+          version: row.version,
+          reducerVersion: row.reducer_version,
+          state: row.state
+        })
+      : null;
+  })();
+};
+
+/**
+ * Stores a snapshot of a user's state
+ * Returns a Result with the stored snapshot or an error
+ * @param {PersistFn} persistFn - Function to persist data
+ */
+export const storeSnapshot = (persistFn) => async (snapshot) => {
+  return tryCatchAsync(async () => {
+    const result = await persistFn(SNAPSHOTS_TABLE, {
+      email: snapshot.email,
+      version: snapshot.version,
+      reducer_version: snapshot.reducerVersion,
+      state: snapshot.state
+    });
+    
+    if (result.error) {
+      throw new Error(`Failed to store snapshot: ${result.unwrapError().message}`);
+    }
+    
+    return deepFreeze(snapshot);
+  })();
+};
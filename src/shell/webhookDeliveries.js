@@ -0,0 +1,53 @@
+/**
+ * Webhook deliveries
+ * Part of the imperative shell: records every webhook delivery that was processed, so
+ * a delivery sent again (provider retries, replays) does not append its events twice
+ *
+ * The delivery is claimed by inserting its row before its events are stored; the
+ * unique delivery_id makes a concurrent or repeated claim fail
+ */
+import { createHash } from 'crypto';
+import { Result, extractErrorInfo } from '../utils/functional.js';
+
+export const WEBHOOK_DELIVERIES_TABLE = 'webhook_deliveries';
+
+// Código de Postgres (y de los backends memory/file) para una clave única repetida
+const UNIQUE_VIOLATION_CODE = '23505';
+
+/**
+ * Pure function to derive a stable id for a delivery
+ * Providers that send no delivery id send the same body on a retry, so the body is hashed
+ * @param {string} source - Webhook source (e.g. 'zoho-desk')
+ * @param {Object} entry - Delivered notification
+ * @returns {string} - Delivery id
+ */
+export const toDeliveryId = (source, entry) =>
+  `${source}:${createHash('sha256').update(JSON.stringify(entry)).digest('hex')}`;
+
+/**
+ * Claims a delivery
+ * Returns a Result with true when claimed, false when it was already claimed (unique violation),
+ * or the insert error (e.g. the database is down) so the caller fails and the provider retries
+ * @param {PersistFn} persistFn - Function to insert data
+ */
+export const claimWebhookDelivery = (persistFn) => async ({ deliveryId, source, eventType }) => {
+  const result = await persistFn(WEBHOOK_DELIVERIES_TABLE, {
+    delivery_id: deliveryId,
+    source,
+    event_type: eventType || null,
+    received_at: new Date().toISOString()
+  });
+
+  if (result.isError && extractErrorInfo(result.unwrapError()).details?.code === UNIQUE_VIOLATION_CODE) {
+    return Result.ok(false);
+  }
+
+  return result.map(() => true);
+};
+
+/**
+ * Releases a claimed delivery whose events could not be stored, so a retry processes it
+ * @param {DeleteFn} deleteFn - Function to delete data
+ */
+export const releaseWebhookDelivery = (deleteFn) => (deliveryId) =>
+  deleteFn(WEBHOOK_DELIVERIES_TABLE, { delivery_id: deliveryId });
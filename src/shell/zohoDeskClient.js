@@ -0,0 +1,247 @@
+/**
+ * Zoho Desk REST API client
+ * Part of the imperative shell that handles side effects
+ *
+ * Calls the Zoho Desk API directly, without n8n:
+ * - OAuth: the access token is obtained with the refresh token and cached until it expires
+ *   (a static ZOHO_API_TOKEN is used when there is no refresh token)
+ * - Every request carries the orgId header of the Zoho Desk organization
+ * - API and OAuth calls go through the outbound client: per-call timeout, retries of the
+ *   idempotent calls (429, 5xx, network errors) with a capped backoff, and a circuit breaker
+ * - List endpoints are read page by page (from / limit, at most 100 per page)
+ */
+import { Result, tryCatchAsync, extractErrorInfo } from '../utils/functional.js';
+import { zohoDeskOutbound } from './outboundClient.js';
+
+// Zoho Desk no devuelve más de 100 registros por página
+export const ZOHO_DESK_MAX_PAGE_SIZE = 100;
+
+// Margen antes de la expiración del token para renovarlo
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Creates a Zoho error with its HTTP status
+ */
+const zohoError = (status, message, details) => new Error(JSON.stringify({
+  status,
+  message,
+  details
+}));
+
+/**
+ * Pure function to build the URL of an API path with its query string
+ * Empty query values are left out
+ */
+const buildUrl = (apiUrl, path, query = {}) => {
+  const url = new URL(`${apiUrl.replace(/\/+$/, '')}/${String(path).replace(/^\/+/, '')}`);
+  Object.entries(query)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .forEach(([key, value]) => url.searchParams.set(key, String(value)));
+  return url;
+};
+
+/**
+ * Pure function to read the circuit breaker key of an API path
+ * The first segment (tickets, contacts...), so ticket ids do not open one circuit each
+ */
+const toWorkflow = (path) => String(path).replace(/^\/+/, '').split(/[/?]/)[0] || '/';
+
+/**
+ * Pure function to turn an outbound client error into a Zoho error
+ * Keeps the status and message, and the errorCode of the Zoho answer as zohoErrorCode
+ */
+const toZohoError = (error) => {
+  const errorInfo = extractErrorInfo(error);
+  const status = errorInfo.details?.status || 502;
+  const details = errorInfo.details?.details || {};
+  const errorCode = status === 429
+    ? 'ZOHO_RATE_LIMITED'
+    : details.errorCode && details.errorCode !== 'ZOHO_REQUEST_FAILED' ? details.errorCode : 'ZOHO_REQUEST_FAILED';
+  return zohoError(status, errorInfo.details?.message || errorInfo.message, {
+    errorCode,
+    zohoErrorCode: details.upstreamErrorCode || null
+  });
+};
+
+/**
+ * Creates a Zoho Desk API client
+ * The client keeps the access token between calls: create one per process
+ * @param {Object} zohoDeskConfig - getConfig().zohoDesk
+ * @param {Object} [options]
+ * @param {Object} [options.outbound] - Outbound client (createOutboundClient) the calls go through
+ * @param {Function} [options.now] - Current time in milliseconds
+ * @returns {Object} - { getAccessToken, request, paginate }
+ */
+export const createZohoDeskClient = (zohoDeskConfig, {
+  outbound = zohoDeskOutbound,
+  now = Date.now
+} = {}) => {
+  const {
+    apiUrl,
+    accountsUrl,
+    orgId,
+    clientId,
+    clientSecret,
+    refreshToken,
+    accessToken: staticAccessToken
+  } = zohoDeskConfig;
+
+  const canRefresh = Boolean(refreshToken && clientId && clientSecret);
+
+  // Token en caché y renovación en curso (las llamadas concurrentes esperan la misma)
+  let cachedToken = null;
+  let pendingRefresh = null;
+
+  /**
+   * Obtains a new access token with the refresh token
+   */
+  const refreshAccessToken = async () => {
+    const url = new URL('/oauth/v2/token', accountsUrl);
+    // Renovar el token no cambia nada en Zoho: se puede reintentar
+    const result = await outbound.request(url.toString(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        client_id: clientId,
+        client_secret: clientSecret
+      }).toString(),
+      idempotent: true,
+      workflow: 'oauth'
+    });
+    const body = result.isOk ? result.unwrap().body : null;
+
+    // Zoho responde 200 con { error } cuando el refresh token no es válido
+    if (!result.isOk || !body?.access_token) {
+      const reason = result.isOk
+        ? body?.error || body?.message || 'no access_token'
+        : extractErrorInfo(result.unwrapError()).details?.message || result.unwrapError().message;
+      throw zohoError(502, `Zoho OAuth token refresh failed: ${reason}`, {
+        errorCode: 'ZOHO_OAUTH_FAILED'
+      });
+    }
+
+    const expiresInMs = Number(body.expires_in || 3600) * 1000;
+    cachedToken = {
+      value: body.access_token,
+      expiresAt: now() + expiresInMs - TOKEN_EXPIRY_MARGIN_MS
+    };
+    console.log('🔑 Token de acceso de Zoho Desk renovado');
+    return cachedToken.value;
+  };
+
+  /**
+   * Returns a valid access token
+   * Returns a Result with the token
+   */
+  const getAccessToken = async ({ forceRefresh = false } = {}) => {
+    return tryCatchAsync(async () => {
+      if (!canRefresh) {
+        if (!staticAccessToken) {
+          throw zohoError(503, 'Zoho Desk API not configured', {
+            errorCode: 'ZOHO_NOT_CONFIGURED',
+            message: 'Set ZOHO_REFRESH_TOKEN, ZOHO_CLIENT_ID and ZOHO_CLIENT_SECRET (or ZOHO_API_TOKEN)'
+          });
+        }
+        return staticAccessToken;
+      }
+
+      if (!forceRefresh && cachedToken && cachedToken.expiresAt > now()) {
+        return cachedToken.value;
+      }
+
+      pendingRefresh = pendingRefresh || refreshAccessToken().finally(() => {
+        pendingRefresh = null;
+      });
+      return pendingRefresh;
+    })();
+  };
+
+  /**
+   * Sends one request to the Zoho Desk API
+   * The outbound client retries the idempotent calls (GET) on 429 and 5xx; a 401 is retried
+   * once with a new token. Writes are not retried here: the outbox retries them
+   * Returns a Result with the parsed body (null for 204 No Content)
+   * @param {string} method - HTTP method
+   * @param {string} path - API path (e.g. /tickets)
+   * @param {Object} [options] - { query, body, headers }
+   */
+  const request = async (method, path, { query, body, headers = {} } = {}) => {
+    return tryCatchAsync(async () => {
+      const url = buildUrl(apiUrl, path, query);
+
+      const send = async (tokenRefreshed) => {
+        const tokenResult = await getAccessToken({ forceRefresh: tokenRefreshed });
+        if (!tokenResult.isOk) {
+          throw tokenResult.unwrapError();
+        }
+
+        console.log(`🔗 Zoho Desk ${method} ${url.pathname}${url.search}`);
+        const result = await outbound.request(url.toString(), {
+          method,
+          headers: {
+            Authorization: `Zoho-oauthtoken ${tokenResult.unwrap()}`,
+            ...(orgId && { orgId }),
+            ...headers
+          },
+          body,
+          workflow: toWorkflow(path)
+        });
+
+        if (result.isOk) {
+          return result.unwrap().body;
+        }
+
+        // Token revocado o caducado antes de tiempo: renovarlo una vez
+        const status = extractErrorInfo(result.unwrapError()).details?.status;
+        if (status === 401 && canRefresh && !tokenRefreshed) {
+          console.warn('🔑 Zoho Desk rechazó el token de acceso, renovándolo');
+          return send(true);
+        }
+
+        throw toZohoError(result.unwrapError());
+      };
+
+      return send(false);
+    })();
+  };
+
+  /**
+   * Reads a list endpoint page by page
+   * Returns a Result with up to `limit` records, starting at `from`
+   * @param {string} path - List path (e.g. /tickets)
+   * @param {Object} [options] - { query, from, limit }
+   */
+  const paginate = async (path, { query = {}, from = 0, limit = ZOHO_DESK_MAX_PAGE_SIZE } = {}) => {
+    const readPage = async (records) => {
+      const remaining = limit - records.length;
+      if (remaining <= 0) {
+        return Result.ok(records);
+      }
+
+      const pageSize = Math.min(remaining, ZOHO_DESK_MAX_PAGE_SIZE);
+      const pageResult = await request('GET', path, {
+        query: { ...query, from: from + records.length, limit: pageSize }
+      });
+      if (!pageResult.isOk) {
+        return pageResult;
+      }
+
+      const page = pageResult.unwrap()?.data || [];
+      const all = [...records, ...page];
+      // Una página incompleta es la última
+      return page.length < pageSize ? Result.ok(all) : readPage(all);
+    };
+
+    return readPage([]);
+  };
+
+  return {
+    getAccessToken,
+    request,
+    paginate
+  };
+};
+
+export default createZohoDeskClient;
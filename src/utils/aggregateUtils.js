@@ -75,3 +75,32 @@ export const createAggregateEventsFetcher = (fetchEvents) => (email) =>
             ? eventsResult
             : Result.ok(filterEventsByAggregateId(eventsResult.unwrap(), email))
         );
+
+/**
+ * Gets the current version of an aggregate stream from its events
+ * Events without a version (legacy rows) count by position
+ * @param {Array} events - Events of a single aggregate
+ * @returns {number} - Latest stream version, 0 for an empty stream
+ */
+export const getStreamVersion = (events) =>
+  !Array.isArray(events)
+    ? 0
+    : events.reduce(
+        (current, event, index) => Math.max(current, event.version ?? index + 1),
+        0
+      );
+
+/**
+ * Checks an optional expected version against the current stream version
+ * @param {number|undefined} expectedVersion - Version the client last saw
+ * @param {number} currentVersion - Current version of the stream
+ * @returns {Result} - Result with the current version or a conflict error
+ */
+export const checkExpectedVersion = (expectedVersion, currentVersion) =>
+  expectedVersion === undefined || expectedVersion === currentVersion
+    ? Result.ok(currentVersion)
+    : Result.error(deepFreeze({
+        message: 'Concurrency conflict: the stream has moved on',
+        expectedVersion,
+        currentVersion
+      }));
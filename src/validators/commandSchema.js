@@ -4,6 +4,7 @@
  */
 import { z } from 'zod';
 import { Result, deepFreeze } from '../utils/functional.js';
+import { TICKET_STATUSES, normalizeStatus } from '../core/ticketLifecycle.js';
 
 /**
  * Base command schema that all commands must satisfy
@@ -11,7 +12,11 @@ import { Result, deepFreeze } from '../utils/functional.js';
 export const baseCommandSchema = z.object({
   type: z.string(),
   email: z.string().email("Email válido requerido como identificador de agregado"),
-  timestamp: z.number().optional().default(() => Date.now())
+  timestamp: z.number().optional().default(() => Date.now()),
+  // Versión del stream que el cliente vio por última vez (control de concurrencia optimista)
+  expectedVersion: z.number().int().nonnegative().optional(),
+  // Clave de idempotencia (alternativa a la cabecera Idempotency-Key)
+  commandId: z.string().trim().min(1).max(255).optional()
 });
 
 /**
@@ -52,11 +57,21 @@ export const updateTicketSchema = baseCommandSchema.extend({
   updates: z.object({
     subject: z.string().optional(),
     description: z.string().optional(),
-    status: z.enum(['Open', 'Pending', 'Resolved', 'Closed']).optional(),
+    // Se normaliza antes de validar: los nombres heredados ('Pending', 'open') siguen siendo válidos
+    status: z.string().transform(status => normalizeStatus(status) ?? status).pipe(z.enum(TICKET_STATUSES)).optional(),
     priority: z.enum(['Low', 'Medium', 'High']).optional()
   })
 });
 
+/**
+ * Close ticket command schema
+ */
+export const closeTicketSchema = baseCommandSchema.extend({
+  type: z.literal('CLOSE_TICKET'),
+  ticketId: z.string().uuid(),
+  reason: z.string().optional()
+});
+
 /**
  * Add comment command schema
  */
@@ -71,7 +86,8 @@ export const addCommentSchema = baseCommandSchema.extend({
  */
 export const escalateTicketSchema = baseCommandSchema.extend({
   type: z.literal('ESCALATE_TICKET'),
-  ticketId: z.string().uuid()
+  ticketId: z.string().uuid(),
+  reason: z.string().optional()
 });
 
 /**
@@ -153,6 +169,9 @@ const validateByCommandType = (command) => {
     case 'UPDATE_TICKET':
       return mapZodResultToResult(updateTicketSchema.safeParse(command));
       
+    case 'CLOSE_TICKET':
+      return mapZodResultToResult(closeTicketSchema.safeParse(command));
+      
     case 'ADD_COMMENT':
       return mapZodResultToResult(addCommentSchema.safeParse(command));
       
@@ -0,0 +1,256 @@
+/**
+ * Response contracts of the n8n workflows using Zod
+ * Pure validation functions with no side effects
+ *
+ * Each contract lists the fields the API reads from a workflow response. A workflow that
+ * changes its output shape fails here, naming the workflow and the field, instead of
+ * reaching the projections as empty lists or zeroed counters. Extra fields are allowed
+ *
+ * Answers with success: false are the workflow's own error report and are not checked
+ * (their callers already handle them)
+ */
+import { z } from 'zod';
+import { Result } from '../utils/functional.js';
+
+// Máximo de incidencias incluidas en los detalles del error
+const MAX_REPORTED_ISSUES = 10;
+
+// IDs de Zoho: cadenas numéricas (a veces llegan como número)
+const zohoId = z.union([z.string().min(1), z.number()]);
+const optionalText = z.string().nullish();
+const counter = z.number().nonnegative();
+
+/**
+ * Ticket as listed by zoho-tickets
+ */
+const ticketSummarySchema = z.object({
+  id: zohoId,
+  ticketNumber: z.union([z.string(), z.number()]).nullish(),
+  subject: z.string(),
+  status: z.string(),
+  priority: optionalText,
+  departmentId: zohoId.nullish(),
+  departmentName: optionalText,
+  contactId: zohoId.nullish(),
+  contactName: optionalText,
+  createdTime: optionalText,
+  modifiedTime: optionalText
+}).passthrough();
+
+/**
+ * Ticket as returned by zoho-ticket-detail, zoho-create-ticket and zoho-update-ticket
+ */
+const ticketDetailSchema = ticketSummarySchema.extend({
+  statusType: optionalText,
+  closedTime: optionalText
+});
+
+/**
+ * Comment as listed by zoho-get-comments
+ */
+const commentSchema = z.object({
+  id: zohoId,
+  content: optionalText,
+  createdTime: optionalText
+}).passthrough();
+
+/**
+ * Contact as listed by zoho-contacts, zoho-search-contact-by-email and the dashboard
+ */
+const contactSchema = z.object({
+  id: zohoId,
+  name: optionalText,
+  email: optionalText
+}).passthrough();
+
+const categorySchema = z.object({
+  id: zohoId
+}).passthrough();
+
+const ticketsResponseSchema = z.object({
+  success: z.literal(true),
+  tickets: z.array(ticketSummarySchema),
+  meta: z.object({
+    from: z.coerce.number(),
+    limit: z.coerce.number(),
+    total: z.coerce.number()
+  }).partial().passthrough().optional(),
+  timestamp: optionalText
+}).passthrough();
+
+const ticketResponseSchema = z.object({
+  success: z.literal(true),
+  ticket: ticketDetailSchema,
+  timestamp: optionalText
+}).passthrough();
+
+const reportsOverviewSchema = z.object({
+  ticketCount: counter,
+  openTicketCount: counter,
+  urgentTicketCount: counter.optional(),
+  responseTimeAvg: z.number().optional(),
+  satisfactionScore: z.number().optional(),
+  metrics: z.object({
+    ticketsByPriority: z.record(counter),
+    ticketsByStatus: z.record(counter)
+  }).passthrough(),
+  timestamp: optionalText
+}).passthrough();
+
+/**
+ * Contracts by workflow (the webhook path without its parameters)
+ */
+export const N8N_CONTRACTS = Object.freeze({
+  'zoho-tickets': ticketsResponseSchema,
+  'zoho-ticket-detail': ticketResponseSchema,
+  'zoho-create-ticket': ticketResponseSchema.extend({ ticket: ticketDetailSchema.optional() }),
+  'zoho-update-ticket': ticketResponseSchema,
+  'zoho-add-comment': z.object({
+    success: z.literal(true),
+    ticketId: zohoId,
+    commentId: zohoId,
+    content: optionalText,
+    createdTime: optionalText
+  }).passthrough(),
+  // El endpoint de comentarios acepta la lista suelta o envuelta (ítems de n8n)
+  'zoho-get-comments': z.union([
+    z.object({ comments: z.array(commentSchema) }).passthrough(),
+    z.array(z.object({ comments: z.array(commentSchema) }).passthrough()).nonempty(),
+    z.array(commentSchema),
+    z.object({ data: z.array(commentSchema) }).passthrough()
+  ]),
+  // Departamentos: lista suelta o { categories }
+  'zoho-categories': z.union([
+    z.object({ categories: z.array(categorySchema) }).passthrough(),
+    z.array(categorySchema)
+  ]),
+  'zoho-kb-articles': z.object({
+    success: z.literal(true),
+    articles: z.array(z.object({ id: zohoId, title: z.string() }).passthrough())
+  }).passthrough(),
+  'zoho-contacts': z.object({
+    success: z.literal(true),
+    validContacts: z.array(contactSchema)
+  }).passthrough(),
+  'zoho-accounts': z.object({
+    success: z.literal(true),
+    validAccounts: z.array(z.object({ id: zohoId }).passthrough())
+  }).passthrough(),
+  'zoho-search-contact-by-email': z.object({
+    data: z.array(contactSchema)
+  }).passthrough(),
+  // {} cuando el email no es un contacto de Zoho CRM
+  'zoho-contact-check': z.object({
+    data: z.array(z.object({
+      id: zohoId,
+      Full_Name: z.string(),
+      Account_Name: z.object({ id: zohoId.nullable(), name: z.string().nullable() }).passthrough()
+    }).passthrough()).optional()
+  }).passthrough(),
+  'zoho-get-companies': z.object({
+    data: z.object({
+      companies: z.array(z.object({ id: zohoId, name: optionalText }).passthrough())
+    }).passthrough()
+  }).passthrough(),
+  'zoho-contact-profile': z.object({
+    contactId: zohoId.nullish(),
+    fullName: optionalText,
+    jobTitle: optionalText,
+    companyName: optionalText,
+    phone: optionalText,
+    email: optionalText
+  }).passthrough(),
+  // El objeto vacío (email desconocido) se trata antes de validar
+  'account-checkuser': z.object({
+    email: z.string().min(1),
+    fullName: optionalText,
+    contactId: zohoId.nullish(),
+    accountId: zohoId.nullish(),
+    companyName: optionalText
+  }).passthrough(),
+  'overview': reportsOverviewSchema,
+  'projections/dashboard/overview': reportsOverviewSchema,
+  'projections/dashboard/contacts': z.object({
+    contacts: z.array(contactSchema),
+    meta: z.object({}).passthrough().optional(),
+    timestamp: optionalText
+  }).passthrough()
+});
+
+// Otras rutas de los mismos workflows
+const CONTRACT_ALIASES = Object.freeze({
+  'api/zoho/kb-articles': 'zoho-kb-articles',
+  'get-contact-profile': 'zoho-contact-profile'
+});
+
+/**
+ * Pure function to find the contract of a webhook path
+ * Drops the webhook prefix, the query string and trailing path parameters
+ * (zoho-ticket-detail/123 is zoho-ticket-detail)
+ * @param {string} path - Webhook path or URL
+ * @returns {string|null} - Workflow name, or null if the workflow has no contract
+ */
+export const toContractName = (path) => {
+  const segments = String(path || '')
+    .replace(/^[a-z]+:\/\/[^/]+/i, '')
+    .split(/[?#]/)[0]
+    .split('/')
+    .filter(Boolean);
+  const start = ['webhook', 'webhook-test'].includes(segments[0]) ? 1 : 0;
+
+  // El prefijo más largo con contrato
+  const name = segments
+    .slice(start)
+    .map((segment, index, parts) => parts.slice(0, parts.length - index).join('/'))
+    .find(candidate => N8N_CONTRACTS[candidate] || CONTRACT_ALIASES[candidate]);
+
+  return name ? CONTRACT_ALIASES[name] || name : null;
+};
+
+/**
+ * Pure function to list the failing fields of a Zod error
+ * A union reports the branch that got furthest into the data
+ * @param {ZodError} error - Error from safeParse
+ * @returns {Array<Object>} - [{ field, message }]
+ */
+const toIssues = (error) => error.issues.flatMap(issue => {
+  if (issue.code === 'invalid_union') {
+    const depthOf = (unionError) => Math.max(...unionError.issues.map(item => item.path.length));
+    const closest = issue.unionErrors.reduce((best, candidate) => depthOf(candidate) > depthOf(best) ? candidate : best);
+    return toIssues(closest);
+  }
+  return [{ field: issue.path.join('.') || '(root)', message: issue.message }];
+});
+
+/**
+ * Validates the response of an n8n workflow against its contract
+ * @param {string} workflow - Workflow name (a key of N8N_CONTRACTS)
+ * @param {*} body - Parsed response body
+ * @returns {Result} - Result with the same body, or a 502 error naming the workflow and field
+ */
+export const validateN8nResponse = (workflow, body) => {
+  const contract = N8N_CONTRACTS[workflow];
+
+  // Sin contrato, o el workflow informa de su propio error
+  if (!contract || (body && typeof body === 'object' && body.success === false)) {
+    return Result.ok(body);
+  }
+
+  const parsed = contract.safeParse(body);
+  if (parsed.success) {
+    return Result.ok(body);
+  }
+
+  const issues = toIssues(parsed.error).slice(0, MAX_REPORTED_ISSUES);
+  const [{ field, message }] = issues;
+  return Result.error(new Error(JSON.stringify({
+    status: 502,
+    message: `n8n workflow ${workflow} answered an unexpected shape: ${field}: ${message}`,
+    details: {
+      errorCode: 'N8N_CONTRACT_VIOLATION',
+      workflow,
+      field,
+      issues
+    }
+  })));
+};
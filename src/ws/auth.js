@@ -0,0 +1,87 @@
+/**
+ * Autenticación de conexiones WebSocket
+ *
+ * Los navegadores no pueden enviar cabeceras en el handshake, así que el token de
+ * acceso llega en la query (?token=...), como subprotocolo
+ * (new WebSocket(url, ['access_token', token])) o, para otros clientes, en Authorization
+ * Se verifica con el mismo secreto y las mismas reglas que verifyJwt (token de tipo access)
+ */
+import { Result } from '../utils/functional.js';
+import { verifyToken } from '../services/authService.js';
+import getConfig from '../config.js';
+
+/**
+ * Parsea la URL de la solicitud WebSocket
+ * @param {object} req - Objeto de solicitud HTTP
+ * @returns {URL} - URL con pathname y searchParams
+ */
+export const parseRequestUrl = (req) => new URL(req.url, 'http://localhost');
+
+// Subprotocolo que anuncia que el siguiente subprotocolo es el token de acceso
+export const TOKEN_SUBPROTOCOL = 'access_token';
+
+/**
+ * Extrae el token de la cabecera Sec-WebSocket-Protocol ('access_token, <token>')
+ * @param {object} req - Objeto de solicitud HTTP
+ * @returns {string|null} - Token o null si no se envió
+ */
+const extractTokenFromProtocols = (req) => {
+  const protocols = String(req.headers?.['sec-websocket-protocol'] || '')
+    .split(',')
+    .map(protocol => protocol.trim());
+  const index = protocols.indexOf(TOKEN_SUBPROTOCOL);
+  return index !== -1 && protocols[index + 1] ? protocols[index + 1] : null;
+};
+
+/**
+ * Elige el subprotocolo de la respuesta al handshake (handleProtocols de ws)
+ * El navegador cierra la conexión si el servidor no acepta ninguno de los que pidió,
+ * así que se acepta 'access_token' (nunca se devuelve el token)
+ * @param {Set<string>} protocols - Subprotocolos pedidos por el cliente
+ * @returns {string|false} - Subprotocolo aceptado o false
+ */
+export const selectProtocol = (protocols) =>
+  protocols.has(TOKEN_SUBPROTOCOL) ? TOKEN_SUBPROTOCOL : false;
+
+/**
+ * Extrae el token de acceso de la solicitud WebSocket
+ * @param {object} req - Objeto de solicitud HTTP
+ * @returns {string|null} - Token o null si no se envió
+ */
+export const extractTokenFromReq = (req) =>
+  parseRequestUrl(req).searchParams.get('token') ||
+  extractTokenFromProtocols(req) ||
+  req.headers?.authorization?.split(' ')[1] ||
+  null;
+
+/**
+ * Indica si un email es de un agente de soporte (AGENT_EMAILS o ADMIN_EMAILS)
+ * @param {string} email - Email del usuario
+ * @returns {boolean} - True si es agente
+ */
+export const isAgentEmail = (email) => {
+  const { agentEmails, adminEmails } = getConfig().security;
+  const normalized = String(email || '').toLowerCase();
+  return agentEmails.includes(normalized) || adminEmails.includes(normalized);
+};
+
+/**
+ * Autentica una solicitud WebSocket con su token de acceso
+ * @param {object} req - Objeto de solicitud HTTP
+ * @returns {Promise<Result>} - Result con { email, isAgent } o un error
+ */
+export const authenticateRequest = async (req) => {
+  const token = extractTokenFromReq(req);
+  if (!token) {
+    return Result.error(new Error('Authentication token required'));
+  }
+
+  const verificationResult = await verifyToken(token);
+  const decoded = verificationResult.isOk ? verificationResult.unwrap() : null;
+
+  if (!decoded || decoded.type !== 'access' || !decoded.email) {
+    return Result.error(new Error('Invalid or expired token'));
+  }
+
+  return Result.ok({ email: decoded.email, isAgent: isAgentEmail(decoded.email) });
+};
@@ -3,9 +3,36 @@
  * 
  * Gestiona conexiones WebSocket para el chat en tiempo real de tickets
  * Sigue un enfoque funcional y modular
+ *
+ * Solo se aceptan conexiones con un token de acceso válido de un usuario que
+ * es dueño del ticket, está asignado a él o es admin
+ *
+ * Tramas del cliente: mensajes con `content`, `{ type: 'typing', isTyping }` y
+ * `{ type: 'read', messageId }`. El servidor añade `presence` (quién está conectado),
+ * `history` (con los recibos de lectura), `system` y `error`
  */
-import { addClient, removeClient, broadcastToTicket } from './clientsMap.js';
-import { logMessageToDatabase } from '../services/chatLogService.js';
+import { addClient, removeClient, broadcastToTicket, getTicketParticipants, countTicketClients } from './clientsMap.js';
+import {
+  logMessageToDatabase,
+  getRecentMessagesForTicket,
+  markMessageRead,
+  getReadReceiptsForTicket
+} from '../services/chatLogService.js';
+import { mirrorChatMessageToZoho } from '../services/chatZohoBridge.js';
+import { authorizeTicketAccess } from '../services/ticketAccessService.js';
+import { extractErrorInfo } from '../utils/functional.js';
+import { BUS_TOPICS } from '../shell/bus/index.js';
+import { authenticateRequest } from './auth.js';
+import {
+  acquireUserSlot,
+  checkTicketCapacity,
+  createMessageRateLimiter,
+  holdEarlyMessages,
+  isOpen,
+  sendFrame,
+  CLOSE_CODES
+} from './limits.js';
+import getConfig from '../config.js';
 
 /**
  * Extrae el ID del ticket de la URL de la solicitud WebSocket
@@ -24,83 +51,270 @@ export const extractTicketIdFromReq = (req) => {
   }
 };
 
+// Tipos de trama que solo genera el servidor
+const SERVER_FRAME_TYPES = Object.freeze(['system', 'error', 'presence', 'history']);
+
+/**
+ * Construye el mensaje que se difunde a partir del que envía el cliente
+ * El remitente lo pone el servidor: los campos del cliente no pueden suplantarlo
+ * @param {object} message - Mensaje recibido
+ * @param {object} sender - { email, role } del usuario autenticado
+ * @param {string} ticketId - ID del ticket
+ * @returns {object} - Mensaje con remitente, ticket y timestamp
+ */
+export const stampMessage = (message, sender, ticketId) => ({
+  ...message,
+  // Los mensajes de sistema, error, presencia e historial solo los genera el servidor
+  type: SERVER_FRAME_TYPES.includes(message.type) ? 'message' : message.type || 'message',
+  sender: { email: sender.email, role: sender.role },
+  ticketId,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Construye la trama de presencia de un ticket a partir de sus conexiones
+ * @param {string} ticketId - ID del ticket
+ * @returns {object} - { type: 'presence', ticketId, participants, timestamp }
+ */
+export const presenceFrame = (ticketId) => ({
+  type: 'presence',
+  ticketId,
+  participants: getTicketParticipants(ticketId),
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Envía un mensaje de error al cliente
+ */
+const sendError = (ws, content) => sendFrame(ws, {
+  type: 'error',
+  content,
+  timestamp: new Date().toISOString()
+});
+
 /**
  * Crea un manejador de chat para WebSockets
+ * @param {object} deps - Dependencias
+ * @param {EventStoreBackend} deps.eventStore - Backend del event store (acceso al ticket e historial del chat)
+ * @param {Bus} deps.bus - Bus de difusión (los mensajes llegan a los clientes del ticket en todas las instancias)
  * @returns {Function} - Función manejadora de conexiones WebSocket
  */
-export const createChatHandler = () => (ws, req) => {
+export const createChatHandler = ({ eventStore, bus }) => async (ws, req) => {
   // Extraer el ID del ticket de la URL
   const ticketId = extractTicketIdFromReq(req);
   
   if (!ticketId) {
-    console.error('No se pudo extraer el ID del ticket de la URL:', req.url);
-    ws.close(1008, 'Ticket ID not provided');
+    console.error('No se pudo extraer el ID del ticket de la URL');
+    ws.close(CLOSE_CODES.POLICY_VIOLATION, 'Ticket ID not provided');
+    return;
+  }
+  
+  // Antes de cualquier await: los mensajes que lleguen durante la autenticación se guardan
+  // y el cierre se atiende aunque la conexión aún no esté en el ticket
+  const deliverMessages = holdEarlyMessages(ws);
+  
+  /**
+   * Saca la conexión del ticket y avisa a la sala (una sola vez aunque lleguen error y close)
+   */
+  const leave = () => {
+    if (removeClient(ticketId, ws)) {
+      broadcastToTicket(ticketId, presenceFrame(ticketId));
+    }
+  };
+  
+  // Manejar desconexión
+  ws.on('close', () => {
+    console.log(`Conexión WebSocket cerrada para el ticket ${ticketId}`);
+    leave();
+  });
+  
+  // Manejar errores
+  ws.on('error', (error) => {
+    console.error(`Error en conexión WebSocket para ticket ${ticketId}:`, error);
+    leave();
+  });
+  
+  // Autenticar al usuario antes de registrarlo en el ticket
+  const authResult = await authenticateRequest(req);
+  
+  if (!isOpen(ws)) {
+    return;
+  }
+  
+  if (!authResult.isOk) {
+    console.warn(`Conexión al chat del ticket ${ticketId} rechazada: ${authResult.unwrapError().message}`);
+    ws.close(CLOSE_CODES.POLICY_VIOLATION, authResult.unwrapError().message);
+    return;
+  }
+  
+  const { email } = authResult.unwrap();
+  const accessResult = await authorizeTicketAccess(eventStore)(ticketId, email);
+  
+  // El cliente pudo cerrar mientras se comprobaba el acceso: no se registra nada
+  if (!isOpen(ws)) {
+    console.log(`Conexión al chat del ticket ${ticketId} de ${email} cerrada antes de entrar`);
+    return;
+  }
+  
+  if (!accessResult.isOk) {
+    const errorInfo = extractErrorInfo(accessResult.unwrapError());
+    console.warn(`Conexión al chat del ticket ${ticketId} rechazada para ${email}: ${errorInfo.details?.message || errorInfo.message}`);
+    // 1008 (policy violation) para 403/404; 1011 si no se pudo comprobar el acceso
+    ws.close(
+      errorInfo.details?.status ? CLOSE_CODES.POLICY_VIOLATION : CLOSE_CODES.INTERNAL_ERROR,
+      errorInfo.details?.message || 'Could not check ticket access'
+    );
     return;
   }
   
-  console.log(`Nueva conexión WebSocket para el ticket ${ticketId}`);
+  const sender = accessResult.unwrap();
+  console.log(`Nueva conexión WebSocket para el ticket ${ticketId} de ${email} (${sender.role})`);
   
-  // Registrar cliente en el mapa
-  addClient(ticketId, ws);
+  // Máximo de conexiones por usuario y por ticket (se cierra con 1013)
+  if (!acquireUserSlot(ws, email) || !checkTicketCapacity(ws, ticketId, countTicketClients(ticketId))) {
+    return;
+  }
+  
+  // Registrar cliente en el mapa, con su usuario para la presencia
+  addClient(ticketId, ws, sender);
   
   // Enviar mensaje de bienvenida
-  ws.send(JSON.stringify({
+  sendFrame(ws, {
     type: 'system',
     content: 'Conectado al chat del ticket',
     timestamp: new Date().toISOString(),
     ticketId
-  }));
+  });
   
-  // Manejar mensajes entrantes
-  ws.on('message', (messageData) => {
-    try {
-      const message = JSON.parse(messageData);
-      
-      // Validar el mensaje
-      if (!message.content || typeof message.content !== 'string') {
-        ws.send(JSON.stringify({
-          type: 'error',
-          content: 'Formato de mensaje inválido',
-          timestamp: new Date().toISOString()
-        }));
-        return;
+  // Avisar a la sala de quién está conectado
+  broadcastToTicket(ticketId, presenceFrame(ticketId));
+  
+  /**
+   * Publica una trama en el bus para todos los clientes del ticket,
+   * estén conectados a esta instancia o a otra
+   */
+  const publishToTicket = (message) => bus.publish(BUS_TOPICS.CHAT_MESSAGE, { ticketId, message })
+    .then(publishResult => {
+      if (!publishResult.isOk) {
+        console.error(`Error al publicar ${message.type} del ticket ${ticketId} en el bus:`, publishResult.unwrapError().message);
       }
-      
-      // Agregar metadatos al mensaje
-      const enhancedMessage = {
-        ...message,
+    });
+  
+  /**
+   * Indicador de escritura: se difunde sin guardarse
+   */
+  const handleTyping = (message) => publishToTicket({
+    type: 'typing',
+    ticketId,
+    sender: { email: sender.email, role: sender.role },
+    isTyping: message.isTyping !== false,
+    timestamp: new Date().toISOString()
+  });
+  
+  /**
+   * Recibo de lectura: guarda el último mensaje leído del usuario y lo difunde si avanzó
+   */
+  const handleRead = async (message) => {
+    if (!message.messageId || typeof message.messageId !== 'string') {
+      sendError(ws, 'Formato de recibo inválido: se requiere messageId');
+      return;
+    }
+    
+    const readResult = await markMessageRead(eventStore)(ticketId, sender, message.messageId);
+    
+    if (!readResult.isOk) {
+      console.error(`Error al guardar el recibo de lectura del ticket ${ticketId}:`, readResult.unwrapError().message);
+      sendError(ws, 'No se pudo marcar el mensaje como leído');
+      return;
+    }
+    
+    const { receipt, advanced } = readResult.unwrap();
+    if (advanced) {
+      await publishToTicket({
+        type: 'read',
         ticketId,
+        sender: { email: sender.email, role: sender.role },
+        messageId: receipt.messageId,
+        readAt: receipt.readAt,
         timestamp: new Date().toISOString()
-      };
-      
-      // Guardar en la base de datos (si existe la función)
-      if (typeof logMessageToDatabase === 'function') {
-        logMessageToDatabase(enhancedMessage).catch(err => {
-          console.error('Error al guardar mensaje en la base de datos:', err);
-        });
+      });
+    }
+  };
+  
+  /**
+   * Mensaje de chat: se guarda y se difunde con el id del mensaje guardado,
+   * para que los clientes puedan deduplicar con el historial
+   */
+  const handleChatMessage = async (message) => {
+    // Validar el mensaje
+    if (!message.content || typeof message.content !== 'string') {
+      sendError(ws, 'Formato de mensaje inválido');
+      return;
+    }
+    
+    // Agregar metadatos al mensaje (remitente incluido)
+    const enhancedMessage = stampMessage(message, sender, ticketId);
+    const saveResult = await logMessageToDatabase(eventStore.persistFn)(enhancedMessage);
+    
+    if (!saveResult.isOk) {
+      console.error('Error al guardar mensaje en la base de datos:', saveResult.unwrapError());
+    }
+    
+    await publishToTicket(saveResult.isOk ? saveResult.unwrap() : enhancedMessage);
+    
+    // Copiar el mensaje como comentario del ticket en Zoho (a través del outbox)
+    if (saveResult.isOk && getConfig().chat.zohoBridgeEnabled) {
+      const mirrorResult = await mirrorChatMessageToZoho(eventStore)(saveResult.unwrap());
+      if (!mirrorResult.isOk) {
+        console.error(`Error al copiar el mensaje del ticket ${ticketId} a Zoho:`, mirrorResult.unwrapError().message);
       }
+    }
+  };
+  
+  // Manejar mensajes entrantes, empezando por los recibidos durante la autenticación
+  // (con límite de mensajes por conexión)
+  const allowMessage = createMessageRateLimiter(ws);
+  deliverMessages(async (messageData) => {
+    if (!allowMessage()) {
+      return;
+    }
+    
+    try {
+      const message = JSON.parse(messageData);
       
-      // Transmitir a todos los clientes para este ticket
-      broadcastToTicket(ticketId, enhancedMessage);
+      if (message.type === 'typing') {
+        await handleTyping(message);
+      } else if (message.type === 'read') {
+        await handleRead(message);
+      } else {
+        await handleChatMessage(message);
+      }
     } catch (error) {
       console.error('Error al procesar mensaje WebSocket:', error);
-      ws.send(JSON.stringify({
-        type: 'error',
-        content: 'Error al procesar el mensaje',
-        timestamp: new Date().toISOString()
-      }));
+      sendError(ws, 'Error al procesar el mensaje');
     }
   });
   
-  // Manejar desconexión
-  ws.on('close', () => {
-    console.log(`Conexión WebSocket cerrada para el ticket ${ticketId}`);
-    removeClient(ticketId, ws);
-  });
+  // Enviar los últimos mensajes del chat y los recibos de lectura justo después de la bienvenida
+  // (un mensaje nuevo puede llegar antes que el historial: los clientes deduplican por id)
+  const [historyResult, receiptsResult] = await Promise.all([
+    getRecentMessagesForTicket(eventStore.queryFn)(ticketId, getConfig().chat.historyOnConnect),
+    getReadReceiptsForTicket(eventStore.queryFn)(ticketId)
+  ]);
   
-  // Manejar errores
-  ws.on('error', (error) => {
-    console.error(`Error en conexión WebSocket para ticket ${ticketId}:`, error);
-    removeClient(ticketId, ws);
-  });
+  if (!receiptsResult.isOk) {
+    console.error(`Error al recuperar los recibos de lectura del ticket ${ticketId}:`, receiptsResult.unwrapError());
+  }
+  
+  if (!historyResult.isOk) {
+    console.error(`Error al recuperar el historial del ticket ${ticketId}:`, historyResult.unwrapError());
+  } else {
+    sendFrame(ws, {
+      type: 'history',
+      ticketId,
+      messages: historyResult.unwrap(),
+      readReceipts: receiptsResult.isOk ? receiptsResult.unwrap() : [],
+      timestamp: new Date().toISOString()
+    });
+  }
 };
@@ -5,20 +5,23 @@
  * Mantiene el estado separado del comportamiento
  */
 
-// Mapa inmutable de clientes (ticketId -> conexiones)
+import { sendFrame } from './limits.js';
+
+// Mapa de clientes (ticketId -> conexiones -> usuario conectado)
 const clientsMap = new Map();
 
 /**
  * Agrega un cliente al mapa para un ticket específico
  * @param {string} ticketId - ID del ticket
  * @param {WebSocket} ws - Conexión WebSocket
+ * @param {object} [user] - { email, role } del usuario conectado (para la presencia)
  * @returns {void}
  */
-export const addClient = (ticketId, ws) => {
+export const addClient = (ticketId, ws, user = null) => {
   if (!clientsMap.has(ticketId)) {
-    clientsMap.set(ticketId, new Set());
+    clientsMap.set(ticketId, new Map());
   }
-  clientsMap.get(ticketId).add(ws);
+  clientsMap.get(ticketId).set(ws, user);
   console.log(`Cliente agregado al ticket ${ticketId}. Total clientes: ${clientsMap.get(ticketId).size}`);
 };
 
@@ -26,19 +29,22 @@ export const addClient = (ticketId, ws) => {
  * Elimina un cliente del mapa
  * @param {string} ticketId - ID del ticket
  * @param {WebSocket} ws - Conexión WebSocket
- * @returns {void}
+ * @returns {boolean} - True si el cliente estaba en el mapa
  */
 export const removeClient = (ticketId, ws) => {
-  if (clientsMap.has(ticketId)) {
-    clientsMap.get(ticketId).delete(ws);
-    console.log(`Cliente eliminado del ticket ${ticketId}. Clientes restantes: ${clientsMap.get(ticketId).size}`);
-    
-    // Si no quedan clientes para ese ticket, eliminar la entrada
-    if (clientsMap.get(ticketId).size === 0) {
-      clientsMap.delete(ticketId);
-      console.log(`Eliminada entrada para ticket ${ticketId}`);
-    }
+  if (!clientsMap.get(ticketId)?.has(ws)) {
+    return false;
+  }
+  
+  clientsMap.get(ticketId).delete(ws);
+  console.log(`Cliente eliminado del ticket ${ticketId}. Clientes restantes: ${clientsMap.get(ticketId).size}`);
+  
+  // Si no quedan clientes para ese ticket, eliminar la entrada
+  if (clientsMap.get(ticketId).size === 0) {
+    clientsMap.delete(ticketId);
+    console.log(`Eliminada entrada para ticket ${ticketId}`);
   }
+  return true;
 };
 
 /**
@@ -56,9 +62,9 @@ export const broadcastToTicket = (ticketId, message) => {
   const serializedMessage = JSON.stringify(message);
   let count = 0;
   
-  clients.forEach(client => {
-    if (client.readyState === 1) { // OPEN
-      client.send(serializedMessage);
+  // Los clientes que no leen lo que reciben se cierran en lugar de acumular memoria
+  clients.forEach((user, client) => {
+    if (sendFrame(client, serializedMessage)) {
       count++;
     }
   });
@@ -67,5 +73,24 @@ export const broadcastToTicket = (ticketId, message) => {
   return count;
 };
 
+/**
+ * Número de conexiones abiertas al chat de un ticket
+ * @param {string} ticketId - ID del ticket
+ * @returns {number} - Conexiones del ticket
+ */
+export const countTicketClients = (ticketId) => clientsMap.get(ticketId)?.size || 0;
+
+/**
+ * Usuarios conectados a un ticket, una vez por email aunque tengan varias conexiones
+ * @param {string} ticketId - ID del ticket
+ * @returns {Array<object>} - [{ email, role }] en orden de conexión
+ */
+export const getTicketParticipants = (ticketId) => {
+  const users = [...(clientsMap.get(ticketId)?.values() || [])].filter(user => user?.email);
+  return users
+    .filter((user, index) => users.findIndex(other => other.email.toLowerCase() === user.email.toLowerCase()) === index)
+    .map(({ email, role }) => ({ email, role }));
+};
+
 // Exponer el mapa solo para pruebas o depuración, no debería usarse directamente
 export const getClientsMap = () => clientsMap;
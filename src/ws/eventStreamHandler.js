@@ -0,0 +1,317 @@
+/**
+ * Manejador del stream de eventos para WebSockets
+ *
+ * /ws/events?token=...&after=120&tickets=t1,t2
+ * Envía en tiempo real cada evento que guarda storeEvent en el stream del usuario
+ * (sus propios eventos) y, para agentes, en los tickets a los que se suscriben.
+ * Con `after` (la última posición del log que vio el cliente) primero se reenvían
+ * desde el event store los eventos guardados mientras estaba desconectado
+ * Los eventos en vivo llegan por el bus de difusión, así que incluyen los guardados por otras instancias
+ * El bus solo anuncia cada evento (id, tipo, email, ticket, posición): el evento completo se lee
+ * del event store, y se envía al cliente sin tokens ni contraseñas
+ */
+import { BUS_TOPICS } from '../shell/bus/index.js';
+import { fetchEventsAfterPosition } from '../shell/eventStore.js';
+import { authenticateRequest, parseRequestUrl } from './auth.js';
+import { acquireUserSlot, createMessageRateLimiter, holdEarlyMessages, sendFrame, CLOSE_CODES } from './limits.js';
+import getConfig from '../config.js';
+
+/**
+ * Stream de los eventos de un usuario
+ * @param {string} email - Email del usuario (identificador del agregado)
+ * @returns {object} - { key, filters, matches }
+ */
+export const userStream = (email) => ({
+  key: `user:${email.toLowerCase()}`,
+  filters: { email },
+  matches: (event) => String(event.email || '').toLowerCase() === email.toLowerCase()
+});
+
+/**
+ * Stream de los eventos de un ticket
+ * @param {string} ticketId - ID del ticket
+ * @returns {object} - { key, filters, matches }
+ */
+export const ticketStream = (ticketId) => ({
+  key: `ticket:${ticketId}`,
+  filters: { ticketId },
+  matches: (event) => event.ticketId === ticketId
+});
+
+/**
+ * Parsea una posición del log enviada por el cliente
+ * @param {*} value - Valor de la query o del mensaje
+ * @returns {number|null} - Posición (entero no negativo) o null si no se envió o no es válida
+ */
+export const parsePosition = (value) => {
+  const position = Number(value);
+  return value !== null && value !== undefined && value !== '' && Number.isInteger(position) && position >= 0
+    ? position
+    : null;
+};
+
+// Campos que nunca se envían a los clientes del stream (LOGIN_SUCCEEDED, TOKEN_REFRESHED, registro...)
+const SECRET_FIELDS = Object.freeze(['accessToken', 'refreshToken', 'newAccessToken', 'newRefreshToken', 'token', 'password']);
+
+/**
+ * Quita de un evento (y de sus objetos anidados) los tokens y contraseñas
+ * @param {*} value - Evento o valor anidado
+ * @returns {*} - Copia sin los campos secretos
+ */
+export const toPublicEvent = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(toPublicEvent);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => !SECRET_FIELDS.includes(key))
+    .map(([key, nested]) => [key, toPublicEvent(nested)]));
+};
+
+/**
+ * Envía un mensaje de error al cliente
+ */
+const sendError = (ws, content) => sendFrame(ws, {
+  type: 'error',
+  content,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Crea un manejador del stream de eventos para WebSockets
+ * @param {object} deps - Dependencias
+ * @param {EventStoreBackend} deps.eventStore - Backend del event store (para reenviar eventos al reanudar)
+ * @param {Bus} deps.bus - Bus de difusión por el que llegan los eventos guardados en cualquier instancia
+ * @returns {Function} - Función manejadora de conexiones WebSocket
+ */
+export const createEventStreamHandler = ({ eventStore, bus }) => async (ws, req) => {
+  // Antes del await: los mensajes enviados durante la autenticación no se pierden
+  const deliverMessages = holdEarlyMessages(ws);
+  const authResult = await authenticateRequest(req);
+
+  if (!authResult.isOk) {
+    console.warn(`Conexión a /ws/events rechazada: ${authResult.unwrapError().message}`);
+    ws.close(CLOSE_CODES.POLICY_VIOLATION, authResult.unwrapError().message);
+    return;
+  }
+
+  const { email, isAgent } = authResult.unwrap();
+
+  // Máximo de conexiones por usuario (se cierra con 1013)
+  // Sin plaza si el cliente cerró durante la autenticación; desde aquí hasta registrar
+  // 'close' no hay awaits, así que la plaza siempre se libera
+  if (!acquireUserSlot(ws, email)) {
+    return;
+  }
+
+  const url = parseRequestUrl(req);
+  const batchSize = getConfig().eventStore.replayBatchSize;
+
+  // Suscripciones de esta conexión (clave del stream -> estado)
+  const subscriptions = new Map();
+
+  /**
+   * Envía un evento de una suscripción, una sola vez y en orden de posición
+   */
+  const deliver = (subscription, event) => {
+    const hasPosition = Number.isInteger(event.position);
+    if (hasPosition && subscription.lastPosition !== null && event.position <= subscription.lastPosition) {
+      return;
+    }
+
+    sendFrame(ws, {
+      type: 'event',
+      stream: subscription.stream.key,
+      position: hasPosition ? event.position : null,
+      event: toPublicEvent(event)
+    });
+
+    if (hasPosition) {
+      subscription.lastPosition = event.position;
+    }
+  };
+
+  /**
+   * Reenvía los eventos guardados después de la posición de la suscripción
+   * Los eventos en vivo que llegan mientras tanto esperan en el buffer de la suscripción
+   */
+  const backfill = async (subscription) => {
+    if (!eventStore?.queryFn) {
+      sendError(ws, 'No se pueden recuperar eventos anteriores: event store no disponible');
+      return;
+    }
+
+    const fetchBatch = async () => {
+      const result = await fetchEventsAfterPosition(eventStore.queryFn)({
+        afterPosition: subscription.lastPosition,
+        limit: batchSize,
+        filters: subscription.stream.filters
+      });
+
+      if (!result.isOk) {
+        console.error(`Error recuperando eventos de ${subscription.stream.key}:`, result.unwrapError());
+        sendError(ws, 'Error al recuperar eventos anteriores');
+        return;
+      }
+
+      const events = result.unwrap();
+      events.forEach(event => deliver(subscription, event));
+
+      // Seguir mientras haya más páginas y la suscripción y la conexión sigan activas
+      if (events.length === batchSize && subscriptions.get(subscription.stream.key) === subscription && ws.readyState === 1) {
+        await fetchBatch();
+      }
+    };
+
+    await fetchBatch();
+  };
+
+  /**
+   * Lee del event store los eventos anunciados en el bus, en orden y una sola vez
+   * Los anuncios de una suscripción se atienden uno tras otro: cada uno recupera lo
+   * guardado después de la última posición enviada
+   */
+  const catchUp = (subscription, notice) => {
+    subscription.pending = subscription.pending.then(async () => {
+      if (!Number.isInteger(notice.position)) {
+        return;
+      }
+      if (subscription.lastPosition !== null && notice.position <= subscription.lastPosition) {
+        return;
+      }
+      // Sin event store solo se puede enviar el anuncio
+      if (!eventStore?.queryFn) {
+        deliver(subscription, notice);
+        return;
+      }
+      if (subscription.lastPosition === null) {
+        subscription.lastPosition = notice.position - 1;
+      }
+      await backfill(subscription);
+    }).catch(error => {
+      console.error(`Error recuperando el evento ${notice.eventId} de ${subscription.stream.key}:`, error);
+    });
+    return subscription.pending;
+  };
+
+  /**
+   * Suscribe la conexión a un stream, reanudando desde `after` si se indica
+   */
+  const subscribe = async (stream, after) => {
+    if (subscriptions.has(stream.key)) {
+      sendError(ws, `Ya suscrito a ${stream.key}`);
+      return;
+    }
+
+    const subscription = { stream, lastPosition: after, live: false, buffer: [], pending: Promise.resolve() };
+    subscriptions.set(stream.key, subscription);
+    sendFrame(ws, { type: 'subscribed', stream: stream.key, after, timestamp: new Date().toISOString() });
+
+    if (after !== null) {
+      await backfill(subscription);
+    }
+
+    // Atender los anuncios recibidos durante la recuperación y pasar a tiempo real
+    const buffered = subscription.buffer
+      .slice()
+      .sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+    subscription.buffer = [];
+    subscription.live = true;
+    buffered.forEach(notice => catchUp(subscription, notice));
+    await subscription.pending;
+
+    sendFrame(ws, { type: 'live', stream: stream.key, position: subscription.lastPosition });
+  };
+
+  // Recibir los anuncios de los eventos guardados desde ahora (antes de suscribirse, para no perder ninguno)
+  const unsubscribeFeed = bus.subscribe(BUS_TOPICS.STORED_EVENT, (notice) => {
+    subscriptions.forEach(subscription => {
+      if (!subscription.stream.matches(notice)) {
+        return;
+      }
+      if (subscription.live) {
+        catchUp(subscription, notice);
+      } else {
+        subscription.buffer.push(notice);
+      }
+    });
+  });
+
+  console.log(`Nueva conexión a /ws/events de ${email}${isAgent ? ' (agente)' : ''}`);
+
+  sendFrame(ws, {
+    type: 'system',
+    content: 'Conectado al stream de eventos',
+    email,
+    timestamp: new Date().toISOString()
+  });
+
+  // Manejar mensajes entrantes: { type: 'subscribe' | 'unsubscribe', ticketId, after }
+  // (con límite de mensajes por conexión)
+  const allowMessage = createMessageRateLimiter(ws);
+  const handleMessage = async (messageData) => {
+    if (!allowMessage()) {
+      return;
+    }
+
+    try {
+      const message = JSON.parse(messageData);
+
+      if (!message.ticketId || typeof message.ticketId !== 'string') {
+        sendError(ws, 'Formato de mensaje inválido: se requiere ticketId');
+        return;
+      }
+
+      if (message.type === 'subscribe') {
+        if (!isAgent) {
+          sendError(ws, 'Solo los agentes pueden suscribirse a tickets');
+          return;
+        }
+        await subscribe(ticketStream(message.ticketId), parsePosition(message.after));
+      } else if (message.type === 'unsubscribe') {
+        subscriptions.delete(ticketStream(message.ticketId).key);
+        sendFrame(ws, { type: 'unsubscribed', stream: ticketStream(message.ticketId).key });
+      } else {
+        sendError(ws, `Tipo de mensaje no soportado: ${message.type}`);
+      }
+    } catch (error) {
+      console.error('Error al procesar mensaje de /ws/events:', error);
+      sendError(ws, 'Error al procesar el mensaje');
+    }
+  };
+
+  // Primero los mensajes recibidos durante la autenticación, en orden
+  deliverMessages(handleMessage);
+
+  // Manejar desconexión
+  ws.on('close', () => {
+    console.log(`Conexión a /ws/events cerrada para ${email}`);
+    unsubscribeFeed();
+    subscriptions.clear();
+  });
+
+  // Manejar errores
+  ws.on('error', (error) => {
+    console.error(`Error en conexión a /ws/events de ${email}:`, error);
+    unsubscribeFeed();
+    subscriptions.clear();
+  });
+
+  // Suscripciones iniciales: el stream propio y, para agentes, los tickets de la query
+  const after = parsePosition(url.searchParams.get('after'));
+  const ticketIds = (url.searchParams.get('tickets') || '').split(',').map(id => id.trim()).filter(Boolean);
+
+  await subscribe(userStream(email), after);
+
+  if (ticketIds.length > 0 && !isAgent) {
+    sendError(ws, 'Solo los agentes pueden suscribirse a tickets');
+    return;
+  }
+
+  await ticketIds.reduce(
+    (previous, ticketId) => previous.then(() => subscribe(ticketStream(ticketId), after)),
+    Promise.resolve()
+  );
+};
@@ -5,34 +5,98 @@
  */
 import { WebSocketServer } from 'ws';
 import { createChatHandler } from './chatHandler.js';
+import { createEventStreamHandler } from './eventStreamHandler.js';
+import { selectProtocol } from './auth.js';
+import { startHeartbeat, CLOSE_CODES } from './limits.js';
+import { broadcastToTicket } from './clientsMap.js';
+import { subscribeToStoredEvents } from '../shell/eventFeed.js';
+import { createMemoryBus, BUS_TOPICS, toStoredEventNotice } from '../shell/bus/index.js';
+import { startZohoCommentRelay } from '../services/chatZohoBridge.js';
+import getConfig from '../config.js';
+
+/**
+ * Conecta el servidor WebSocket al bus de difusión
+ * - Los eventos guardados por este proceso se anuncian en el bus (los reciben todas las instancias);
+ *   solo viajan su id, tipo, email, ticket y posición, nunca el payload
+ * - Los mensajes de chat del bus se envían a los clientes del ticket conectados a este proceso
+ * @param {Bus} bus - Bus de difusión
+ * @returns {Function} - Función para desconectarse del bus
+ */
+const connectToBus = (bus) => {
+  const unsubscribeFeed = subscribeToStoredEvents((event) => {
+    bus.publish(BUS_TOPICS.STORED_EVENT, toStoredEventNotice(event)).then(result => {
+      if (!result.isOk) {
+        console.error(`Error al publicar el evento ${event.eventId} en el bus:`, result.unwrapError().message);
+      }
+    });
+  });
+
+  const unsubscribeChat = bus.subscribe(BUS_TOPICS.CHAT_MESSAGE, ({ ticketId, message }) => {
+    broadcastToTicket(ticketId, message);
+  });
+
+  return () => {
+    unsubscribeFeed();
+    unsubscribeChat();
+  };
+};
 
 /**
  * Inicializa el servidor WebSocket
  * @param {object} server - Servidor HTTP/HTTPS
+ * @param {object} [deps] - Dependencias
+ * @param {EventStoreBackend} [deps.eventStore] - Backend del event store (para /ws/events)
+ * @param {Bus} [deps.bus] - Bus de difusión entre instancias (por defecto, uno en memoria)
  * @returns {WebSocketServer} - Instancia del servidor WebSocket
  */
-export const initializeWebSocketServer = (server) => {
+export const initializeWebSocketServer = (server, { eventStore, bus = createMemoryBus() } = {}) => {
   if (!server) {
     throw new Error('Se requiere una instancia de servidor HTTP/HTTPS');
   }
   
   // Crear servidor WebSocket
-  const wss = new WebSocketServer({ 
+  // Sin la opción path: ws solo aceptaría exactamente '/ws'; las rutas se resuelven abajo
+  // handleProtocols acepta el subprotocolo con el que llega el token de acceso
+  // maxPayload: ws cierra con 1009 las conexiones que envían mensajes más grandes
+  const wss = new WebSocketServer({
     server,
-    path: '/ws'
+    handleProtocols: selectProtocol,
+    maxPayload: getConfig().websocket.maxPayloadBytes
   });
   
-  // Crear handler para rutas específicas
-  const chatHandler = createChatHandler();
+  // Heartbeat: cerrar las conexiones medio abiertas (sacándolas de clientsMap y de sus suscripciones)
+  wss.on('close', startHeartbeat(wss));
+  
+  // Los mensajes del chat y los eventos guardados llegan a los clientes a través del bus
+  const disconnectBus = connectToBus(bus);
+  wss.on('close', disconnectBus);
+  
+  // Comentarios de los agentes en Zoho hacia el chat del ticket
+  if (getConfig().chat.zohoBridgeEnabled && eventStore) {
+    wss.on('close', startZohoCommentRelay({ eventStore, bus }));
+    console.log('💬 Puente chat ↔ Zoho activado');
+  }
+  
+  // Crear handlers para rutas específicas
+  const chatHandler = createChatHandler({ eventStore, bus });
+  const eventStreamHandler = createEventStreamHandler({ eventStore, bus });
   
   // Manejar conexiones
   wss.on('connection', (ws, req) => {
     // Verificar si es una conexión de chat
     if (req.url.startsWith('/ws/tickets/')) {
-      chatHandler(ws, req);
+      chatHandler(ws, req).catch(error => {
+        console.error('Error en conexión de chat:', error);
+        ws.close(CLOSE_CODES.INTERNAL_ERROR, 'Internal error');
+      });
+    } else if (req.url === '/ws/events' || req.url.startsWith('/ws/events?')) {
+      eventStreamHandler(ws, req).catch(error => {
+        console.error('Error en conexión a /ws/events:', error);
+        ws.close(CLOSE_CODES.INTERNAL_ERROR, 'Internal error');
+      });
     } else {
       console.warn(`Conexión rechazada para ruta no soportada: ${req.url}`);
-      ws.close(1008, 'Unsupported route');
+      ws.close(CLOSE_CODES.POLICY_VIOLATION, 'Unsupported route');
     }
   });
   
@@ -0,0 +1,223 @@
+/**
+ * Límites de las conexiones WebSocket
+ *
+ * - Heartbeat: el servidor envía un ping periódico y cierra las conexiones que no
+ *   respondieron al anterior (conexiones medio abiertas)
+ * - Límite de mensajes por conexión (ventana fija)
+ * - Máximo de conexiones por usuario (todas las rutas) y por ticket (chat)
+ * - Backpressure: una conexión que no lee lo que se le envía se cierra
+ *
+ * Los contadores son del proceso: con varias instancias, cada una aplica los límites
+ * a las conexiones que recibe
+ */
+import getConfig from '../config.js';
+
+// Códigos de cierre que usa el servidor
+export const CLOSE_CODES = Object.freeze({
+  POLICY_VIOLATION: 1008, // Token inválido o sin acceso al ticket
+  MESSAGE_TOO_BIG: 1009, // Mensaje mayor que maxPayloadBytes (lo envía ws)
+  INTERNAL_ERROR: 1011,
+  TRY_AGAIN_LATER: 1013, // Máximo de conexiones del usuario o del ticket alcanzado
+  SLOW_CONSUMER: 4008, // El cliente no lee los mensajes que recibe
+  RATE_LIMITED: 4029 // El cliente sigue enviando muy por encima del límite de mensajes
+});
+
+// Conexiones abiertas por usuario (email -> conexiones)
+const userConnections = new Map();
+
+/**
+ * Normaliza un email para contar sus conexiones
+ */
+const toKey = (email) => String(email || '').toLowerCase();
+
+/**
+ * Indica si la conexión sigue abierta
+ * Los handlers lo comprueban después de cada await: el cliente pudo cerrar mientras tanto,
+ * y una conexión ya cerrada no vuelve a emitir 'close' (no se limpiaría nada de lo registrado)
+ * @param {WebSocket} ws - Conexión WebSocket
+ * @returns {boolean} - True si está abierta
+ */
+export const isOpen = (ws) => ws.readyState === 1; // OPEN
+
+/**
+ * Guarda los mensajes que llegan mientras se autentica la conexión
+ * Se registra de forma síncrona al conectarse; cuando el handler está listo le pasa
+ * su manejador de mensajes, que recibe primero los mensajes guardados, en orden
+ * @param {WebSocket} ws - Conexión WebSocket
+ * @returns {Function} - (onMessage) => void, entrega los mensajes guardados y los siguientes
+ */
+export const holdEarlyMessages = (ws) => {
+  const held = [];
+  const hold = (messageData) => held.push(messageData);
+  ws.on('message', hold);
+
+  return (onMessage) => {
+    ws.off('message', hold);
+    ws.on('message', onMessage);
+    held.splice(0).forEach(messageData => onMessage(messageData));
+  };
+};
+
+/**
+ * Reserva una conexión para un usuario si no alcanzó el máximo
+ * La conexión se libera sola al cerrarse; si ya se cerró (p.ej. durante la autenticación)
+ * no se reserva nada, porque su 'close' ya se emitió y nunca la liberaría
+ * @param {WebSocket} ws - Conexión WebSocket
+ * @param {string} email - Email del usuario autenticado
+ * @returns {boolean} - False si la conexión ya no está abierta o el usuario tiene el máximo de conexiones (la conexión se cierra)
+ */
+export const acquireUserSlot = (ws, email) => {
+  const { maxConnectionsPerUser } = getConfig().websocket;
+  const key = toKey(email);
+  const connections = userConnections.get(key) || new Set();
+
+  if (!isOpen(ws)) {
+    console.log(`Conexión de ${email} cerrada antes de reservar su plaza`);
+    return false;
+  }
+
+  if (maxConnectionsPerUser > 0 && connections.size >= maxConnectionsPerUser) {
+    console.warn(`Conexión rechazada para ${email}: máximo de ${maxConnectionsPerUser} conexiones por usuario`);
+    ws.close(CLOSE_CODES.TRY_AGAIN_LATER, 'Too many connections for this user');
+    return false;
+  }
+
+  connections.add(ws);
+  userConnections.set(key, connections);
+
+  ws.once('close', () => {
+    connections.delete(ws);
+    if (connections.size === 0 && userConnections.get(key) === connections) {
+      userConnections.delete(key);
+    }
+  });
+  return true;
+};
+
+/**
+ * Comprueba que un ticket no alcanzó el máximo de conexiones a su chat
+ * @param {WebSocket} ws - Conexión WebSocket
+ * @param {string} ticketId - ID del ticket
+ * @param {number} currentConnections - Conexiones abiertas al chat del ticket
+ * @returns {boolean} - False si el ticket está lleno (la conexión se cierra)
+ */
+export const checkTicketCapacity = (ws, ticketId, currentConnections) => {
+  const { maxConnectionsPerTicket } = getConfig().websocket;
+
+  if (maxConnectionsPerTicket > 0 && currentConnections >= maxConnectionsPerTicket) {
+    console.warn(`Conexión rechazada al ticket ${ticketId}: máximo de ${maxConnectionsPerTicket} conexiones por ticket`);
+    ws.close(CLOSE_CODES.TRY_AGAIN_LATER, 'Too many connections for this ticket');
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Indica si una conexión acumula más datos sin enviar de los permitidos
+ * @param {WebSocket} ws - Conexión WebSocket
+ * @returns {boolean} - True si el cliente no está leyendo
+ */
+export const isSlowConsumer = (ws) => ws.bufferedAmount > getConfig().websocket.maxBufferedBytes;
+
+/**
+ * Envía una trama si la conexión sigue abierta
+ * Si el cliente no lee lo que se le envía, la conexión se cierra en lugar de acumular memoria
+ * @param {WebSocket} ws - Conexión WebSocket
+ * @param {object|string} frame - Trama (objeto o ya serializada)
+ * @returns {boolean} - True si se envió
+ */
+export const sendFrame = (ws, frame) => {
+  if (ws.readyState !== 1) { // OPEN
+    return false;
+  }
+
+  if (isSlowConsumer(ws)) {
+    console.warn(`Cerrando conexión lenta: ${ws.bufferedAmount} bytes sin enviar`);
+    ws.close(CLOSE_CODES.SLOW_CONSUMER, 'Slow consumer');
+    return false;
+  }
+
+  ws.send(typeof frame === 'string' ? frame : JSON.stringify(frame));
+  return true;
+};
+
+/**
+ * Crea el limitador de mensajes de una conexión (ventana fija)
+ * Los mensajes por encima del límite se descartan con un error; si el cliente llega al
+ * doble del límite en la misma ventana, la conexión se cierra
+ * @param {WebSocket} ws - Conexión WebSocket
+ * @returns {Function} - () => boolean, true si el mensaje puede procesarse
+ */
+export const createMessageRateLimiter = (ws) => {
+  const { messageRateLimit, messageRateWindowMs } = getConfig().websocket;
+  let windowStart = Date.now();
+  let count = 0;
+
+  return () => {
+    if (messageRateLimit <= 0) {
+      return true;
+    }
+
+    const now = Date.now();
+    if (now - windowStart >= messageRateWindowMs) {
+      windowStart = now;
+      count = 0;
+    }
+    count += 1;
+
+    if (count <= messageRateLimit) {
+      return true;
+    }
+
+    if (count > messageRateLimit * 2) {
+      console.warn(`Cerrando conexión por exceso de mensajes (${count} en ${messageRateWindowMs} ms)`);
+      ws.close(CLOSE_CODES.RATE_LIMITED, 'Rate limit exceeded');
+      return false;
+    }
+
+    sendFrame(ws, {
+      type: 'error',
+      code: 'RATE_LIMITED',
+      content: 'Demasiados mensajes: espera antes de enviar más',
+      retryAfterMs: messageRateWindowMs - (now - windowStart),
+      timestamp: new Date().toISOString()
+    });
+    return false;
+  };
+};
+
+/**
+ * Inicia el heartbeat del servidor
+ * Cada intervalo se cierran las conexiones que no respondieron al ping anterior
+ * (terminate dispara 'close', así que los handlers limpian su estado como siempre)
+ * @param {WebSocketServer} wss - Servidor WebSocket
+ * @returns {Function} - Función para detener el heartbeat
+ */
+export const startHeartbeat = (wss) => {
+  const { heartbeatIntervalMs } = getConfig().websocket;
+
+  wss.on('connection', (ws) => {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+  });
+
+  if (heartbeatIntervalMs <= 0) {
+    return () => {};
+  }
+
+  const interval = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (ws.isAlive === false) {
+        console.warn('Cerrando conexión WebSocket sin respuesta al heartbeat');
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, heartbeatIntervalMs);
+
+  return () => clearInterval(interval);
+};
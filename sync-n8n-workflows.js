@@ -0,0 +1,597 @@
+/**
+ * Script para mantener el bundle de workflows de n8n (n8n-workflows/) al día con la API
+ * y con una instancia de n8n
+ *
+ * - diff: busca en src/ los webhooks que llama la API (fetchFromN8N, fetchFromN8n,
+ *   readCachedProjection, las URLs construidas con N8N_BASE_URL y las URLs completas de
+ *   /webhook/) y los compara con los webhooks de los workflows del bundle. Las rutas
+ *   configurables (N8N_ZOHO_*_PATH, N8N_WEBHOOK_*) se toman del entorno (.env) o, si no
+ *   están definidas, de su valor por defecto
+ * - push: crea o actualiza los workflows del bundle en n8n (por nombre) y los activa o
+ *   desactiva según el export
+ * - pull: descarga de n8n los workflows del bundle y los escribe en su fichero
+ *
+ * Uso:
+ *   node sync-n8n-workflows.js diff                     # sale con 1 si falta algún webhook
+ *   node sync-n8n-workflows.js push --dry-run
+ *   node sync-n8n-workflows.js push n8n-workflows/zoho-get-tickets-workflow.json
+ *   node sync-n8n-workflows.js pull --all               # también los workflows que no están en el bundle
+ *
+ * Opciones:
+ *   --dir <ruta>   Carpeta del bundle (por defecto n8n-workflows)
+ *   --dry-run      push: solo muestra lo que haría
+ *   --all          pull: descarga también los workflows de n8n que no están en el bundle
+ *
+ * Variables de entorno (push y pull):
+ *   N8N_API_URL    API REST de n8n (por defecto http://localhost:5678/api/v1)
+ *   N8N_API_KEY    API key de n8n (Settings > n8n API)
+ */
+import 'dotenv/config';
+import { readdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { DEFAULT_WORKFLOW_PATHS } from './mocks/n8n/workflows.js';
+import { tryCatch } from './src/utils/functional.js';
+
+const SOURCE_DIR = 'src';
+const DEFAULT_API_URL = 'http://localhost:5678/api/v1';
+
+// Tiempo máximo por petición a la API de n8n
+const API_TIMEOUT_MS = 10000;
+
+// Workflows por página al listar (máximo de la API de n8n)
+const API_PAGE_SIZE = 250;
+
+// Líneas después de una URL en las que se busca el método de la petición
+const METHOD_LOOKAHEAD_LINES = 12;
+
+// Funciones que llaman a un webhook: índice del argumento con la ruta y método por defecto
+const N8N_CALLS = Object.freeze({
+  fetchFromN8N: { argument: 0, method: 'GET' },
+  fetchFromN8n: { argument: 0, method: 'POST' },
+  readCachedProjection: { argument: 1, method: 'GET' }
+});
+
+// Rutas configurables sin valor por defecto en el código (las mismas que usa el mock)
+const ENV_WORKFLOW_PATHS = Object.freeze({
+  N8N_ZOHO_CONTACT_CHECK_PATH: DEFAULT_WORKFLOW_PATHS.contactCheck,
+  N8N_ZOHO_GET_COMPANIES_PATH: DEFAULT_WORKFLOW_PATHS.companies,
+  N8N_ZOHO_GET_CONTACT_PROFILE_PATH: DEFAULT_WORKFLOW_PATHS.contactProfile,
+  N8N_WEBHOOK_ACCOUNT_CHECK: DEFAULT_WORKFLOW_PATHS.accountCheck
+});
+
+const isBaseUrl = (name) => /^n8n_?base_?url$/i.test(name);
+const isEnvPath = (name) => /^N8N_\w+$/.test(name) && !isBaseUrl(name);
+
+/**
+ * Parsea los argumentos de la línea de comandos
+ * @param {Array<string>} args - process.argv sin node ni el script
+ * @returns {Object} - Opciones
+ */
+const parseArgs = (args) => args.reduce((options, arg, index) => {
+  if (args[index - 1] === '--dir') {
+    return options;
+  }
+  switch (arg) {
+    case '--dir':
+      return { ...options, dir: args[index + 1] };
+    case '--dry-run':
+      return { ...options, dryRun: true };
+    case '--all':
+      return { ...options, all: true };
+    case 'diff':
+    case 'push':
+    case 'pull':
+      return { ...options, command: arg };
+    default:
+      return { ...options, files: [...options.files, arg] };
+  }
+}, { command: 'diff', dir: 'n8n-workflows', dryRun: false, all: false, files: [] });
+
+/**
+ * Ruta de un webhook sin host, prefijo /webhook/, query ni barras sobrantes
+ */
+const toWebhookPath = (value) => String(value)
+  .replace(/^[a-z]+:\/\/[^/]+/i, '')
+  .split(/[?#]/)[0]
+  .replace(/^\/+/, '')
+  .replace(/^webhook(-test)?(\/|$)/, '')
+  .replace(/\/+$/, '');
+
+/**
+ * Separa los argumentos de una llamada a partir de su paréntesis de apertura
+ * Respeta cadenas, plantillas (con ${} anidados) y paréntesis, corchetes y llaves
+ * @returns {Array<string>|null} - Argumentos, o null si la llamada no se cierra
+ */
+const splitArguments = (source, openIndex) => {
+  const stack = [];
+  const args = [];
+  let current = '';
+
+  for (let index = openIndex + 1; index < source.length; index++) {
+    const char = source[index];
+    const top = stack[stack.length - 1];
+
+    if (top === '\'' || top === '"' || top === '`') {
+      current += char;
+      if (char === '\\') {
+        current += source[++index];
+      } else if (char === top) {
+        stack.pop();
+      } else if (top === '`' && char === '$' && source[index + 1] === '{') {
+        current += source[++index];
+        stack.push('${');
+      }
+      continue;
+    }
+
+    if (char === '\'' || char === '"' || char === '`' || '([{'.includes(char)) {
+      stack.push(char);
+    } else if (')]}'.includes(char)) {
+      if (stack.length === 0) {
+        return [...args, current.trim()].filter(Boolean);
+      }
+      stack.pop();
+    } else if (char === ',' && stack.length === 0) {
+      args.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  return null;
+};
+
+/**
+ * Resuelve el valor (estático) de una expresión con la ruta de un webhook
+ * Acepta literales, plantillas, constantes (locales o exportadas por otro fichero),
+ * process.env y "variable || 'por defecto'". Una plantilla se corta en el primer ${}
+ * que no se puede resolver (partial: true)
+ * @param {string} expression - Código de la expresión
+ * @param {Object} scope - { file, lines, exported }
+ * @param {number} line - Línea de la expresión (las constantes se buscan antes)
+ * @returns {Object|null} - { value, partial } o null si no se puede resolver
+ */
+const resolveExpression = (expression, scope, line) => {
+  const code = expression.trim();
+
+  const literal = code.match(/^(['"])(.*)\1$/);
+  if (literal) {
+    return { value: literal[2], partial: false };
+  }
+  if (code.startsWith('`')) {
+    return resolveTemplate(code.slice(1), scope, line);
+  }
+
+  const withDefault = code.match(/^\(?\s*([\w.$]+)\s*\|\|\s*(['"`])(.*?)\2/);
+  if (withDefault) {
+    return resolveIdentifier(withDefault[1], scope, line)
+      || resolveExpression(`${withDefault[2]}${withDefault[3]}${withDefault[2]}`, scope, line);
+  }
+
+  const identifier = code.match(/^[\w.$]+$/);
+  if (identifier) {
+    return resolveIdentifier(code, scope, line);
+  }
+  return null;
+};
+
+/**
+ * Resuelve una plantilla (sin la comilla de apertura) hasta su cierre
+ * Una URL base de n8n al principio (${N8N_BASE_URL}) no forma parte de la ruta
+ */
+const resolveTemplate = (template, scope, line) => {
+  const resolveFrom = (index, value) => {
+    if (index >= template.length || template[index] === '`') {
+      return { value, partial: false };
+    }
+    if (template[index] === '\\') {
+      return resolveFrom(index + 2, value + template[index + 1]);
+    }
+    if (template.startsWith('${', index)) {
+      const placeholder = template.slice(index).match(/^\$\{\s*([\w.$]+)\s*\}/);
+      if (placeholder && value === '' && isBaseUrl(placeholder[1])) {
+        return resolveFrom(index + placeholder[0].length, value);
+      }
+      const resolved = placeholder && resolveIdentifier(placeholder[1], scope, line);
+      return resolved && !resolved.partial
+        ? resolveFrom(index + placeholder[0].length, value + resolved.value)
+        : { value, partial: true };
+    }
+    return resolveFrom(index + 1, value + template[index]);
+  };
+  return resolveFrom(0, '');
+};
+
+/**
+ * Resuelve una variable: process.env, variable de entorno de n8n (o su ruta por defecto)
+ * o constante
+ */
+const resolveIdentifier = (name, scope, line) => {
+  const envName = name.startsWith('process.env.') ? name.slice('process.env.'.length) : (isEnvPath(name) ? name : null);
+  if (envName) {
+    const value = process.env[envName] || ENV_WORKFLOW_PATHS[envName];
+    return value ? { value, partial: false } : null;
+  }
+
+  // Constante declarada antes en el mismo fichero (la más cercana)
+  const declaration = new RegExp(`^\\s*(?:export\\s+)?(?:const|let|var)\\s+${name.replace(/\$/g, '\\$')}\\s*=\\s*(.+?);?\\s*$`);
+  const local = scope.lines
+    .slice(0, line)
+    .map((text, index) => ({ match: text.match(declaration), index }))
+    .filter(({ match }) => match)
+    .pop();
+  if (local) {
+    return resolveExpression(local.match[1], scope, local.index);
+  }
+
+  // Constante exportada por otro fichero
+  const exported = scope.exported[name];
+  return exported && exported.file !== scope.file
+    ? resolveExpression(exported.expression, exported.scope, exported.line)
+    : null;
+};
+
+/**
+ * Método HTTP de una petición: el primer "method: '...'" de las líneas siguientes
+ */
+const findMethod = (text) => {
+  const match = text.match(/\bmethod:\s*['"`](\w+)['"`]/);
+  return match ? match[1].toUpperCase() : null;
+};
+
+/**
+ * Crea una referencia a un webhook si la ruta es estática (o termina en un parámetro)
+ * zoho-update-ticket/${ticketId} es la ruta dinámica zoho-update-ticket/:param
+ */
+const toReference = (resolved, method, location) => {
+  if (!resolved) {
+    return null;
+  }
+  const cutAtQuery = /[?#]/.test(resolved.value);
+  const dynamic = resolved.partial && !cutAtQuery && resolved.value.endsWith('/');
+  const webhookPath = toWebhookPath(resolved.value);
+  if (!webhookPath) {
+    return null;
+  }
+  return { path: dynamic ? `${webhookPath}/:param` : webhookPath, method, location };
+};
+
+/**
+ * Busca las llamadas a webhooks de n8n en un fichero
+ * @returns {Array<Object>} - [{ path, method, location }]
+ */
+const findReferences = (scope) => {
+  const { file, lines } = scope;
+  const source = lines.join('\n');
+  const lineOf = (index) => source.slice(0, index).split('\n').length - 1;
+  const methodAfter = (line) => findMethod(lines.slice(line, line + METHOD_LOOKAHEAD_LINES).join('\n'));
+
+  // Llamadas a las funciones de n8n
+  const calls = [...source.matchAll(new RegExp(`\\b(${Object.keys(N8N_CALLS).join('|')})\\(`, 'g'))]
+    .map(match => {
+      const line = lineOf(match.index);
+      const call = N8N_CALLS[match[1]];
+      const args = splitArguments(source, match.index + match[0].length - 1) || [];
+      const resolved = args[call.argument] && resolveExpression(args[call.argument], scope, line);
+      const method = findMethod(args.slice(call.argument + 1).join(',')) || call.method;
+      return toReference(resolved, method, `${file}:${line + 1}`);
+    });
+
+  // URLs construidas con la URL base de n8n: `${N8N_BASE_URL}...` y new URL(ruta, N8N_BASE_URL)
+  const templates = lines.flatMap((text, line) => [...text.matchAll(/`(?=\$\{\s*(\w+)\s*\})/g)]
+    .filter(match => isBaseUrl(match[1]))
+    .map(match => toReference(resolveTemplate(text.slice(match.index + 1), scope, line), methodAfter(line) || 'GET', `${file}:${line + 1}`)));
+
+  const urls = [...source.matchAll(/\bnew URL\(/g)].map(match => {
+    const line = lineOf(match.index);
+    const [target, base] = splitArguments(source, match.index + match[0].length - 1) || [];
+    return base && /n8n_?base_?url/i.test(base)
+      ? toReference(resolveExpression(target, scope, line), methodAfter(line) || 'GET', `${file}:${line + 1}`)
+      : null;
+  });
+
+  // URLs completas de un webhook ('https://.../webhook/ruta'), con su variable de entorno si la hay
+  const fullUrls = lines.flatMap((text, line) => [...text.matchAll(/(?:process\.env\.(\w+)\s*\|\|\s*)?(['"`])(?=https?:\/\/[^'"`]*\/webhook(?:-test)?\/)/g)]
+    .map(match => {
+      const rest = text.slice(match.index + match[0].length);
+      const literal = match[2] === '`'
+        ? resolveTemplate(rest, scope, line)
+        : { value: rest.split(match[2])[0], partial: false };
+      const fromEnv = match[1] && process.env[match[1]] ? { value: process.env[match[1]], partial: false } : null;
+      return toReference(fromEnv || literal, methodAfter(line) || 'GET', `${file}:${line + 1}`);
+    }));
+
+  return [...calls, ...templates, ...urls, ...fullUrls].filter(Boolean);
+};
+
+/**
+ * Lee los ficheros .js de una carpeta (recursivo) sin las líneas de comentario
+ * @returns {Promise<Array<Object>>} - [{ file, lines }]
+ */
+const readSources = async (dir) => {
+  const entries = await readdir(dir, { recursive: true });
+  const files = entries.filter(entry => entry.endsWith('.js')).sort().map(entry => path.join(dir, entry));
+  return Promise.all(files.map(async file => ({
+    file,
+    lines: (await readFile(file, 'utf8'))
+      .split('\n')
+      .map(text => (/^\s*(\/\/|\/\*|\*)/.test(text) ? '' : text))
+  })));
+};
+
+/**
+ * Constantes exportadas (export const NOMBRE = ...) de todos los ficheros
+ */
+const collectExports = (sources) => Object.fromEntries(sources.flatMap(source => source.lines
+  .map((text, line) => ({ match: text.match(/^export\s+const\s+(\w+)\s*=\s*(.+?);?\s*$/), line }))
+  .filter(({ match }) => match)
+  .map(({ match, line }) => [match[1], { file: source.file, expression: match[2], line, scope: source }])));
+
+/**
+ * Lee los workflows del bundle
+ * @returns {Promise<Array<Object>>} - [{ file, workflow }]
+ */
+const readBundle = async (options) => {
+  const files = options.files.length > 0
+    ? options.files
+    : (await readdir(options.dir))
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => path.join(options.dir, file));
+  return Promise.all(files.map(async file => ({ file, workflow: JSON.parse(await readFile(file, 'utf8')) })));
+};
+
+/**
+ * Webhooks publicados por los workflows del bundle
+ * @returns {Array<Object>} - [{ path, method, file }]
+ */
+const listBundleWebhooks = (bundle) => bundle.flatMap(({ file, workflow }) => (workflow.nodes || [])
+  .filter(node => node.type === 'n8n-nodes-base.webhook' && !node.disabled)
+  .map(node => ({
+    path: toWebhookPath(node.parameters.path || ''),
+    method: (node.parameters.httpMethod || 'GET').toUpperCase(),
+    file: path.basename(file)
+  })));
+
+/**
+ * Una ruta dinámica de la API (ruta/:param) coincide con cualquier parámetro del webhook
+ */
+const samePath = (reference, webhook) => {
+  const referenceSegments = reference.split('/');
+  const webhookSegments = webhook.split('/');
+  return referenceSegments.length === webhookSegments.length
+    && referenceSegments.every((segment, index) =>
+      segment === webhookSegments[index] || (segment.startsWith(':') && webhookSegments[index].startsWith(':')));
+};
+
+/**
+ * Compara las referencias de la API con los webhooks del bundle
+ * @returns {Object} - { matched, missing, wrongMethod, unused }
+ */
+const diffWebhooks = (references, webhooks) => {
+  // Una entrada por método y ruta, con todos los sitios que la llaman
+  const grouped = Object.values(references.reduce((groups, reference) => {
+    const key = `${reference.method} ${reference.path}`;
+    const group = groups[key] || { method: reference.method, path: reference.path, locations: [] };
+    return { ...groups, [key]: { ...group, locations: [...group.locations, reference.location] } };
+  }, {}));
+
+  const compared = grouped.map(reference => {
+    const candidates = webhooks.filter(webhook => samePath(reference.path, webhook.path));
+    const match = candidates.find(webhook => webhook.method === reference.method);
+    return { reference, match, candidates };
+  });
+
+  return {
+    matched: compared.filter(({ match }) => match),
+    missing: compared.filter(({ candidates }) => candidates.length === 0),
+    wrongMethod: compared.filter(({ match, candidates }) => !match && candidates.length > 0),
+    unused: webhooks.filter(webhook => !compared.some(({ match, candidates }) => match === webhook || (!match && candidates.includes(webhook))))
+  };
+};
+
+/**
+ * Comando diff
+ */
+const runDiff = async (options) => {
+  const sources = await readSources(SOURCE_DIR);
+  const exported = collectExports(sources);
+  const references = sources.flatMap(source => findReferences({ ...source, exported }));
+  const bundle = await readBundle(options);
+  const webhooks = listBundleWebhooks(bundle);
+  const { matched, missing, wrongMethod, unused } = diffWebhooks(references, webhooks);
+
+  const row = (label, method, webhookPath, detail) =>
+    console.log(`${label.padEnd(8)} ${method.padEnd(6)} ${webhookPath.padEnd(40)} ${detail}`);
+
+  console.log(`Webhooks que llama la API (${SOURCE_DIR}/): ${matched.length + missing.length + wrongMethod.length}`);
+  console.log(`Webhooks del bundle (${options.files.length > 0 ? options.files.join(', ') : `${options.dir}/`}): ${webhooks.length} en ${bundle.length} workflows\n`);
+
+  matched.forEach(({ reference, match }) => row('OK', reference.method, reference.path, match.file));
+  missing.forEach(({ reference }) => row('FALTA', reference.method, reference.path, reference.locations.join(', ')));
+  wrongMethod.forEach(({ reference, candidates }) => row('MÉTODO', reference.method, reference.path,
+    `el bundle lo publica con ${candidates.map(webhook => `${webhook.method} (${webhook.file})`).join(', ')}; llamado en ${reference.locations.join(', ')}`));
+  unused.forEach(webhook => row('SIN USO', webhook.method, webhook.path, webhook.file));
+
+  if (missing.length > 0 || wrongMethod.length > 0) {
+    console.log(`\n${missing.length} webhooks sin workflow en el bundle, ${wrongMethod.length} con otro método`);
+    process.exit(1);
+  }
+  console.log('\nTodos los webhooks que llama la API están en el bundle');
+};
+
+/**
+ * Lee la configuración de la API de n8n del entorno
+ */
+const readApiSettings = () => {
+  if (!process.env.N8N_API_KEY) {
+    console.error('Error: falta N8N_API_KEY (API key de n8n, Settings > n8n API)');
+    process.exit(1);
+  }
+  return {
+    apiUrl: (process.env.N8N_API_URL || DEFAULT_API_URL).replace(/\/+$/, ''),
+    apiKey: process.env.N8N_API_KEY
+  };
+};
+
+/**
+ * Crea la función que hace peticiones a la API REST de n8n
+ * @returns {Function} - (method, path, body) => Promise con el JSON de la respuesta
+ */
+const createApiClient = ({ apiUrl, apiKey }) => async (method, apiPath, body) => {
+  const response = await fetch(`${apiUrl}${apiPath}`, {
+    method,
+    headers: {
+      'X-N8N-API-KEY': apiKey,
+      'Accept': 'application/json',
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(API_TIMEOUT_MS)
+  });
+  const text = await response.text();
+  const data = text ? tryCatch(JSON.parse)(text).fold(() => text, value => value) : null;
+  if (!response.ok) {
+    throw new Error(`${method} ${apiPath} respondió ${response.status}: ${data?.message || text || response.statusText}`);
+  }
+  return data;
+};
+
+/**
+ * Lista todos los workflows de n8n (paginado con cursor)
+ */
+const listRemoteWorkflows = async (api, cursor = null, collected = []) => {
+  const page = await api('GET', `/workflows?limit=${API_PAGE_SIZE}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`);
+  const workflows = [...collected, ...(page.data || [])];
+  return page.nextCursor ? listRemoteWorkflows(api, page.nextCursor, workflows) : workflows;
+};
+
+/**
+ * Cuerpo que acepta la API de n8n al crear o actualizar un workflow
+ * (active, tags y los campos de auditoría son de solo lectura)
+ */
+const toApiWorkflow = (workflow) => ({
+  name: workflow.name,
+  nodes: workflow.nodes,
+  connections: workflow.connections,
+  settings: workflow.settings || {},
+  ...(workflow.staticData ? { staticData: workflow.staticData } : {})
+});
+
+/**
+ * Workflow de n8n con el formato de los ficheros del bundle
+ */
+const toBundleWorkflow = (workflow) => ({
+  name: workflow.name,
+  nodes: workflow.nodes,
+  connections: workflow.connections,
+  active: Boolean(workflow.active),
+  settings: workflow.settings || {},
+  staticData: workflow.staticData ?? null,
+  tags: (workflow.tags || []).map(tag => tag.name ?? tag),
+  ...(workflow.pinData && Object.keys(workflow.pinData).length > 0 ? { pinData: workflow.pinData } : {}),
+  createdAt: workflow.createdAt,
+  updatedAt: workflow.updatedAt,
+  versionId: workflow.versionId
+});
+
+/**
+ * Nombre de fichero para un workflow que no está en el bundle
+ */
+const toWorkflowFile = (name) => {
+  const slug = name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${slug.endsWith('workflow') ? slug : `${slug}-workflow`}.json`;
+};
+
+/**
+ * Comando push
+ */
+const runPush = async (options) => {
+  const api = createApiClient(readApiSettings());
+  const bundle = await readBundle(options);
+  const remoteByName = new Map((await listRemoteWorkflows(api)).map(workflow => [workflow.name, workflow]));
+
+  const results = [];
+  for (const { file, workflow } of bundle) {
+    const remote = remoteByName.get(workflow.name);
+    const action = remote ? `actualizar (id ${remote.id})` : 'crear';
+    const activation = workflow.active !== Boolean(remote?.active) ? (workflow.active ? ' y activar' : ' y desactivar') : '';
+
+    if (options.dryRun) {
+      console.log(`${file}: ${action}${activation} "${workflow.name}"`);
+      results.push(true);
+      continue;
+    }
+
+    try {
+      const saved = remote
+        ? await api('PUT', `/workflows/${remote.id}`, toApiWorkflow(workflow))
+        : await api('POST', '/workflows', toApiWorkflow(workflow));
+      if (Boolean(workflow.active) !== Boolean(saved.active)) {
+        await api('POST', `/workflows/${saved.id}/${workflow.active ? 'activate' : 'deactivate'}`);
+      }
+      console.log(`${file}: ${remote ? 'actualizado' : 'creado'}${activation ? (workflow.active ? ' y activo' : ' e inactivo') : ''} "${workflow.name}" (id ${saved.id})`);
+      results.push(true);
+    } catch (error) {
+      console.error(`${file}: error al ${action}${activation} "${workflow.name}": ${error.message}`);
+      results.push(false);
+    }
+  }
+
+  const failed = results.filter(ok => !ok).length;
+  console.log(`\n${bundle.length} workflows${options.dryRun ? ' (simulación, sin cambios en n8n)' : ''}: ${bundle.length - failed} correctos, ${failed} con errores`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+};
+
+/**
+ * Comando pull
+ */
+const runPull = async (options) => {
+  const api = createApiClient(readApiSettings());
+  const bundle = await readBundle(options);
+  const remote = await listRemoteWorkflows(api);
+  const bundledNames = new Set(bundle.map(({ workflow }) => workflow.name));
+
+  const targets = [
+    ...bundle.map(({ file, workflow }) => ({ file, name: workflow.name, summary: remote.find(item => item.name === workflow.name) })),
+    ...(options.all
+      ? remote
+        .filter(item => !bundledNames.has(item.name))
+        .map(item => ({ file: path.join(options.dir, toWorkflowFile(item.name)), name: item.name, summary: item }))
+      : [])
+  ];
+
+  const results = [];
+  for (const { file, name, summary } of targets) {
+    if (!summary) {
+      console.log(`${file}: "${name}" no existe en n8n, se deja como está`);
+      continue;
+    }
+    try {
+      const workflow = await api('GET', `/workflows/${summary.id}`);
+      await writeFile(file, `${JSON.stringify(toBundleWorkflow(workflow), null, 2)}\n`);
+      console.log(`${file}: descargado "${name}" (id ${summary.id})`);
+      results.push(true);
+    } catch (error) {
+      console.error(`${file}: error al descargar "${name}": ${error.message}`);
+      results.push(false);
+    }
+  }
+
+  const failed = results.filter(ok => !ok).length;
+  console.log(`\n${results.length} workflows descargados de n8n, ${failed} con errores`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+};
+
+const COMMANDS = Object.freeze({ diff: runDiff, push: runPush, pull: runPull });
+
+const options = parseArgs(process.argv.slice(2));
+
+COMMANDS[options.command](options).catch(error => {
+  console.error(`Error en ${options.command}:`, error.message);
+  process.exit(1);
+});
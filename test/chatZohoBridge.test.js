@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryBackend } from '../src/shell/backends/memoryBackend.js';
+import { SCHEMA_TABLE_RULES } from '../src/shell/schemaRules.js';
+import { storeEvent } from '../src/shell/eventStore.js';
+import { saveTicketRow } from '../src/shell/projections/ticketReadModel.js';
+import { Result, extractErrorInfo } from '../src/utils/functional.js';
+import { mirrorChatMessageToZoho, relayZohoCommentToChat } from '../src/services/chatZohoBridge.js';
+
+const email = 'ana@acme.test';
+
+const chatMessage = (ticketId) => ({
+  id: 'message-1',
+  type: 'message',
+  saved: true,
+  ticketId,
+  content: 'Any news?',
+  sender: { email, role: 'user' }
+});
+
+/**
+ * Bus that keeps what is published
+ */
+const recordingBus = () => {
+  const published = [];
+  return {
+    published,
+    publish: async (topic, payload) => {
+      published.push({ topic, payload });
+      return Result.ok();
+    }
+  };
+};
+
+test('a Zoho comment on a linked ticket goes to the room of the local ticket', async () => {
+  const backend = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+  await saveTicketRow(backend.upsertFn)({ ticket_id: 'local-1', source: 'local', external_ticket_id: '451', status: 'Open' });
+  const bus = recordingBus();
+
+  const result = await relayZohoCommentToChat({ eventStore: backend, bus })({
+    type: 'AGENT_REPLIED',
+    ticketId: '451',
+    commentId: '9001',
+    content: 'We are on it'
+  });
+
+  assert.equal(result.unwrap().ticketId, 'local-1');
+  assert.deepEqual(bus.published.map(({ payload }) => payload.ticketId), ['local-1']);
+});
+
+test('a chat message is mirrored at the version of the stream it was checked against', async () => {
+  const backend = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+  await storeEvent(backend.persistFn)({ type: 'TICKET_CREATED', email, ticketId: 't-1', details: { subject: 'Help' } });
+
+  const stored = (await mirrorChatMessageToZoho(backend)(chatMessage('t-1'))).unwrap();
+
+  assert.equal(stored.type, 'COMMENT_ADDED');
+  assert.equal(stored.version, 2);
+});
+
+test('a chat message on a closed ticket is not mirrored to Zoho', async () => {
+  const backend = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+  await storeEvent(backend.persistFn)({ type: 'TICKET_CREATED', email, ticketId: 't-1', details: { subject: 'Help' } });
+  await storeEvent(backend.persistFn)({ type: 'TICKET_CLOSED', email, ticketId: 't-1' });
+
+  const result = await mirrorChatMessageToZoho(backend)(chatMessage('t-1'));
+  const comments = (await backend.queryFn({ table: 'events', filters: { type: 'COMMENT_ADDED' } })).unwrap();
+
+  assert.equal(result.isOk, false);
+  assert.equal(extractErrorInfo(result.unwrapError()).details.status, 409);
+  assert.deepEqual(comments, []);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMemoryBackend } from '../src/shell/backends/memoryBackend.js';
+import { createFileBackend } from '../src/shell/backends/fileBackend.js';
+import { SCHEMA_TABLE_RULES } from '../src/shell/schemaRules.js';
+import { storeEvent } from '../src/shell/eventStore.js';
+
+const ticketCreated = { type: 'TICKET_CREATED', email: 'user@example.com', ticketId: 't-1', details: { subject: 'Help' } };
+
+test('the memory backend applies the schema rules it is given', async () => {
+  const backend = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+
+  await storeEvent(backend.persistFn)(ticketCreated);
+  await storeEvent(backend.persistFn)({ type: 'LOGIN_SUCCEEDED', email: 'user@example.com' });
+  const events = (await backend.queryFn({ table: 'events', order: 'version' })).unwrap();
+  const outbox = (await backend.queryFn({ table: 'outbox' })).unwrap();
+
+  assert.deepEqual(events.map(event => [event.version, event.global_position]), [[1, 1], [2, 2]]);
+  assert.deepEqual(outbox.map(entry => [entry.event_id, entry.status]), [[events[0].id, 'pending']]);
+});
+
+test('the memory backend rejects a duplicate stream version like the unique constraint', async () => {
+  const backend = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+
+  await storeEvent(backend.persistFn)(ticketCreated, { expectedVersion: 0 });
+  const conflict = await storeEvent(backend.persistFn)(ticketCreated, { expectedVersion: 0 });
+
+  assert.equal(conflict.isOk, false);
+});
+
+test('without rules the memory backend is a plain table store', async () => {
+  const backend = createMemoryBackend();
+
+  await storeEvent(backend.persistFn)(ticketCreated);
+  const events = (await backend.queryFn({ table: 'events' })).unwrap();
+
+  assert.equal(events[0].version, undefined);
+  assert.deepEqual((await backend.queryFn({ table: 'outbox' })).unwrap(), []);
+});
+
+test('the file backend replays its logs and drops a last line cut short', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-store-'));
+  try {
+    const backend = createFileBackend({ dataDir, tableRules: SCHEMA_TABLE_RULES });
+    await storeEvent(backend.persistFn)(ticketCreated);
+    fs.appendFileSync(path.join(dataDir, 'events.jsonl'), '{"op":"insert","row":{"id":');
+
+    const reloaded = createFileBackend({ dataDir, tableRules: SCHEMA_TABLE_RULES });
+    await storeEvent(reloaded.persistFn)(ticketCreated);
+    const events = (await reloaded.queryFn({ table: 'events', order: 'version' })).unwrap();
+
+    assert.deepEqual(events.map(event => event.version), [1, 2]);
+    assert.equal((await reloaded.queryFn({ table: 'outbox' })).unwrap().length, 2);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryBackend } from '../src/shell/backends/memoryBackend.js';
+import { SCHEMA_TABLE_RULES } from '../src/shell/schemaRules.js';
+import {
+  classifyIdempotencyRecord,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  fetchIdempotencyRecord,
+  hashCommand
+} from '../src/shell/idempotency.js';
+
+const now = new Date('2026-01-01T00:00:00.000Z');
+const record = {
+  request_hash: 'hash-1',
+  status: 'in_progress',
+  locked_until: '2026-01-01T00:01:00.000Z',
+  expires_at: '2026-01-02T00:00:00.000Z'
+};
+
+test('classifyIdempotencyRecord treats a missing or expired record as new', () => {
+  assert.equal(classifyIdempotencyRecord(null, 'hash-1', now), 'new');
+  assert.equal(classifyIdempotencyRecord({ ...record, expires_at: now.toISOString() }, 'hash-1', now), 'new');
+});
+
+test('classifyIdempotencyRecord detects a key reused for a different request', () => {
+  assert.equal(classifyIdempotencyRecord(record, 'hash-2', now), 'mismatch');
+});
+
+test('classifyIdempotencyRecord replays completed requests and tells live claims from stale ones', () => {
+  assert.equal(classifyIdempotencyRecord({ ...record, status: 'completed' }, 'hash-1', now), 'replay');
+  assert.equal(classifyIdempotencyRecord(record, 'hash-1', now), 'in_progress');
+  assert.equal(classifyIdempotencyRecord({ ...record, locked_until: '2025-12-31T23:59:00.000Z' }, 'hash-1', now), 'abandoned');
+});
+
+test('hashCommand ignores the timestamp and the command id', () => {
+  const command = { type: 'CREATE_TICKET', email: 'user@example.com', details: { subject: 'Help' } };
+
+  assert.equal(
+    hashCommand({ ...command, timestamp: 1, commandId: 'a' }),
+    hashCommand({ ...command, timestamp: 2, commandId: 'b' })
+  );
+});
+
+const claim = {
+  email: 'user@example.com',
+  key: 'key-1',
+  commandType: 'CREATE_TICKET',
+  requestHash: 'hash-1',
+  now,
+  ttlSeconds: 86400,
+  lockSeconds: 60
+};
+
+test('a key is claimed once on the memory backend', async () => {
+  const backend = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+
+  const first = await claimIdempotencyKey(backend)(claim);
+  const second = await claimIdempotencyKey(backend)(claim);
+  const stored = (await fetchIdempotencyRecord(backend.queryFn)('user@example.com', 'key-1')).unwrap();
+
+  assert.equal(first.unwrap().status, 'in_progress');
+  assert.equal(second.unwrap(), null);
+  assert.equal(classifyIdempotencyRecord(stored, 'hash-1', now), 'in_progress');
+});
+
+test('only one of two requests taking over an abandoned claim gets the key', async () => {
+  const backend = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+  const abandoned = (await claimIdempotencyKey(backend)(claim)).unwrap();
+  const later = { ...claim, now: new Date(now.getTime() + 120000) };
+
+  const attempts = await Promise.all([
+    claimIdempotencyKey(backend)(later, abandoned),
+    claimIdempotencyKey(backend)(later, abandoned)
+  ]);
+
+  assert.deepEqual(attempts.map(attempt => attempt.unwrap() === null).sort(), [false, true]);
+  const stored = (await fetchIdempotencyRecord(backend.queryFn)('user@example.com', 'key-1')).unwrap();
+  assert.equal(stored.created_at, later.now.toISOString());
+});
+
+test('a claim that changed since it was read is not taken over', async () => {
+  const backend = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+  const abandoned = (await claimIdempotencyKey(backend)(claim)).unwrap();
+  await completeIdempotencyKey(backend.upsertFn)(abandoned, 200, { success: true });
+
+  const takeOver = await claimIdempotencyKey(backend)({ ...claim, now: new Date(now.getTime() + 120000) }, abandoned);
+  const stored = (await fetchIdempotencyRecord(backend.queryFn)('user@example.com', 'key-1')).unwrap();
+
+  assert.equal(takeOver.unwrap(), null);
+  assert.equal(stored.status, 'completed');
+});
@@ -0,0 +1,112 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockN8nServer, readMockSettings } from '../mocks/n8n/server.js';
+
+let mock;
+
+before(async () => {
+  mock = await startMockN8nServer({ port: 0, log: false });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  mock.configure({ latencyMs: 0, latencyJitterMs: 0, failureRate: 0, failWorkflows: [] });
+});
+
+/**
+ * Calls a workflow (or a control endpoint, /__mock/...) of the mock and parses its JSON answer
+ */
+const call = async (path, { method = 'GET', body, headers = {} } = {}) => {
+  const url = path.startsWith('/') ? `http://127.0.0.1:${mock.port}${path}` : `${mock.url}${path}`;
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('readMockSettings reads latency, failures and the configurable workflow paths', () => {
+  const settings = readMockSettings({
+    MOCK_N8N_LATENCY_MS: '200',
+    MOCK_N8N_FAILURE_RATE: '0.5',
+    MOCK_N8N_FAILURE_STATUS: 'reset',
+    MOCK_N8N_FAIL_WORKFLOWS: 'zoho-tickets, zoho-add-comment',
+    N8N_ZOHO_CONTACT_CHECK_PATH: '/custom-contact-check'
+  });
+
+  assert.equal(settings.latencyMs, 200);
+  assert.equal(settings.failureRate, 0.5);
+  assert.equal(settings.failureStatus, 'reset');
+  assert.deepEqual(settings.failWorkflows, ['zoho-tickets', 'zoho-add-comment']);
+  assert.equal(settings.paths.contactCheck, 'custom-contact-check');
+});
+
+test('zoho-tickets lists the seeded tickets newest first and filters them', async () => {
+  const all = await call('zoho-tickets');
+  const open = await call('zoho-tickets?status=Open&email=ana@acme.test');
+
+  assert.equal(all.status, 200);
+  assert.equal(all.body.tickets.length, 6);
+  assert.equal(all.body.tickets[0].id, '4500000000006');
+  assert.deepEqual(open.body.tickets.map(ticket => ticket.id), ['4500000000001']);
+  assert.equal(open.body.tickets[0].email, 'ana@acme.test');
+});
+
+test('created tickets, updates and comments are kept until a reset', async () => {
+  const created = await call('zoho-create-ticket', {
+    method: 'POST',
+    body: { subject: 'Printer on fire', email: 'ben@acme.test', priority: 'high' }
+  });
+  const ticketId = created.body.ticket.id;
+
+  const updated = await call(`zoho-update-ticket/${ticketId}`, { method: 'PATCH', body: { status: 'Closed' } });
+  const comment = await call('zoho-add-comment', { method: 'POST', body: { ticketId, comment: 'Fixed', author: 'ben@acme.test' } });
+  const comments = await call(`zoho-get-comments?ticketId=${ticketId}`);
+
+  assert.equal(created.body.ticket.priority, 'High');
+  assert.equal(updated.body.ticket.status, 'Closed');
+  assert.ok(updated.body.ticket.closedTime);
+  assert.equal(comment.body.success, true);
+  assert.deepEqual(comments.body.comments.map(item => item.content), ['Fixed']);
+
+  mock.reset();
+  assert.equal((await call(`zoho-ticket-detail/${ticketId}`)).status, 404);
+});
+
+test('unknown tickets and webhooks answer 404', async () => {
+  const ticket = await call('zoho-ticket-detail/999');
+  const webhook = await call('not-a-workflow');
+
+  assert.equal(ticket.body.details.errorCode, 'TICKET_NOT_FOUND');
+  assert.equal(webhook.status, 404);
+});
+
+test('failures are injected per request and per workflow', async () => {
+  const header = await call('zoho-tickets', { headers: { 'X-Mock-Fail': '502' } });
+  assert.equal(header.status, 502);
+  assert.equal(header.body.details.errorCode, 'MOCK_INJECTED_FAILURE');
+
+  mock.configure({ failureRate: 1, failureStatus: 503, failWorkflows: ['zoho-add-comment'] });
+  assert.equal((await call('zoho-tickets')).status, 200);
+  assert.equal((await call('zoho-add-comment', { method: 'POST', body: { ticketId: '4500000000001', comment: 'Hi' } })).status, 503);
+
+  await assert.rejects(call('zoho-tickets', { headers: { 'X-Mock-Fail': 'reset' } }));
+});
+
+test('the control endpoints report the calls and change the settings', async () => {
+  await call('zoho-tickets');
+  await call('zoho-ticket-detail/4500000000001');
+
+  const configured = await call('/__mock/config', { method: 'POST', body: { latencyMs: 5, port: 1 } });
+  const state = await call('/__mock/state');
+
+  assert.equal(configured.body.settings.latencyMs, 5);
+  assert.notEqual(configured.body.settings.port, 1);
+  assert.deepEqual(state.body.calls, { 'zoho-tickets': 1, 'zoho-ticket-detail': 1 });
+  assert.equal(state.body.records.tickets, 6);
+});
@@ -0,0 +1,54 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockN8nServer } from '../mocks/n8n/server.js';
+import { extractErrorInfo } from '../src/utils/functional.js';
+import { isRetryableFailure } from '../src/services/outboxDispatcher.js';
+
+let mock;
+let n8nClient;
+
+before(async () => {
+  mock = await startMockN8nServer({ port: 0, log: false });
+  // El cliente lee N8N_BASE_URL al importarse
+  process.env.N8N_BASE_URL = mock.url;
+  n8nClient = await import('../src/shell/n8nClient.js');
+});
+
+after(async () => {
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+});
+
+test('createTicket creates the ticket in Zoho for the contact of the email', async () => {
+  const result = await n8nClient.createTicket({
+    subject: 'Printer on fire',
+    description: 'Smoke everywhere',
+    priority: 'High',
+    email: 'ana@acme.test'
+  });
+
+  const ticket = result.unwrap();
+  assert.ok(ticket.id);
+  assert.equal(ticket.subject, 'Printer on fire');
+  assert.equal(ticket.priority, 'High');
+});
+
+test('updateTicket and escalateTicket change the Zoho ticket', async () => {
+  const updated = await n8nClient.updateTicket({ id: '4500000000001', status: 'Closed', email: 'ana@acme.test' });
+  const escalated = await n8nClient.escalateTicket({ id: '4500000000002', reason: 'Urgent' });
+
+  assert.equal(updated.unwrap().status, 'Closed');
+  assert.equal(updated.unwrap().statusType, 'Closed');
+  assert.equal(escalated.unwrap().priority, 'High');
+});
+
+test('a ticket unknown to Zoho fails with a status the outbox does not retry', async () => {
+  const result = await n8nClient.updateTicket({ id: '999', status: 'Closed' });
+
+  assert.equal(result.isOk, false);
+  assert.equal(extractErrorInfo(result.unwrapError()).details.status, 404);
+  assert.equal(isRetryableFailure(result), false);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOutboundClient, CIRCUIT_STATES } from '../src/shell/outboundClient.js';
+
+const settings = {
+  timeoutMs: 1000,
+  maxRetries: 2,
+  retryBaseDelayMs: 100,
+  retryMaxDelayMs: 1000,
+  circuitFailureThreshold: 2,
+  circuitResetMs: 30000
+};
+
+/**
+ * Mock fetch answering the given statuses in order (the last one repeats)
+ */
+const createFetch = (statuses) => {
+  const calls = [];
+  const fetchFn = async (url, options) => {
+    calls.push({ url, options });
+    const status = statuses[Math.min(calls.length - 1, statuses.length - 1)];
+    return { status, headers: new Map(), text: async () => JSON.stringify({ message: `HTTP ${status}` }) };
+  };
+  return { fetchFn, calls };
+};
+
+const createClient = (fetchFn, clock = { time: 0 }) => createOutboundClient({
+  name: 'Test',
+  errorCodePrefix: 'TEST',
+  getSettings: () => settings,
+  fetchFn,
+  sleep: async () => {},
+  now: () => clock.time
+});
+
+const errorOf = (result) => JSON.parse(result.unwrapError().message);
+
+test('idempotent calls are retried on 5xx up to maxRetries', async () => {
+  const { fetchFn, calls } = createFetch([503, 502, 200]);
+  const result = await createClient(fetchFn).request('http://n8n/webhook/tickets');
+
+  assert.equal(result.isOk, true);
+  assert.equal(calls.length, 3);
+});
+
+test('non idempotent calls and client errors are not retried', async () => {
+  const post = createFetch([503]);
+  const postResult = await createClient(post.fetchFn).request('http://n8n/webhook/tickets', { method: 'POST', body: {} });
+  const notFound = createFetch([404]);
+  const notFoundResult = await createClient(notFound.fetchFn).request('http://n8n/webhook/tickets');
+
+  assert.equal(post.calls.length, 1);
+  assert.equal(errorOf(postResult).status, 503);
+  assert.equal(notFound.calls.length, 1);
+  assert.equal(errorOf(notFoundResult).details.errorCode, 'TEST_REQUEST_FAILED');
+});
+
+test('the circuit opens after consecutive failures and fails fast without calling', async () => {
+  const { fetchFn, calls } = createFetch([500]);
+  const client = createClient(fetchFn);
+  const options = { method: 'POST', workflow: 'tickets' };
+
+  await client.request('http://n8n/webhook/tickets', options);
+  await client.request('http://n8n/webhook/tickets', options);
+  const rejected = await client.request('http://n8n/webhook/tickets', options);
+
+  assert.equal(calls.length, 2);
+  assert.equal(errorOf(rejected).status, 503);
+  assert.equal(errorOf(rejected).details.errorCode, 'TEST_CIRCUIT_OPEN');
+  assert.equal(client.getHealth().status, 'degraded');
+  assert.equal(client.getHealth().circuits.tickets.state, CIRCUIT_STATES.OPEN);
+});
+
+test('after the reset time a single probe decides whether the circuit closes', async () => {
+  const clock = { time: 0 };
+  const { fetchFn, calls } = createFetch([500, 500, 500, 200]);
+  const client = createClient(fetchFn, clock);
+  const options = { method: 'POST', workflow: 'tickets' };
+
+  await client.request('http://n8n/webhook/tickets', options);
+  await client.request('http://n8n/webhook/tickets', options);
+
+  // La sonda falla: el circuito vuelve a abrirse
+  clock.time = settings.circuitResetMs;
+  await client.request('http://n8n/webhook/tickets', options);
+  assert.equal(client.getHealth().circuits.tickets.state, CIRCUIT_STATES.OPEN);
+  assert.equal(errorOf(await client.request('http://n8n/webhook/tickets', options)).status, 503);
+
+  // La siguiente sonda responde: el circuito se cierra
+  clock.time = 2 * settings.circuitResetMs;
+  const probe = await client.request('http://n8n/webhook/tickets', options);
+  assert.equal(probe.isOk, true);
+  assert.equal(calls.length, 4);
+  assert.equal(client.getHealth().status, 'ok');
+});
+
+test('circuits are kept per workflow', async () => {
+  const { fetchFn } = createFetch([500]);
+  const client = createClient(fetchFn);
+
+  await client.request('http://n8n/webhook/tickets', { method: 'POST' });
+  await client.request('http://n8n/webhook/tickets', { method: 'POST' });
+
+  assert.equal(client.getHealth().circuits.tickets.state, CIRCUIT_STATES.OPEN);
+  assert.equal((await client.request('http://n8n/webhook/contacts', { method: 'POST' })).isOk, false);
+  assert.equal(client.getHealth().circuits.contacts.state, CIRCUIT_STATES.CLOSED);
+});
+
+test('a call that does not answer in time fails with 504', async () => {
+  const fetchFn = (url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+  const result = await createClient(fetchFn).request('http://n8n/webhook/tickets', { method: 'POST', timeoutMs: 10 });
+
+  assert.equal(errorOf(result).status, 504);
+  assert.equal(errorOf(result).details.errorCode, 'TEST_TIMEOUT');
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Result } from '../src/utils/functional.js';
+import { createMemoryBackend } from '../src/shell/backends/memoryBackend.js';
+import { SCHEMA_TABLE_RULES } from '../src/shell/schemaRules.js';
+import { storeEvent } from '../src/shell/eventStore.js';
+import { fetchOutboxEntry } from '../src/shell/outbox.js';
+import { settleOutboxEntry, createOutboxDispatcher } from '../src/services/outboxDispatcher.js';
+
+const policy = { maxAttempts: 3, retryBaseDelayMs: 1000, retryMaxDelayMs: 60000, lockMs: 60000, batchSize: 20 };
+const now = new Date('2026-01-01T00:00:00.000Z');
+const event = { type: 'TICKET_CREATED', email: 'user@example.com', eventId: 'event-1' };
+const entry = {
+  event_id: 'event-1',
+  event_type: 'TICKET_CREATED',
+  status: 'processing',
+  attempts: 1,
+  next_attempt_at: '2026-01-01T00:01:00.000Z',
+  last_error: null,
+  result: null
+};
+
+test('settleOutboxEntry marks the entry dispatched when the handler answers the same event type', () => {
+  const settled = settleOutboxEntry(entry, event, Result.ok({ ...event, ticketId: '42' }), now, policy);
+
+  assert.equal(settled.status, 'dispatched');
+  assert.equal(settled.dispatched_at, now.toISOString());
+  assert.equal(settled.last_error, null);
+  assert.equal(settled.result.ticketId, '42');
+});
+
+test('settleOutboxEntry schedules a retry with exponential backoff on a failure event', () => {
+  const failure = { type: 'TICKET_CREATION_FAILED', error: 'Zoho is down' };
+  const first = settleOutboxEntry(entry, event, Result.ok(failure), now, policy);
+  const second = settleOutboxEntry({ ...entry, attempts: 2 }, event, Result.ok(failure), now, policy);
+
+  assert.equal(first.status, 'pending');
+  assert.equal(first.next_attempt_at, '2026-01-01T00:00:01.000Z');
+  assert.equal(first.last_error, 'Zoho is down');
+  assert.deepEqual(first.result, failure);
+  assert.equal(second.next_attempt_at, '2026-01-01T00:00:02.000Z');
+});
+
+test('settleOutboxEntry fails the entry once the attempts run out', () => {
+  const settled = settleOutboxEntry({ ...entry, attempts: 3 }, event, Result.error(new Error('boom')), now, policy);
+
+  assert.equal(settled.status, 'failed');
+  assert.equal(settled.next_attempt_at, entry.next_attempt_at);
+  assert.equal(settled.last_error, 'boom');
+  assert.equal(settled.result, null);
+});
+
+test('the dispatcher retries a failed entry of the memory backend until it is dispatched', async () => {
+  const eventStore = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+  const stored = (await storeEvent(eventStore.persistFn)({ type: 'TICKET_CREATED', email: 'user@example.com', details: {} })).unwrap();
+
+  const answers = [Result.error(new Error('timeout')), Result.ok({ type: 'TICKET_CREATED', ticketId: '42' })];
+  const dispatcher = createOutboxDispatcher({
+    eventStore,
+    dispatch: async () => answers.shift(),
+    storeEvent: async () => Result.ok(null)
+  }, { ...policy, retryBaseDelayMs: 0 });
+
+  const first = await dispatcher.dispatchNow(stored);
+  assert.equal(first.unwrap().entry.status, 'pending');
+
+  assert.equal((await dispatcher.runOnce()).unwrap(), 1);
+  const entryRow = (await fetchOutboxEntry(eventStore.queryFn)(stored.eventId)).unwrap();
+  assert.equal(entryRow.status, 'dispatched');
+  assert.equal(entryRow.attempts, 2);
+});
+
+/**
+ * Pure function to build the error of a failed Zoho/n8n call (same shape as the outbound client)
+ */
+const httpError = (status, errorCode) => JSON.stringify({ status, message: `HTTP ${status}`, details: { errorCode } });
+
+test('settleOutboxEntry fails the entry at once when a retry cannot fix it', () => {
+  const notFound = settleOutboxEntry(entry, event, Result.error(new Error(httpError(404, 'TICKET_NOT_FOUND'))), now, policy);
+  const notImplemented = settleOutboxEntry(entry, event, Result.ok({ type: 'TICKET_CREATION_FAILED', error: httpError(501, 'NOT_IMPLEMENTED') }), now, policy);
+
+  assert.equal(notFound.status, 'failed');
+  assert.equal(notImplemented.status, 'failed');
+});
+
+test('settleOutboxEntry retries timeouts, rate limits, 5xx and tickets not linked yet', () => {
+  const failures = [
+    Result.error(new Error(httpError(504, 'N8N_TIMEOUT'))),
+    Result.error(new Error(httpError(429, 'ZOHO_RATE_LIMITED'))),
+    Result.ok({ type: 'COMMENT_FAILED', error: httpError(503, 'TICKET_NOT_LINKED') }),
+    Result.error(new Error('socket hang up'))
+  ];
+
+  failures.forEach(failure => assert.equal(settleOutboxEntry(entry, event, failure, now, policy).status, 'pending'));
+});
+
+test('the dispatcher sends a rejected entry to the dead letters and stores its failure event', async () => {
+  const eventStore = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+  const stored = (await storeEvent(eventStore.persistFn)({ type: 'TICKET_UPDATED', email: 'user@example.com', ticketId: 't-1', updates: {} })).unwrap();
+
+  const failure = { type: 'TICKET_UPDATE_FAILED', email: 'user@example.com', ticketId: 't-1', error: httpError(404, 'TICKET_NOT_FOUND') };
+  const storedFailures = [];
+  const dispatcher = createOutboxDispatcher({
+    eventStore,
+    dispatch: async () => Result.ok(failure),
+    storeEvent: async (failedEvent) => {
+      storedFailures.push(failedEvent);
+      return Result.ok(failedEvent);
+    }
+  }, policy);
+
+  const { entry: settled } = (await dispatcher.dispatchNow(stored)).unwrap();
+  const deadLetters = (await eventStore.queryFn({ table: 'dead_letters' })).unwrap();
+
+  assert.equal(settled.status, 'failed');
+  assert.equal(settled.attempts, 1);
+  assert.deepEqual(deadLetters.map(row => row.event_id), [stored.eventId]);
+  assert.deepEqual(storedFailures, [failure]);
+});
+
+test('closing a ticket queues its Zoho update in the outbox', async () => {
+  const eventStore = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+  const stored = (await storeEvent(eventStore.persistFn)({ type: 'TICKET_CLOSED', email: 'user@example.com', ticketId: 't-1' })).unwrap();
+
+  const entryRow = (await fetchOutboxEntry(eventStore.queryFn)(stored.eventId)).unwrap();
+  assert.equal(entryRow.event_type, 'TICKET_CLOSED');
+  assert.equal(entryRow.status, 'pending');
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Result } from '../src/utils/functional.js';
+import { createProjectionCache, CACHE_STATUS, toCacheHeaders } from '../src/shell/projectionCache.js';
+
+const settings = { enabled: true, ttlMs: { contacts: 1000, categories: 0 }, staleWhileRevalidateMs: 5000 };
+
+const createCache = (clock, overrides = {}) => createProjectionCache({
+  getSettings: () => ({ ...settings, ...overrides }),
+  now: () => clock.time
+});
+
+/**
+ * Loader answering an increasing version on each call
+ */
+const createLoader = () => {
+  const loader = async () => {
+    loader.calls += 1;
+    return Result.ok({ version: loader.calls });
+  };
+  loader.calls = 0;
+  return loader;
+};
+
+const statusOf = (result) => result.unwrap().cache.status;
+
+test('a fresh entry is served without calling the loader', async () => {
+  const clock = { time: 0 };
+  const cache = createCache(clock);
+  const loader = createLoader();
+
+  assert.equal(statusOf(await cache.read('contacts', loader)), CACHE_STATUS.MISS);
+  clock.time = 500;
+  const hit = await cache.read('contacts', loader);
+
+  assert.equal(statusOf(hit), CACHE_STATUS.HIT);
+  assert.equal(hit.unwrap().value.version, 1);
+  assert.equal(loader.calls, 1);
+});
+
+test('a stale entry is served while one background fetch renews it', async () => {
+  const clock = { time: 0 };
+  const cache = createCache(clock);
+  const loader = createLoader();
+
+  await cache.read('contacts', loader);
+  clock.time = 2000;
+  const stale = await cache.read('contacts', loader);
+  await cache.read('contacts', loader);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(statusOf(stale), CACHE_STATUS.STALE);
+  assert.equal(stale.unwrap().value.version, 1);
+  assert.equal(loader.calls, 2);
+  assert.equal((await cache.read('contacts', loader)).unwrap().value.version, 2);
+});
+
+test('concurrent misses share one upstream fetch', async () => {
+  const cache = createCache({ time: 0 });
+  const loader = createLoader();
+
+  const results = await Promise.all([cache.read('contacts', loader), cache.read('contacts', loader)]);
+
+  assert.equal(loader.calls, 1);
+  assert.deepEqual(results.map(result => result.unwrap().value.version), [1, 1]);
+});
+
+test('failed fetches are not cached', async () => {
+  const cache = createCache({ time: 0 });
+  const failing = await cache.read('contacts', async () => Result.error(new Error('n8n is down')));
+  const loader = createLoader();
+
+  assert.equal(failing.isOk, false);
+  assert.equal(statusOf(await cache.read('contacts', loader)), CACHE_STATUS.MISS);
+  assert.equal(loader.calls, 1);
+});
+
+test('an event that changes a projection invalidates it, even during a fetch', async () => {
+  const cache = createCache({ time: 0 });
+  const loader = createLoader();
+
+  await cache.read('contacts', loader);
+  assert.deepEqual(cache.invalidateForEvent({ type: 'PROFILE_UPDATED' }), ['contacts']);
+  assert.deepEqual(cache.invalidateForEvent({ type: 'TICKET_CREATED' }), []);
+
+  const pending = cache.read('contacts', loader);
+  cache.invalidate(['contacts']);
+  await pending;
+
+  assert.equal(statusOf(await cache.read('contacts', loader)), CACHE_STATUS.MISS);
+  assert.equal(loader.calls, 3);
+});
+
+test('projections without a TTL, or a disabled cache, bypass it', async () => {
+  const loader = createLoader();
+
+  assert.equal(statusOf(await createCache({ time: 0 }).read('categories', loader)), CACHE_STATUS.BYPASS);
+  assert.equal(statusOf(await createCache({ time: 0 }, { enabled: false }).read('contacts', loader)), CACHE_STATUS.BYPASS);
+  assert.deepEqual(toCacheHeaders({ status: CACHE_STATUS.BYPASS }), { 'X-Cache': 'BYPASS', 'Cache-Control': 'no-store' });
+});
@@ -0,0 +1,10 @@
+/**
+ * Setup of the test processes (loaded with --import by npm test)
+ *
+ * The Node 20 test runner reads the results of each test file from its stdout, and the
+ * app logs written there (console.log) can break that channel ("Unable to deserialize
+ * cloned data"). The logs go to stderr instead, which the runner shows as is
+ */
+import { Console } from 'node:console';
+
+globalThis.console = new Console({ stdout: process.stderr, stderr: process.stderr });
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryBackend } from '../src/shell/backends/memoryBackend.js';
+import { SCHEMA_TABLE_RULES } from '../src/shell/schemaRules.js';
+import { storeEvent } from '../src/shell/eventStore.js';
+import { storeSnapshot } from '../src/shell/snapshotStore.js';
+import { applyEvents, initialState, STATE_REDUCER_VERSION } from '../src/core/transition.js';
+import { reconstructState, shouldTakeSnapshot } from '../src/services/stateService.js';
+
+const email = 'user@example.com';
+
+/**
+ * Stores a stream of ticket events and returns them
+ */
+const storeTickets = async (backend, count) => {
+  const stored = [];
+  for (let index = 1; index <= count; index += 1) {
+    const result = await storeEvent(backend.persistFn)({
+      type: 'TICKET_CREATED',
+      email,
+      ticketId: `ticket-${index}`,
+      details: { subject: `Ticket ${index}` }
+    });
+    stored.push(result.unwrap());
+  }
+  return stored;
+};
+
+test('shouldTakeSnapshot waits for a full interval and can be disabled', () => {
+  assert.equal(shouldTakeSnapshot(110, 10, 100), true);
+  assert.equal(shouldTakeSnapshot(109, 10, 100), false);
+  assert.equal(shouldTakeSnapshot(500, 0, 0), false);
+});
+
+test('reconstructState reads every event after the snapshot, a page at a time', async () => {
+  const backend = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+  const events = await storeTickets(backend, 12);
+  await storeSnapshot(backend.persistFn)({
+    email,
+    version: 2,
+    reducerVersion: STATE_REDUCER_VERSION,
+    state: applyEvents(initialState, events.slice(0, 2))
+  });
+
+  const queries = [];
+  const queryFn = (params) => {
+    queries.push(params);
+    return backend.queryFn(params);
+  };
+  const result = (await reconstructState({ queryFn }, { snapshotInterval: 0, pageSize: 4 })(email)).unwrap();
+
+  assert.equal(result.snapshotVersion, 2);
+  assert.equal(result.version, 12);
+  assert.deepEqual(result.state, applyEvents(initialState, events));
+  assert.deepEqual(
+    queries.filter(params => params.table === 'events').map(params => params.filters.version),
+    [{ gt: 2 }, { gt: 6 }, { gt: 10 }]
+  );
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkStatusTransition, getAllowedTransitions } from '../src/core/ticketLifecycle.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.parse('2026-01-10T00:00:00.000Z');
+
+test('checkStatusTransition allows lifecycle moves and normalizes the status', () => {
+  assert.equal(checkStatusTransition({ status: 'Open' }, 'in-progress').unwrap(), 'In Progress');
+  assert.equal(checkStatusTransition({ status: 'On Hold' }, 'resolved').unwrap(), 'Resolved');
+});
+
+test('checkStatusTransition accepts keeping the current status', () => {
+  assert.equal(checkStatusTransition({ status: 'Open' }, 'Open').unwrap(), 'Open');
+});
+
+test('checkStatusTransition rejects unknown next statuses', () => {
+  assert.match(checkStatusTransition({ status: 'Open' }, 'Archived').unwrapError().reason, /Unknown status 'Archived'/);
+});
+
+test('Zoho statuses outside the lifecycle follow their statusType, or do not restrict the change', () => {
+  assert.equal(checkStatusTransition({ status: 'Escalated', statusType: 'Open' }, 'Resolved').unwrap(), 'Resolved');
+  assert.match(
+    checkStatusTransition({ status: 'Archived', statusType: 'Closed' }, 'Open').unwrapError().reason,
+    /Closed and cannot change status/
+  );
+  assert.equal(checkStatusTransition({ status: 'Waiting on vendor' }, 'In Progress').unwrap(), 'In Progress');
+  assert.deepEqual(getAllowedTransitions({ status: 'Waiting on vendor' }), ['Open', 'In Progress', 'On Hold', 'Resolved', 'Closed']);
+});
+
+test('checkStatusTransition rejects any change of a closed ticket', () => {
+  const result = checkStatusTransition({ status: 'Closed' }, 'Open');
+
+  assert.equal(result.isOk, false);
+  assert.match(result.unwrapError().reason, /Closed and cannot change status/);
+});
+
+test('checkStatusTransition rejects moves that skip the lifecycle', () => {
+  assert.match(
+    checkStatusTransition({ status: 'Resolved' }, 'In Progress').unwrapError().reason,
+    /Cannot move ticket from Resolved to In Progress/
+  );
+});
+
+test('checkStatusTransition only reopens resolved tickets within the reopen window', () => {
+  const recent = { status: 'Resolved', resolvedAt: now - 2 * DAY_MS };
+  const old = { status: 'Resolved', resolvedAt: now - 8 * DAY_MS };
+
+  assert.equal(checkStatusTransition(recent, 'Open', { now }).unwrap(), 'Open');
+  assert.match(checkStatusTransition(old, 'Open', { now }).unwrapError().reason, /within 7 days/);
+  assert.equal(checkStatusTransition(old, 'Open', { now, reopenWindowDays: 10 }).unwrap(), 'Open');
+  assert.equal(checkStatusTransition(old, 'Closed', { now }).unwrap(), 'Closed');
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryBackend } from '../src/shell/backends/memoryBackend.js';
+import { SCHEMA_TABLE_RULES } from '../src/shell/schemaRules.js';
+import { TICKET_READ_MODEL_TABLE, saveTicketRow } from '../src/shell/projections/ticketReadModel.js';
+import { cacheZohoTickets, listTickets } from '../src/services/ticketReadModelService.js';
+
+const zohoTicket = (id, overrides = {}) => ({
+  id,
+  subject: `Ticket ${id}`,
+  status: 'Open',
+  priority: 'Medium',
+  email: 'ana@acme.test',
+  createdTime: '2026-01-01T00:00:00.000Z',
+  modifiedTime: '2026-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+/**
+ * Backend that counts the reads and writes of the read model table
+ */
+const countingBackend = () => {
+  const backend = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+  const calls = { queries: 0, upserts: 0 };
+  return {
+    calls,
+    backend: {
+      ...backend,
+      queryFn: (params) => {
+        calls.queries += params.table === TICKET_READ_MODEL_TABLE ? 1 : 0;
+        return backend.queryFn(params);
+      },
+      upsertFn: (table, data, options) => {
+        calls.upserts += table === TICKET_READ_MODEL_TABLE ? 1 : 0;
+        return backend.upsertFn(table, data, options);
+      }
+    }
+  };
+};
+
+/**
+ * Reads the rows of the read model ordered by ticket id
+ */
+const readRows = async (backend) =>
+  (await backend.queryFn({ table: TICKET_READ_MODEL_TABLE, order: 'ticket_id' })).unwrap();
+
+/**
+ * Lets the background work of the memory backend (promises only, no I/O) finish
+ */
+const settle = async () => {
+  for (let turn = 0; turn < 20; turn += 1) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+test('cacheZohoTickets looks up and saves each page in one call, and refreshes linked rows', async () => {
+  const { backend, calls } = countingBackend();
+  await saveTicketRow(backend.upsertFn)({ ticket_id: 'local-1', source: 'local', external_ticket_id: '451', subject: 'Mine', status: 'Open' });
+  calls.upserts = 0;
+
+  const pages = [[zohoTicket('451'), zohoTicket('452')], [zohoTicket('453')]];
+  const result = await cacheZohoTickets({
+    ...backend,
+    fetchZohoTickets: async ({ from }) => ({ tickets: pages[from / 2] })
+  }, { pageSize: 2, maxPages: 5 })({}, {});
+
+  assert.equal(result.unwrap(), 3);
+  assert.deepEqual(calls, { queries: 2, upserts: 2 });
+  const rows = await readRows(backend);
+  assert.deepEqual(rows.map(row => [row.ticket_id, row.source]), [['452', 'zoho'], ['453', 'zoho'], ['local-1', 'local']]);
+  assert.equal(rows[2].subject, 'Ticket 451');
+});
+
+test('a complete import removes the Zoho rows of its filters it did not see', async () => {
+  const backend = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+  const old = '2025-01-01T00:00:00.000Z';
+  await saveTicketRow(backend.upsertFn)({ ticket_id: '461', source: 'zoho', status: 'Open', synced_at: old });
+  await saveTicketRow(backend.upsertFn)({ ticket_id: '462', source: 'zoho', status: 'Open', synced_at: old });
+  await saveTicketRow(backend.upsertFn)({ ticket_id: '463', source: 'zoho', status: 'Closed', synced_at: old });
+  await saveTicketRow(backend.upsertFn)({ ticket_id: '464', source: 'zoho', status: 'Open', synced_at: null });
+  await saveTicketRow(backend.upsertFn)({ ticket_id: 'local-1', source: 'local', status: 'Open' });
+
+  await cacheZohoTickets({
+    ...backend,
+    fetchZohoTickets: async () => ({ tickets: [zohoTicket('461')] })
+  }, { pageSize: 10 })({ status: 'Open' }, { status: 'Open' });
+
+  // 462 ya no está abierto (o no existe) en Zoho; 463 es de otro filtro, 464 llegó por un webhook
+  assert.deepEqual((await readRows(backend)).map(row => row.ticket_id), ['461', '463', '464', 'local-1']);
+});
+
+test('an import cut short by maxPages keeps the rows it did not reach', async () => {
+  const backend = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+  await saveTicketRow(backend.upsertFn)({ ticket_id: '471', source: 'zoho', status: 'Open', synced_at: '2025-01-01T00:00:00.000Z' });
+
+  await cacheZohoTickets({
+    ...backend,
+    fetchZohoTickets: async () => ({ tickets: [zohoTicket('472')] })
+  }, { pageSize: 1, maxPages: 1 })({}, {});
+
+  assert.deepEqual((await readRows(backend)).map(row => row.ticket_id), ['471', '472']);
+});
+
+test('listTickets answers from the read model while the Zoho import runs in the background', async () => {
+  const backend = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+  let release;
+  let zohoCalls = 0;
+  const fetchZohoTickets = () => {
+    zohoCalls += 1;
+    return new Promise(resolve => {
+      release = () => resolve({ tickets: [zohoTicket('481')] });
+    });
+  };
+  const list = listTickets(backend, { fetchZohoTickets, syncIntervalMs: 60000 });
+
+  const first = (await list({})).unwrap();
+  const second = (await list({})).unwrap();
+  assert.deepEqual(first.tickets, []);
+  assert.equal(first.meta.syncing, true);
+  assert.equal(second.meta.syncing, true);
+  assert.equal(zohoCalls, 1);
+
+  release();
+  await settle();
+
+  const third = (await list({})).unwrap();
+  assert.deepEqual(third.tickets.map(ticket => ticket.id), ['481']);
+  assert.equal(third.meta.syncing, false);
+  assert.equal(zohoCalls, 1);
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { createMemoryBackend } from '../src/shell/backends/memoryBackend.js';
+import { SCHEMA_TABLE_RULES } from '../src/shell/schemaRules.js';
+import { TICKET_READ_MODEL_TABLE, saveTicketRow } from '../src/shell/projections/ticketReadModel.js';
+import {
+  verifyZohoWebhook,
+  toDomainEvents,
+  processZohoWebhook,
+  ZOHO_SIGNATURE_HEADER,
+  WEBHOOK_SECRET_HEADER
+} from '../src/services/zohoWebhookService.js';
+
+const secret = 'webhook-secret';
+const rawBody = JSON.stringify([{ eventType: 'Ticket_Update', payload: { id: '1' } }]);
+const sign = (body, encoding) => createHmac('sha256', secret).update(body).digest(encoding);
+
+test('verifyZohoWebhook accepts an HMAC signature of the raw body in base64 or hex', () => {
+  assert.equal(verifyZohoWebhook(rawBody, { [ZOHO_SIGNATURE_HEADER]: sign(rawBody, 'base64') }, secret), true);
+  assert.equal(verifyZohoWebhook(rawBody, { [ZOHO_SIGNATURE_HEADER]: sign(rawBody, 'hex') }, secret), true);
+  assert.equal(verifyZohoWebhook(`${rawBody} `, { [ZOHO_SIGNATURE_HEADER]: sign(rawBody, 'hex') }, secret), false);
+});
+
+test('verifyZohoWebhook accepts the shared secret header and rejects everything without a secret', () => {
+  assert.equal(verifyZohoWebhook(rawBody, { [WEBHOOK_SECRET_HEADER]: secret }, secret), true);
+  assert.equal(verifyZohoWebhook(rawBody, { [WEBHOOK_SECRET_HEADER]: 'wrong' }, secret), false);
+  assert.equal(verifyZohoWebhook(rawBody, {}, secret), false);
+  assert.equal(verifyZohoWebhook(rawBody, { [WEBHOOK_SECRET_HEADER]: '' }, ''), false);
+});
+
+test('toDomainEvents maps a ticket update to the fields that changed', () => {
+  const { events, ignored } = toDomainEvents({
+    eventType: 'Ticket_Update',
+    eventTime: '1767225600000',
+    payload: { id: 42, email: 'User@Example.com', subject: 'Help', status: 'Closed', priority: 'High' },
+    prevState: { status: 'Open' }
+  }, { ticketEmail: null });
+
+  assert.equal(ignored, null);
+  assert.deepEqual(events, [{
+    type: 'TICKET_UPDATED_EXTERNALLY',
+    email: 'user@example.com',
+    ticketId: '42',
+    updates: { status: 'Closed' },
+    source: 'zoho',
+    zohoEventType: 'Ticket_Update',
+    timestamp: '2026-01-01T00:00:00.000Z'
+  }]);
+});
+
+test('toDomainEvents maps a public agent comment to AGENT_REPLIED', () => {
+  const { events } = toDomainEvents({
+    eventType: 'Ticket_Comment_Add',
+    payload: {
+      id: 7,
+      ticketId: 42,
+      content: 'On it',
+      isPublic: true,
+      commenter: { firstName: 'Ana', lastName: 'Ruiz', email: 'ana@support.com', type: 'AGENT' }
+    }
+  }, { ticketEmail: 'user@example.com' });
+
+  assert.equal(events[0].type, 'AGENT_REPLIED');
+  assert.equal(events[0].email, 'user@example.com');
+  assert.equal(events[0].commentId, '7');
+  assert.equal(events[0].authorName, 'Ana Ruiz');
+});
+
+test('toDomainEvents ignores private notes, incoming threads, customer comments and unknown events', () => {
+  const context = { ticketEmail: 'user@example.com' };
+  const comment = { id: 7, ticketId: 42, content: 'Hi', commenter: { email: 'ana@support.com', type: 'AGENT' } };
+
+  assert.equal(toDomainEvents({ eventType: 'Ticket_Comment_Add', payload: { ...comment, isPublic: false } }, context).ignored, 'private comment');
+  assert.equal(toDomainEvents({ eventType: 'Ticket_Thread_Add', payload: { ...comment, direction: 'in' } }, context).ignored, 'incoming thread');
+  assert.equal(toDomainEvents({ eventType: 'Ticket_Comment_Add', payload: { ...comment, commenter: { email: 'user@example.com' } } }, context).ignored, 'written by the customer');
+  assert.equal(toDomainEvents({ eventType: 'Contact_Add', payload: {} }, context).ignored, 'unsupported event type Contact_Add');
+  assert.equal(toDomainEvents({ eventType: 'Ticket_Update', payload: { id: 42, email: 'user@example.com' }, prevState: { dueDate: null } }, context).ignored, 'no tracked ticket field changed');
+});
+
+test('processZohoWebhook stores a notification on the memory backend once', async () => {
+  const eventStore = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+  const body = [{
+    eventType: 'Ticket_Update',
+    eventTime: '1767225600000',
+    payload: { id: '42', email: 'user@example.com', status: 'Closed' },
+    prevState: { status: 'Open' }
+  }];
+
+  const first = (await processZohoWebhook(eventStore)(body)).unwrap();
+  const second = (await processZohoWebhook(eventStore)(body)).unwrap();
+  const stored = (await eventStore.queryFn({ table: 'events', filters: { type: 'TICKET_UPDATED_EXTERNALLY' } })).unwrap();
+
+  assert.equal(first.stored, 1);
+  assert.equal(second.duplicates, 1);
+  assert.equal(stored.length, 1);
+});
+
+test('processZohoWebhook rejects a body without notifications', async () => {
+  const result = await processZohoWebhook(createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES }))({ hello: 'world' });
+
+  assert.equal(result.isOk, false);
+  assert.equal(JSON.parse(result.unwrapError().message).status, 400);
+});
+
+test('processZohoWebhook applies the notifications of a linked ticket to the local ticket', async () => {
+  const eventStore = createMemoryBackend({ tableRules: SCHEMA_TABLE_RULES });
+  await saveTicketRow(eventStore.upsertFn)({
+    ticket_id: 'local-1',
+    source: 'local',
+    external_ticket_id: '42',
+    email: 'user@example.com',
+    status: 'Open'
+  });
+
+  const result = (await processZohoWebhook(eventStore)([
+    { eventType: 'Ticket_Update', payload: { id: '42', status: 'Closed' }, prevState: { status: 'Open' } },
+    { eventType: 'Ticket_Comment_Add', payload: { id: '7', ticketId: '42', content: 'Me too', commenter: { email: 'user@example.com' } } },
+    { eventType: 'Ticket_Comment_Add', payload: { id: '8', ticketId: '42', content: 'On it', commenter: { email: 'ana@support.com', type: 'AGENT' } } }
+  ])).unwrap();
+  const rows = (await eventStore.queryFn({ table: TICKET_READ_MODEL_TABLE })).unwrap();
+
+  assert.deepEqual(result.events.map(event => [event.type, event.ticketId]), [
+    ['TICKET_UPDATED_EXTERNALLY', 'local-1'],
+    ['AGENT_REPLIED', 'local-1']
+  ]);
+  assert.equal(result.ignored, 1);
+  assert.deepEqual(rows.map(row => [row.ticket_id, row.status]), [['local-1', 'Closed']]);
+});